@@ -11,12 +11,125 @@ admin.initializeApp();
 // Export PayPal functions
 const { createPayPalOrder } = require('./src/paypal/createPayPalOrder');
 const { capturePayPalOrder } = require('./src/paypal/capturePayPalOrder');
+const { cancelPayPalOrder } = require('./src/paypal/cancelPayPalOrder');
 const { paypalWebhook } = require('./src/paypal/webhookHandler');
 
 exports.createPayPalOrder = createPayPalOrder;
 exports.capturePayPalOrder = capturePayPalOrder;
+exports.cancelPayPalOrder = cancelPayPalOrder;
 exports.paypalWebhook = paypalWebhook;
 
+const { paypalShippingCallback } = require('./src/paypal/shippingCallback');
+exports.paypalShippingCallback = paypalShippingCallback;
+
+const { listWebhookEvents, replayWebhookEvent } = require('./src/paypal/replayWebhookEvent');
+exports.listWebhookEvents = listWebhookEvents;
+exports.replayWebhookEvent = replayWebhookEvent;
+
+// Export order functions
+const { createManualOrder } = require('./src/orders/createManualOrder');
+exports.createManualOrder = createManualOrder;
+
+const { updateOrderStatus } = require('./src/orders/updateOrderStatus');
+exports.updateOrderStatus = updateOrderStatus;
+
+const { refundOrder } = require('./src/orders/refundOrder');
+exports.refundOrder = refundOrder;
+
+const { markManualPaymentReceived } = require('./src/orders/markManualPaymentReceived');
+exports.markManualPaymentReceived = markManualPaymentReceived;
+
+const { expireUnpaidOrders } = require('./src/orders/expireUnpaidOrders');
+exports.expireUnpaidOrders = expireUnpaidOrders;
+
+// Export fulfillment functions
+const { createShipment, markShipmentDelivered } = require('./src/fulfillment/manageShipments');
+exports.createShipment = createShipment;
+exports.markShipmentDelivered = markShipmentDelivered;
+
+// Export payment reconciliation functions
+const {
+    importPaymentStatement,
+    listPaymentTransactions,
+    confirmPaymentMatch,
+    ignorePaymentTransaction
+} = require('./src/reconciliation/reconcilePayments');
+exports.importPaymentStatement = importPaymentStatement;
+exports.listPaymentTransactions = listPaymentTransactions;
+exports.confirmPaymentMatch = confirmPaymentMatch;
+exports.ignorePaymentTransaction = ignorePaymentTransaction;
+
+// Export customer pricing functions
+const { approveWholesaleInquiry, updateCustomerPricing } = require('./src/pricing/managePricingGroups');
+exports.approveWholesaleInquiry = approveWholesaleInquiry;
+exports.updateCustomerPricing = updateCustomerPricing;
+
+// Export wholesale inquiry functions
+const { syncWholesaleInquiry } = require('./src/wholesale/wholesaleInquiries');
+exports.syncWholesaleInquiry = syncWholesaleInquiry;
+
+// Export quote functions
+const { saveQuote, sendQuote, cancelQuote } = require('./src/quotes/manageQuotes');
+exports.saveQuote = saveQuote;
+exports.sendQuote = sendQuote;
+exports.cancelQuote = cancelQuote;
+
+const { getQuote } = require('./src/quotes/getQuote');
+exports.getQuote = getQuote;
+
+const { syncQuoteOrder } = require('./src/quotes/syncQuoteOrder');
+exports.syncQuoteOrder = syncQuoteOrder;
+
+// Export promotion functions
+const { validatePromoCode } = require('./src/promotions/validatePromoCode');
+exports.validatePromoCode = validatePromoCode;
+
+// Export shipping functions
+const { getShippingRates } = require('./src/shipping/getShippingRates');
+exports.getShippingRates = getShippingRates;
+
+// Export tax functions
+const { getTaxReport } = require('./src/tax/getTaxReport');
+exports.getTaxReport = getTaxReport;
+
+// Export cart recovery functions
+const { saveCheckoutCart } = require('./src/recovery/saveCheckoutCart');
+const { sendCartRecoveryEmails } = require('./src/recovery/sendCartRecoveryEmails');
+const { restoreRecoveryCart, trackRecoveryOpen } = require('./src/recovery/recoveryTracking');
+const { recordRecoveryConversion } = require('./src/recovery/recordRecoveryConversion');
+exports.saveCheckoutCart = saveCheckoutCart;
+exports.sendCartRecoveryEmails = sendCartRecoveryEmails;
+exports.restoreRecoveryCart = restoreRecoveryCart;
+exports.trackRecoveryOpen = trackRecoveryOpen;
+exports.recordRecoveryConversion = recordRecoveryConversion;
+
+// Export transactional email functions
+const {
+    sendOrderCreatedEmail,
+    sendOrderStatusEmail,
+    sendShipmentEmail,
+    sendRefundEmail,
+    sendWholesaleInquiryEmail
+} = require('./src/mail/emailTriggers');
+const { retryFailedEmails } = require('./src/mail/retryFailedEmails');
+exports.sendOrderCreatedEmail = sendOrderCreatedEmail;
+exports.sendOrderStatusEmail = sendOrderStatusEmail;
+exports.sendShipmentEmail = sendShipmentEmail;
+exports.sendRefundEmail = sendRefundEmail;
+exports.sendWholesaleInquiryEmail = sendWholesaleInquiryEmail;
+exports.retryFailedEmails = retryFailedEmails;
+
+// Export inventory functions
+const { releaseExpiredReservations } = require('./src/inventory/releaseExpiredReservations');
+exports.releaseExpiredReservations = releaseExpiredReservations;
+
+const { receiveLot, updateLotStatus } = require('./src/inventory/manageLots');
+exports.receiveLot = receiveLot;
+exports.updateLotStatus = updateLotStatus;
+
+const { linkLabResultToLot } = require('./src/inventory/linkLabResults');
+exports.linkLabResultToLot = linkLabResultToLot;
+
 // Export product management functions
 const { seedProducts } = require('./src/seedProducts');
 exports.seedProducts = seedProducts;
@@ -0,0 +1,91 @@
+/**
+ * Local SMTP Sink
+ * Accepts any message on localhost and prints it instead of delivering it.
+ * Run alongside the emulators with MAIL_TRANSPORT=smtp:
+ *
+ *   npm run mail:sink                      # listens on 1025
+ *   SMTP_SINK_DIR=./mail npm run mail:sink # also writes each message to a .eml file
+ */
+
+const net = require('net');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.env.SMTP_PORT) || 1025;
+const OUTPUT_DIR = process.env.SMTP_SINK_DIR || null;
+
+let received = 0;
+
+function saveMessage(envelope, data) {
+    received++;
+    const subject = (data.match(/^Subject: (.*)$/m) || [])[1] || '(no subject)';
+    console.log(`#${received} ${envelope.from} -> ${envelope.to.join(', ')} | ${subject}`);
+
+    if (OUTPUT_DIR) {
+        fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+        const file = path.join(OUTPUT_DIR, `${Date.now()}-${received}.eml`);
+        fs.writeFileSync(file, data);
+    }
+}
+
+const server = net.createServer((socket) => {
+    let buffer = '';
+    let inData = false;
+    let data = '';
+    let envelope = { from: null, to: [] };
+
+    const reply = (line) => socket.write(`${line}\r\n`);
+    reply('220 localhost apex-labs smtp sink');
+
+    socket.on('data', (chunk) => {
+        buffer += chunk.toString('utf8');
+
+        let index;
+        while ((index = buffer.indexOf('\r\n')) !== -1) {
+            const line = buffer.slice(0, index);
+            buffer = buffer.slice(index + 2);
+
+            if (inData) {
+                if (line === '.') {
+                    inData = false;
+                    saveMessage(envelope, data);
+                    envelope = { from: null, to: [] };
+                    data = '';
+                    reply('250 OK: queued');
+                } else {
+                    // Undo dot-stuffing
+                    data += (line.startsWith('..') ? line.slice(1) : line) + '\r\n';
+                }
+                continue;
+            }
+
+            const command = line.slice(0, 4).toUpperCase();
+            if (command === 'EHLO' || command === 'HELO') {
+                reply('250 localhost');
+            } else if (command === 'MAIL') {
+                envelope.from = line.slice(line.indexOf(':') + 1).trim();
+                reply('250 OK');
+            } else if (command === 'RCPT') {
+                envelope.to.push(line.slice(line.indexOf(':') + 1).trim());
+                reply('250 OK');
+            } else if (command === 'DATA') {
+                inData = true;
+                reply('354 End data with <CR><LF>.<CR><LF>');
+            } else if (command === 'QUIT') {
+                reply('221 Bye');
+                socket.end();
+            } else if (command === 'RSET') {
+                envelope = { from: null, to: [] };
+                reply('250 OK');
+            } else {
+                reply('250 OK');
+            }
+        }
+    });
+
+    socket.on('error', () => socket.destroy());
+});
+
+server.listen(PORT, '127.0.0.1', () => {
+    console.log(`SMTP sink listening on 127.0.0.1:${PORT}`);
+});
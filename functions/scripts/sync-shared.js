@@ -0,0 +1,46 @@
+/**
+ * Sync Shared Modules
+ * Copies browser modules the functions also use into src/shared/. Functions
+ * deploy only this directory, so the site's copy is the one to edit and this
+ * runs before every deploy (see firebase.json predeploy).
+ *
+ *   npm run sync:shared            # refresh the copies
+ *   npm run sync:shared -- --check # exit 1 if a copy is out of date
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SITE_ROOT = path.join(__dirname, '..', '..');
+const SHARED_DIR = path.join(__dirname, '..', 'src', 'shared');
+
+const MODULES = [
+    { source: 'js/tier-pricing.js', target: 'tierPricing.js' }
+];
+
+const check = process.argv.includes('--check');
+let stale = 0;
+
+MODULES.forEach(({ source, target }) => {
+    const body = fs.readFileSync(path.join(SITE_ROOT, source), 'utf8');
+    const contents = `// Generated from ${source} by scripts/sync-shared.js - do not edit.\n\n${body}`;
+    const targetPath = path.join(SHARED_DIR, target);
+    const current = fs.existsSync(targetPath) ? fs.readFileSync(targetPath, 'utf8') : null;
+
+    if (current === contents) return;
+
+    if (check) {
+        console.error(`src/shared/${target} is out of date with ${source}`);
+        stale++;
+        return;
+    }
+
+    fs.mkdirSync(SHARED_DIR, { recursive: true });
+    fs.writeFileSync(targetPath, contents);
+    console.log(`Synced ${source} -> src/shared/${target}`);
+});
+
+if (stale > 0) {
+    console.error('Run `npm run sync:shared` in functions/ and commit the result.');
+    process.exit(1);
+}
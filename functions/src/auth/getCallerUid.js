@@ -0,0 +1,28 @@
+/**
+ * Optional caller identity for onRequest handlers.
+ * Checkout endpoints accept guests, so the Firebase ID token is optional.
+ */
+
+const admin = require('firebase-admin');
+
+/**
+ * Resolve the signed-in caller from an optional Firebase ID token.
+ * Guests send no Authorization header; a header with a bad token is rejected.
+ * @param {Object} req - HTTPS request
+ * @returns {Promise<string|null>} Verified user ID or null for guest checkout
+ */
+async function getCallerUid(req) {
+    const header = req.headers.authorization || '';
+    if (!header.startsWith('Bearer ')) return null;
+
+    try {
+        const decoded = await admin.auth().verifyIdToken(header.slice('Bearer '.length));
+        return decoded.uid;
+    } catch (error) {
+        const authError = new Error('Invalid or expired sign-in session');
+        authError.statusCode = 401;
+        throw authError;
+    }
+}
+
+module.exports = { getCallerUid };
@@ -0,0 +1,53 @@
+/**
+ * Rate Limit
+ * Fixed-window request counters for public endpoints that need no sign-in.
+ * Stored at rateLimits/{sha256(key)} so raw IPs and emails are never written;
+ * a TTL policy on expiresAt (firestore.indexes.json) clears old windows.
+ */
+
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+
+const db = admin.firestore();
+
+/**
+ * Client IP of a request: the address Firebase Hosting saw, else the connecting address
+ * @param {import('express').Request} req
+ * @returns {string}
+ */
+function clientIp(req) {
+    return req.headers['fastly-client-ip'] || req.ip || 'unknown';
+}
+
+/**
+ * Count a request against a limit
+ * @param {string} key - What is being limited, e.g. "checkout-cart:ip:203.0.113.7"
+ * @param {Object} options
+ * @param {number} options.limit - Requests allowed per window
+ * @param {number} options.windowSeconds - Window length
+ * @returns {Promise<boolean>} false if the limit is already used up
+ */
+async function consumeRateLimit(key, { limit, windowSeconds }) {
+    const ref = db.collection('rateLimits').doc(crypto.createHash('sha256').update(key).digest('hex'));
+    const now = Date.now();
+
+    return db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(ref);
+        const data = doc.exists ? doc.data() : null;
+        const current = data && data.windowStart.toMillis() + windowSeconds * 1000 > now;
+
+        if (current && data.count >= limit) {
+            return false;
+        }
+
+        const windowStart = current ? data.windowStart : admin.firestore.Timestamp.fromMillis(now);
+        transaction.set(ref, {
+            count: current ? data.count + 1 : 1,
+            windowStart,
+            expiresAt: admin.firestore.Timestamp.fromMillis(windowStart.toMillis() + windowSeconds * 1000)
+        });
+        return true;
+    });
+}
+
+module.exports = { clientIp, consumeRateLimit };
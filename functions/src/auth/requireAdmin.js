@@ -0,0 +1,28 @@
+/**
+ * Admin guard for callable functions.
+ * Mirrors the isAdmin() check in firestore.rules: admins/{uid} must exist with role 'admin'.
+ */
+
+const { HttpsError } = require('firebase-functions/v2/https');
+const admin = require('firebase-admin');
+
+/**
+ * Throw unless the callable request comes from an admin
+ * @param {Object} request - Callable request
+ * @param {string} action - Human-readable action for error messages (e.g. 'seed products')
+ * @returns {Promise<string>} The admin's uid
+ */
+async function requireAdmin(request, action) {
+    if (!request.auth) {
+        throw new HttpsError('unauthenticated', `Must be signed in to ${action}.`);
+    }
+
+    const adminDoc = await admin.firestore().collection('admins').doc(request.auth.uid).get();
+    if (!adminDoc.exists || adminDoc.data().role !== 'admin') {
+        throw new HttpsError('permission-denied', `Only admins can ${action}.`);
+    }
+
+    return request.auth.uid;
+}
+
+module.exports = { requireAdmin };
@@ -0,0 +1,55 @@
+/**
+ * Carriers
+ * Shipping carriers admins can pick when creating a shipment, with their public
+ * tracking pages. 'other' takes a free-text carrier name and has no link.
+ */
+
+const CARRIERS = {
+    usps: {
+        name: 'USPS',
+        trackingUrl: number => `https://tools.usps.com/go/TrackConfirmAction?tLabels=${encodeURIComponent(number)}`
+    },
+    ups: {
+        name: 'UPS',
+        trackingUrl: number => `https://www.ups.com/track?tracknum=${encodeURIComponent(number)}`
+    },
+    fedex: {
+        name: 'FedEx',
+        trackingUrl: number => `https://www.fedex.com/fedextrack/?trknbr=${encodeURIComponent(number)}`
+    },
+    dhl: {
+        name: 'DHL',
+        trackingUrl: number => `https://www.dhl.com/us-en/home/tracking.html?tracking-id=${encodeURIComponent(number)}`
+    }
+};
+
+/**
+ * Normalize a carrier given by code or display name
+ * @param {string} carrier - e.g. 'usps', 'USPS' or 'Local courier'
+ * @returns {{ code: string, name: string }}
+ */
+function normalizeCarrier(carrier) {
+    const value = String(carrier || '').trim();
+    const code = value.toLowerCase();
+    if (CARRIERS[code]) {
+        return { code, name: CARRIERS[code].name };
+    }
+    return { code: 'other', name: value };
+}
+
+/**
+ * Public tracking page for a shipment, where the carrier is one we know
+ * @param {string} carrier - Carrier code or name
+ * @param {string} trackingNumber
+ * @returns {string|null}
+ */
+function trackingUrl(carrier, trackingNumber) {
+    const known = CARRIERS[normalizeCarrier(carrier).code];
+    return known && trackingNumber ? known.trackingUrl(trackingNumber) : null;
+}
+
+module.exports = {
+    CARRIERS,
+    normalizeCarrier,
+    trackingUrl
+};
@@ -0,0 +1,77 @@
+/**
+ * Manage Shipments
+ * Admin callables to record a shipment (lines, quantities, picked lots, carrier
+ * and tracking) and to mark one delivered. Order status follows through the
+ * state machine; see shipments.js.
+ *
+ * Only callable by admin users.
+ */
+
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const admin = require('firebase-admin');
+const { logger } = require('firebase-functions');
+const { requireAdmin } = require('../auth/requireAdmin');
+const { OrderStateError, actor } = require('../orders/orderState');
+const { ShipmentError, recordShipment, recordShipmentDelivered } = require('./shipments');
+const { LotError } = require('../inventory/lots');
+
+function toHttpsError(error) {
+    if (error instanceof OrderStateError || error instanceof ShipmentError || error instanceof LotError) {
+        if (error.statusCode === 404) return new HttpsError('not-found', error.message);
+        return new HttpsError(error.statusCode === 400 ? 'invalid-argument' : 'failed-precondition', error.message);
+    }
+    return error;
+}
+
+function requireOrderId(orderId) {
+    if (typeof orderId !== 'string' || !orderId) {
+        throw new HttpsError('invalid-argument', 'orderId is required.');
+    }
+    return admin.firestore().collection('orders').doc(orderId);
+}
+
+const createShipment = onCall(async (request) => {
+    const uid = await requireAdmin(request, 'create shipments');
+
+    const { orderId, items, carrier, trackingNumber } = request.data || {};
+    const orderRef = requireOrderId(orderId);
+
+    let result;
+    try {
+        result = await recordShipment(orderRef, {
+            items,
+            carrier,
+            trackingNumber,
+            by: actor('admin', uid)
+        });
+    } catch (error) {
+        throw toHttpsError(error);
+    }
+
+    logger.info(`Admin ${uid} shipped ${result.shipmentId} on order ${orderId} (${result.fulfillmentStatus})`);
+
+    return { orderId, ...result };
+});
+
+const markShipmentDelivered = onCall(async (request) => {
+    const uid = await requireAdmin(request, 'update shipments');
+
+    const { orderId, shipmentId } = request.data || {};
+    const orderRef = requireOrderId(orderId);
+    if (typeof shipmentId !== 'string' || !shipmentId) {
+        throw new HttpsError('invalid-argument', 'shipmentId is required.');
+    }
+
+    let result;
+    try {
+        result = await recordShipmentDelivered(orderRef, shipmentId, { by: actor('admin', uid) });
+    } catch (error) {
+        throw toHttpsError(error);
+    }
+
+    logger.info(`Admin ${uid} marked shipment ${shipmentId} on order ${orderId} delivered`);
+
+    return { orderId, shipmentId, ...result };
+});
+
+module.exports = { createShipment, markShipmentDelivered };
@@ -0,0 +1,312 @@
+/**
+ * Shipments
+ * Fulfillment records for orders. Each shipment lives at
+ * orders/{id}/shipments/{shipmentId} with the lines and quantities it carried,
+ * the lots the units were drawn from, carrier and tracking, and its shipped and
+ * delivered times. Lot-tracked products draw from their lots FIFO (see
+ * inventory/lots.js), starting with any lots the packer names. The order keeps a running shippedItems count per line, a
+ * fulfillmentStatus, and a short shipments summary that is mirrored to
+ * users/{uid}/orders/{id} for the customer's order timeline.
+ *
+ * An order moves to 'processing' while partly shipped, 'shipped' once every
+ * unrefunded unit has gone out, and 'delivered' once every shipment has arrived.
+ */
+
+const admin = require('firebase-admin');
+const { applyTransition, OrderStateError } = require('../orders/orderState');
+const { normalizeCarrier, trackingUrl } = require('./carriers');
+const { applyLotAllocation, planLotAllocation, readLotsForAllocation } = require('../inventory/lots');
+const { HttpError } = require('../shared/httpError');
+
+const db = admin.firestore();
+
+/** Order statuses a shipment can be created from */
+const SHIPPABLE_STATUSES = ['paid', 'processing', 'partially_refunded'];
+
+const LOT_NUMBER_PATTERN = /^[A-Za-z0-9._-]{1,40}$/;
+const MAX_LOTS_PER_LINE = 20;
+
+/**
+ * Error raised for a shipment that does not fit the order.
+ */
+class ShipmentError extends HttpError {}
+
+/**
+ * Units of each line still to ship: ordered, less shipped, less refunded
+ * @param {Object} order - Order document data
+ * @returns {Object<string, number>} Item ID -> quantity
+ */
+function remainingToShip(order) {
+    const shipped = order.shippedItems || {};
+    const refunded = order.refundedItems || {};
+    const remaining = {};
+
+    (order.items || []).forEach(item => {
+        remaining[item.id] = Math.max(0, (remaining[item.id] || 0) + item.quantity - (shipped[item.id] || 0) - (refunded[item.id] || 0));
+    });
+    return remaining;
+}
+
+/**
+ * Validate requested shipment lines against what is left to ship
+ * @param {Object} order - Order document data
+ * @param {Array} lines - [{ id, quantity, lotNumbers? }]
+ * @returns {Array<{ id: string, sku: string|null, name: string, quantity: number, lotNumbers: string[] }>}
+ * @throws {ShipmentError}
+ */
+function normalizeShipmentLines(order, lines) {
+    if (!Array.isArray(lines) || lines.length === 0) {
+        throw new ShipmentError('A shipment needs at least one line item');
+    }
+
+    const remaining = remainingToShip(order);
+    const seen = new Set();
+
+    return lines.map(line => {
+        const item = (order.items || []).find(orderItem => orderItem.id === line?.id);
+        if (!item) {
+            throw new ShipmentError(`Item ${line?.id} is not on this order`);
+        }
+        if (seen.has(item.id)) {
+            throw new ShipmentError(`Item ${item.id} is listed twice`);
+        }
+        seen.add(item.id);
+
+        const quantity = Number(line.quantity);
+        if (!Number.isInteger(quantity) || quantity < 1) {
+            throw new ShipmentError(`Quantity for ${item.name} must be a whole number`);
+        }
+        if (quantity > remaining[item.id]) {
+            throw new ShipmentError(`Only ${remaining[item.id]} of ${item.name} left to ship`);
+        }
+
+        const lotNumbers = Array.isArray(line.lotNumbers)
+            ? [...new Set(line.lotNumbers.map(lot => String(lot).trim()).filter(Boolean))]
+            : [];
+        if (lotNumbers.length > MAX_LOTS_PER_LINE || lotNumbers.some(lot => !LOT_NUMBER_PATTERN.test(lot))) {
+            throw new ShipmentError(`Lot numbers for ${item.name} must be letters, digits, '.', '_' or '-'`);
+        }
+
+        return {
+            id: item.id,
+            sku: item.sku || null,
+            name: item.name,
+            quantity,
+            lotNumbers
+        };
+    });
+}
+
+/**
+ * Customer-facing summary of a shipment, kept in the order's shipments array.
+ * Array entries cannot hold server timestamps, so times are written as of now.
+ * @param {string} shipmentId
+ * @param {Object} shipment - Shipment document data
+ * @returns {Object}
+ */
+function shipmentSummary(shipmentId, shipment) {
+    return {
+        id: shipmentId,
+        carrierName: shipment.carrierName,
+        trackingNumber: shipment.trackingNumber,
+        trackingUrl: shipment.trackingUrl,
+        items: shipment.items.map(item => ({
+            id: item.id,
+            name: item.name,
+            quantity: item.quantity,
+            lotNumbers: item.lotNumbers,
+            lots: item.lots
+        })),
+        shippedAt: shipment.shippedAt,
+        deliveredAt: shipment.deliveredAt || null
+    };
+}
+
+/**
+ * Write order fields, moving status when needed, and mirror the shipments summary
+ * @param {FirebaseFirestore.Transaction} transaction
+ * @param {FirebaseFirestore.DocumentSnapshot} orderDoc
+ * @param {string|null} nextStatus - New status, or null to keep the current one
+ * @param {Object} updates - Order fields
+ * @param {Object} options
+ * @param {Object} options.by - Actor from orderState.actor()
+ * @param {string} options.reason - History note
+ */
+function writeOrder(transaction, orderDoc, nextStatus, updates, { by, reason }) {
+    const order = orderDoc.data();
+    const mirrorUpdates = { shipments: updates.shipments, fulfillmentStatus: updates.fulfillmentStatus };
+
+    if (nextStatus && nextStatus !== order.status) {
+        applyTransition(transaction, orderDoc, nextStatus, { by, reason, updates, mirrorUpdates });
+        return;
+    }
+
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    transaction.update(orderDoc.ref, { ...updates, updatedAt: now });
+
+    if (order.userId) {
+        const userOrderRef = db.collection('users').doc(order.userId).collection('orders').doc(orderDoc.id);
+        transaction.set(userOrderRef, { ...mirrorUpdates, updatedAt: now }, { merge: true });
+    }
+}
+
+/**
+ * Record a shipment against an order
+ * @param {FirebaseFirestore.DocumentReference} orderRef
+ * @param {Object} shipment
+ * @param {Array} shipment.items - [{ id, quantity, lotNumbers? }]; lotNumbers are drawn first
+ * @param {string} shipment.carrier - Carrier code (usps, ups, fedex, dhl) or a name
+ * @param {string} shipment.trackingNumber
+ * @param {Object} shipment.by - Actor from orderState.actor()
+ * @returns {Promise<{ shipmentId: string, fulfillmentStatus: string, status: string }>}
+ * @throws {OrderStateError|ShipmentError|LotError}
+ */
+async function recordShipment(orderRef, { items, carrier, trackingNumber, by }) {
+    const { code, name } = normalizeCarrier(carrier);
+    const number = String(trackingNumber || '').trim();
+    if (!name || name.length > 50) {
+        throw new ShipmentError('A carrier is required');
+    }
+    if (!number || number.length > 100) {
+        throw new ShipmentError('A tracking number is required');
+    }
+
+    const shipmentRef = orderRef.collection('shipments').doc();
+
+    return db.runTransaction(async (transaction) => {
+        const orderDoc = await transaction.get(orderRef);
+        if (!orderDoc.exists) {
+            throw new OrderStateError(`Order ${orderRef.id} not found`, 404);
+        }
+
+        const order = orderDoc.data();
+        if (!SHIPPABLE_STATUSES.includes(order.status)) {
+            throw new OrderStateError(`Order ${orderRef.id} is ${order.status} and cannot be shipped`);
+        }
+
+        const requested = normalizeShipmentLines(order, items);
+        const available = await Promise.all(requested.map(line => readLotsForAllocation(transaction, line.id)));
+
+        const allocations = requested.map((line, index) => planLotAllocation(available[index], line.quantity, {
+            preferredLots: line.lotNumbers,
+            label: line.name
+        }));
+        const lines = requested.map((line, index) => (available[index].tracked
+            ? { ...line, lotNumbers: allocations[index].map(lot => lot.lotNumber), lots: allocations[index] }
+            : { ...line, lots: [] }));
+
+        const shippedAt = admin.firestore.Timestamp.now();
+        const shipment = {
+            shipmentId: shipmentRef.id,
+            items: lines,
+            carrier: code,
+            carrierName: name,
+            trackingNumber: number,
+            trackingUrl: trackingUrl(code, number),
+            status: 'shipped',
+            shippedAt,
+            deliveredAt: null,
+            createdBy: by
+        };
+
+        const shippedItems = { ...(order.shippedItems || {}) };
+        lines.forEach(line => {
+            shippedItems[line.id] = (shippedItems[line.id] || 0) + line.quantity;
+        });
+
+        const fullyShipped = Object.values(remainingToShip({ ...order, shippedItems })).every(quantity => quantity === 0);
+        const fulfillmentStatus = fullyShipped ? 'fulfilled' : 'partial';
+        const updates = {
+            shippedItems,
+            fulfillmentStatus,
+            shipments: [...(order.shipments || []), shipmentSummary(shipmentRef.id, shipment)],
+            // Latest tracking, for readers that predate multiple shipments
+            tracking: { carrier: name, number, addedAt: shippedAt },
+            shippedAt: order.shippedAt || shippedAt
+        };
+
+        transaction.create(shipmentRef, shipment);
+        allocations.forEach((lots, index) => applyLotAllocation(transaction, available[index], lots, {
+            orderId: orderRef.id,
+            shipmentId: shipmentRef.id,
+            reference: order.reference,
+            customerEmail: order.customerEmail,
+            userId: order.userId,
+            shippedAt
+        }));
+
+        const nextStatus = fullyShipped ? 'shipped' : (order.status === 'paid' ? 'processing' : null);
+        const lineSummary = lines.map(line => `${line.quantity} x ${line.name}`).join(', ');
+        writeOrder(transaction, orderDoc, nextStatus, updates, {
+            by,
+            reason: `Shipped via ${name} ${number}: ${lineSummary}`
+        });
+
+        return {
+            shipmentId: shipmentRef.id,
+            fulfillmentStatus,
+            status: nextStatus || order.status
+        };
+    });
+}
+
+/**
+ * Mark a shipment delivered. The order becomes 'delivered' when it is fully
+ * shipped and every shipment has arrived.
+ * @param {FirebaseFirestore.DocumentReference} orderRef
+ * @param {string} shipmentId
+ * @param {Object} options
+ * @param {Object} options.by - Actor from orderState.actor()
+ * @returns {Promise<{ changed: boolean, status: string }>}
+ * @throws {OrderStateError|ShipmentError}
+ */
+async function recordShipmentDelivered(orderRef, shipmentId, { by }) {
+    const shipmentRef = orderRef.collection('shipments').doc(shipmentId);
+
+    return db.runTransaction(async (transaction) => {
+        const [orderDoc, shipmentDoc] = await Promise.all([
+            transaction.get(orderRef),
+            transaction.get(shipmentRef)
+        ]);
+        if (!orderDoc.exists) {
+            throw new OrderStateError(`Order ${orderRef.id} not found`, 404);
+        }
+        if (!shipmentDoc.exists) {
+            throw new ShipmentError(`Shipment ${shipmentId} not found`, 404);
+        }
+
+        const order = orderDoc.data();
+        if (shipmentDoc.data().deliveredAt) {
+            return { changed: false, status: order.status };
+        }
+
+        const deliveredAt = admin.firestore.Timestamp.now();
+        const shipments = (order.shipments || []).map(summary => (
+            summary.id === shipmentId ? { ...summary, deliveredAt } : summary
+        ));
+        const allDelivered = shipments.every(summary => summary.deliveredAt);
+        const nextStatus = allDelivered && order.fulfillmentStatus === 'fulfilled' && order.status === 'shipped'
+            ? 'delivered'
+            : null;
+
+        transaction.update(shipmentRef, { status: 'delivered', deliveredAt });
+
+        const updates = { shipments, fulfillmentStatus: order.fulfillmentStatus };
+        if (nextStatus) updates.deliveredAt = deliveredAt;
+
+        writeOrder(transaction, orderDoc, nextStatus, updates, {
+            by,
+            reason: `Shipment ${shipmentDoc.data().carrierName} ${shipmentDoc.data().trackingNumber} delivered`
+        });
+
+        return { changed: true, status: nextStatus || order.status };
+    });
+}
+
+module.exports = {
+    SHIPPABLE_STATUSES,
+    ShipmentError,
+    recordShipment,
+    recordShipmentDelivered,
+    remainingToShip
+};
@@ -0,0 +1,314 @@
+/**
+ * Inventory
+ * Transactional stock reservations for orders. Stock is reserved when an order is
+ * created, decremented when payment is captured, and released on denial, cancellation
+ * or reservation timeout. Every change is written to products/{id}/inventoryLedger.
+ *
+ * Product fields:
+ *   stockLevel    - units on hand
+ *   reservedStock - units held by active reservations (available = stockLevel - reservedStock)
+ *   inStock       - flipped to false when stockLevel reaches zero
+ */
+
+const admin = require('firebase-admin');
+const { logger } = require('firebase-functions');
+const { HttpError } = require('../shared/httpError');
+
+const db = admin.firestore();
+
+/** Reservation lifetimes by payment flow, in minutes */
+const RESERVATION_TTL_MINUTES = {
+    paypal: 3 * 60,
+    manual: 72 * 60
+};
+
+/**
+ * Error raised when stock cannot be reserved.
+ */
+class InventoryError extends HttpError {
+    constructor(message, statusCode = 409) {
+        super(message, statusCode);
+    }
+}
+
+function reservationRef(orderId) {
+    return db.collection('inventoryReservations').doc(orderId);
+}
+
+function productRef(productId) {
+    return db.collection('products').doc(productId);
+}
+
+/**
+ * Queue a ledger entry for a product inside a transaction
+ * @param {FirebaseFirestore.Transaction} transaction
+ * @param {string} productId - Product ID
+ * @param {Object} entry - Ledger fields (type, quantity, orderId, reason, stockLevel, reservedStock)
+ */
+function writeLedgerEntry(transaction, productId, entry) {
+    const ledgerRef = productRef(productId).collection('inventoryLedger').doc();
+    transaction.create(ledgerRef, {
+        ...entry,
+        productId,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+}
+
+/**
+ * Read the current stock counters from a product snapshot
+ * @param {FirebaseFirestore.DocumentSnapshot} doc
+ * @returns {{ stockLevel: number, reservedStock: number }}
+ */
+function readStock(doc) {
+    const data = doc.data() || {};
+    return {
+        stockLevel: Math.max(0, Number(data.stockLevel) || 0),
+        reservedStock: Math.max(0, Number(data.reservedStock) || 0)
+    };
+}
+
+/**
+ * Reserve stock for a new order.
+ * Fails the whole reservation if any line exceeds available (unreserved) stock.
+ * @param {string} orderId - Firestore order ID
+ * @param {Array<{ id: string, name?: string, quantity: number }>} items - Priced order items
+ * @param {Object} [options]
+ * @param {string} [options.flow='paypal'] - 'paypal' or 'manual'; selects the reservation lifetime
+ * @returns {Promise<Date>} Reservation expiry
+ */
+async function reserveStock(orderId, items, { flow = 'paypal' } = {}) {
+    const ttlMinutes = RESERVATION_TTL_MINUTES[flow] || RESERVATION_TTL_MINUTES.paypal;
+    const expiresAt = new Date(Date.now() + ttlMinutes * 60 * 1000);
+
+    await db.runTransaction(async (transaction) => {
+        const existing = await transaction.get(reservationRef(orderId));
+        if (existing.exists) {
+            throw new InventoryError(`Stock is already reserved for order ${orderId}`);
+        }
+
+        const productDocs = await Promise.all(items.map(item => transaction.get(productRef(item.id))));
+
+        // Validate every line before writing anything
+        productDocs.forEach((doc, index) => {
+            const item = items[index];
+            if (!doc.exists) {
+                throw new InventoryError(`Unknown product: ${item.id}`, 400);
+            }
+            const { stockLevel, reservedStock } = readStock(doc);
+            const available = stockLevel - reservedStock;
+            if (doc.data().inStock === false || available < item.quantity) {
+                throw new InventoryError(
+                    available > 0
+                        ? `Only ${available} of ${item.name || item.id} available`
+                        : `${item.name || item.id} is out of stock`
+                );
+            }
+        });
+
+        productDocs.forEach((doc, index) => {
+            const item = items[index];
+            const { stockLevel, reservedStock } = readStock(doc);
+
+            transaction.update(doc.ref, {
+                reservedStock: reservedStock + item.quantity,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            writeLedgerEntry(transaction, item.id, {
+                type: 'reserve',
+                quantity: item.quantity,
+                orderId,
+                reason: `${flow}_order_created`,
+                stockLevel,
+                reservedStock: reservedStock + item.quantity
+            });
+        });
+
+        transaction.set(reservationRef(orderId), {
+            orderId,
+            flow,
+            status: 'active',
+            items: items.map(item => ({ id: item.id, quantity: item.quantity })),
+            expiresAt: admin.firestore.Timestamp.fromDate(expiresAt),
+            createdAt: admin.firestore.FieldValue.serverTimestamp(),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+    });
+
+    return expiresAt;
+}
+
+/**
+ * Decrement stock for a paid order and close its reservation.
+ * Idempotent: a reservation that is already committed is left untouched. Orders
+ * without a reservation (or whose reservation already expired) still decrement
+ * on-hand stock from the supplied items, since the goods are now sold.
+ * @param {string} orderId - Firestore order ID
+ * @param {Array<{ id: string, quantity: number }>} [fallbackItems] - Order items, used when no active reservation exists
+ * @returns {Promise<boolean>} true if stock was decremented
+ */
+async function commitStock(orderId, fallbackItems = []) {
+    return db.runTransaction(async (transaction) => {
+        const reservationDoc = await transaction.get(reservationRef(orderId));
+        const reservation = reservationDoc.exists ? reservationDoc.data() : null;
+
+        if (reservation?.status === 'committed') {
+            return false;
+        }
+
+        const wasReserved = reservation?.status === 'active';
+        const items = (reservation?.items || fallbackItems)
+            .filter(item => item && item.id && item.quantity > 0);
+
+        const productDocs = await Promise.all(items.map(item => transaction.get(productRef(item.id))));
+
+        productDocs.forEach((doc, index) => {
+            const item = items[index];
+            if (!doc.exists) {
+                logger.warn(`Inventory commit skipped unknown product ${item.id} for order ${orderId}`);
+                return;
+            }
+
+            const { stockLevel, reservedStock } = readStock(doc);
+            if (stockLevel < item.quantity) {
+                logger.warn(`Stock for ${item.id} oversold by order ${orderId}: ${stockLevel} on hand, ${item.quantity} sold`);
+            }
+
+            const newStockLevel = Math.max(0, stockLevel - item.quantity);
+            const newReservedStock = wasReserved ? Math.max(0, reservedStock - item.quantity) : reservedStock;
+
+            const updates = {
+                stockLevel: newStockLevel,
+                reservedStock: newReservedStock,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            };
+            if (newStockLevel === 0) {
+                updates.inStock = false;
+            }
+
+            transaction.update(doc.ref, updates);
+            writeLedgerEntry(transaction, item.id, {
+                type: 'commit',
+                quantity: -item.quantity,
+                orderId,
+                reason: wasReserved ? 'payment_captured' : 'payment_captured_unreserved',
+                stockLevel: newStockLevel,
+                reservedStock: newReservedStock
+            });
+        });
+
+        transaction.set(reservationRef(orderId), {
+            orderId,
+            status: 'committed',
+            items: items.map(item => ({ id: item.id, quantity: item.quantity })),
+            committedAt: admin.firestore.FieldValue.serverTimestamp(),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        }, { merge: true });
+
+        return true;
+    });
+}
+
+/**
+ * Release an active reservation back to available stock.
+ * No-op if the reservation does not exist or is no longer active.
+ * @param {string} orderId - Firestore order ID
+ * @param {string} reason - Why the stock is released (payment_denied, cancelled, expired, ...)
+ * @returns {Promise<boolean>} true if stock was released
+ */
+async function releaseReservation(orderId, reason) {
+    return db.runTransaction(async (transaction) => {
+        const reservationDoc = await transaction.get(reservationRef(orderId));
+        if (!reservationDoc.exists || reservationDoc.data().status !== 'active') {
+            return false;
+        }
+
+        const items = reservationDoc.data().items || [];
+        const productDocs = await Promise.all(items.map(item => transaction.get(productRef(item.id))));
+
+        productDocs.forEach((doc, index) => {
+            const item = items[index];
+            if (!doc.exists) return;
+
+            const { stockLevel, reservedStock } = readStock(doc);
+            const newReservedStock = Math.max(0, reservedStock - item.quantity);
+
+            transaction.update(doc.ref, {
+                reservedStock: newReservedStock,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            writeLedgerEntry(transaction, item.id, {
+                type: 'release',
+                quantity: item.quantity,
+                orderId,
+                reason,
+                stockLevel,
+                reservedStock: newReservedStock
+            });
+        });
+
+        transaction.update(reservationDoc.ref, {
+            status: 'released',
+            releaseReason: reason,
+            releasedAt: admin.firestore.FieldValue.serverTimestamp(),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        return true;
+    });
+}
+
+/**
+ * Read the product documents for a set of lines inside a transaction
+ * @param {FirebaseFirestore.Transaction} transaction
+ * @param {Array<{ id: string }>} items
+ * @returns {Promise<FirebaseFirestore.DocumentSnapshot[]>} In the order of items
+ */
+function readProducts(transaction, items) {
+    return Promise.all(items.map(item => transaction.get(productRef(item.id))));
+}
+
+/**
+ * Queue the return of sold units to stock inside a caller's transaction, so the
+ * restock commits or fails together with whatever caused it
+ * @param {FirebaseFirestore.Transaction} transaction
+ * @param {string} orderId - Firestore order ID the units came from
+ * @param {Array<{ id: string, quantity: number }>} items - Units to put back
+ * @param {FirebaseFirestore.DocumentSnapshot[]} productDocs - From readProducts() in the same transaction
+ * @param {string} reason - Why the stock is returned (refund_restock, ...)
+ */
+function queueRestock(transaction, orderId, items, productDocs, reason) {
+    productDocs.forEach((doc, index) => {
+        const item = items[index];
+        if (!doc.exists) {
+            logger.warn(`Restock skipped unknown product ${item.id} for order ${orderId}`);
+            return;
+        }
+
+        const { stockLevel, reservedStock } = readStock(doc);
+        const newStockLevel = stockLevel + item.quantity;
+
+        transaction.update(doc.ref, {
+            stockLevel: newStockLevel,
+            inStock: true,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        writeLedgerEntry(transaction, item.id, {
+            type: 'restock',
+            quantity: item.quantity,
+            orderId,
+            reason,
+            stockLevel: newStockLevel,
+            reservedStock
+        });
+    });
+}
+
+module.exports = {
+    InventoryError,
+    RESERVATION_TTL_MINUTES,
+    commitStock,
+    queueRestock,
+    readProducts,
+    releaseReservation,
+    reserveStock
+};
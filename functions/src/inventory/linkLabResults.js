@@ -0,0 +1,85 @@
+/**
+ * Link Lab Results
+ * Keeps a lot's labReport in step with the labResults documents admins upload
+ * for it, so the lot (and the recall trace) shows the COA for that batch. A lot
+ * shows its most recent test; removing a result clears it from the lot.
+ */
+
+const admin = require('firebase-admin');
+const { onDocumentWritten } = require('firebase-functions/v2/firestore');
+const { logger } = require('firebase-functions');
+
+const db = admin.firestore();
+
+function lotRef(result) {
+    return db.collection('products').doc(result.productId).collection('lots').doc(result.lotNumber);
+}
+
+function labReport(resultId, result) {
+    return {
+        resultId,
+        taskNumber: result.taskNumber || null,
+        verificationKey: result.verificationKey || null,
+        analysisDate: result.analysisDate || null,
+        purity: result.purity,
+        reportUrl: result.reportUrl || null
+    };
+}
+
+/**
+ * Point a lot at a result unless it already shows a newer one
+ * @param {string} resultId
+ * @param {Object} result - labResults document data
+ */
+async function attach(resultId, result) {
+    const ref = lotRef(result);
+
+    await db.runTransaction(async (transaction) => {
+        const lotDoc = await transaction.get(ref);
+        if (!lotDoc.exists) {
+            logger.warn(`Lab result ${resultId} names unknown lot ${result.lotNumber} of ${result.productId}`);
+            return;
+        }
+
+        const current = lotDoc.data().labReport;
+        if (current && current.resultId !== resultId && (current.analysisDate || '') > result.analysisDate) return;
+
+        transaction.update(ref, {
+            labReport: labReport(resultId, result),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+    });
+}
+
+/**
+ * Clear a lot's labReport if it still shows this result
+ * @param {string} resultId
+ * @param {Object} result - labResults document data before the change
+ */
+async function detach(resultId, result) {
+    const ref = lotRef(result);
+
+    await db.runTransaction(async (transaction) => {
+        const lotDoc = await transaction.get(ref);
+        if (!lotDoc.exists || lotDoc.data().labReport?.resultId !== resultId) return;
+
+        transaction.update(ref, {
+            labReport: null,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+    });
+}
+
+exports.linkLabResultToLot = onDocumentWritten('labResults/{resultId}', async (event) => {
+    const resultId = event.params.resultId;
+    const before = event.data.before.exists ? event.data.before.data() : null;
+    const after = event.data.after.exists ? event.data.after.data() : null;
+
+    const moved = before?.lotNumber && (before.lotNumber !== after?.lotNumber || before.productId !== after?.productId);
+    if (moved) {
+        await detach(resultId, before);
+    }
+    if (after?.lotNumber) {
+        await attach(resultId, after);
+    }
+});
@@ -0,0 +1,321 @@
+/**
+ * Lots
+ * Batch traceability. Stock arrives in lots at products/{id}/lots/{lotNumber},
+ * each with its manufacture and expiry dates, quantity received and the lab
+ * report (COA) for that batch. Receiving a lot adds to the product's stockLevel.
+ *
+ * Shipments draw units from lots first-in, first-out (oldest receivedAt first,
+ * skipping expired, quarantined and recalled lots), and every draw is recorded
+ * at lots/{lotNumber}/allocations/{shipmentId}, so a recall can list every order
+ * that received a lot. Products that have never received a lot ship untracked.
+ *
+ * Lot fields:
+ *   quantityReceived  - units in the batch
+ *   quantityRemaining - units not yet shipped
+ *   status            - active, quarantined, recalled or depleted
+ */
+
+const admin = require('firebase-admin');
+const { HttpError } = require('../shared/httpError');
+
+const db = admin.firestore();
+
+const LOT_STATUSES = ['active', 'quarantined', 'recalled', 'depleted'];
+/** Statuses an admin may set; depleted follows from quantityRemaining */
+const SETTABLE_LOT_STATUSES = ['active', 'quarantined', 'recalled'];
+
+const LOT_NUMBER_PATTERN = /^[A-Za-z0-9._-]{1,40}$/;
+
+/**
+ * Error raised for an invalid lot or a shipment the lots cannot cover.
+ */
+class LotError extends HttpError {}
+
+function productRef(productId) {
+    return db.collection('products').doc(productId);
+}
+
+function lotRef(productId, lotNumber) {
+    return productRef(productId).collection('lots').doc(lotNumber);
+}
+
+/**
+ * Validate a lot number
+ * @param {*} lotNumber
+ * @returns {string}
+ * @throws {LotError}
+ */
+function normalizeLotNumber(lotNumber) {
+    const value = String(lotNumber || '').trim();
+    if (!LOT_NUMBER_PATTERN.test(value) || value === '.' || value === '..') {
+        throw new LotError('Lot numbers are 1-40 letters, digits, \'.\', \'_\' or \'-\'');
+    }
+    return value;
+}
+
+function parseDay(value, label) {
+    if (value == null || value === '') return null;
+    const date = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00Z`) : null;
+    if (!date || isNaN(date)) {
+        throw new LotError(`${label} must be a YYYY-MM-DD date`);
+    }
+    return admin.firestore.Timestamp.fromDate(date);
+}
+
+/**
+ * Lab report fields kept on a lot
+ * @param {Object} [report]
+ * @returns {Object|null}
+ */
+function normalizeLabReport(report) {
+    if (!report || typeof report !== 'object') return null;
+
+    const text = (value, max) => (typeof value === 'string' && value.trim() ? value.trim().substring(0, max) : null);
+    const purity = Number(report.purity);
+    const normalized = {
+        taskNumber: text(report.taskNumber, 40),
+        verificationKey: text(report.verificationKey, 40),
+        analysisDate: text(report.analysisDate, 40),
+        purity: Number.isFinite(purity) && purity > 0 && purity <= 100 ? purity : null,
+        reportUrl: text(report.reportUrl, 500)
+    };
+    return Object.values(normalized).some(value => value !== null) ? normalized : null;
+}
+
+/**
+ * Record a newly received lot and add its units to the product's stock
+ * @param {string} productId
+ * @param {Object} lot
+ * @param {string} lot.lotNumber
+ * @param {number} lot.quantity - Units received
+ * @param {string} [lot.manufacturedAt] - YYYY-MM-DD
+ * @param {string} [lot.expiresAt] - YYYY-MM-DD
+ * @param {Object} [lot.labReport] - { taskNumber, verificationKey, analysisDate, purity, reportUrl }
+ * @param {Object} lot.by - Actor from orderState.actor()
+ * @returns {Promise<{ lotNumber: string, stockLevel: number }>}
+ * @throws {LotError}
+ */
+async function recordLotReceived(productId, { lotNumber, quantity, manufacturedAt, expiresAt, labReport, by }) {
+    const number = normalizeLotNumber(lotNumber);
+    const units = Number(quantity);
+    if (!Number.isInteger(units) || units < 1 || units > 100000) {
+        throw new LotError('Quantity received must be a whole number between 1 and 100000');
+    }
+
+    const manufactured = parseDay(manufacturedAt, 'Manufacture date');
+    const expires = parseDay(expiresAt, 'Expiry date');
+    if (manufactured && expires && expires.toMillis() <= manufactured.toMillis()) {
+        throw new LotError('Expiry date must be after the manufacture date');
+    }
+
+    return db.runTransaction(async (transaction) => {
+        const [productDoc, lotDoc] = await Promise.all([
+            transaction.get(productRef(productId)),
+            transaction.get(lotRef(productId, number))
+        ]);
+        if (!productDoc.exists) {
+            throw new LotError(`Unknown product: ${productId}`, 404);
+        }
+        if (lotDoc.exists) {
+            throw new LotError(`Lot ${number} already exists for this product`, 409);
+        }
+
+        const product = productDoc.data();
+        const stockLevel = Math.max(0, Number(product.stockLevel) || 0) + units;
+        const now = admin.firestore.FieldValue.serverTimestamp();
+
+        transaction.create(lotDoc.ref, {
+            lotNumber: number,
+            productId,
+            productName: product.name || productId,
+            manufacturedAt: manufactured,
+            expiresAt: expires,
+            quantityReceived: units,
+            quantityRemaining: units,
+            labReport: normalizeLabReport(labReport),
+            status: 'active',
+            receivedBy: by,
+            receivedAt: now,
+            updatedAt: now
+        });
+
+        transaction.update(productDoc.ref, {
+            stockLevel,
+            inStock: true,
+            lotTracked: true,
+            updatedAt: now
+        });
+
+        transaction.create(productDoc.ref.collection('inventoryLedger').doc(), {
+            type: 'receive',
+            quantity: units,
+            orderId: null,
+            lotNumber: number,
+            reason: `Lot ${number} received`,
+            stockLevel,
+            reservedStock: Math.max(0, Number(product.reservedStock) || 0),
+            productId,
+            createdAt: now
+        });
+
+        return { lotNumber: number, stockLevel };
+    });
+}
+
+/**
+ * Quarantine, recall or reactivate a lot. Quarantined and recalled lots are
+ * skipped when shipments draw stock.
+ * @param {string} productId
+ * @param {string} lotNumber
+ * @param {string} status - One of SETTABLE_LOT_STATUSES
+ * @param {Object} options
+ * @param {Object} options.by - Actor from orderState.actor()
+ * @param {string|null} [options.reason]
+ * @returns {Promise<{ from: string, status: string }>}
+ */
+async function setLotStatus(productId, lotNumber, status, { by, reason = null }) {
+    if (!SETTABLE_LOT_STATUSES.includes(status)) {
+        throw new LotError(`Status must be one of: ${SETTABLE_LOT_STATUSES.join(', ')}`);
+    }
+
+    const ref = lotRef(productId, normalizeLotNumber(lotNumber));
+
+    return db.runTransaction(async (transaction) => {
+        const lotDoc = await transaction.get(ref);
+        if (!lotDoc.exists) {
+            throw new LotError(`Lot ${lotNumber} not found`, 404);
+        }
+
+        const lot = lotDoc.data();
+        // A lot with nothing left stays depleted unless it is being recalled or held
+        const next = status === 'active' && lot.quantityRemaining <= 0 ? 'depleted' : status;
+
+        transaction.update(ref, {
+            status: next,
+            statusReason: reason,
+            statusChangedBy: by,
+            statusChangedAt: admin.firestore.FieldValue.serverTimestamp(),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        return { from: lot.status, status: next };
+    });
+}
+
+/**
+ * Read what is needed to draw a product's units from lots. Call before any
+ * writes in the transaction.
+ * @param {FirebaseFirestore.Transaction} transaction
+ * @param {string} productId
+ * @returns {Promise<{ productId: string, tracked: boolean, lots: Array<FirebaseFirestore.QueryDocumentSnapshot> }>}
+ */
+async function readLotsForAllocation(transaction, productId) {
+    const productDoc = await transaction.get(productRef(productId));
+    if (!productDoc.exists || productDoc.data().lotTracked !== true) {
+        return { productId, tracked: false, lots: [] };
+    }
+
+    const snapshot = await transaction.get(
+        productRef(productId).collection('lots')
+            .where('status', '==', 'active')
+            .orderBy('receivedAt', 'asc')
+    );
+    return { productId, tracked: true, lots: snapshot.docs };
+}
+
+/**
+ * Choose lots for a shipment line: any lots the packer named first, then FIFO
+ * @param {Object} available - Result of readLotsForAllocation()
+ * @param {number} quantity - Units to ship
+ * @param {Object} options
+ * @param {string[]} [options.preferredLots] - Lot numbers physically picked, in order
+ * @param {string} options.label - Product name for error messages
+ * @returns {Array<{ lotNumber: string, quantity: number }>} Empty for untracked products
+ * @throws {LotError} If the lots cannot cover the quantity
+ */
+function planLotAllocation(available, quantity, { preferredLots = [], label }) {
+    // Untracked products keep whatever lot numbers the packer typed, unchecked
+    if (!available.tracked) return [];
+
+    const now = Date.now();
+    const usable = available.lots.filter(doc => {
+        const lot = doc.data();
+        return lot.quantityRemaining > 0 && !(lot.expiresAt && lot.expiresAt.toMillis() < now);
+    });
+
+    const ordered = [];
+    preferredLots.forEach(lotNumber => {
+        const doc = usable.find(candidate => candidate.id === lotNumber);
+        if (!doc) {
+            throw new LotError(`Lot ${lotNumber} of ${label} is not available to ship`);
+        }
+        ordered.push(doc);
+    });
+    usable.forEach(doc => {
+        if (!ordered.includes(doc)) ordered.push(doc);
+    });
+
+    const allocations = [];
+    let needed = quantity;
+    for (const doc of ordered) {
+        if (needed === 0) break;
+        const take = Math.min(needed, doc.data().quantityRemaining);
+        allocations.push({ lotNumber: doc.id, quantity: take });
+        needed -= take;
+    }
+
+    if (needed > 0) {
+        throw new LotError(`Only ${quantity - needed} of ${label} left in shippable lots`, 409);
+    }
+    return allocations;
+}
+
+/**
+ * Draw planned units from their lots and record who received them
+ * @param {FirebaseFirestore.Transaction} transaction
+ * @param {Object} available - Result of readLotsForAllocation()
+ * @param {Array<{ lotNumber: string, quantity: number }>} allocations - From planLotAllocation()
+ * @param {Object} shipment
+ * @param {string} shipment.orderId
+ * @param {string} shipment.shipmentId
+ * @param {string|null} shipment.reference - Order reference (APX-XXXX)
+ * @param {string|null} shipment.customerEmail
+ * @param {string|null} shipment.userId
+ * @param {FirebaseFirestore.Timestamp} shipment.shippedAt
+ */
+function applyLotAllocation(transaction, available, allocations, shipment) {
+    allocations.forEach(allocation => {
+        const doc = available.lots.find(candidate => candidate.id === allocation.lotNumber);
+        const remaining = doc.data().quantityRemaining - allocation.quantity;
+
+        transaction.update(doc.ref, {
+            quantityRemaining: remaining,
+            ...(remaining === 0 && { status: 'depleted' }),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        transaction.create(doc.ref.collection('allocations').doc(shipment.shipmentId), {
+            orderId: shipment.orderId,
+            shipmentId: shipment.shipmentId,
+            reference: shipment.reference || null,
+            customerEmail: shipment.customerEmail || null,
+            userId: shipment.userId || null,
+            productId: available.productId,
+            lotNumber: allocation.lotNumber,
+            quantity: allocation.quantity,
+            shippedAt: shipment.shippedAt
+        });
+    });
+}
+
+module.exports = {
+    LOT_STATUSES,
+    LotError,
+    SETTABLE_LOT_STATUSES,
+    applyLotAllocation,
+    normalizeLotNumber,
+    planLotAllocation,
+    readLotsForAllocation,
+    recordLotReceived,
+    setLotStatus
+};
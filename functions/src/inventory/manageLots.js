@@ -0,0 +1,76 @@
+/**
+ * Manage Lots
+ * Admin callables to receive a lot of a product (adding its units to stock)
+ * and to quarantine, recall or reactivate one. See lots.js.
+ *
+ * Only callable by admin users.
+ */
+
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const { logger } = require('firebase-functions');
+const { requireAdmin } = require('../auth/requireAdmin');
+const { actor } = require('../orders/orderState');
+const { LotError, recordLotReceived, setLotStatus } = require('./lots');
+
+function toHttpsError(error) {
+    if (error instanceof LotError) {
+        if (error.statusCode === 404) return new HttpsError('not-found', error.message);
+        if (error.statusCode === 409) return new HttpsError('already-exists', error.message);
+        return new HttpsError('invalid-argument', error.message);
+    }
+    return error;
+}
+
+function requireProductId(productId) {
+    if (typeof productId !== 'string' || !productId) {
+        throw new HttpsError('invalid-argument', 'productId is required.');
+    }
+    return productId;
+}
+
+const receiveLot = onCall(async (request) => {
+    const uid = await requireAdmin(request, 'receive lots');
+
+    const { productId, lotNumber, quantity, manufacturedAt, expiresAt, labReport } = request.data || {};
+
+    let result;
+    try {
+        result = await recordLotReceived(requireProductId(productId), {
+            lotNumber,
+            quantity,
+            manufacturedAt,
+            expiresAt,
+            labReport,
+            by: actor('admin', uid)
+        });
+    } catch (error) {
+        throw toHttpsError(error);
+    }
+
+    logger.info(`Admin ${uid} received lot ${result.lotNumber} of ${productId} (${quantity} units)`);
+
+    return { productId, ...result };
+});
+
+const updateLotStatus = onCall(async (request) => {
+    const uid = await requireAdmin(request, 'update lots');
+
+    const { productId, lotNumber, status, reason } = request.data || {};
+    const note = typeof reason === 'string' && reason.trim() ? reason.trim().substring(0, 500) : null;
+
+    let result;
+    try {
+        result = await setLotStatus(requireProductId(productId), lotNumber, status, {
+            by: actor('admin', uid),
+            reason: note
+        });
+    } catch (error) {
+        throw toHttpsError(error);
+    }
+
+    logger.info(`Admin ${uid} moved lot ${lotNumber} of ${productId} from ${result.from} to ${result.status}`);
+
+    return { productId, lotNumber, status: result.status };
+});
+
+module.exports = { receiveLot, updateLotStatus };
@@ -0,0 +1,40 @@
+/**
+ * Release Expired Reservations
+ * Scheduled sweep that returns stock held by unpaid orders whose reservation
+ * has passed its expiry.
+ */
+
+const admin = require('firebase-admin');
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const { logger } = require('firebase-functions');
+const { releaseReservation } = require('./inventory');
+
+const db = admin.firestore();
+
+const BATCH_LIMIT = 100;
+
+exports.releaseExpiredReservations = onSchedule({
+    schedule: 'every 15 minutes',
+    maxInstances: 1
+}, async () => {
+    const snapshot = await db.collection('inventoryReservations')
+        .where('status', '==', 'active')
+        .where('expiresAt', '<=', admin.firestore.Timestamp.now())
+        .limit(BATCH_LIMIT)
+        .get();
+
+    if (snapshot.empty) return;
+
+    let released = 0;
+    for (const doc of snapshot.docs) {
+        try {
+            if (await releaseReservation(doc.id, 'reservation_expired')) {
+                released++;
+            }
+        } catch (error) {
+            logger.error(`Failed to release expired reservation ${doc.id}:`, error);
+        }
+    }
+
+    logger.info(`Released ${released} expired inventory reservation(s)`);
+});
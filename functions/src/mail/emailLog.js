@@ -0,0 +1,126 @@
+/**
+ * Email Log
+ * Every transactional email is rendered once and written to emailLog/{key}
+ * before it is sent, so there is a record of what each customer was told.
+ * The key names the event (e.g. "<orderId>_payment_confirmed"), which makes a
+ * trigger that fires twice a no-op.
+ *
+ * Statuses: queued -> sent, or failed (retried by retryFailedEmails with backoff)
+ * -> undeliverable after MAX_ATTEMPTS. retryFailedEmails also sends entries left
+ * queued by a function that died before sending.
+ */
+
+const admin = require('firebase-admin');
+const { logger } = require('firebase-functions');
+const { sendMail } = require('./transport');
+const { renderTemplate } = require('./templates');
+
+const db = admin.firestore();
+
+const MAX_ATTEMPTS = 5;
+/** Wait before each retry, by number of failed attempts so far */
+const RETRY_DELAYS_MINUTES = [5, 30, 120, 720];
+
+/**
+ * Render a template and log it for sending. Does not send.
+ * @param {Object} email
+ * @param {string} email.key - emailLog document ID; one email per key, ever
+ * @param {string} email.template - Template name from templates.js
+ * @param {string} email.to - Recipient address
+ * @param {Object} email.data - Template data
+ * @param {Object} [email.context] - Related IDs for admins (orderId, inquiryId, ...)
+ * @returns {Promise<FirebaseFirestore.DocumentReference|null>} The log entry, or null if the key was already used
+ */
+async function queueEmail({ key, template, to, data, context = {} }) {
+    const ref = db.collection('emailLog').doc(key);
+    const rendered = renderTemplate(template, data);
+
+    try {
+        await ref.create({
+            template,
+            to,
+            subject: rendered.subject,
+            html: rendered.html,
+            text: rendered.text,
+            context,
+            status: 'queued',
+            attempts: 0,
+            lastError: null,
+            nextAttemptAt: admin.firestore.FieldValue.serverTimestamp(),
+            createdAt: admin.firestore.FieldValue.serverTimestamp(),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+    } catch (error) {
+        // ALREADY_EXISTS: the trigger was delivered more than once
+        if (error.code === 6) return null;
+        throw error;
+    }
+    return ref;
+}
+
+/**
+ * Send a queued or failed log entry through the mail transport and record the outcome
+ * @param {FirebaseFirestore.DocumentReference} ref - emailLog entry
+ * @returns {Promise<boolean>} Whether the email was sent
+ */
+async function deliverEmail(ref) {
+    const snapshot = await ref.get();
+    const entry = snapshot.data();
+    if (!entry || !['queued', 'failed'].includes(entry.status)) return false;
+
+    const attempts = (entry.attempts || 0) + 1;
+
+    try {
+        const result = await sendMail({
+            to: entry.to,
+            subject: entry.subject,
+            html: entry.html,
+            text: entry.text
+        });
+
+        await ref.update({
+            status: 'sent',
+            attempts,
+            lastError: null,
+            nextAttemptAt: null,
+            transport: result.transport,
+            transportMessageId: result.messageId,
+            sentAt: admin.firestore.FieldValue.serverTimestamp(),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        return true;
+    } catch (error) {
+        const giveUp = attempts >= MAX_ATTEMPTS;
+        const delayMinutes = RETRY_DELAYS_MINUTES[Math.min(attempts, RETRY_DELAYS_MINUTES.length) - 1];
+        logger.error(`Email ${ref.id} failed (attempt ${attempts}/${MAX_ATTEMPTS}):`, error);
+
+        await ref.update({
+            status: giveUp ? 'undeliverable' : 'failed',
+            attempts,
+            lastError: error.message || String(error),
+            nextAttemptAt: giveUp
+                ? null
+                : admin.firestore.Timestamp.fromMillis(Date.now() + delayMinutes * 60 * 1000),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        return false;
+    }
+}
+
+/**
+ * Queue an email and make the first delivery attempt
+ * @param {Object} email - See queueEmail()
+ * @returns {Promise<boolean>} Whether the email was sent now
+ */
+async function sendLoggedEmail(email) {
+    const ref = await queueEmail(email);
+    if (!ref) return false;
+    return deliverEmail(ref);
+}
+
+module.exports = {
+    MAX_ATTEMPTS,
+    deliverEmail,
+    queueEmail,
+    sendLoggedEmail
+};
@@ -0,0 +1,121 @@
+/**
+ * Email Triggers
+ * Sends the transactional emails off Firestore writes, so no order flow has to
+ * remember to send them:
+ *   - manual order created           -> order_received
+ *   - order status becomes 'paid'    -> payment_confirmed
+ *   - shipment recorded on an order  -> order_shipped (with tracking), one per shipment
+ *   - status set to 'shipped' by hand, with no shipments -> order_shipped
+ *   - refund recorded on an order    -> order_refunded
+ *   - wholesale inquiry submitted    -> wholesale_inquiry_received
+ * PayPal orders start at 'pending' until the buyer approves, so their first
+ * email is the payment confirmation.
+ */
+
+const admin = require('firebase-admin');
+const { onDocumentCreated, onDocumentUpdated } = require('firebase-functions/v2/firestore');
+const { logger } = require('firebase-functions');
+const { sendLoggedEmail } = require('./emailLog');
+
+const db = admin.firestore();
+
+/** Emails sent when an order moves into a status */
+const STATUS_TEMPLATES = {
+    paid: 'payment_confirmed',
+    shipped: 'order_shipped'
+};
+
+/**
+ * Where order emails go: the checkout email, else the account's email
+ * @param {Object} order - Order document data
+ * @returns {Promise<string|null>}
+ */
+async function orderRecipient(order) {
+    if (order.customerEmail) return order.customerEmail;
+    if (!order.userId) return null;
+
+    try {
+        const user = await admin.auth().getUser(order.userId);
+        return user.email || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+async function sendOrderEmail(orderId, order, template, extra = {}) {
+    const to = await orderRecipient(order);
+    if (!to) {
+        logger.warn(`No email address for order ${orderId}; skipped ${template}`);
+        return;
+    }
+
+    await sendLoggedEmail({
+        key: extra.key || `${orderId}_${template}`,
+        template,
+        to,
+        data: { order, orderId, ...extra.data },
+        context: { orderId, ...extra.context }
+    });
+}
+
+exports.sendOrderCreatedEmail = onDocumentCreated('orders/{orderId}', async (event) => {
+    const order = event.data.data();
+    if (order.status !== 'pending_payment') return;
+
+    await sendOrderEmail(event.params.orderId, order, 'order_received');
+});
+
+exports.sendOrderStatusEmail = onDocumentUpdated('orders/{orderId}', async (event) => {
+    const before = event.data.before.data();
+    const after = event.data.after.data();
+    if (before.status === after.status) return;
+
+    const template = STATUS_TEMPLATES[after.status];
+    if (!template) return;
+    // Orders shipped through shipments get one email per shipment instead
+    if (after.status === 'shipped' && (after.shipments || []).length > 0) return;
+
+    await sendOrderEmail(event.params.orderId, after, template);
+});
+
+exports.sendShipmentEmail = onDocumentCreated('orders/{orderId}/shipments/{shipmentId}', async (event) => {
+    const { orderId, shipmentId } = event.params;
+    const shipment = event.data.data();
+
+    const orderDoc = await db.collection('orders').doc(orderId).get();
+    if (!orderDoc.exists) return;
+
+    await sendOrderEmail(orderId, orderDoc.data(), 'order_shipped', {
+        key: `${orderId}_shipment_${shipmentId}`,
+        data: { shipment },
+        context: { shipmentId }
+    });
+});
+
+exports.sendRefundEmail = onDocumentCreated('orders/{orderId}/refunds/{refundId}', async (event) => {
+    const { orderId, refundId } = event.params;
+    const refund = event.data.data();
+
+    const orderDoc = await db.collection('orders').doc(orderId).get();
+    if (!orderDoc.exists) return;
+
+    await sendOrderEmail(orderId, orderDoc.data(), 'order_refunded', {
+        key: `${orderId}_refund_${refundId}`,
+        data: { refund },
+        context: { refundId }
+    });
+});
+
+exports.sendWholesaleInquiryEmail = onDocumentCreated('wholesaleInquiries/{inquiryId}', async (event) => {
+    const inquiryId = event.params.inquiryId;
+    const inquiry = event.data.data();
+    if (!inquiry.email) return;
+
+    await sendLoggedEmail({
+        key: `wholesale_${inquiryId}`,
+        template: 'wholesale_inquiry_received',
+        to: inquiry.email,
+        data: { inquiry },
+        context: { inquiryId }
+    });
+});
@@ -0,0 +1,53 @@
+/**
+ * Retry Failed Emails
+ * Scheduled sweep that re-sends emailLog entries whose last attempt failed and
+ * whose backoff has passed, and entries still 'queued' well after they were
+ * logged (the function that logged them died before sending).
+ */
+
+const admin = require('firebase-admin');
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const { logger } = require('firebase-functions');
+const { deliverEmail } = require('./emailLog');
+
+const db = admin.firestore();
+
+const BATCH_LIMIT = 50;
+
+// Long enough that a send still in progress is never picked up twice
+const STUCK_QUEUED_MINUTES = 15;
+
+/**
+ * emailLog entries in one status that are due at or before a time
+ * @param {string} status
+ * @param {FirebaseFirestore.Timestamp} dueBy
+ * @returns {Promise<FirebaseFirestore.QueryDocumentSnapshot[]>}
+ */
+async function findDue(status, dueBy) {
+    const snapshot = await db.collection('emailLog')
+        .where('status', '==', status)
+        .where('nextAttemptAt', '<=', dueBy)
+        .orderBy('nextAttemptAt', 'asc')
+        .limit(BATCH_LIMIT)
+        .get();
+    return snapshot.docs;
+}
+
+exports.retryFailedEmails = onSchedule({
+    schedule: 'every 15 minutes',
+    maxInstances: 1
+}, async () => {
+    const failed = await findDue('failed', admin.firestore.Timestamp.now());
+    // A queued entry's nextAttemptAt is the time it was logged
+    const stuck = await findDue('queued', admin.firestore.Timestamp.fromMillis(Date.now() - STUCK_QUEUED_MINUTES * 60 * 1000));
+
+    const docs = [...failed, ...stuck];
+    if (docs.length === 0) return;
+
+    let sent = 0;
+    for (const doc of docs) {
+        if (await deliverEmail(doc.ref)) sent++;
+    }
+
+    logger.info(`Retried ${failed.length} failed and ${stuck.length} stuck queued email(s); ${sent} sent`);
+});
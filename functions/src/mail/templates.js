@@ -0,0 +1,339 @@
+/**
+ * Email Templates
+ * Renders the transactional emails as HTML and plain text from order, inquiry
+ * and quote data. Every value that reaches the HTML goes through escapeHtml.
+ */
+
+const { trackingUrl } = require('../fulfillment/carriers');
+
+const SUPPORT_EMAIL = 'support@apexlabs.com';
+
+function escapeHtml(value) {
+    return String(value == null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function formatMoney(amount) {
+    return `$${(Number(amount) || 0).toFixed(2)}`;
+}
+
+/**
+ * Wrap body HTML in the shared email frame
+ * @param {string} heading
+ * @param {string} bodyHtml - Already escaped
+ * @returns {string}
+ */
+function layout(heading, bodyHtml) {
+    return `<!DOCTYPE html>
+<html>
+<body style="margin: 0; padding: 24px; background: #f8fafc; font-family: Arial, sans-serif; color: #0f172a;">
+    <div style="max-width: 560px; margin: 0 auto; background: #ffffff; border: 1px solid #e2e8f0; border-radius: 12px; padding: 32px;">
+        <p style="margin: 0 0 24px; font-size: 12px; font-weight: bold; letter-spacing: 0.2em; color: #2563eb; text-transform: uppercase;">Apex Labs</p>
+        <h1 style="margin: 0 0 16px; font-size: 22px;">${escapeHtml(heading)}</h1>
+        ${bodyHtml}
+        <p style="margin: 32px 0 0; font-size: 12px; color: #64748b;">
+            Questions? Reply to this email or write to ${SUPPORT_EMAIL}.<br>
+            All products are sold for research use only.
+        </p>
+    </div>
+</body>
+</html>`;
+}
+
+function paragraph(text) {
+    return `<p style="margin: 0 0 16px; line-height: 1.5;">${text}</p>`;
+}
+
+/**
+ * Order lines and totals, as an HTML table and as text lines
+ * @param {Object} order - Order document data
+ * @returns {{ html: string, text: string }}
+ */
+function orderSummary(order) {
+    const items = order.items || [];
+    const totals = [
+        ['Subtotal', order.subtotal],
+        order.discountTotal ? [`Discount${order.promotion ? ` (${order.promotion.code})` : ''}`, -order.discountTotal] : null,
+        order.shippingMethod ? [`Shipping (${order.shippingMethod.label})`, order.shippingTotal] : null,
+        order.taxTotal ? ['Tax', order.taxTotal] : null
+    ].filter(Boolean);
+
+    const cell = 'padding: 6px 0; border-bottom: 1px solid #f1f5f9;';
+    const html = `
+        <table style="width: 100%; border-collapse: collapse; margin: 0 0 16px; font-size: 14px;">
+            ${items.map(item => `
+            <tr>
+                <td style="${cell}">${escapeHtml(item.quantity)} &times; ${escapeHtml(item.name)}</td>
+                <td style="${cell} text-align: right;">${formatMoney(item.price * item.quantity)}</td>
+            </tr>`).join('')}
+            ${totals.map(([label, amount]) => `
+            <tr>
+                <td style="padding: 4px 0; color: #64748b;">${escapeHtml(label)}</td>
+                <td style="padding: 4px 0; text-align: right; color: #64748b;">${amount < 0 ? '-' : ''}${formatMoney(Math.abs(amount))}</td>
+            </tr>`).join('')}
+            <tr>
+                <td style="padding: 8px 0; font-weight: bold;">Total</td>
+                <td style="padding: 8px 0; text-align: right; font-weight: bold;">${formatMoney(order.amountTotal)}</td>
+            </tr>
+        </table>`;
+
+    const text = [
+        ...items.map(item => `${item.quantity} x ${item.name}  ${formatMoney(item.price * item.quantity)}`),
+        '',
+        ...totals.map(([label, amount]) => `${label}: ${amount < 0 ? '-' : ''}${formatMoney(Math.abs(amount))}`),
+        `Total: ${formatMoney(order.amountTotal)}`
+    ].join('\n');
+
+    return { html, text };
+}
+
+function orderLabel(order, orderId) {
+    return order.reference || orderId;
+}
+
+const TEMPLATES = {
+    order_received({ order, orderId }) {
+        const reference = orderLabel(order, orderId);
+        const summary = orderSummary(order);
+        const manual = ['zelle', 'cashapp'].includes(order.paymentMethod);
+        const method = order.paymentMethod === 'cashapp' ? 'CashApp' : 'Zelle';
+
+        const instructions = manual
+            ? `Send ${formatMoney(order.amountTotal)} by ${method} and put ${reference} in the payment memo so we can match it to your order. We will email you as soon as the payment is verified.`
+            : 'We will email you as soon as your payment is confirmed.';
+
+        return {
+            subject: `We received your order ${reference}`,
+            html: layout(`Order ${reference} received`, [
+                paragraph('Thank you for your order. Here is what you ordered:'),
+                summary.html,
+                paragraph(escapeHtml(instructions))
+            ].join('')),
+            text: [
+                `Order ${reference} received`,
+                '',
+                'Thank you for your order. Here is what you ordered:',
+                '',
+                summary.text,
+                '',
+                instructions
+            ].join('\n')
+        };
+    },
+
+    payment_confirmed({ order, orderId }) {
+        const reference = orderLabel(order, orderId);
+        const summary = orderSummary(order);
+
+        return {
+            subject: `Payment confirmed for order ${reference}`,
+            html: layout('Payment confirmed', [
+                paragraph(`We have received your payment for order <strong>${escapeHtml(reference)}</strong>. Orders ship within 24-48 hours, and we will send tracking details once yours is on its way.`),
+                summary.html
+            ].join('')),
+            text: [
+                'Payment confirmed',
+                '',
+                `We have received your payment for order ${reference}. Orders ship within 24-48 hours, and we will send tracking details once yours is on its way.`,
+                '',
+                summary.text
+            ].join('\n')
+        };
+    },
+
+    order_shipped({ order, orderId, shipment }) {
+        const reference = orderLabel(order, orderId);
+        // Orders shipped before shipments existed carry a single tracking field
+        const carrier = shipment ? shipment.carrierName : order.tracking?.carrier;
+        const number = shipment ? shipment.trackingNumber : order.tracking?.number;
+        const url = shipment ? shipment.trackingUrl : trackingUrl(carrier, number);
+        const trackingLine = `${carrier || 'Carrier'} tracking number: ${number || 'to follow'}`;
+        const lines = shipment ? shipment.items : order.items || [];
+        const partial = Boolean(shipment) && order.fulfillmentStatus === 'partial';
+
+        return {
+            subject: partial ? `Part of order ${reference} has shipped` : `Order ${reference} has shipped`,
+            html: layout('Your order is on its way', [
+                paragraph(partial
+                    ? `Part of order <strong>${escapeHtml(reference)}</strong> has shipped. We will email you again when the rest is on its way.`
+                    : `Order <strong>${escapeHtml(reference)}</strong> has shipped.`),
+                paragraph(escapeHtml(trackingLine)),
+                url
+                    ? `<p style="margin: 24px 0;"><a href="${escapeHtml(url)}" style="background: #2563eb; color: #ffffff; padding: 12px 20px; border-radius: 8px; text-decoration: none;">Track your package</a></p>`
+                    : '',
+                `<ul style="margin: 0 0 16px; padding-left: 20px; font-size: 14px;">${lines.map(item => `<li>${escapeHtml(item.quantity)} &times; ${escapeHtml(item.name)}</li>`).join('')}</ul>`
+            ].join('')),
+            text: [
+                'Your order is on its way',
+                '',
+                partial
+                    ? `Part of order ${reference} has shipped. We will email you again when the rest is on its way.`
+                    : `Order ${reference} has shipped.`,
+                trackingLine,
+                url ? `Track it here: ${url}` : '',
+                '',
+                ...lines.map(item => `${item.quantity} x ${item.name}`)
+            ].join('\n')
+        };
+    },
+
+    order_refunded({ order, orderId, refund }) {
+        const reference = orderLabel(order, orderId);
+        const full = (Number(refund.refundedTotalAfter) || 0) >= (Number(order.amountTotal) || 0) - 0.005;
+        const timing = order.paymentMethod === 'paypal'
+            ? 'PayPal refunds usually appear within 3-5 business days.'
+            : 'Refunds sent by transfer usually arrive within 1-3 business days.';
+
+        return {
+            subject: `Refund issued for order ${reference}`,
+            html: layout(full ? 'Your order has been refunded' : 'Partial refund issued', [
+                paragraph(`We have refunded <strong>${formatMoney(refund.amount)}</strong> for order <strong>${escapeHtml(reference)}</strong>.`),
+                refund.reason ? paragraph(`Reason: ${escapeHtml(refund.reason)}`) : '',
+                paragraph(`Total refunded on this order: ${formatMoney(refund.refundedTotalAfter)} of ${formatMoney(order.amountTotal)}.`),
+                paragraph(escapeHtml(timing))
+            ].join('')),
+            text: [
+                full ? 'Your order has been refunded' : 'Partial refund issued',
+                '',
+                `We have refunded ${formatMoney(refund.amount)} for order ${reference}.`,
+                refund.reason ? `Reason: ${refund.reason}` : '',
+                `Total refunded on this order: ${formatMoney(refund.refundedTotalAfter)} of ${formatMoney(order.amountTotal)}.`,
+                timing
+            ].filter(Boolean).join('\n')
+        };
+    },
+
+    wholesale_inquiry_received({ inquiry }) {
+        const name = inquiry.name || 'there';
+
+        return {
+            subject: 'We received your wholesale inquiry',
+            html: layout('Thanks for reaching out', [
+                paragraph(`Hi ${escapeHtml(name)},`),
+                paragraph(`Thanks for your interest in wholesale pricing for <strong>${escapeHtml(inquiry.company)}</strong>. Our partnerships team reviews every inquiry and will reply within one business day.`),
+                paragraph(`Expected volume: ${escapeHtml(inquiry.volume)}`)
+            ].join('')),
+            text: [
+                `Hi ${name},`,
+                '',
+                `Thanks for your interest in wholesale pricing for ${inquiry.company}. Our partnerships team reviews every inquiry and will reply within one business day.`,
+                '',
+                `Expected volume: ${inquiry.volume}`
+            ].join('\n')
+        };
+    },
+
+    wholesale_quote({ inquiry, quote }) {
+        const name = inquiry.name || 'there';
+        const lines = quote.lines || [];
+        const cell = 'padding: 6px 0; border-bottom: 1px solid #f1f5f9;';
+        const intro = `Your account is approved for distributor pricing${inquiry.company ? ` for ${inquiry.company}` : ''}. These prices apply automatically when you sign in and order the minimum quantity:`;
+        const signIn = 'Sign in with this email address at checkout to see them in your cart.';
+
+        return {
+            subject: 'Your Apex Labs distributor pricing',
+            html: layout('Your wholesale quote', [
+                paragraph(`Hi ${escapeHtml(name)},`),
+                quote.message ? paragraph(escapeHtml(quote.message).replace(/\n/g, '<br>')) : '',
+                paragraph(escapeHtml(intro)),
+                `
+        <table style="width: 100%; border-collapse: collapse; margin: 0 0 16px; font-size: 14px;">
+            <tr>
+                <td style="${cell} color: #64748b;">Product</td>
+                <td style="${cell} text-align: right; color: #64748b;">Min. qty</td>
+                <td style="${cell} text-align: right; color: #64748b;">Your price</td>
+            </tr>
+            ${lines.map(line => `
+            <tr>
+                <td style="${cell}">${escapeHtml(line.name)}</td>
+                <td style="${cell} text-align: right;">${escapeHtml(line.minQty)}</td>
+                <td style="${cell} text-align: right;"><strong>${formatMoney(line.unitPrice)}</strong> <span style="color: #94a3b8; text-decoration: line-through;">${formatMoney(line.listPrice)}</span></td>
+            </tr>`).join('')}
+        </table>`,
+                paragraph(escapeHtml(signIn))
+            ].join('')),
+            text: [
+                `Hi ${name},`,
+                '',
+                ...(quote.message ? [quote.message, ''] : []),
+                intro,
+                '',
+                ...lines.map(line => `${line.name}: ${formatMoney(line.unitPrice)} per vial from ${line.minQty} (list ${formatMoney(line.listPrice)})`),
+                '',
+                signIn
+            ].join('\n')
+        };
+    },
+
+    quote_issued({ quote, link, message }) {
+        const name = quote.customerName || 'there';
+        const expires = quote.expiresAt.toDate().toLocaleDateString('en-US', {
+            year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC'
+        });
+        const cell = 'padding: 6px 0; border-bottom: 1px solid #f1f5f9;';
+
+        return {
+            subject: `Your quote ${quote.number} from Apex Labs`,
+            html: layout(`Quote ${quote.number}`, [
+                paragraph(`Hi ${escapeHtml(name)},`),
+                message ? paragraph(escapeHtml(message).replace(/\n/g, '<br>')) : '',
+                paragraph(`Here is your quote${quote.company ? ` for <strong>${escapeHtml(quote.company)}</strong>` : ''}. It is valid until <strong>${escapeHtml(expires)}</strong>.`),
+                `
+        <table style="width: 100%; border-collapse: collapse; margin: 0 0 16px; font-size: 14px;">
+            ${quote.items.map(item => `
+            <tr>
+                <td style="${cell}">${escapeHtml(item.quantity)} &times; ${escapeHtml(item.name)} at ${formatMoney(item.price)}</td>
+                <td style="${cell} text-align: right;">${formatMoney(item.price * item.quantity)}</td>
+            </tr>`).join('')}
+            <tr>
+                <td style="padding: 8px 0; font-weight: bold;">Subtotal</td>
+                <td style="padding: 8px 0; text-align: right; font-weight: bold;">${formatMoney(quote.subtotal)}</td>
+            </tr>
+        </table>`,
+                paragraph('Shipping and any sales tax are added when you accept, based on your address.'),
+                quote.terms ? paragraph(`<strong>Terms:</strong> ${escapeHtml(quote.terms).replace(/\n/g, '<br>')}`) : '',
+                `<p style="margin: 24px 0;"><a href="${escapeHtml(link)}" style="background: #2563eb; color: #ffffff; padding: 12px 20px; border-radius: 8px; text-decoration: none;">View and accept your quote</a></p>`
+            ].join('')),
+            text: [
+                `Hi ${name},`,
+                '',
+                ...(message ? [message, ''] : []),
+                `Here is your quote ${quote.number}${quote.company ? ` for ${quote.company}` : ''}. It is valid until ${expires}.`,
+                '',
+                ...quote.items.map(item => `${item.quantity} x ${item.name} at ${formatMoney(item.price)}  ${formatMoney(item.price * item.quantity)}`),
+                `Subtotal: ${formatMoney(quote.subtotal)}`,
+                '',
+                'Shipping and any sales tax are added when you accept, based on your address.',
+                ...(quote.terms ? ['', `Terms: ${quote.terms}`] : []),
+                '',
+                `View and accept your quote: ${link}`
+            ].join('\n')
+        };
+    }
+};
+
+/**
+ * Render a named template
+ * @param {string} template - Key of TEMPLATES
+ * @param {Object} data - Template data (order, orderId, shipment, refund, inquiry, quote, link)
+ * @returns {{ subject: string, html: string, text: string }}
+ */
+function renderTemplate(template, data) {
+    const render = TEMPLATES[template];
+    if (!render) {
+        throw new Error(`Unknown email template: ${template}`);
+    }
+    return render(data);
+}
+
+module.exports = {
+    TEMPLATE_NAMES: Object.keys(TEMPLATES),
+    escapeHtml,
+    formatMoney,
+    layout,
+    renderTemplate
+};
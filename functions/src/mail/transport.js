@@ -0,0 +1,94 @@
+/**
+ * Mail Transport
+ * Pluggable outbound mail. MAIL_TRANSPORT picks the backend:
+ *   - 'log' (default): writes the message to the function log and sends nothing
+ *   - 'smtp': sends through SMTP_HOST/SMTP_PORT. Point it at the local sink
+ *     (npm run mail:sink, localhost:1025) when testing against the emulators.
+ */
+
+const nodemailer = require('nodemailer');
+const { logger } = require('firebase-functions');
+
+const DEFAULT_FROM = 'Apex Labs <support@apexlabs.com>';
+
+let transport;
+
+/**
+ * Transport that only logs, so nothing reaches a real inbox by accident
+ * @returns {{ name: string, send: Function }}
+ */
+function createLogTransport() {
+    return {
+        name: 'log',
+        async send(message) {
+            logger.info(`[mail:log] To: ${message.to} | Subject: ${message.subject}`);
+            return { messageId: null };
+        }
+    };
+}
+
+/**
+ * Transport backed by an SMTP server
+ * @returns {{ name: string, send: Function }}
+ */
+function createSmtpTransport() {
+    const port = Number(process.env.SMTP_PORT) || 1025;
+    const mailer = nodemailer.createTransport({
+        host: process.env.SMTP_HOST || 'localhost',
+        port,
+        secure: port === 465,
+        auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+            : undefined
+    });
+
+    return {
+        name: 'smtp',
+        async send(message) {
+            const info = await mailer.sendMail(message);
+            return { messageId: info.messageId || null };
+        }
+    };
+}
+
+/**
+ * Get or create the configured transport
+ * @returns {{ name: string, send: Function }}
+ */
+function getTransport() {
+    if (!transport) {
+        const name = (process.env.MAIL_TRANSPORT || 'log').toLowerCase();
+        if (name === 'smtp') {
+            transport = createSmtpTransport();
+        } else {
+            if (name !== 'log') {
+                logger.warn(`Unknown MAIL_TRANSPORT "${name}", falling back to log`);
+            }
+            transport = createLogTransport();
+        }
+    }
+    return transport;
+}
+
+/**
+ * Send one message through the configured transport
+ * @param {Object} message
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject
+ * @param {string} message.html - HTML body
+ * @param {string} message.text - Plain-text body
+ * @returns {Promise<{ messageId: string|null, transport: string }>}
+ */
+async function sendMail({ to, subject, html, text }) {
+    const active = getTransport();
+    const result = await active.send({
+        from: process.env.MAIL_FROM || DEFAULT_FROM,
+        to,
+        subject,
+        html,
+        text
+    });
+    return { messageId: result.messageId, transport: active.name };
+}
+
+module.exports = { getTransport, sendMail };
@@ -0,0 +1,199 @@
+/**
+ * Create Manual Order
+ * Accepts cart items for Zelle/CashApp checkout, reprices them on the server and
+ * stores a pending_payment order in Firestore. An accepted quote (quoteToken)
+ * replaces the cart, and the order is priced at the quoted amounts.
+ */
+
+const admin = require('firebase-admin');
+const { onRequest } = require('firebase-functions/v2/https');
+const { logger } = require('firebase-functions');
+const { priceCart, roundCurrency } = require('../pricing/pricingEngine');
+const { reserveStock, releaseReservation } = require('../inventory/inventory');
+const { actor, recordOrderCreated } = require('./orderState');
+const { MANUAL_PAYMENT_METHODS } = require('./manualPayments');
+const { assignOrderReference } = require('./orderReference');
+const { getCallerUid } = require('../auth/getCallerUid');
+const { redeemPromotion, releasePromotion } = require('../promotions/promotionEngine');
+const { selectShipping, shippingMethodRecord } = require('../shipping/shippingRates');
+const { calculateTax } = require('../tax/taxEngine');
+const { priceQuote, claimQuote, releaseQuote } = require('../quotes/quotes');
+const cors = require('cors')({
+    origin: [
+        'https://apex-labs-18862.web.app',
+        'https://apex-labs-18862.firebaseapp.com',
+        'http://localhost:3000',
+        'http://localhost:5000',
+        'http://127.0.0.1:4173'
+    ]
+});
+
+const db = admin.firestore();
+
+/**
+ * Main handler for creating a manual-payment order
+ */
+exports.createManualOrder = onRequest({
+    maxInstances: 10,
+    concurrency: 80
+}, (req, res) => {
+    cors(req, res, async () => {
+        if (req.method !== 'POST') {
+            return res.status(405).json({ error: 'Method not allowed' });
+        }
+
+        // Set once stock is held, so a later failure can hand it back
+        let reservedOrderId = null;
+        // Set once a quote is marked accepted by this order, so a later failure can reopen it
+        let claimedQuote = null;
+
+        try {
+            const {
+                items,
+                paymentMethod,
+                customerEmail,
+                promoCode,
+                quoteToken,
+                shipping = {},
+                metadata = {}
+            } = req.body;
+
+            if (!MANUAL_PAYMENT_METHODS.includes(paymentMethod)) {
+                return res.status(400).json({ error: 'Unsupported payment method' });
+            }
+
+            if (typeof customerEmail !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(customerEmail.trim())) {
+                return res.status(400).json({ error: 'A valid email address is required' });
+            }
+
+            if (quoteToken && promoCode) {
+                return res.status(400).json({ error: 'Discount codes cannot be used with a quote' });
+            }
+
+            // Accepting a quote prices the order at the quoted amounts
+            const quoted = quoteToken ? await priceQuote(quoteToken) : null;
+
+            // Never trust a userId from the body; only a verified token (or the
+            // account the quote was made out to) links the order to an account
+            const userId = (await getCallerUid(req)) || quoted?.quote.userId || null;
+
+            // Reprice cart from Firestore; client-supplied prices are never trusted
+            const pricedCart = quoted ? quoted.pricedCart : await priceCart(items, { userId });
+
+            const orderRef = db.collection('orders').doc();
+            const orderId = orderRef.id;
+
+            if (quoted) {
+                await claimQuote(quoted.quoteId, orderId, { paymentMethod });
+                claimedQuote = { quoteId: quoted.quoteId, orderId };
+            }
+
+            // Hold stock while the customer sends payment
+            const reservationExpiresAt = await reserveStock(orderId, pricedCart.items, { flow: 'manual' });
+            reservedOrderId = orderId;
+
+            // Re-validate and use the discount code against the server-priced cart
+            const promotion = promoCode
+                ? await redeemPromotion(orderId, promoCode, pricedCart, { userId, email: customerEmail.trim() })
+                : null;
+            const discountTotal = promotion ? promotion.discount : 0;
+
+            const shippingQuote = await selectShipping(pricedCart, shipping.destination, shipping.methodId || null, { discountTotal });
+            const { taxTotal, tax } = await calculateTax(shippingQuote.destination, {
+                merchandiseTotal: pricedCart.subtotal - discountTotal,
+                shippingTotal: shippingQuote.selected.amount
+            });
+
+            // Short code the customer puts in the Zelle/CashApp memo
+            const reference = await assignOrderReference(orderId);
+
+            const orderData = {
+                id: orderId,
+                reference,
+                status: 'pending_payment',
+                paymentMethod,
+                items: pricedCart.items.map(item => ({
+                    id: item.id,
+                    sku: item.sku,
+                    name: item.name,
+                    price: item.price,
+                    quantity: item.quantity,
+                    image: item.image,
+                    weightGrams: item.weightGrams
+                })),
+                subtotal: pricedCart.subtotal,
+                discountTotal,
+                promotion: promotion
+                    ? { code: promotion.code, type: promotion.type, description: promotion.description, discount: promotion.discount }
+                    : null,
+                shippingMethod: shippingMethodRecord(shippingQuote),
+                shippingTotal: shippingQuote.selected.amount,
+                taxTotal,
+                tax,
+                amountTotal: roundCurrency(pricedCart.subtotal - discountTotal + shippingQuote.selected.amount + taxTotal),
+                currency: pricedCart.currency,
+                pricingGroup: pricedCart.pricingGroup,
+                quoteId: quoted ? quoted.quoteId : null,
+                reservationExpiresAt: admin.firestore.Timestamp.fromDate(reservationExpiresAt),
+                customerEmail: customerEmail.trim(),
+                userId,
+                metadata: {
+                    ...metadata,
+                    source: 'apex_labs_checkout'
+                },
+                createdAt: admin.firestore.FieldValue.serverTimestamp(),
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            };
+
+            const batch = db.batch();
+            batch.set(orderRef, orderData);
+            recordOrderCreated(batch, orderRef, orderData.status, actor('customer', userId), `${paymentMethod} checkout submitted`);
+
+            // Mirror into the user's orders subcollection so it shows in account history
+            if (userId) {
+                const userOrderRef = db.collection('users')
+                    .doc(userId)
+                    .collection('orders')
+                    .doc(orderId);
+
+                batch.set(userOrderRef, {
+                    orderId,
+                    reference,
+                    status: orderData.status,
+                    paymentMethod,
+                    amountTotal: orderData.amountTotal,
+                    shippingMethod: orderData.shippingMethod,
+                    items: orderData.items,
+                    createdAt: orderData.createdAt
+                });
+            }
+
+            await batch.commit();
+
+            logger.info(`Manual order created: ${orderId} (${paymentMethod}, $${orderData.amountTotal.toFixed(2)})`);
+
+            return res.status(200).json({
+                orderId,
+                reference,
+                amountTotal: orderData.amountTotal,
+                currency: pricedCart.currency
+            });
+
+        } catch (error) {
+            logger.error('Error creating manual order:', error);
+            if (reservedOrderId) {
+                await releaseReservation(reservedOrderId, 'order_creation_failed')
+                    .catch(releaseError => logger.error('Failed to release reservation:', releaseError));
+                await releasePromotion(reservedOrderId, 'order_creation_failed')
+                    .catch(releaseError => logger.error('Failed to release promotion:', releaseError));
+            }
+            if (claimedQuote) {
+                await releaseQuote(claimedQuote.quoteId, claimedQuote.orderId, 'order_creation_failed')
+                    .catch(releaseError => logger.error('Failed to release quote:', releaseError));
+            }
+            return res.status(error.statusCode || 500).json({
+                error: error.message || 'Failed to create order'
+            });
+        }
+    });
+});
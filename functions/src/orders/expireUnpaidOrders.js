@@ -0,0 +1,92 @@
+/**
+ * Expire Unpaid Orders
+ * Scheduled sweep that moves unpaid orders to 'expired' and hands back their
+ * stock and discount code use:
+ *   - Zelle/CashApp orders still at pending_payment past MANUAL_ORDER_EXPIRY_HOURS
+ *   - PayPal orders still at 'pending' (never approved) past PAYPAL_ORDER_EXPIRY_HOURS
+ * A payment that turns up later can still be confirmed, since expired -> paid is allowed.
+ */
+
+const admin = require('firebase-admin');
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const { logger } = require('firebase-functions');
+const { RESERVATION_TTL_MINUTES, releaseReservation } = require('../inventory/inventory');
+const { releasePromotion } = require('../promotions/promotionEngine');
+const { OrderStateError, actor, transitionOrder } = require('./orderState');
+
+const db = admin.firestore();
+
+const BATCH_LIMIT = 100;
+
+/**
+ * Age in hours after which an unpaid order expires.
+ * Defaults to the flow's stock reservation lifetime so both lapse together.
+ * @param {string} envName - Environment variable that overrides the default
+ * @param {string} flow - 'manual' or 'paypal'
+ * @returns {number}
+ */
+function getExpiryHours(envName, flow) {
+    const configured = Number(process.env[envName]);
+    return Number.isFinite(configured) && configured > 0
+        ? configured
+        : RESERVATION_TTL_MINUTES[flow] / 60;
+}
+
+/**
+ * Expire orders that have sat in one unpaid status past the cutoff
+ * @param {string} status - 'pending_payment' or 'pending'
+ * @param {number} expiryHours
+ * @param {string} reason - History note
+ * @returns {Promise<number>} Orders expired
+ */
+async function expireOrders(status, expiryHours, reason) {
+    const cutoff = admin.firestore.Timestamp.fromMillis(Date.now() - expiryHours * 60 * 60 * 1000);
+
+    const snapshot = await db.collection('orders')
+        .where('status', '==', status)
+        .where('createdAt', '<=', cutoff)
+        // Oldest first, so a backlog larger than one batch drains in order
+        .orderBy('createdAt', 'asc')
+        .limit(BATCH_LIMIT)
+        .get();
+
+    let expired = 0;
+    for (const doc of snapshot.docs) {
+        try {
+            const result = await transitionOrder(doc.ref, 'expired', {
+                by: actor('system', 'expireUnpaidOrders'),
+                reason,
+                updates: { expiredAt: admin.firestore.FieldValue.serverTimestamp() }
+            });
+
+            if (result.changed) {
+                expired++;
+                await releaseReservation(doc.id, 'order_expired');
+                await releasePromotion(doc.id, 'order_expired');
+            }
+        } catch (error) {
+            // Paid or cancelled between the query and the transition
+            if (error instanceof OrderStateError) continue;
+            logger.error(`Failed to expire order ${doc.id}:`, error);
+        }
+    }
+    return expired;
+}
+
+exports.expireUnpaidOrders = onSchedule({
+    schedule: 'every 60 minutes',
+    maxInstances: 1
+}, async () => {
+    const manualHours = getExpiryHours('MANUAL_ORDER_EXPIRY_HOURS', 'manual');
+    const manual = await expireOrders('pending_payment', manualHours,
+        `No payment received within ${manualHours} hours`);
+
+    // Abandoned PayPal checkouts; without this their code uses would count against limits forever
+    const paypalHours = getExpiryHours('PAYPAL_ORDER_EXPIRY_HOURS', 'paypal');
+    const paypal = await expireOrders('pending', paypalHours,
+        `PayPal payment not approved within ${paypalHours} hours`);
+
+    if (manual + paypal > 0) {
+        logger.info(`Expired ${manual} manual and ${paypal} PayPal unpaid order(s)`);
+    }
+});
@@ -0,0 +1,85 @@
+/**
+ * Manual Payments
+ * Confirms Zelle/CashApp orders once the transfer has been seen, moving them to
+ * 'paid' through the order state machine and turning their stock reservation
+ * into a decrement.
+ */
+
+const admin = require('firebase-admin');
+const { commitStock } = require('../inventory/inventory');
+const { applyTransition, OrderStateError } = require('./orderState');
+
+const db = admin.firestore();
+
+const MANUAL_PAYMENT_METHODS = ['zelle', 'cashapp'];
+
+/**
+ * Move a manual-payment order to paid, without touching stock
+ * @param {FirebaseFirestore.DocumentReference} orderRef
+ * @param {Object} options
+ * @param {Object} options.by - Actor from orderState.actor()
+ * @param {string} [options.reason] - History note
+ * @param {Object} [options.payment] - Details of the matching transfer (reference, amount, receivedAt, ...)
+ * @returns {Promise<{ changed: boolean, from: string, items: Array }>}
+ * @throws {OrderStateError} If the order is missing, not a manual-payment order, or cannot become paid
+ */
+async function recordManualPayment(orderRef, { by, reason = 'Manual payment received', payment = {} }) {
+    let items = [];
+
+    const result = await db.runTransaction(async (transaction) => {
+        const orderDoc = await transaction.get(orderRef);
+        if (!orderDoc.exists) {
+            throw new OrderStateError(`Order ${orderRef.id} not found`, 404);
+        }
+
+        const order = orderDoc.data();
+        if (!MANUAL_PAYMENT_METHODS.includes(order.paymentMethod)) {
+            throw new OrderStateError(`Order ${orderRef.id} is not a manual-payment order`, 400);
+        }
+        items = order.items || [];
+
+        const now = admin.firestore.FieldValue.serverTimestamp();
+        return applyTransition(transaction, orderDoc, 'paid', {
+            by,
+            reason,
+            updates: {
+                paymentStatus: 'COMPLETED',
+                paidAt: now,
+                manualPayment: {
+                    ...payment,
+                    confirmedBy: by,
+                    confirmedAt: now
+                }
+            },
+            mirrorUpdates: { paidAt: now }
+        });
+    });
+
+    return { ...result, items };
+}
+
+/**
+ * Mark a manual-payment order as paid and commit its stock
+ * @param {FirebaseFirestore.DocumentReference} orderRef
+ * @param {Object} options - As for recordManualPayment()
+ * @returns {Promise<{ changed: boolean, from: string }>}
+ * @throws {OrderStateError} If the order is missing, not a manual-payment order, or cannot become paid
+ * @throws {Error} If the stock commit fails; the order stays paid and confirming again retries it
+ */
+async function confirmManualPayment(orderRef, options) {
+    const { items, ...result } = await recordManualPayment(orderRef, options);
+
+    // Also on an already-paid order: commitStock is idempotent, so confirming
+    // again retries a commit that failed the first time
+    if (result.changed || result.from === 'paid') {
+        await commitStock(orderRef.id, items);
+    }
+
+    return result;
+}
+
+module.exports = {
+    MANUAL_PAYMENT_METHODS,
+    confirmManualPayment,
+    recordManualPayment
+};
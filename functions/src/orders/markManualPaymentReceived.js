@@ -0,0 +1,46 @@
+/**
+ * Mark Manual Payment Received
+ * Lets an admin confirm a Zelle/CashApp transfer for a pending_payment order.
+ * Only callable by admin users.
+ */
+
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const admin = require('firebase-admin');
+const { logger } = require('firebase-functions');
+const { requireAdmin } = require('../auth/requireAdmin');
+const { OrderStateError, actor } = require('./orderState');
+const { confirmManualPayment } = require('./manualPayments');
+
+const markManualPaymentReceived = onCall(async (request) => {
+    const uid = await requireAdmin(request, 'confirm payments');
+
+    const { orderId, reference, note } = request.data || {};
+    if (typeof orderId !== 'string' || !orderId) {
+        throw new HttpsError('invalid-argument', 'orderId is required.');
+    }
+
+    const orderRef = admin.firestore().collection('orders').doc(orderId);
+
+    let result;
+    try {
+        result = await confirmManualPayment(orderRef, {
+            by: actor('admin', uid),
+            reason: typeof note === 'string' && note.trim() ? note.trim().substring(0, 500) : 'Manual payment received',
+            payment: {
+                method: 'admin_confirmation',
+                reference: typeof reference === 'string' ? reference.trim().substring(0, 200) : null
+            }
+        });
+    } catch (error) {
+        if (error instanceof OrderStateError) {
+            throw new HttpsError(error.statusCode === 404 ? 'not-found' : 'failed-precondition', error.message);
+        }
+        throw error;
+    }
+
+    logger.info(`Admin ${uid} confirmed manual payment for order ${orderId}`);
+
+    return { orderId, status: 'paid', changed: result.changed };
+});
+
+module.exports = { markManualPaymentReceived };
@@ -0,0 +1,85 @@
+/**
+ * Order References
+ * Short customer-facing order codes such as "APX-7K3Q" that fit in a Zelle or
+ * CashApp memo. Codes avoid look-alike characters (0/O, 1/I/L) and are made
+ * unique by claiming orderReferences/{code} before the order is written.
+ */
+
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+
+const db = admin.firestore();
+
+const PREFIX = 'APX-';
+const ALPHABET = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+const MIN_LENGTH = 4;
+const MAX_ATTEMPTS = 8;
+
+// gRPC ALREADY_EXISTS, raised by create() when the code is taken
+const ALREADY_EXISTS = 6;
+
+/**
+ * Generate a random reference code (not yet checked for uniqueness)
+ * @param {number} [length=4] - Characters after the prefix
+ * @returns {string}
+ */
+function generateReference(length = MIN_LENGTH) {
+    let code = '';
+    for (let i = 0; i < length; i++) {
+        code += ALPHABET[crypto.randomInt(ALPHABET.length)];
+    }
+    return `${PREFIX}${code}`;
+}
+
+/**
+ * Normalize user-typed references ("apx 7k3q", "7K3Q") to the stored form
+ * @param {string} value
+ * @returns {string|null}
+ */
+function normalizeReference(value) {
+    if (typeof value !== 'string') return null;
+    const code = value.toUpperCase().replace(/[^A-Z0-9]/g, '').replace(/^APX/, '');
+    return code ? `${PREFIX}${code}` : null;
+}
+
+/**
+ * Claim a unique reference for an order.
+ * Collisions are retried, lengthening the code every few attempts as the space fills.
+ * @param {string} orderId - Firestore order ID the reference points to
+ * @returns {Promise<string>} The claimed reference
+ */
+async function assignOrderReference(orderId) {
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+        const reference = generateReference(MIN_LENGTH + Math.floor(attempt / 3));
+        try {
+            await db.collection('orderReferences').doc(reference).create({
+                orderId,
+                createdAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            return reference;
+        } catch (error) {
+            if (error.code !== ALREADY_EXISTS) throw error;
+        }
+    }
+    throw new Error(`Could not assign an order reference for ${orderId}`);
+}
+
+/**
+ * Look up the order ID for a reference
+ * @param {string} reference - Any casing or spacing of a reference
+ * @returns {Promise<string|null>}
+ */
+async function findOrderIdByReference(reference) {
+    const normalized = normalizeReference(reference);
+    if (!normalized) return null;
+
+    const doc = await db.collection('orderReferences').doc(normalized).get();
+    return doc.exists ? doc.data().orderId : null;
+}
+
+module.exports = {
+    assignOrderReference,
+    findOrderIdByReference,
+    generateReference,
+    normalizeReference
+};
@@ -0,0 +1,183 @@
+/**
+ * Order State Machine
+ * Single definition of order statuses and the legal transitions between them.
+ * Every status change goes through here and is appended to orders/{id}/history
+ * with the actor and reason, and mirrored to users/{uid}/orders/{id}.
+ */
+
+const admin = require('firebase-admin');
+const { HttpError } = require('../shared/httpError');
+
+const db = admin.firestore();
+
+const ORDER_STATUSES = [
+    'pending',              // PayPal order created, awaiting buyer approval
+    'pending_payment',      // Manual (Zelle/CashApp) order awaiting transfer
+    'payment_failed',
+    'paid',
+    'processing',
+    'shipped',
+    'delivered',
+    'cancelled',
+    'expired',
+    'partially_refunded',
+    'refunded'
+];
+
+/** Allowed next statuses for each status */
+const TRANSITIONS = {
+    pending: ['paid', 'payment_failed', 'cancelled', 'expired'],
+    pending_payment: ['paid', 'cancelled', 'expired'],
+    payment_failed: ['paid', 'cancelled', 'expired'],
+    paid: ['processing', 'shipped', 'cancelled', 'partially_refunded', 'refunded'],
+    processing: ['shipped', 'cancelled', 'partially_refunded', 'refunded'],
+    shipped: ['delivered', 'partially_refunded', 'refunded'],
+    delivered: ['partially_refunded', 'refunded'],
+    cancelled: ['partially_refunded', 'refunded'],
+    expired: ['paid', 'cancelled'],
+    partially_refunded: ['processing', 'shipped', 'delivered', 'cancelled', 'partially_refunded', 'refunded'],
+    refunded: []
+};
+
+/**
+ * Error raised for an illegal or unknown status change.
+ */
+class OrderStateError extends HttpError {
+    constructor(message, statusCode = 409) {
+        super(message, statusCode);
+    }
+}
+
+/**
+ * Check whether an order may move from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean}
+ */
+function canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Build an actor record for history entries
+ * @param {string} type - 'system', 'admin', 'customer' or 'paypal'
+ * @param {string|null} [id] - uid, event ID or other identifier
+ * @returns {{ type: string, id: string|null }}
+ */
+function actor(type, id = null) {
+    return { type, id };
+}
+
+function historyRef(orderRef) {
+    return orderRef.collection('history').doc();
+}
+
+/**
+ * Queue the initial history entry for a newly created order
+ * @param {FirebaseFirestore.WriteBatch|FirebaseFirestore.Transaction} writer
+ * @param {FirebaseFirestore.DocumentReference} orderRef
+ * @param {string} status - Initial status
+ * @param {Object} by - Actor from actor()
+ * @param {string} reason - Why the order was created
+ */
+function recordOrderCreated(writer, orderRef, status, by, reason) {
+    writer.set(historyRef(orderRef), {
+        from: null,
+        to: status,
+        actor: by,
+        reason,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+}
+
+/**
+ * Apply a status change inside an existing transaction.
+ * The order must already have been read in the same transaction.
+ * A transition to the current status is a no-op unless it is listed as legal
+ * (e.g. partially_refunded -> partially_refunded), so replays cannot reset fields.
+ * @param {FirebaseFirestore.Transaction} transaction
+ * @param {FirebaseFirestore.DocumentSnapshot} orderDoc - Order snapshot read in this transaction
+ * @param {string} to - Requested status
+ * @param {Object} options
+ * @param {Object} options.by - Actor from actor()
+ * @param {string} options.reason - Why the status is changing
+ * @param {Object} [options.updates] - Extra order fields to write with the status
+ * @param {Object} [options.mirrorUpdates] - Extra fields for the users/{uid}/orders mirror
+ * @returns {{ changed: boolean, from: string }}
+ * @throws {OrderStateError} If the transition is not allowed
+ */
+function applyTransition(transaction, orderDoc, to, { by, reason, updates = {}, mirrorUpdates = {} }) {
+    if (!ORDER_STATUSES.includes(to)) {
+        throw new OrderStateError(`Unknown order status: ${to}`, 400);
+    }
+
+    const order = orderDoc.data();
+    const from = order.status;
+
+    if (from === to && !canTransition(from, to)) {
+        return { changed: false, from };
+    }
+    if (!canTransition(from, to)) {
+        throw new OrderStateError(`Order ${orderDoc.id} cannot move from ${from} to ${to}`);
+    }
+
+    const now = admin.firestore.FieldValue.serverTimestamp();
+
+    transaction.update(orderDoc.ref, {
+        ...updates,
+        status: to,
+        updatedAt: now
+    });
+
+    transaction.set(historyRef(orderDoc.ref), {
+        from,
+        to,
+        actor: by,
+        reason: reason || null,
+        createdAt: now
+    });
+
+    if (order.userId) {
+        const userOrderRef = db.collection('users')
+            .doc(order.userId)
+            .collection('orders')
+            .doc(orderDoc.id);
+
+        transaction.set(userOrderRef, {
+            ...mirrorUpdates,
+            status: to,
+            updatedAt: now
+        }, { merge: true });
+    }
+
+    return { changed: true, from };
+}
+
+/**
+ * Change an order's status in its own transaction
+ * @param {FirebaseFirestore.DocumentReference} orderRef
+ * @param {string} to - Requested status
+ * @param {Object} options - See applyTransition()
+ * @returns {Promise<{ changed: boolean, from: string }>}
+ * @throws {OrderStateError} If the order is missing or the transition is not allowed
+ */
+async function transitionOrder(orderRef, to, options) {
+    return db.runTransaction(async (transaction) => {
+        const orderDoc = await transaction.get(orderRef);
+        if (!orderDoc.exists) {
+            throw new OrderStateError(`Order ${orderRef.id} not found`, 404);
+        }
+        return applyTransition(transaction, orderDoc, to, options);
+    });
+}
+
+module.exports = {
+    ORDER_STATUSES,
+    TRANSITIONS,
+    OrderStateError,
+    actor,
+    applyTransition,
+    canTransition,
+    recordOrderCreated,
+    transitionOrder
+};
@@ -0,0 +1,151 @@
+/**
+ * Refund Order
+ * Admin-initiated full or partial refunds. PayPal orders are refunded against
+ * paypalCaptureId; Zelle/CashApp orders record an off-platform refund. Both go
+ * through the same refund ledger as the PayPal webhook, so the later
+ * PAYMENT.CAPTURE.REFUNDED delivery for the same refund is a no-op.
+ * Only callable by admin users.
+ */
+
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const admin = require('firebase-admin');
+const { logger } = require('firebase-functions');
+const crypto = require('crypto');
+const paypal = require('@paypal/checkout-server-sdk');
+const { getPayPalClient } = require('../paypal/paypalClient');
+const { requireAdmin } = require('../auth/requireAdmin');
+const { roundCurrency } = require('../pricing/pricingEngine');
+const { actor, canTransition } = require('./orderState');
+const { MANUAL_PAYMENT_METHODS } = require('./manualPayments');
+const { RefundError, normalizeRefundItems, recordRefund } = require('./refunds');
+
+const refundOrder = onCall(async (request) => {
+    const uid = await requireAdmin(request, 'refund orders');
+
+    const {
+        orderId,
+        amount,
+        reason,
+        items = [],
+        restock = false,
+        requestId
+    } = request.data || {};
+
+    if (typeof orderId !== 'string' || !orderId) {
+        throw new HttpsError('invalid-argument', 'orderId is required.');
+    }
+
+    const note = typeof reason === 'string' ? reason.trim().substring(0, 255) : '';
+    if (!note) {
+        throw new HttpsError('invalid-argument', 'A refund reason is required.');
+    }
+
+    const orderRef = admin.firestore().collection('orders').doc(orderId);
+    const orderDoc = await orderRef.get();
+    if (!orderDoc.exists) {
+        throw new HttpsError('not-found', `Order ${orderId} not found.`);
+    }
+
+    const order = orderDoc.data();
+    if (!canTransition(order.status, 'partially_refunded') && !canTransition(order.status, 'refunded')) {
+        throw new HttpsError('failed-precondition', `A ${order.status} order cannot be refunded.`);
+    }
+
+    // Omitted amount means "refund whatever is left"
+    const remaining = roundCurrency((Number(order.amountTotal) || 0) - (Number(order.refundedTotal) || 0));
+    const refundAmount = amount == null ? remaining : roundCurrency(Number(amount));
+    if (!Number.isFinite(refundAmount) || refundAmount <= 0) {
+        throw new HttpsError('invalid-argument', 'Refund amount must be greater than zero.');
+    }
+    if (refundAmount > remaining + 0.005) {
+        throw new HttpsError('invalid-argument', `Refund exceeds the remaining $${remaining.toFixed(2)}.`);
+    }
+
+    // Check the lines before any money moves; recordRefund checks again in its transaction
+    try {
+        normalizeRefundItems(order, items);
+    } catch (error) {
+        if (error instanceof RefundError) {
+            throw new HttpsError('invalid-argument', error.message);
+        }
+        throw error;
+    }
+
+    const currency = order.currency || 'USD';
+    // Same request ID on a retried click refers to the same refund, so it is never recorded twice
+    const idempotencyKey = typeof requestId === 'string' && /^[A-Za-z0-9_-]{8,64}$/.test(requestId)
+        ? requestId
+        : crypto.randomUUID();
+    let refundId;
+    let source;
+
+    if (order.paypalCaptureId) {
+        const refundRequest = new paypal.payments.CapturesRefundRequest(order.paypalCaptureId);
+        // PayPal returns the original refund for a request ID it has already seen
+        refundRequest.payPalRequestId(idempotencyKey);
+        refundRequest.prefer('return=representation');
+        refundRequest.requestBody({
+            amount: {
+                currency_code: currency,
+                value: refundAmount.toFixed(2)
+            },
+            note_to_payer: note
+        });
+
+        let refund;
+        try {
+            refund = await getPayPalClient().execute(refundRequest);
+        } catch (error) {
+            logger.error(`PayPal refund failed for order ${orderId}:`, error);
+            throw new HttpsError('internal', `PayPal refund failed: ${error.message}`);
+        }
+
+        if (refund.result.status === 'CANCELLED' || refund.result.status === 'FAILED') {
+            throw new HttpsError('aborted', `PayPal refund ${refund.result.id} ${refund.result.status.toLowerCase()}.`);
+        }
+
+        refundId = refund.result.id;
+        source = 'admin_paypal';
+    } else if (MANUAL_PAYMENT_METHODS.includes(order.paymentMethod)) {
+        // Money is returned outside the platform; this records it. recordRefund
+        // treats a second call with the same refund ID as a no-op
+        refundId = `manual_${idempotencyKey}`;
+        source = 'admin_manual';
+    } else {
+        throw new HttpsError('failed-precondition', 'Order has no captured payment to refund.');
+    }
+
+    let result;
+    try {
+        result = await recordRefund(orderRef, {
+            refundId,
+            amount: refundAmount,
+            currency,
+            source,
+            reason: note,
+            items,
+            restock: Boolean(restock),
+            by: actor('admin', uid)
+        });
+    } catch (error) {
+        if (error instanceof RefundError) {
+            // Another refund took these units meanwhile. A PayPal refund has still gone
+            // through; its PAYMENT.CAPTURE.REFUNDED webhook records it without lines.
+            logger.error(`Refund ${refundId} on order ${orderId} was not recorded:`, error);
+            throw new HttpsError('aborted', `Refund ${refundId} was not recorded: ${error.message}`);
+        }
+        throw error;
+    }
+
+    logger.info(`Admin ${uid} refunded $${refundAmount.toFixed(2)} on order ${orderId} (${refundId})`);
+
+    return {
+        orderId,
+        refundId,
+        amount: refundAmount,
+        refundedTotal: result.refundedTotal,
+        status: result.status
+    };
+});
+
+module.exports = { refundOrder };
@@ -0,0 +1,191 @@
+/**
+ * Refund Ledger
+ * Records every refund in orders/{id}/refunds/{refundId} and keeps a running
+ * refundedTotal on the order. Order status is derived from the cumulative total,
+ * so several partial refunds eventually reach 'refunded'.
+ *
+ * Used by the PayPal webhook and by admin-initiated refunds alike.
+ */
+
+const admin = require('firebase-admin');
+const { logger } = require('firebase-functions');
+const { queueRestock, readProducts } = require('../inventory/inventory');
+const { applyTransition, canTransition } = require('./orderState');
+const { roundCurrency } = require('../pricing/pricingEngine');
+const { HttpError } = require('../shared/httpError');
+
+const db = admin.firestore();
+
+/**
+ * Error raised when refund lines do not match the order.
+ */
+class RefundError extends HttpError {}
+
+/**
+ * Units of each line that can still be refunded: ordered, less refunded
+ * @param {Object} order - Order document data
+ * @returns {Object<string, number>} Item ID -> quantity
+ */
+function remainingToRefund(order) {
+    const refunded = order.refundedItems || {};
+    const remaining = {};
+
+    (order.items || []).forEach(item => {
+        remaining[item.id] = (remaining[item.id] || 0) + item.quantity;
+    });
+    Object.keys(remaining).forEach(id => {
+        remaining[id] = Math.max(0, remaining[id] - (refunded[id] || 0));
+    });
+    return remaining;
+}
+
+/**
+ * Normalize per-line refund allocations and check them against the order
+ * @param {Object} order - Order document data
+ * @param {Array} items - [{ id, quantity, amount? }]
+ * @returns {Array<{ id: string, quantity: number, amount: number|null }>}
+ * @throws {RefundError} If a line is not on the order or exceeds what is left to refund
+ */
+function normalizeRefundItems(order, items) {
+    if (!Array.isArray(items)) return [];
+
+    const remaining = remainingToRefund(order);
+    const seen = new Set();
+
+    return items
+        .filter(item => item && typeof item.id === 'string' && Number(item.quantity) > 0)
+        .map(item => {
+            const quantity = Math.floor(Number(item.quantity));
+            if (!(item.id in remaining)) {
+                throw new RefundError(`${item.id} is not on this order`);
+            }
+            if (seen.has(item.id)) {
+                throw new RefundError(`${item.id} is listed more than once`);
+            }
+            if (quantity > remaining[item.id]) {
+                throw new RefundError(`Only ${remaining[item.id]} of ${item.id} can still be refunded`);
+            }
+            seen.add(item.id);
+            return {
+                id: item.id,
+                quantity,
+                amount: item.amount != null ? roundCurrency(Number(item.amount)) : null
+            };
+        });
+}
+
+/**
+ * Record a refund against an order.
+ * Idempotent per refundId: recording the same refund twice is a no-op.
+ * @param {FirebaseFirestore.DocumentReference} orderRef
+ * @param {Object} refund
+ * @param {string} refund.refundId - PayPal refund ID, or a generated ID for off-platform refunds
+ * @param {number} refund.amount - Refund amount in dollars
+ * @param {string} [refund.currency='USD']
+ * @param {string} refund.source - 'paypal_webhook', 'admin_paypal' or 'admin_manual'
+ * @param {string} [refund.reason] - Note shown to admins
+ * @param {Array} [refund.items] - Per-line allocation [{ id, quantity, amount? }], where known
+ * @param {boolean} [refund.restock=false] - Return the allocated units to inventory
+ * @param {Object} refund.by - Actor from orderState.actor()
+ * @returns {Promise<{ duplicate: boolean, refundedTotal: number, status: string, changed: boolean }>}
+ * @throws {RefundError} If the allocated lines do not match the order
+ */
+async function recordRefund(orderRef, {
+    refundId,
+    amount,
+    currency = 'USD',
+    source,
+    reason = null,
+    items = [],
+    restock = false,
+    by
+}) {
+    const refundAmount = roundCurrency(Number(amount) || 0);
+    if (!refundId || refundAmount <= 0) {
+        throw new Error('A refund ID and positive amount are required');
+    }
+
+    return db.runTransaction(async (transaction) => {
+        const refundRef = orderRef.collection('refunds').doc(refundId);
+        const [orderDoc, refundDoc] = await Promise.all([
+            transaction.get(orderRef),
+            transaction.get(refundRef)
+        ]);
+
+        if (!orderDoc.exists) {
+            throw new Error(`Order ${orderRef.id} not found`);
+        }
+
+        const order = orderDoc.data();
+        if (refundDoc.exists) {
+            return {
+                duplicate: true,
+                refundedTotal: order.refundedTotal || 0,
+                status: order.status,
+                changed: false
+            };
+        }
+
+        const refundItems = normalizeRefundItems(order, items);
+        const restocked = Boolean(restock && refundItems.length > 0);
+        // Restocked products are read before the first write of the transaction
+        const productDocs = restocked ? await readProducts(transaction, refundItems) : [];
+
+        const amountTotal = Number(order.amountTotal) || 0;
+        const refundedTotal = roundCurrency((Number(order.refundedTotal) || 0) + refundAmount);
+        if (refundedTotal > amountTotal + 0.01) {
+            logger.warn(`Order ${orderRef.id} refunds ($${refundedTotal}) exceed its total ($${amountTotal})`);
+        }
+
+        const refundedItems = { ...(order.refundedItems || {}) };
+        refundItems.forEach(item => {
+            refundedItems[item.id] = (refundedItems[item.id] || 0) + item.quantity;
+        });
+
+        const now = admin.firestore.FieldValue.serverTimestamp();
+
+        transaction.create(refundRef, {
+            refundId,
+            amount: refundAmount,
+            currency,
+            source,
+            reason,
+            items: refundItems,
+            restock: restocked,
+            actor: by,
+            refundedTotalAfter: refundedTotal,
+            createdAt: now
+        });
+
+        if (restocked) {
+            // Same transaction as the ledger entry, so a refund is never recorded without its restock
+            queueRestock(transaction, orderRef.id, refundItems, productDocs, `refund_${refundId}`);
+        }
+
+        const nextStatus = refundedTotal >= amountTotal - 0.005 ? 'refunded' : 'partially_refunded';
+        const updates = {
+            refundedTotal,
+            refundedItems,
+            // Kept for older readers that expect a single refunded amount
+            refundedAmount: refundedTotal,
+            refundedAt: now
+        };
+
+        if (canTransition(order.status, nextStatus)) {
+            applyTransition(transaction, orderDoc, nextStatus, {
+                by,
+                reason: reason || `Refund ${refundId} ($${refundAmount.toFixed(2)})`,
+                updates,
+                mirrorUpdates: { refundedTotal }
+            });
+            return { duplicate: false, refundedTotal, status: nextStatus, changed: true };
+        }
+
+        // Money has already moved; keep the totals even if the status cannot follow
+        logger.warn(`Order ${orderRef.id} is ${order.status}; recorded refund ${refundId} without a status change`);
+        transaction.update(orderRef, { ...updates, updatedAt: now });
+        return { duplicate: false, refundedTotal, status: order.status, changed: false };
+    });
+}
+
+module.exports = { RefundError, normalizeRefundItems, recordRefund };
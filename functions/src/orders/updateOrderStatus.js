@@ -0,0 +1,60 @@
+/**
+ * Update Order Status
+ * Admin tooling for fulfilment status changes (processing, shipped, delivered, cancelled).
+ * Payment statuses are driven by PayPal and payment reconciliation, not set here.
+ * Only callable by admin users.
+ */
+
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const admin = require('firebase-admin');
+const { logger } = require('firebase-functions');
+const { requireAdmin } = require('../auth/requireAdmin');
+const { releaseReservation } = require('../inventory/inventory');
+const { releasePromotion } = require('../promotions/promotionEngine');
+const { OrderStateError, actor, transitionOrder } = require('./orderState');
+
+const ADMIN_SETTABLE_STATUSES = ['processing', 'shipped', 'delivered', 'cancelled'];
+
+const updateOrderStatus = onCall(async (request) => {
+    const uid = await requireAdmin(request, 'update orders');
+
+    const { orderId, status, reason } = request.data || {};
+    if (typeof orderId !== 'string' || !orderId) {
+        throw new HttpsError('invalid-argument', 'orderId is required.');
+    }
+    if (!ADMIN_SETTABLE_STATUSES.includes(status)) {
+        throw new HttpsError('invalid-argument', `Status must be one of: ${ADMIN_SETTABLE_STATUSES.join(', ')}.`);
+    }
+
+    const orderRef = admin.firestore().collection('orders').doc(orderId);
+    const updates = {};
+    if (status === 'cancelled') {
+        updates.cancelledAt = admin.firestore.FieldValue.serverTimestamp();
+    }
+
+    let result;
+    try {
+        result = await transitionOrder(orderRef, status, {
+            by: actor('admin', uid),
+            reason: typeof reason === 'string' ? reason.trim().substring(0, 500) : null,
+            updates
+        });
+    } catch (error) {
+        if (error instanceof OrderStateError) {
+            throw new HttpsError(error.statusCode === 404 ? 'not-found' : 'failed-precondition', error.message);
+        }
+        throw error;
+    }
+
+    if (result.changed && status === 'cancelled') {
+        // Unpaid orders still hold stock; hand it back, along with any discount code use
+        await releaseReservation(orderId, 'order_cancelled');
+        await releasePromotion(orderId, 'order_cancelled');
+    }
+
+    logger.info(`Admin ${uid} moved order ${orderId} from ${result.from} to ${status}`);
+
+    return { orderId, from: result.from, status, changed: result.changed };
+});
+
+module.exports = { updateOrderStatus };
@@ -0,0 +1,95 @@
+/**
+ * Cancel PayPal Order
+ * Called when the buyer comes back through the PayPal cancel URL. Cancels the
+ * pending Firestore order so its stock, discount code use and quote are handed
+ * back straight away instead of waiting for expireUnpaidOrders.
+ */
+
+const admin = require('firebase-admin');
+const { onRequest } = require('firebase-functions/v2/https');
+const { logger } = require('firebase-functions');
+const paypal = require('@paypal/checkout-server-sdk');
+const { getPayPalClient } = require('./paypalClient');
+const { releaseReservation } = require('../inventory/inventory');
+const { releasePromotion } = require('../promotions/promotionEngine');
+const { releaseQuote } = require('../quotes/quotes');
+const { actor, transitionOrder } = require('../orders/orderState');
+const cors = require('cors')({
+    origin: [
+        'https://apex-labs-18862.web.app',
+        'https://apex-labs-18862.firebaseapp.com',
+        'http://localhost:3000',
+        'http://localhost:5000',
+        'http://127.0.0.1:4173'
+    ]
+});
+
+const db = admin.firestore();
+
+// PayPal order statuses a buyer can still walk away from
+const CANCELLABLE_PAYPAL_STATUSES = ['CREATED', 'PAYER_ACTION_REQUIRED', 'VOIDED'];
+
+exports.cancelPayPalOrder = onRequest({
+    // secrets: ['PAYPAL_CLIENT_ID', 'PAYPAL_CLIENT_SECRET'], // [RESTORE AFTER SETTING SECRETS]
+    maxInstances: 10,
+    concurrency: 80
+}, (req, res) => {
+    cors(req, res, async () => {
+        if (req.method !== 'POST') {
+            return res.status(405).json({ error: 'Method not allowed' });
+        }
+
+        try {
+            const { paypalOrderId } = req.body;
+
+            if (typeof paypalOrderId !== 'string' || !paypalOrderId) {
+                return res.status(400).json({ error: 'PayPal Order ID is required' });
+            }
+
+            const snapshot = await db.collection('orders')
+                .where('paypalOrderId', '==', paypalOrderId)
+                .limit(1)
+                .get();
+
+            if (snapshot.empty) {
+                return res.status(404).json({ error: 'Order not found' });
+            }
+
+            const orderDoc = snapshot.docs[0];
+            const order = orderDoc.data();
+            if (order.status !== 'pending') {
+                return res.status(200).json({ status: order.status });
+            }
+
+            // The cancel URL can be opened by hand; only an order PayPal has not approved is dropped
+            const paypalOrder = await getPayPalClient().execute(new paypal.orders.OrdersGetRequest(paypalOrderId));
+            if (!CANCELLABLE_PAYPAL_STATUSES.includes(paypalOrder.result.status)) {
+                return res.status(409).json({ error: `PayPal order is ${paypalOrder.result.status.toLowerCase()}` });
+            }
+
+            const result = await transitionOrder(orderDoc.ref, 'cancelled', {
+                by: actor('customer', order.userId || null),
+                reason: 'Buyer cancelled PayPal checkout',
+                updates: { cancelledAt: admin.firestore.FieldValue.serverTimestamp() }
+            });
+
+            if (result.changed) {
+                await releaseReservation(orderDoc.id, 'order_cancelled');
+                await releasePromotion(orderDoc.id, 'order_cancelled');
+                // syncQuoteOrder does this too; done here so the quote page reloads it as open
+                if (order.quoteId) {
+                    await releaseQuote(order.quoteId, orderDoc.id, 'order_cancelled');
+                }
+                logger.info(`PayPal order ${paypalOrderId} cancelled by buyer, Firestore order: ${orderDoc.id}`);
+            }
+
+            return res.status(200).json({ status: 'cancelled', orderId: orderDoc.id });
+
+        } catch (error) {
+            logger.error('Error cancelling PayPal order:', error);
+            return res.status(error.statusCode || 500).json({
+                error: error.message || 'Failed to cancel PayPal order'
+            });
+        }
+    });
+});
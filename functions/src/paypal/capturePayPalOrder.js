@@ -9,6 +9,9 @@ const { onRequest } = require('firebase-functions/v2/https');
 const { logger } = require('firebase-functions');
 const paypal = require('@paypal/checkout-server-sdk');
 const { getPayPalClient } = require('./paypalClient');
+const { commitStock } = require('../inventory/inventory');
+const { actor, applyTransition, canTransition } = require('../orders/orderState');
+const { paidOrderMirror } = require('./orderMirror');
 const cors = require('cors')({
     origin: [
         'https://apex-labs-18862.web.app',
@@ -87,7 +90,6 @@ exports.capturePayPalOrder = onRequest({
 
             // Build update object
             const updates = {
-                status: 'paid',
                 paymentStatus: captureStatus,
                 amountTotal: parseFloat(capturePayment.amount.value),
                 currency: capturePayment.amount.currency_code,
@@ -99,32 +101,37 @@ exports.capturePayPalOrder = onRequest({
                     : null,
                 shippingAddress: shipping.address || null,
                 shippingName: shipping.name?.full_name || null,
-                paidAt: admin.firestore.FieldValue.serverTimestamp(),
-                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+                paidAt: admin.firestore.FieldValue.serverTimestamp()
             };
 
-            // Update order in a transaction
-            await db.runTransaction(async (transaction) => {
-                transaction.update(orderDoc.ref, updates);
-
-                // Copy to user's orders subcollection if authenticated
-                if (orderData.userId) {
-                    const userOrderRef = db.collection('users')
-                        .doc(orderData.userId)
-                        .collection('orders')
-                        .doc(orderDoc.id);
-
-                    transaction.set(userOrderRef, {
-                        orderId: orderDoc.id,
-                        status: 'paid',
-                        amountTotal: updates.amountTotal,
-                        items: orderData.items || [],
-                        createdAt: orderData.createdAt,
-                        paidAt: updates.paidAt
-                    });
+            // Update order in a transaction; the state machine rejects stale or illegal moves
+            const { changed, from } = await db.runTransaction(async (transaction) => {
+                const currentDoc = await transaction.get(orderDoc.ref);
+                const currentStatus = currentDoc.data().status;
+
+                if (!canTransition(currentStatus, 'paid')) {
+                    // Already paid via the capture webhook, or moved on since; leave it alone
+                    return { changed: false, from: currentStatus };
                 }
+
+                return applyTransition(transaction, currentDoc, 'paid', {
+                    by: actor('paypal', paypalOrderId),
+                    reason: 'Payment captured after buyer approval',
+                    updates,
+                    // Copy to user's orders subcollection if authenticated
+                    mirrorUpdates: paidOrderMirror(orderDoc.id, orderData, updates)
+                });
             });
 
+            if (changed || from === 'paid') {
+                // Payment is final; turn the reservation into a stock decrement. Idempotent, so
+                // an order the webhook already marked paid is finished here if its commit failed
+                await commitStock(orderDoc.id, orderData.items);
+            }
+            if (!changed) {
+                logger.warn(`Order ${orderDoc.id} was ${from} at capture time; status left unchanged`);
+            }
+
             logger.info(`PayPal order captured: ${paypalOrderId}, Firestore order: ${orderDoc.id}`);
 
             return res.status(200).json({
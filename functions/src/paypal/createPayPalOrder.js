@@ -1,7 +1,8 @@
 /**
  * Create PayPal Order
  * Accepts cart items and customer info, creates PayPal order, stores pending order in Firestore.
- * Replaces the Stripe createCheckoutSession function.
+ * Replaces the Stripe createCheckoutSession function. An accepted quote (quoteToken)
+ * replaces the cart, and the order is priced at the quoted amounts.
  */
 
 const admin = require('firebase-admin');
@@ -9,6 +10,16 @@ const { onRequest } = require('firebase-functions/v2/https');
 const { logger } = require('firebase-functions');
 const paypal = require('@paypal/checkout-server-sdk');
 const { getPayPalClient } = require('./paypalClient');
+const { priceCart, roundCurrency } = require('../pricing/pricingEngine');
+const { reserveStock, releaseReservation } = require('../inventory/inventory');
+const { actor, recordOrderCreated } = require('../orders/orderState');
+const { assignOrderReference } = require('../orders/orderReference');
+const { getCallerUid } = require('../auth/getCallerUid');
+const { redeemPromotion, releasePromotion } = require('../promotions/promotionEngine');
+const { selectShipping, shippingMethodRecord } = require('../shipping/shippingRates');
+const { calculateTax } = require('../tax/taxEngine');
+const { buildPurchaseUnit } = require('./purchaseUnit');
+const { priceQuote, claimQuote, releaseQuote } = require('../quotes/quotes');
 const cors = require('cors')({
     origin: [
         'https://apex-labs-18862.web.app',
@@ -21,107 +32,6 @@ const cors = require('cors')({
 
 const db = admin.firestore();
 
-/**
- * Calculate tiered unit price for a product based on quantity.
- * Prices are in dollars (not cents).
- * @param {Object} item - Cart item with id, name, quantity
- * @returns {number} Unit price in dollars
- */
-function getTieredPrice(item) {
-    if (item.id === 'nadplus' || item.name.includes('NAD+')) {
-        if (item.quantity >= 25) return 35.00;
-        if (item.quantity >= 10) return 44.00;
-        return 55.00;
-    } else if (item.id === 'reta' || item.name.includes('RETA')) {
-        if (item.quantity >= 25) return 45.00;
-        if (item.quantity >= 10) return 56.00;
-        return 70.00;
-    } else if (item.id === 'mots-c') {
-        if (item.quantity >= 25) return 30.00;
-        if (item.quantity >= 10) return 36.00;
-        return 45.00;
-    } else if (item.id === 'pt-141' || item.id === 'ipamorelin') {
-        if (item.quantity >= 25) return 25.00;
-        if (item.quantity >= 10) return 30.00;
-        return 38.00;
-    } else if (item.id === 'bpc-157') {
-        if (item.quantity >= 25) return 28.00;
-        if (item.quantity >= 10) return 34.00;
-        return 42.00;
-    } else if (item.id === 'ghk-cu') {
-        if (item.quantity >= 25) return 29.00;
-        if (item.quantity >= 10) return 35.00;
-        return 44.00;
-    } else if (item.id === 'tesamorelin') {
-        if (item.quantity >= 25) return 38.00;
-        if (item.quantity >= 10) return 46.00;
-        return 58.00;
-    } else {
-        // Standard tiers (AOD, CJC, TB-500): $55 / $44 / $35
-        if (item.quantity >= 25) return 35.00;
-        if (item.quantity >= 10) return 44.00;
-        return 55.00;
-    }
-}
-
-/**
- * Build PayPal purchase units from cart items
- * @param {Array} items - Cart items
- * @param {string} orderId - Firestore order ID for reference
- * @returns {Object} PayPal purchase unit
- */
-function buildPurchaseUnit(items, orderId) {
-    let totalAmount = 0;
-
-    const paypalItems = items.map(item => {
-        const unitPrice = getTieredPrice(item);
-        const lineTotal = unitPrice * item.quantity;
-        totalAmount += lineTotal;
-
-        return {
-            name: item.name,
-            unit_amount: {
-                currency_code: 'USD',
-                value: unitPrice.toFixed(2)
-            },
-            quantity: String(item.quantity),
-            sku: item.id,
-            category: 'PHYSICAL_GOODS'
-        };
-    });
-
-    return {
-        reference_id: orderId,
-        description: 'Apex Labs Research Compounds',
-        items: paypalItems,
-        amount: {
-            currency_code: 'USD',
-            value: totalAmount.toFixed(2),
-            breakdown: {
-                item_total: {
-                    currency_code: 'USD',
-                    value: totalAmount.toFixed(2)
-                },
-                shipping: {
-                    currency_code: 'USD',
-                    value: '0.00'
-                }
-            }
-        },
-        shipping: {
-            options: [{
-                id: 'priority',
-                label: 'Free Priority Shipping',
-                selected: true,
-                amount: {
-                    currency_code: 'USD',
-                    value: '0.00'
-                }
-            }]
-        }
-    };
-}
-
 /**
  * Main handler for creating a PayPal order
  */
@@ -135,30 +45,77 @@ exports.createPayPalOrder = onRequest({
             return res.status(405).json({ error: 'Method not allowed' });
         }
 
+        // Set once stock is held, so a later failure can hand it back
+        let reservedOrderId = null;
+        // Set once a quote is marked accepted by this order, so a later failure can reopen it
+        let claimedQuote = null;
+
         try {
             const {
                 items,
                 customerEmail,
-                userId,
+                promoCode,
+                quoteToken,
+                shipping = {},
                 metadata = {}
             } = req.body;
 
-            // Validate required fields
-            if (!items || !Array.isArray(items) || items.length === 0) {
-                return res.status(400).json({ error: 'Cart items are required' });
+            if (quoteToken && promoCode) {
+                return res.status(400).json({ error: 'Discount codes cannot be used with a quote' });
             }
 
+            // Accepting a quote prices the order at the quoted amounts
+            const quoted = quoteToken ? await priceQuote(quoteToken) : null;
+
+            // Reprice cart from Firestore; client-supplied prices are never trusted.
+            // Only a verified token unlocks the caller's pricing group.
+            const callerUid = await getCallerUid(req);
+            const pricedCart = quoted ? quoted.pricedCart : await priceCart(items, { userId: callerUid });
+
             // Pre-generate Firestore order ID
             const orderRef = db.collection('orders').doc();
             const orderId = orderRef.id;
 
+            if (quoted) {
+                await claimQuote(quoted.quoteId, orderId, { paymentMethod: 'paypal' });
+                claimedQuote = { quoteId: quoted.quoteId, orderId };
+            }
+
+            // Hold stock while the buyer approves payment
+            const reservationExpiresAt = await reserveStock(orderId, pricedCart.items, { flow: 'paypal' });
+            reservedOrderId = orderId;
+
+            // Re-validate and use the discount code against the server-priced cart
+            const promotion = promoCode
+                ? await redeemPromotion(orderId, promoCode, pricedCart, {
+                    userId: callerUid,
+                    email: customerEmail
+                })
+                : null;
+            const discountTotal = promotion ? promotion.discount : 0;
+
+            // Initial quote for the destination picked at checkout; the shipping callback
+            // re-quotes when the buyer changes address or method on PayPal
+            const shippingQuote = await selectShipping(pricedCart, shipping.destination, shipping.methodId || null, { discountTotal });
+            const { taxTotal, tax } = await calculateTax(shippingQuote.destination, {
+                merchandiseTotal: pricedCart.subtotal - discountTotal,
+                shippingTotal: shippingQuote.selected.amount
+            });
+
+            const reference = await assignOrderReference(orderId);
+
             // Build base URLs for redirects
             const origin = req.headers.origin || 'https://apex-labs-18862.web.app';
-            const returnUrl = `${origin}/order-confirmation.html?paypal_order_id={PAYPAL_ORDER_ID}`;
-            const cancelUrl = `${origin}/cart.html?canceled=true`;
+            // PayPal appends its order ID (token) and PayerID; the confirmation page captures with them.
+            // Quote orders return to the quote if cancelled, and leave the shopper's cart alone.
+            const returnUrl = `${origin}/order-confirmation.html?order_id=${orderId}&ref=${encodeURIComponent(reference)}${quoted ? '&quote=1' : ''}`;
+            const cancelUrl = quoted
+                ? `${origin}/quote.html?t=${encodeURIComponent(quoteToken)}&canceled=true`
+                : `${origin}/cart.html?canceled=true`;
+            const shippingCallbackUrl = `${origin}/api/paypal-shipping-callback`;
 
             // Build purchase unit
-            const purchaseUnit = buildPurchaseUnit(items, orderId);
+            const purchaseUnit = buildPurchaseUnit(pricedCart, orderId, reference, { discountTotal, shipping: shippingQuote, taxTotal });
 
             // Create PayPal order
             const request = new paypal.orders.OrdersCreateRequest();
@@ -175,8 +132,12 @@ exports.createPayPalOrder = onRequest({
                             landing_page: 'LOGIN',
                             shipping_preference: 'GET_FROM_FILE',
                             user_action: 'PAY_NOW',
-                            return_url: returnUrl.replace('{PAYPAL_ORDER_ID}', orderId),
-                            cancel_url: cancelUrl
+                            return_url: returnUrl,
+                            cancel_url: cancelUrl,
+                            order_update_callback_config: {
+                                callback_events: ['SHIPPING_ADDRESS', 'SHIPPING_OPTIONS'],
+                                callback_url: shippingCallbackUrl
+                            }
                         }
                     }
                 },
@@ -198,18 +159,35 @@ exports.createPayPalOrder = onRequest({
             // Store pending order in Firestore
             const orderData = {
                 id: orderId,
+                reference,
                 paypalOrderId: order.result.id,
                 status: 'pending',
-                items: items.map(item => ({
+                items: pricedCart.items.map(item => ({
                     id: item.id,
-                    sku: item.sku || item.priceId || null,
+                    sku: item.sku,
                     name: item.name,
                     price: item.price,
                     quantity: item.quantity,
-                    image: item.image
+                    image: item.image,
+                    weightGrams: item.weightGrams
                 })),
+                subtotal: pricedCart.subtotal,
+                discountTotal,
+                promotion: promotion
+                    ? { code: promotion.code, type: promotion.type, description: promotion.description, discount: promotion.discount }
+                    : null,
+                shippingMethod: shippingMethodRecord(shippingQuote),
+                shippingTotal: shippingQuote.selected.amount,
+                taxTotal,
+                tax,
+                amountTotal: roundCurrency(pricedCart.subtotal - discountTotal + shippingQuote.selected.amount + taxTotal),
+                currency: pricedCart.currency,
+                pricingGroup: pricedCart.pricingGroup,
+                quoteId: quoted ? quoted.quoteId : null,
+                reservationExpiresAt: admin.firestore.Timestamp.fromDate(reservationExpiresAt),
                 customerEmail: customerEmail || null,
-                userId: userId || null,
+                // Never trust a userId from the body; it decides whose account the order is copied to
+                userId: callerUid || quoted?.quote.userId || null,
                 metadata: {
                     ...metadata,
                     source: 'apex_labs_checkout'
@@ -218,18 +196,32 @@ exports.createPayPalOrder = onRequest({
                 updatedAt: admin.firestore.FieldValue.serverTimestamp()
             };
 
-            await orderRef.set(orderData);
+            const batch = db.batch();
+            batch.set(orderRef, orderData);
+            recordOrderCreated(batch, orderRef, orderData.status, actor('customer', orderData.userId), 'PayPal checkout started');
+            await batch.commit();
 
             logger.info(`PayPal order created: ${order.result.id}, Firestore order: ${orderId}`);
 
             return res.status(200).json({
                 paypalOrderId: order.result.id,
                 approvalUrl: approvalLink.href,
-                orderId: orderId
+                orderId: orderId,
+                reference
             });
 
         } catch (error) {
             logger.error('Error creating PayPal order:', error);
+            if (reservedOrderId) {
+                await releaseReservation(reservedOrderId, 'order_creation_failed')
+                    .catch(releaseError => logger.error('Failed to release reservation:', releaseError));
+                await releasePromotion(reservedOrderId, 'order_creation_failed')
+                    .catch(releaseError => logger.error('Failed to release promotion:', releaseError));
+            }
+            if (claimedQuote) {
+                await releaseQuote(claimedQuote.quoteId, claimedQuote.orderId, 'order_creation_failed')
+                    .catch(releaseError => logger.error('Failed to release quote:', releaseError));
+            }
             return res.status(error.statusCode || 500).json({
                 error: error.message || 'Failed to create PayPal order'
             });
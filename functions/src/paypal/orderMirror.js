@@ -0,0 +1,27 @@
+/**
+ * Order Mirror
+ * The copy of a paid PayPal order kept in users/{uid}/orders/{id} for the
+ * customer's order history. The capture endpoint and the capture webhook race
+ * to mark an order paid, so whichever runs first writes the full record.
+ */
+
+/**
+ * Mirror fields for an order being marked paid
+ * @param {string} orderId - Firestore order ID
+ * @param {Object} order - Order document data
+ * @param {{ amountTotal: number, paidAt: * }} updates - Payment fields being written to the order
+ * @returns {Object}
+ */
+function paidOrderMirror(orderId, order, updates) {
+    return {
+        orderId,
+        reference: order.reference || null,
+        amountTotal: updates.amountTotal,
+        shippingMethod: order.shippingMethod || null,
+        items: order.items || [],
+        createdAt: order.createdAt,
+        paidAt: updates.paidAt
+    };
+}
+
+module.exports = { paidOrderMirror };
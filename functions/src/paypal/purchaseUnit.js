@@ -0,0 +1,89 @@
+/**
+ * PayPal Purchase Unit
+ * Builds the purchase unit for a server-priced order. Shared by order creation and
+ * the shipping callback, which re-sends the amount and options when the buyer
+ * changes address or shipping method on PayPal.
+ */
+
+const { roundCurrency } = require('../pricing/pricingEngine');
+
+function money(value) {
+    return { currency_code: 'USD', value: value.toFixed(2) };
+}
+
+/**
+ * Build the amount with its breakdown
+ * @param {number} itemTotal - Pre-discount merchandise subtotal
+ * @param {number} discountTotal - Promotion discount
+ * @param {number} shippingTotal - Selected shipping method's price
+ * @param {number} taxTotal - Sales tax
+ * @returns {Object} PayPal amount
+ */
+function buildAmount(itemTotal, discountTotal, shippingTotal, taxTotal) {
+    return {
+        ...money(roundCurrency(itemTotal - discountTotal + shippingTotal + taxTotal)),
+        breakdown: {
+            item_total: money(itemTotal),
+            discount: money(discountTotal),
+            shipping: money(shippingTotal),
+            tax_total: money(taxTotal)
+        }
+    };
+}
+
+/**
+ * Convert quoted shipping options to PayPal's format
+ * @param {Array<{ id: string, label: string, amount: number }>} options - From shippingRates.quoteShipping()
+ * @param {string} selectedId - ID of the selected method
+ * @returns {Array<Object>}
+ */
+function buildShippingOptions(options, selectedId) {
+    return options.map(option => ({
+        id: option.id,
+        label: option.amount === 0 ? `Free ${option.label}` : option.label,
+        type: 'SHIPPING',
+        selected: option.id === selectedId,
+        amount: money(option.amount)
+    }));
+}
+
+/**
+ * Build PayPal purchase units from server-priced cart items
+ * @param {Object} pricedCart - Result of pricingEngine.priceCart()
+ * @param {string} orderId - Firestore order ID for reference
+ * @param {string} reference - Customer-facing order reference (APX-XXXX)
+ * @param {Object} totals
+ * @param {number} [totals.discountTotal=0] - Promotion discount off the item total
+ * @param {Object} totals.shipping - Result of shippingRates.selectShipping()
+ * @param {number} [totals.taxTotal=0] - Sales tax for the selected shipping method
+ * @returns {Object} PayPal purchase unit
+ */
+function buildPurchaseUnit(pricedCart, orderId, reference, { discountTotal = 0, shipping, taxTotal = 0 }) {
+    const paypalItems = pricedCart.items.map(item => ({
+        name: item.name,
+        unit_amount: money(item.price),
+        quantity: String(item.quantity),
+        sku: item.id,
+        category: 'PHYSICAL_GOODS'
+    }));
+
+    return {
+        reference_id: orderId,
+        // Echoed back on capture webhooks so they can find the Firestore order
+        custom_id: orderId,
+        // Shown on the buyer's PayPal receipt, so it carries the same code as the site
+        invoice_id: reference,
+        description: 'Apex Labs Research Compounds',
+        items: paypalItems,
+        amount: buildAmount(pricedCart.subtotal, discountTotal, shipping.selected.amount, taxTotal),
+        shipping: {
+            options: buildShippingOptions(shipping.options, shipping.selected.id)
+        }
+    };
+}
+
+module.exports = {
+    buildAmount,
+    buildPurchaseUnit,
+    buildShippingOptions
+};
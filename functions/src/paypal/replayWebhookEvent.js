@@ -0,0 +1,74 @@
+/**
+ * Webhook Event Admin Functions
+ * Lets admins list failed PayPal webhook events and replay them from the stored payload.
+ * Only callable by admin users.
+ */
+
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const admin = require('firebase-admin');
+const { logger } = require('firebase-functions');
+const { requireAdmin } = require('../auth/requireAdmin');
+const { getEvent } = require('./webhookEvents');
+const { handleWebhookEvent } = require('./webhookHandler');
+
+const listWebhookEvents = onCall(async (request) => {
+    await requireAdmin(request, 'list webhook events');
+
+    const status = request.data?.status || 'failed';
+    const limit = Math.min(Math.max(parseInt(request.data?.limit, 10) || 50, 1), 200);
+
+    const snapshot = await admin.firestore().collection('webhookEvents')
+        .where('status', '==', status)
+        .orderBy('updatedAt', 'desc')
+        .limit(limit)
+        .get();
+
+    return {
+        events: snapshot.docs.map(doc => {
+            const data = doc.data();
+            return {
+                eventId: doc.id,
+                eventType: data.eventType,
+                resourceId: data.resourceId,
+                status: data.status,
+                outcome: data.outcome || null,
+                orderId: data.orderId || null,
+                error: data.error || null,
+                attempts: data.attempts || 0,
+                receivedAt: data.receivedAt?.toDate().toISOString() || null,
+                updatedAt: data.updatedAt?.toDate().toISOString() || null
+            };
+        })
+    };
+});
+
+const replayWebhookEvent = onCall(async (request) => {
+    const uid = await requireAdmin(request, 'replay webhook events');
+
+    const eventId = request.data?.eventId;
+    if (typeof eventId !== 'string' || !eventId) {
+        throw new HttpsError('invalid-argument', 'eventId is required.');
+    }
+
+    const stored = await getEvent(eventId);
+    if (!stored) {
+        throw new HttpsError('not-found', `No webhook event ${eventId}.`);
+    }
+    if (stored.status !== 'failed') {
+        throw new HttpsError('failed-precondition', `Event ${eventId} is ${stored.status}; only failed events can be replayed.`);
+    }
+    if (!stored.payload) {
+        throw new HttpsError('failed-precondition', `Event ${eventId} has no stored payload.`);
+    }
+
+    logger.info(`Admin ${uid} replaying PayPal event ${eventId}`);
+
+    try {
+        const result = await handleWebhookEvent(stored.payload, { source: 'replay' });
+        return { eventId, ...result };
+    } catch (error) {
+        throw new HttpsError('internal', `Replay failed: ${error.message}`);
+    }
+});
+
+module.exports = { listWebhookEvents, replayWebhookEvent };
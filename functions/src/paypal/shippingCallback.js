@@ -0,0 +1,94 @@
+/**
+ * PayPal Shipping Callback
+ * PayPal calls this while the buyer is on the approval page, whenever they change
+ * shipping address or method. Re-quotes shipping and tax for the new address, records
+ * them on the pending order and answers with the updated amount and options.
+ * Destinations we do not ship to are rejected with the issue code PayPal shows the buyer.
+ */
+
+const admin = require('firebase-admin');
+const { onRequest } = require('firebase-functions/v2/https');
+const { logger } = require('firebase-functions');
+const { roundCurrency } = require('../pricing/pricingEngine');
+const { ShippingError, selectShipping, shippingMethodRecord } = require('../shipping/shippingRates');
+const { calculateTax } = require('../tax/taxEngine');
+const { buildAmount, buildShippingOptions } = require('./purchaseUnit');
+
+const db = admin.firestore();
+
+function reject(res, issue) {
+    return res.status(422).json({
+        name: 'UNPROCESSABLE_ENTITY',
+        details: [{ issue }]
+    });
+}
+
+exports.paypalShippingCallback = onRequest({
+    maxInstances: 10,
+    concurrency: 80
+}, async (req, res) => {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const { id: paypalOrderId, shipping_address: address, shipping_option: option, purchase_units: units } = req.body || {};
+    const orderId = Array.isArray(units) ? units[0]?.reference_id : null;
+
+    if (!paypalOrderId || !orderId || !address) {
+        return res.status(400).json({ error: 'Invalid shipping callback' });
+    }
+
+    try {
+        const orderRef = db.collection('orders').doc(orderId);
+        const doc = await orderRef.get();
+
+        // Only answer for the PayPal order this Firestore order was created with
+        if (!doc.exists || doc.data().paypalOrderId !== paypalOrderId || doc.data().status !== 'pending') {
+            logger.warn(`Shipping callback for unknown or closed order ${orderId} (PayPal ${paypalOrderId})`);
+            return reject(res, 'STORE_UNAVAILABLE');
+        }
+
+        const order = doc.data();
+        const subtotal = Number(order.subtotal ?? order.amountTotal) || 0;
+        const discountTotal = Number(order.discountTotal) || 0;
+
+        // Keep the buyer's method if the new address still offers it
+        let shipping;
+        try {
+            shipping = await selectShipping({ items: order.items || [], subtotal }, address, option?.id || null, { discountTotal });
+        } catch (error) {
+            if (!(error instanceof ShippingError) || error.issue !== 'METHOD_UNAVAILABLE' || !option?.id) throw error;
+            shipping = await selectShipping({ items: order.items || [], subtotal }, address, null, { discountTotal });
+        }
+
+        const { taxTotal, tax } = await calculateTax(shipping.destination, {
+            merchandiseTotal: subtotal - discountTotal,
+            shippingTotal: shipping.selected.amount
+        });
+
+        const amountTotal = roundCurrency(subtotal - discountTotal + shipping.selected.amount + taxTotal);
+        await orderRef.update({
+            shippingMethod: shippingMethodRecord(shipping),
+            shippingTotal: shipping.selected.amount,
+            taxTotal,
+            tax,
+            amountTotal,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        return res.status(200).json({
+            id: paypalOrderId,
+            purchase_units: [{
+                reference_id: orderId,
+                amount: buildAmount(subtotal, discountTotal, shipping.selected.amount, taxTotal),
+                shipping_options: buildShippingOptions(shipping.options, shipping.selected.id)
+            }]
+        });
+    } catch (error) {
+        if (error instanceof ShippingError) {
+            return reject(res, error.issue);
+        }
+        logger.error(`Shipping callback failed for order ${orderId}:`, error);
+        return res.status(500).json({ error: 'Failed to quote shipping' });
+    }
+});
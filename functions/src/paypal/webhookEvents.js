@@ -0,0 +1,121 @@
+/**
+ * PayPal Webhook Event Ledger
+ * Records every webhook delivery in webhookEvents/{event.id} so redelivered events
+ * are processed at most once, and failed events can be listed and replayed by admins.
+ *
+ * Event status lifecycle: processing -> processed | ignored | failed
+ */
+
+const admin = require('firebase-admin');
+
+const db = admin.firestore();
+
+/** A 'processing' claim older than this is treated as abandoned (crashed instance) */
+const STALE_CLAIM_MS = 5 * 60 * 1000;
+
+const FINAL_STATUSES = ['processed', 'ignored'];
+
+function eventRef(eventId) {
+    return db.collection('webhookEvents').doc(eventId);
+}
+
+/**
+ * Claim an event for processing.
+ * Returns claimed: false when the event already reached a final status or another
+ * instance is currently processing it.
+ * @param {Object} event - PayPal webhook event
+ * @param {Object} [options]
+ * @param {string} [options.source='webhook'] - 'webhook' or 'replay'
+ * @returns {Promise<{ claimed: boolean, status: string|null }>}
+ */
+async function claimEvent(event, { source = 'webhook' } = {}) {
+    const ref = eventRef(event.id);
+
+    return db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(ref);
+        const existing = doc.exists ? doc.data() : null;
+
+        if (existing && FINAL_STATUSES.includes(existing.status)) {
+            return { claimed: false, status: existing.status };
+        }
+
+        if (existing?.status === 'processing') {
+            const claimedAt = existing.claimedAt?.toMillis?.() || 0;
+            if (Date.now() - claimedAt < STALE_CLAIM_MS) {
+                return { claimed: false, status: existing.status };
+            }
+        }
+
+        const now = admin.firestore.FieldValue.serverTimestamp();
+        const record = {
+            eventId: event.id,
+            eventType: event.event_type || null,
+            resourceId: event.resource?.id || null,
+            status: 'processing',
+            lastSource: source,
+            attempts: admin.firestore.FieldValue.increment(1),
+            claimedAt: admin.firestore.Timestamp.now(),
+            updatedAt: now
+        };
+
+        if (!existing) {
+            // Keep the original payload so failed events can be replayed later
+            record.payload = event;
+            record.receivedAt = now;
+        }
+
+        transaction.set(ref, record, { merge: true });
+        return { claimed: true, status: 'processing' };
+    });
+}
+
+/**
+ * Record the outcome of a processed event
+ * @param {string} eventId - PayPal event ID
+ * @param {Object} result
+ * @param {string} result.status - 'processed' or 'ignored'
+ * @param {string} result.outcome - Short description (order_updated, order_not_found, unhandled_type, ...)
+ * @param {string|null} [result.orderId] - Firestore order ID the event applied to
+ */
+async function completeEvent(eventId, { status, outcome, orderId = null }) {
+    await eventRef(eventId).update({
+        status,
+        outcome,
+        orderId,
+        error: null,
+        processedAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+}
+
+/**
+ * Record a processing failure so the event can be retried or replayed
+ * @param {string} eventId - PayPal event ID
+ * @param {Error} error - Failure
+ */
+async function failEvent(eventId, error) {
+    await eventRef(eventId).update({
+        status: 'failed',
+        outcome: 'error',
+        error: String(error?.message || error).substring(0, 1000),
+        failedAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+}
+
+/**
+ * Load a stored event
+ * @param {string} eventId - PayPal event ID
+ * @returns {Promise<Object|null>}
+ */
+async function getEvent(eventId) {
+    const doc = await eventRef(eventId).get();
+    return doc.exists ? doc.data() : null;
+}
+
+module.exports = {
+    claimEvent,
+    completeEvent,
+    failEvent,
+    getEvent
+};
@@ -8,6 +8,12 @@ const admin = require('firebase-admin');
 const { onRequest } = require('firebase-functions/v2/https');
 const { logger } = require('firebase-functions');
 const { getAccessToken } = require('./paypalClient');
+const { commitStock, releaseReservation } = require('../inventory/inventory');
+const { releasePromotion } = require('../promotions/promotionEngine');
+const { claimEvent, completeEvent, failEvent } = require('./webhookEvents');
+const { paidOrderMirror } = require('./orderMirror');
+const { OrderStateError, actor, transitionOrder } = require('../orders/orderState');
+const { recordRefund } = require('../orders/refunds');
 
 const db = admin.firestore();
 
@@ -67,30 +73,25 @@ async function verifyWebhookSignature(headers, body) {
 }
 
 /**
- * Find and update an order by PayPal Order ID
- * @param {string} paypalOrderId - PayPal Order ID
- * @param {Object} updates - Fields to update
- * @returns {Promise<string|null>} Firestore order ID or null
+ * Move an order to a new status on behalf of a PayPal event.
+ * Illegal transitions (e.g. a late DENIED on a paid order) are logged and skipped
+ * rather than thrown, so PayPal does not keep redelivering the event.
+ * @param {FirebaseFirestore.DocumentReference} orderRef
+ * @param {string} to - Requested status
+ * @param {Object} options - See orderState.applyTransition()
+ * @returns {Promise<{ orderId: string, outcome: string, changed: boolean }>}
  */
-async function updateOrderByPayPalId(paypalOrderId, updates) {
-    const ordersRef = db.collection('orders');
-    const snapshot = await ordersRef
-        .where('paypalOrderId', '==', paypalOrderId)
-        .limit(1)
-        .get();
-
-    if (snapshot.empty) {
-        logger.warn(`No order found for PayPal order ID: ${paypalOrderId}`);
-        return null;
+async function transitionFromWebhook(orderRef, to, options) {
+    try {
+        const { changed } = await transitionOrder(orderRef, to, options);
+        return { orderId: orderRef.id, outcome: changed ? 'order_updated' : 'already_applied', changed };
+    } catch (error) {
+        if (error instanceof OrderStateError) {
+            logger.warn(`Skipping PayPal status change: ${error.message}`);
+            return { orderId: orderRef.id, outcome: 'illegal_transition', changed: false };
+        }
+        throw error;
     }
-
-    const orderDoc = snapshot.docs[0];
-    await orderDoc.ref.update({
-        ...updates,
-        updatedAt: admin.firestore.FieldValue.serverTimestamp()
-    });
-
-    return orderDoc.id;
 }
 
 /**
@@ -105,7 +106,6 @@ async function handleCaptureCompleted(resource) {
     const amount = resource.amount || {};
 
     const updates = {
-        status: 'paid',
         paymentStatus: 'COMPLETED',
         paypalCaptureId: resource.id,
         amountTotal: parseFloat(amount.value || 0),
@@ -118,12 +118,22 @@ async function handleCaptureCompleted(resource) {
         const orderRef = db.collection('orders').doc(orderId);
         const doc = await orderRef.get();
         if (doc.exists) {
-            await orderRef.update({
-                ...updates,
-                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            const result = await transitionFromWebhook(orderRef, 'paid', {
+                by: actor('paypal', resource.id),
+                reason: 'PAYMENT.CAPTURE.COMPLETED webhook',
+                updates,
+                // Full record: this may run before capturePayPalOrder, which then skips its mirror write
+                mirrorUpdates: paidOrderMirror(orderId, doc.data(), updates)
             });
-            logger.info(`Order ${orderId} marked as paid via webhook`);
-            return orderId;
+            // Commit on a redelivery too: commitStock is idempotent, and a failure
+            // here fails the event so a replay can finish it
+            if (result.changed || result.outcome === 'already_applied') {
+                await commitStock(orderId, doc.data().items);
+            }
+            if (result.changed) {
+                logger.info(`Order ${orderId} marked as paid via webhook`);
+            }
+            return result;
         }
     }
 
@@ -143,25 +153,42 @@ async function handleCaptureDenied(resource) {
         const orderRef = db.collection('orders').doc(orderId);
         const doc = await orderRef.get();
         if (doc.exists) {
-            await orderRef.update({
-                status: 'payment_failed',
-                paymentError: 'Payment was denied by PayPal',
-                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            const result = await transitionFromWebhook(orderRef, 'payment_failed', {
+                by: actor('paypal', resource.id),
+                reason: 'PAYMENT.CAPTURE.DENIED webhook',
+                updates: { paymentError: 'Payment was denied by PayPal' }
             });
-            return orderId;
+            if (result.changed) {
+                await releaseReservation(orderId, 'payment_denied');
+                await releasePromotion(orderId, 'payment_denied');
+            }
+            return result;
         }
     }
     return null;
 }
 
+/**
+ * Get the capture ID a refund belongs to from its HATEOAS 'up' link
+ * @param {Object} refund - PayPal refund resource
+ * @returns {string|null}
+ */
+function getRefundCaptureId(refund) {
+    const upLink = (refund.links || []).find(link => link.rel === 'up');
+    const match = upLink?.href?.match(/\/captures\/([^/?]+)/);
+    return match ? match[1] : null;
+}
+
 /**
  * Handle PAYMENT.CAPTURE.REFUNDED event
+ * The resource is the refund; it is added to the order's refund ledger and the
+ * status is derived from the cumulative refunded total.
  */
 async function handleCaptureRefunded(resource) {
     logger.info(`Processing PAYMENT.CAPTURE.REFUNDED: ${resource.id}`);
 
-    const captureId = resource.id;
-    const refundAmount = parseFloat(resource.amount?.value || 0);
+    const refundId = resource.id;
+    const captureId = getRefundCaptureId(resource) || resource.id;
 
     // Find order by capture ID
     const ordersRef = db.collection('orders');
@@ -172,24 +199,91 @@ async function handleCaptureRefunded(resource) {
 
     if (!snapshot.empty) {
         const orderDoc = snapshot.docs[0];
-        const orderData = orderDoc.data();
-        const originalAmount = orderData.amountTotal || 0;
-        const isFullRefund = Math.abs(refundAmount - originalAmount) < 0.01;
-
-        await orderDoc.ref.update({
-            status: isFullRefund ? 'refunded' : 'partially_refunded',
-            refundedAmount: refundAmount,
-            refundedAt: admin.firestore.FieldValue.serverTimestamp(),
-            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+
+        const result = await recordRefund(orderDoc.ref, {
+            refundId,
+            amount: parseFloat(resource.amount?.value || 0),
+            currency: resource.amount?.currency_code || 'USD',
+            source: 'paypal_webhook',
+            reason: resource.note_to_payer || 'PAYMENT.CAPTURE.REFUNDED webhook',
+            by: actor('paypal', refundId)
         });
 
-        return orderDoc.id;
+        return {
+            orderId: orderDoc.id,
+            outcome: result.duplicate ? 'already_applied' : 'refund_recorded',
+            changed: !result.duplicate
+        };
     }
 
     logger.warn(`No order found for PayPal capture ID: ${captureId}`);
     return null;
 }
 
+/**
+ * Apply a PayPal event to Firestore
+ * @param {Object} event - PayPal webhook event
+ * @returns {Promise<{ status: string, outcome: string, orderId: string|null }>} Ledger result
+ */
+async function processWebhookEvent(event) {
+    const eventType = event.event_type;
+    const resource = event.resource || {};
+    let result;
+
+    switch (eventType) {
+        case 'PAYMENT.CAPTURE.COMPLETED':
+            result = await handleCaptureCompleted(resource);
+            break;
+        case 'PAYMENT.CAPTURE.DENIED':
+            result = await handleCaptureDenied(resource);
+            break;
+        case 'PAYMENT.CAPTURE.REFUNDED':
+            result = await handleCaptureRefunded(resource);
+            break;
+        case 'CHECKOUT.ORDER.APPROVED':
+            // Order approved but not yet captured — handled by capturePayPalOrder endpoint
+            logger.info(`Order approved: ${resource.id}`);
+            return { status: 'ignored', outcome: 'handled_by_capture_endpoint', orderId: null };
+        default:
+            logger.info(`Unhandled PayPal event type: ${eventType}`);
+            return { status: 'ignored', outcome: 'unhandled_type', orderId: null };
+    }
+
+    if (!result) {
+        return { status: 'ignored', outcome: 'order_not_found', orderId: null };
+    }
+    return {
+        status: result.changed ? 'processed' : 'ignored',
+        outcome: result.outcome,
+        orderId: result.orderId
+    };
+}
+
+/**
+ * Claim, process and record a single event in the webhookEvents ledger
+ * @param {Object} event - PayPal webhook event
+ * @param {Object} [options]
+ * @param {string} [options.source='webhook'] - 'webhook' or 'replay'
+ * @returns {Promise<Object>} Ledger result, or { duplicate: true, status } if the event was skipped
+ */
+async function handleWebhookEvent(event, { source = 'webhook' } = {}) {
+    const claim = await claimEvent(event, { source });
+    if (!claim.claimed) {
+        logger.info(`Skipping PayPal event ${event.id}: already ${claim.status}`);
+        return { duplicate: true, status: claim.status };
+    }
+
+    try {
+        const result = await processWebhookEvent(event);
+        await completeEvent(event.id, result);
+        return result;
+    } catch (error) {
+        await failEvent(event.id, error)
+            .catch(ledgerError => logger.error(`Failed to record failure for event ${event.id}:`, ledgerError));
+        throw error;
+    }
+}
+
 /**
  * Main webhook handler
  */
@@ -211,30 +305,15 @@ exports.paypalWebhook = onRequest({
         }
 
         const event = req.body;
-        const eventType = event.event_type;
-        const resource = event.resource;
-
-        logger.info(`Processing PayPal event: ${eventType} (${event.id})`);
-
-        switch (eventType) {
-            case 'PAYMENT.CAPTURE.COMPLETED':
-                await handleCaptureCompleted(resource);
-                break;
-            case 'PAYMENT.CAPTURE.DENIED':
-                await handleCaptureDenied(resource);
-                break;
-            case 'PAYMENT.CAPTURE.REFUNDED':
-                await handleCaptureRefunded(resource);
-                break;
-            case 'CHECKOUT.ORDER.APPROVED':
-                // Order approved but not yet captured — handled by capturePayPalOrder endpoint
-                logger.info(`Order approved: ${resource.id}`);
-                break;
-            default:
-                logger.info(`Unhandled PayPal event type: ${eventType}`);
+        if (!event || !event.id) {
+            return res.status(400).send('Missing event ID');
         }
 
-        return res.status(200).json({ received: true });
+        logger.info(`Processing PayPal event: ${event.event_type} (${event.id})`);
+
+        const result = await handleWebhookEvent(event);
+
+        return res.status(200).json({ received: true, duplicate: Boolean(result.duplicate) });
 
     } catch (error) {
         logger.error('Webhook error:', error.message);
@@ -242,3 +321,5 @@ exports.paypalWebhook = onRequest({
         return res.status(400).send(`Webhook Error: ${error.message}`);
     }
 });
+
+exports.handleWebhookEvent = handleWebhookEvent;
@@ -0,0 +1,129 @@
+/**
+ * Customer Pricing
+ * Pricing groups stored on users/{uid}.pricing. The distributor group unlocks
+ * Tier 2 prices (see shared/tierPricing.js); everyone else, guests included,
+ * gets the public tiers. Admins grant the group by approving a wholesale
+ * inquiry, optionally with negotiated per-product prices.
+ *
+ * users/{uid}.pricing:
+ *   group      - 'distributor'
+ *   prices     - { productId: unit price } replacing that product's Tier 2 price
+ *   inquiryId  - wholesale inquiry the group was granted from, if any
+ *   grantedBy, grantedAt, updatedAt
+ */
+
+const admin = require('firebase-admin');
+const { roundCurrency } = require('../shared/tierPricing');
+const { HttpError } = require('../shared/httpError');
+
+const db = admin.firestore();
+
+const PRICING_GROUPS = ['distributor'];
+const MAX_NEGOTIATED_PRICES = 100;
+
+/**
+ * Error raised when a pricing group change is invalid.
+ */
+class CustomerPricingError extends HttpError {}
+
+/**
+ * Load the pricing group of a signed-in customer
+ * @param {string|null} userId - Verified caller UID (null for guests)
+ * @returns {Promise<Object|null>} users/{uid}.pricing, or null for public pricing
+ */
+async function loadCustomerPricing(userId) {
+    if (!userId) return null;
+
+    const doc = await db.collection('users').doc(userId).get();
+    const pricing = doc.exists ? doc.data().pricing : null;
+    return pricing && PRICING_GROUPS.includes(pricing.group) ? pricing : null;
+}
+
+/**
+ * Validate negotiated prices
+ * @param {Object} [prices] - { productId: unit price }
+ * @returns {Object}
+ */
+function normalizePrices(prices) {
+    if (prices == null) return {};
+    if (typeof prices !== 'object' || Array.isArray(prices)) {
+        throw new CustomerPricingError('Negotiated prices must map product IDs to prices');
+    }
+
+    const entries = Object.entries(prices);
+    if (entries.length > MAX_NEGOTIATED_PRICES) {
+        throw new CustomerPricingError(`At most ${MAX_NEGOTIATED_PRICES} negotiated prices are allowed`);
+    }
+
+    return entries.reduce((normalized, [productId, value]) => {
+        const price = Number(value);
+        if (!/^[a-zA-Z0-9\-_]+$/.test(productId)) {
+            throw new CustomerPricingError(`Invalid product ID: ${productId}`);
+        }
+        if (!Number.isFinite(price) || price <= 0) {
+            throw new CustomerPricingError(`Negotiated price for ${productId} must be above zero`);
+        }
+        normalized[productId] = roundCurrency(price);
+        return normalized;
+    }, {});
+}
+
+/**
+ * Put a customer in a pricing group, replacing any negotiated prices
+ * @param {string} userId
+ * @param {Object} options
+ * @param {string} options.group - One of PRICING_GROUPS
+ * @param {Object} [options.prices] - Negotiated prices
+ * @param {string} [options.inquiryId] - Wholesale inquiry being approved
+ * @param {Object} options.by - Actor from orderState.actor()
+ * @returns {Promise<{ group: string, prices: Object }>}
+ */
+async function grantPricingGroup(userId, { group, prices, inquiryId = null, by }) {
+    if (!PRICING_GROUPS.includes(group)) {
+        throw new CustomerPricingError(`Unknown pricing group: ${group}`);
+    }
+    const negotiated = normalizePrices(prices);
+
+    const unknown = await missingProducts(Object.keys(negotiated));
+    if (unknown.length > 0) {
+        throw new CustomerPricingError(`Unknown product: ${unknown.join(', ')}`, 404);
+    }
+
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    await db.collection('users').doc(userId).set({
+        pricing: {
+            group,
+            prices: negotiated,
+            inquiryId,
+            grantedBy: by,
+            grantedAt: now,
+            updatedAt: now
+        }
+    }, { merge: true });
+
+    return { group, prices: negotiated };
+}
+
+/**
+ * Return a customer to public pricing
+ * @param {string} userId
+ */
+async function revokePricingGroup(userId) {
+    await db.collection('users').doc(userId).update({
+        pricing: admin.firestore.FieldValue.delete()
+    });
+}
+
+async function missingProducts(productIds) {
+    if (productIds.length === 0) return [];
+    const docs = await db.getAll(...productIds.map(id => db.collection('products').doc(id)));
+    return docs.filter(doc => !doc.exists).map(doc => doc.id);
+}
+
+module.exports = {
+    PRICING_GROUPS,
+    CustomerPricingError,
+    loadCustomerPricing,
+    grantPricingGroup,
+    revokePricingGroup
+};
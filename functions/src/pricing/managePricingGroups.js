@@ -0,0 +1,154 @@
+/**
+ * Manage Pricing Groups
+ * Admin callables to approve a wholesale inquiry (granting the account that
+ * verified the inquiry's email the distributor group, and optionally emailing them a quote of their
+ * prices) and to change or revoke a customer's group and negotiated prices.
+ * See customerPricing.js.
+ *
+ * Only callable by admin users.
+ */
+
+const admin = require('firebase-admin');
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const { logger } = require('firebase-functions');
+const { requireAdmin } = require('../auth/requireAdmin');
+const { actor } = require('../orders/orderState');
+const { sendLoggedEmail } = require('../mail/emailLog');
+const { getTiers } = require('../shared/tierPricing');
+const { findUserByEmail, loadInquiryGroup } = require('../wholesale/wholesaleInquiries');
+const { CustomerPricingError, grantPricingGroup, revokePricingGroup } = require('./customerPricing');
+
+const db = admin.firestore();
+
+function toHttpsError(error) {
+    if (error instanceof CustomerPricingError) {
+        if (error.statusCode === 404) return new HttpsError('not-found', error.message);
+        return new HttpsError('invalid-argument', error.message);
+    }
+    return error;
+}
+
+/**
+ * Quote lines for a new distributor: the Tier 2 price of every product that
+ * has one, or the negotiated price where one was agreed
+ * @param {Object} prices - Negotiated prices by product ID
+ * @returns {Promise<Array<{ name: string, listPrice: number, unitPrice: number, minQty: number, negotiated: boolean }>>}
+ */
+async function quoteLines(prices) {
+    const snapshot = await db.collection('products').orderBy('name').get();
+    const customer = { group: 'distributor', prices };
+
+    return snapshot.docs.map(doc => {
+        const product = { id: doc.id, ...doc.data() };
+        const tier = getTiers(product, customer).find(t => t.tier === 'wholesale2');
+        if (!tier) return null;
+        return {
+            name: product.name || doc.id,
+            listPrice: Number(product.price),
+            unitPrice: tier.unitPrice,
+            minQty: tier.minQty,
+            negotiated: prices[doc.id] !== undefined
+        };
+    }).filter(Boolean);
+}
+
+const approveWholesaleInquiry = onCall(async (request) => {
+    const uid = await requireAdmin(request, 'approve wholesale accounts');
+
+    const { inquiryId, prices, sendQuote = false, message } = request.data || {};
+    if (typeof inquiryId !== 'string' || !inquiryId) {
+        throw new HttpsError('invalid-argument', 'inquiryId is required.');
+    }
+
+    const group = await loadInquiryGroup(inquiryId);
+    if (!group) {
+        throw new HttpsError('not-found', 'Inquiry not found.');
+    }
+
+    const { inquiry, refs } = group;
+    // The account comes from the verified email, never from the inquiry's userId:
+    // whoever files an inquiry can type any company's address
+    const userId = await findUserByEmail(String(inquiry.email).toLowerCase(), { verifiedOnly: true });
+    if (!userId) {
+        throw new HttpsError('failed-precondition',
+            `${inquiry.email} has no verified account yet. Ask them to sign up and verify this email, then approve again.`);
+    }
+
+    let result;
+    try {
+        result = await grantPricingGroup(userId, {
+            group: 'distributor',
+            prices,
+            inquiryId,
+            by: actor('admin', uid)
+        });
+    } catch (error) {
+        throw toHttpsError(error);
+    }
+
+    // Every inquiry from this email is the same application
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    const batch = db.batch();
+    refs.forEach(ref => batch.update(ref, {
+        status: 'approved',
+        userId,
+        statusChangedAt: now,
+        statusChangedBy: request.auth.token.email || uid
+    }));
+    await batch.commit();
+
+    let quoteSent = false;
+    if (sendQuote) {
+        const note = typeof message === 'string' && message.trim() ? message.trim().substring(0, 2000) : null;
+        quoteSent = await sendLoggedEmail({
+            key: `wholesale_quote_${inquiryId}_${Date.now()}`,
+            template: 'wholesale_quote',
+            to: inquiry.email,
+            data: { inquiry, quote: { lines: await quoteLines(result.prices), message: note } },
+            context: { inquiryId, userId }
+        });
+        await db.collection('wholesaleInquiries').doc(inquiryId).update({ quoteSentAt: now });
+    }
+
+    logger.info(`Admin ${uid} approved wholesale inquiry ${inquiryId}; ${userId} is now a distributor`);
+
+    return { inquiryId, userId, email: inquiry.email, quoteSent, ...result };
+});
+
+const updateCustomerPricing = onCall(async (request) => {
+    const uid = await requireAdmin(request, 'change customer pricing');
+
+    const { userId, group, prices } = request.data || {};
+    if (typeof userId !== 'string' || !userId) {
+        throw new HttpsError('invalid-argument', 'userId is required.');
+    }
+
+    const userDoc = await db.collection('users').doc(userId).get();
+    if (!userDoc.exists) {
+        throw new HttpsError('not-found', 'Customer not found.');
+    }
+
+    if (!group) {
+        await revokePricingGroup(userId);
+        logger.info(`Admin ${uid} returned ${userId} to public pricing`);
+        return { userId, group: null, prices: {} };
+    }
+
+    let result;
+    try {
+        result = await grantPricingGroup(userId, {
+            group,
+            prices,
+            inquiryId: userDoc.data().pricing?.inquiryId || null,
+            by: actor('admin', uid)
+        });
+    } catch (error) {
+        throw toHttpsError(error);
+    }
+
+    logger.info(`Admin ${uid} set ${userId} to the ${group} pricing group`);
+
+    return { userId, ...result };
+});
+
+module.exports = { approveWholesaleInquiry, updateCustomerPricing };
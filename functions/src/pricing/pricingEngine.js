@@ -0,0 +1,156 @@
+/**
+ * Pricing Engine
+ * Server-side source of truth for order pricing. Loads each product from Firestore
+ * and applies its configured price tiers, so admin edits take effect at checkout
+ * without a redeploy. Tiers, including cart-wide volume tiers from
+ * settings/volumePricing, are worked out by the same module the site uses
+ * (shared/tierPricing.js), so the cart shows what checkout charges. Tier 2
+ * applies only to signed-in members of the distributor group (customerPricing.js).
+ */
+
+const admin = require('firebase-admin');
+const { priceLines, roundCurrency } = require('../shared/tierPricing');
+const { loadCustomerPricing } = require('./customerPricing');
+const { HttpError } = require('../shared/httpError');
+
+const db = admin.firestore();
+
+const MAX_LINE_QUANTITY = 1000;
+
+/**
+ * Error raised when a cart cannot be priced (unknown SKU, out of stock, bad quantity).
+ */
+class PricingError extends HttpError {}
+
+/**
+ * Normalize requested cart items into one line per product ID
+ * @param {Array} items - Raw items from the request body ({ id, quantity })
+ * @returns {Array<{ id: string, quantity: number }>}
+ */
+function normalizeItems(items) {
+    if (!Array.isArray(items) || items.length === 0) {
+        throw new PricingError('Cart items are required');
+    }
+
+    const quantities = new Map();
+    items.forEach(item => {
+        const id = typeof item?.id === 'string' ? item.id.replace('-wholesale', '').trim() : '';
+        const quantity = Number(item?.quantity);
+
+        if (!id || !/^[a-zA-Z0-9\-_]+$/.test(id)) {
+            throw new PricingError('Invalid product ID in cart');
+        }
+        if (!Number.isInteger(quantity) || quantity < 1) {
+            throw new PricingError(`Invalid quantity for ${id}`);
+        }
+
+        quantities.set(id, (quantities.get(id) || 0) + quantity);
+    });
+
+    return Array.from(quantities, ([id, quantity]) => {
+        if (quantity > MAX_LINE_QUANTITY) {
+            throw new PricingError(`Quantity for ${id} exceeds the maximum of ${MAX_LINE_QUANTITY}`);
+        }
+        return { id, quantity };
+    });
+}
+
+/**
+ * Load product documents for the given IDs
+ * @param {Array<string>} productIds - Product IDs
+ * @returns {Promise<Map<string, Object>>} Product data keyed by ID (missing products omitted)
+ */
+async function loadProducts(productIds) {
+    const refs = productIds.map(id => db.collection('products').doc(id));
+    const docs = await db.getAll(...refs);
+
+    const products = new Map();
+    docs.forEach(doc => {
+        if (doc.exists) {
+            products.set(doc.id, doc.data());
+        }
+    });
+    return products;
+}
+
+/**
+ * Load the cart-wide volume pricing rules (null uses the shared defaults)
+ * @returns {Promise<Object|null>}
+ */
+async function loadVolumePricing() {
+    const doc = await db.collection('settings').doc('volumePricing').get();
+    return doc.exists ? doc.data() : null;
+}
+
+/**
+ * Price a cart against the current Firestore catalog.
+ * Rejects unknown products and products that are out of stock.
+ * @param {Array} items - Cart items ({ id, quantity }); client-supplied prices are ignored
+ * @param {Object} [options]
+ * @param {string|null} [options.userId] - Verified caller, for their pricing group
+ * @returns {Promise<{ items: Array, subtotal: number, currency: string, pricingGroup: string|null }>}
+ */
+async function priceCart(items, { userId = null } = {}) {
+    const lines = normalizeItems(items);
+    const [products, volumePricing, customer] = await Promise.all([
+        loadProducts(lines.map(line => line.id)),
+        loadVolumePricing(),
+        loadCustomerPricing(userId)
+    ]);
+
+    lines.forEach(({ id }) => {
+        const product = products.get(id);
+        if (!product) {
+            throw new PricingError(`Unknown product: ${id}`);
+        }
+        if (product.inStock === false || product.stockLevel === 0) {
+            throw new PricingError(`${product.name || id} is out of stock`, 409);
+        }
+    });
+
+    const priced = priceLines(
+        lines.map(({ id, quantity }) => ({ id, quantity, product: products.get(id) })),
+        volumePricing,
+        customer
+    );
+
+    let subtotal = 0;
+
+    const pricedItems = priced.lines.map(({ id, quantity, unitPrice, listPrice, tier, volumeTier, savings }) => {
+        const product = products.get(id);
+        if (!Number.isFinite(unitPrice) || unitPrice <= 0) {
+            throw new PricingError(`Product ${id} has no valid price`, 500);
+        }
+
+        const lineTotal = roundCurrency(unitPrice * quantity);
+        subtotal += lineTotal;
+
+        return {
+            id,
+            sku: product.sku || product.priceId || null,
+            name: product.name || id,
+            image: product.image || '',
+            quantity,
+            price: unitPrice,
+            listPrice,
+            tier,
+            volumeTier,
+            savings,
+            lineTotal,
+            weightGrams: Number(product.weightGrams) || null
+        };
+    });
+
+    return {
+        items: pricedItems,
+        subtotal: roundCurrency(subtotal),
+        currency: 'USD',
+        pricingGroup: customer ? customer.group : null
+    };
+}
+
+module.exports = {
+    PricingError,
+    priceCart,
+    roundCurrency
+};
@@ -0,0 +1,324 @@
+/**
+ * Promotion Engine
+ * Validates discount codes from the `promotions` collection and calculates the
+ * discount for a server-priced cart. Each use is recorded in
+ * promotionRedemptions/{orderId} so usage limits hold under concurrent checkouts,
+ * and released again when the order never completes.
+ *
+ * promotions/{CODE}:
+ *   type             - 'percent' | 'fixed' | 'free_item' | 'product'
+ *   percentOff       - percent: % off the subtotal; product: % off each listed product
+ *   amountOff        - fixed: $ off the subtotal; product: $ off per unit of each listed product
+ *   productId        - free_item: product given free (must be in the cart)
+ *   quantity         - free_item: free units (default 1)
+ *   productName      - free_item: product name for customer messages
+ *   productIds       - product: products the discount applies to
+ *   description      - customer-facing summary
+ *   minSubtotal      - minimum pre-discount subtotal
+ *   maxRedemptions   - total uses allowed (omit for unlimited)
+ *   perCustomerLimit - uses per signed-in user or email (omit for unlimited)
+ *   redemptionCount  - active uses, maintained here
+ *   active, startsAt, expiresAt
+ */
+
+const admin = require('firebase-admin');
+const { logger } = require('firebase-functions');
+const { roundCurrency } = require('../pricing/pricingEngine');
+const { HttpError } = require('../shared/httpError');
+
+const db = admin.firestore();
+
+const PROMOTION_TYPES = ['percent', 'fixed', 'free_item', 'product'];
+
+/**
+ * Error raised when a code cannot be applied.
+ */
+class PromotionError extends HttpError {}
+
+/**
+ * Normalize a customer-typed code to its document ID
+ * @param {string} code
+ * @returns {string|null}
+ */
+function normalizeCode(code) {
+    if (typeof code !== 'string') return null;
+    const normalized = code.trim().toUpperCase();
+    return /^[A-Z0-9_-]{2,40}$/.test(normalized) ? normalized : null;
+}
+
+/**
+ * Key used for per-customer limits: the verified uid when signed in, else the email
+ * @param {Object} customer
+ * @param {string|null} [customer.userId]
+ * @param {string|null} [customer.email]
+ * @returns {string|null}
+ */
+function customerKey({ userId = null, email = null } = {}) {
+    if (userId) return `uid:${userId}`;
+    if (typeof email === 'string' && email.trim()) return `email:${email.trim().toLowerCase()}`;
+    return null;
+}
+
+/**
+ * Rule fields the storefront needs to show the discount as the cart changes.
+ * Usage counts and limits stay on the server.
+ * @param {Object} promotion - Promotion document data
+ * @returns {Object}
+ */
+function publicRule(promotion) {
+    return {
+        code: promotion.code,
+        type: promotion.type,
+        description: promotion.description || null,
+        percentOff: promotion.percentOff ?? null,
+        amountOff: promotion.amountOff ?? null,
+        productId: promotion.productId ?? null,
+        quantity: promotion.quantity ?? null,
+        productIds: promotion.productIds || [],
+        minSubtotal: promotion.minSubtotal ?? null
+    };
+}
+
+/**
+ * Calculate the discount a promotion gives a priced cart
+ * @param {Object} promotion - Promotion document data
+ * @param {Array<{ id: string, name: string, price: number, quantity: number, lineTotal: number }>} items - Priced items
+ * @param {number} subtotal - Pre-discount subtotal
+ * @returns {{ discount: number, lines: Array<{ id: string, discount: number }> }}
+ * @throws {PromotionError} If the cart does not qualify
+ */
+function calculateDiscount(promotion, items, subtotal) {
+    const percent = Math.min(Math.max(Number(promotion.percentOff) || 0, 0), 100);
+    const amount = Math.max(Number(promotion.amountOff) || 0, 0);
+    let lines = [];
+
+    switch (promotion.type) {
+        case 'percent':
+            lines = items.map(item => ({ id: item.id, discount: item.lineTotal * percent / 100 }));
+            break;
+
+        case 'fixed': {
+            // Spread across lines in proportion to their value, for refunds and reporting
+            const capped = Math.min(amount, subtotal);
+            lines = items.map(item => ({ id: item.id, discount: subtotal > 0 ? capped * item.lineTotal / subtotal : 0 }));
+            break;
+        }
+
+        case 'free_item': {
+            const line = items.find(item => item.id === promotion.productId);
+            if (!line) {
+                throw new PromotionError(`Add ${promotion.productName || promotion.productId} to your cart to use this code`);
+            }
+            const freeUnits = Math.min(Math.max(parseInt(promotion.quantity, 10) || 1, 1), line.quantity);
+            lines = [{ id: line.id, discount: line.price * freeUnits }];
+            break;
+        }
+
+        case 'product': {
+            const eligible = items.filter(item => (promotion.productIds || []).includes(item.id));
+            if (eligible.length === 0) {
+                throw new PromotionError('This code does not apply to any item in your cart');
+            }
+            lines = eligible.map(item => ({
+                id: item.id,
+                discount: percent > 0
+                    ? item.lineTotal * percent / 100
+                    : Math.min(amount * item.quantity, item.lineTotal)
+            }));
+            break;
+        }
+
+        default:
+            throw new PromotionError('This code is not valid', 500);
+    }
+
+    lines = lines
+        .map(line => ({ id: line.id, discount: roundCurrency(line.discount) }))
+        .filter(line => line.discount > 0);
+
+    const discount = roundCurrency(Math.min(lines.reduce((sum, line) => sum + line.discount, 0), subtotal));
+    return { discount, lines };
+}
+
+/**
+ * Check the promotion-level rules: active window, minimum subtotal and total usage
+ * @param {Object|null} promotion - Promotion document data, or null if not found
+ * @param {number} subtotal - Pre-discount subtotal
+ * @param {Date} [now]
+ * @throws {PromotionError} If the code cannot be used
+ */
+function checkPromotion(promotion, subtotal, now = new Date()) {
+    if (!promotion || promotion.active === false || !PROMOTION_TYPES.includes(promotion.type)) {
+        throw new PromotionError('This code is not valid');
+    }
+    if (promotion.startsAt && promotion.startsAt.toDate() > now) {
+        throw new PromotionError('This code is not active yet');
+    }
+    if (promotion.expiresAt && promotion.expiresAt.toDate() <= now) {
+        throw new PromotionError('This code has expired');
+    }
+
+    const minSubtotal = Number(promotion.minSubtotal) || 0;
+    if (subtotal < minSubtotal) {
+        throw new PromotionError(`This code needs a subtotal of at least $${minSubtotal.toFixed(2)}`);
+    }
+
+    const maxRedemptions = Number(promotion.maxRedemptions) || 0;
+    if (maxRedemptions > 0 && (Number(promotion.redemptionCount) || 0) >= maxRedemptions) {
+        throw new PromotionError('This code has reached its usage limit', 409);
+    }
+}
+
+/**
+ * Build the customer-usage query for a code
+ * @returns {FirebaseFirestore.Query}
+ */
+function customerRedemptionsQuery(code, key) {
+    return db.collection('promotionRedemptions')
+        .where('code', '==', code)
+        .where('customerKey', '==', key)
+        .where('status', '==', 'active');
+}
+
+function checkCustomerLimit(promotion, key, usedCount) {
+    const limit = Number(promotion.perCustomerLimit) || 0;
+    if (limit <= 0) return;
+
+    if (!key) {
+        throw new PromotionError('Sign in or enter your email to use this code');
+    }
+    if (usedCount >= limit) {
+        throw new PromotionError('You have already used this code', 409);
+    }
+}
+
+/**
+ * Validate a code against a cart without using it (for display before checkout)
+ * @param {string} code - Code as typed
+ * @param {Object} pricedCart - Result of pricingEngine.priceCart()
+ * @param {Object} [customer] - { userId, email } for per-customer limits
+ * @returns {Promise<{ rule: Object, discount: number, lines: Array }>}
+ * @throws {PromotionError} If the code cannot be applied
+ */
+async function previewPromotion(code, pricedCart, customer = {}) {
+    const normalized = normalizeCode(code);
+    if (!normalized) {
+        throw new PromotionError('This code is not valid');
+    }
+
+    const doc = await db.collection('promotions').doc(normalized).get();
+    const promotion = doc.exists ? { ...doc.data(), code: normalized } : null;
+    checkPromotion(promotion, pricedCart.subtotal);
+
+    const key = customerKey(customer);
+    if (Number(promotion.perCustomerLimit) > 0 && key) {
+        const used = await customerRedemptionsQuery(normalized, key).get();
+        checkCustomerLimit(promotion, key, used.size);
+    } else {
+        checkCustomerLimit(promotion, key, 0);
+    }
+
+    const { discount, lines } = calculateDiscount(promotion, pricedCart.items, pricedCart.subtotal);
+    return { rule: publicRule(promotion), discount, lines };
+}
+
+/**
+ * Use a code for a new order. Re-validates everything inside a transaction,
+ * increments the usage count and records promotionRedemptions/{orderId}.
+ * @param {string} orderId - Firestore order ID
+ * @param {string} code - Code as typed
+ * @param {Object} pricedCart - Result of pricingEngine.priceCart()
+ * @param {Object} [customer] - { userId, email } for per-customer limits
+ * @returns {Promise<{ code: string, type: string, description: string|null, discount: number, lines: Array }>}
+ * @throws {PromotionError} If the code cannot be applied
+ */
+async function redeemPromotion(orderId, code, pricedCart, customer = {}) {
+    const normalized = normalizeCode(code);
+    if (!normalized) {
+        throw new PromotionError('This code is not valid');
+    }
+
+    const key = customerKey(customer);
+    const promotionRef = db.collection('promotions').doc(normalized);
+    const redemptionRef = db.collection('promotionRedemptions').doc(orderId);
+
+    return db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(promotionRef);
+        const promotion = doc.exists ? { ...doc.data(), code: normalized } : null;
+        checkPromotion(promotion, pricedCart.subtotal);
+
+        let usedCount = 0;
+        if (Number(promotion.perCustomerLimit) > 0 && key) {
+            usedCount = (await transaction.get(customerRedemptionsQuery(normalized, key))).size;
+        }
+        checkCustomerLimit(promotion, key, usedCount);
+
+        const { discount, lines } = calculateDiscount(promotion, pricedCart.items, pricedCart.subtotal);
+
+        transaction.update(promotionRef, {
+            redemptionCount: admin.firestore.FieldValue.increment(1),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        transaction.create(redemptionRef, {
+            code: normalized,
+            orderId,
+            customerKey: key,
+            discount,
+            status: 'active',
+            createdAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        return {
+            code: normalized,
+            type: promotion.type,
+            description: promotion.description || null,
+            discount,
+            lines
+        };
+    });
+}
+
+/**
+ * Give back a code use when its order never completes (payment failed, cancelled, expired).
+ * No-op if the order used no code or it was already released.
+ * @param {string} orderId - Firestore order ID
+ * @param {string} reason - Why the use is released
+ * @returns {Promise<boolean>} true if a use was released
+ */
+async function releasePromotion(orderId, reason) {
+    const redemptionRef = db.collection('promotionRedemptions').doc(orderId);
+
+    const released = await db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(redemptionRef);
+        if (!doc.exists || doc.data().status !== 'active') {
+            return false;
+        }
+
+        transaction.update(db.collection('promotions').doc(doc.data().code), {
+            redemptionCount: admin.firestore.FieldValue.increment(-1),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        transaction.update(redemptionRef, {
+            status: 'released',
+            releaseReason: reason,
+            releasedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        return true;
+    });
+
+    if (released) {
+        logger.info(`Released promotion use for order ${orderId} (${reason})`);
+    }
+    return released;
+}
+
+module.exports = {
+    PROMOTION_TYPES,
+    PromotionError,
+    calculateDiscount,
+    customerKey,
+    normalizeCode,
+    previewPromotion,
+    redeemPromotion,
+    releasePromotion
+};
@@ -0,0 +1,58 @@
+/**
+ * Validate Promo Code
+ * Checks a discount code against the customer's cart so the storefront can show
+ * the discount before checkout. Nothing is reserved here; order creation
+ * re-validates and uses the code.
+ */
+
+const { onRequest } = require('firebase-functions/v2/https');
+const { logger } = require('firebase-functions');
+const { priceCart, roundCurrency } = require('../pricing/pricingEngine');
+const { getCallerUid } = require('../auth/getCallerUid');
+const { previewPromotion } = require('./promotionEngine');
+const cors = require('cors')({
+    origin: [
+        'https://apex-labs-18862.web.app',
+        'https://apex-labs-18862.firebaseapp.com',
+        'http://localhost:3000',
+        'http://localhost:5000',
+        'http://127.0.0.1:4173'
+    ]
+});
+
+exports.validatePromoCode = onRequest({
+    maxInstances: 10,
+    concurrency: 80
+}, (req, res) => {
+    cors(req, res, async () => {
+        if (req.method !== 'POST') {
+            return res.status(405).json({ error: 'Method not allowed' });
+        }
+
+        try {
+            const { code, items, customerEmail } = req.body;
+
+            const userId = await getCallerUid(req);
+            const pricedCart = await priceCart(items, { userId });
+            const { rule, discount, lines } = await previewPromotion(code, pricedCart, {
+                userId,
+                email: customerEmail
+            });
+
+            return res.status(200).json({
+                promotion: rule,
+                discount,
+                lines,
+                subtotal: pricedCart.subtotal,
+                total: roundCurrency(pricedCart.subtotal - discount)
+            });
+        } catch (error) {
+            if (!error.statusCode) {
+                logger.error('Error validating promo code:', error);
+            }
+            return res.status(error.statusCode || 500).json({
+                error: error.message || 'Failed to validate code'
+            });
+        }
+    });
+});
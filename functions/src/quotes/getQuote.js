@@ -0,0 +1,41 @@
+/**
+ * Get Quote
+ * Returns the quote a signed link points to, for the quote page. The link is
+ * the customer's only credential, so nothing here needs a sign-in.
+ */
+
+const { onRequest } = require('firebase-functions/v2/https');
+const { logger } = require('firebase-functions');
+const { loadQuoteByToken, publicQuote } = require('./quotes');
+const cors = require('cors')({
+    origin: [
+        'https://apex-labs-18862.web.app',
+        'https://apex-labs-18862.firebaseapp.com',
+        'http://localhost:3000',
+        'http://localhost:5000',
+        'http://127.0.0.1:4173'
+    ]
+});
+
+exports.getQuote = onRequest({
+    maxInstances: 10,
+    concurrency: 80
+}, (req, res) => {
+    cors(req, res, async () => {
+        if (req.method !== 'POST') {
+            return res.status(405).json({ error: 'Method not allowed' });
+        }
+
+        try {
+            const { quoteId, quote } = await loadQuoteByToken(req.body?.token);
+            return res.status(200).json(publicQuote(quoteId, quote));
+        } catch (error) {
+            if (!error.statusCode) {
+                logger.error('Error loading quote:', error);
+            }
+            return res.status(error.statusCode || 500).json({
+                error: error.message || 'Failed to load quote'
+            });
+        }
+    });
+});
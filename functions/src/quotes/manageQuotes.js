@@ -0,0 +1,171 @@
+/**
+ * Manage Quotes
+ * Admin callables to build, send and withdraw quotes. A quote is a draft until
+ * it is sent; sending emails the customer the signed quote link, which stays
+ * the same if the quote is edited afterwards. Accepted quotes are locked.
+ * See quotes.js.
+ *
+ * Only callable by admin users.
+ */
+
+const admin = require('firebase-admin');
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const { logger } = require('firebase-functions');
+const { requireAdmin } = require('../auth/requireAdmin');
+const { actor } = require('../orders/orderState');
+const { sendLoggedEmail } = require('../mail/emailLog');
+const { findUserByEmail } = require('../wholesale/wholesaleInquiries');
+const { MAX_TERMS_LENGTH, QuoteError, buildQuoteItems, quoteNumber } = require('./quotes');
+const { buildQuoteUrl } = require('./quoteLinks');
+
+const db = admin.firestore();
+
+const EDITABLE_STATUSES = ['draft', 'sent'];
+
+function toHttpsError(error) {
+    if (error instanceof QuoteError) {
+        if (error.statusCode === 404) return new HttpsError('not-found', error.message);
+        return new HttpsError('invalid-argument', error.message);
+    }
+    return error;
+}
+
+function optionalText(value, maxLength) {
+    return typeof value === 'string' && value.trim() ? value.trim().substring(0, maxLength) : null;
+}
+
+/**
+ * Parse the expiry date picked in the admin (YYYY-MM-DD); quotes run to the end of that day
+ * @param {string} value
+ * @returns {admin.firestore.Timestamp}
+ */
+function parseExpiry(value) {
+    const match = typeof value === 'string' && value.match(/^\d{4}-\d{2}-\d{2}$/);
+    const date = match ? new Date(`${value}T23:59:59.999Z`) : null;
+    if (!date || Number.isNaN(date.getTime())) {
+        throw new HttpsError('invalid-argument', 'expiresAt must be a date (YYYY-MM-DD).');
+    }
+    if (date.getTime() <= Date.now()) {
+        throw new HttpsError('invalid-argument', 'The expiry date must be in the future.');
+    }
+    return admin.firestore.Timestamp.fromDate(date);
+}
+
+async function loadEditableQuote(quoteId) {
+    if (typeof quoteId !== 'string' || !quoteId) {
+        throw new HttpsError('invalid-argument', 'quoteId is required.');
+    }
+
+    const ref = db.collection('quotes').doc(quoteId);
+    const doc = await ref.get();
+    if (!doc.exists) {
+        throw new HttpsError('not-found', 'Quote not found.');
+    }
+    if (!EDITABLE_STATUSES.includes(doc.data().status)) {
+        throw new HttpsError('failed-precondition', `This quote is ${doc.data().status} and can no longer be changed.`);
+    }
+    return { ref, quote: doc.data() };
+}
+
+const saveQuote = onCall(async (request) => {
+    const uid = await requireAdmin(request, 'build quotes');
+
+    const { quoteId, customerEmail, customerName, company, inquiryId, items, expiresAt, terms } = request.data || {};
+
+    const email = typeof customerEmail === 'string' ? customerEmail.trim() : '';
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+        throw new HttpsError('invalid-argument', 'A valid customer email is required.');
+    }
+
+    let built;
+    try {
+        built = await buildQuoteItems(items);
+    } catch (error) {
+        throw toHttpsError(error);
+    }
+
+    const fields = {
+        customerEmail: email,
+        customerName: optionalText(customerName, 100),
+        company: optionalText(company, 200),
+        userId: await findUserByEmail(email.toLowerCase()),
+        inquiryId: optionalText(inquiryId, 128),
+        items: built.items,
+        subtotal: built.subtotal,
+        currency: 'USD',
+        expiresAt: parseExpiry(expiresAt),
+        terms: optionalText(terms, MAX_TERMS_LENGTH) || '',
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+
+    let ref;
+    if (quoteId) {
+        ({ ref } = await loadEditableQuote(quoteId));
+        await ref.update(fields);
+    } else {
+        ref = db.collection('quotes').doc();
+        await ref.set({
+            ...fields,
+            number: quoteNumber(ref.id),
+            status: 'draft',
+            link: buildQuoteUrl(ref.id),
+            orderId: null,
+            createdBy: actor('admin', uid),
+            createdAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+    }
+
+    logger.info(`Admin ${uid} saved quote ${ref.id} for ${email} ($${built.subtotal.toFixed(2)})`);
+
+    return { quoteId: ref.id, number: quoteNumber(ref.id), subtotal: built.subtotal, link: buildQuoteUrl(ref.id) };
+});
+
+const sendQuote = onCall(async (request) => {
+    const uid = await requireAdmin(request, 'send quotes');
+
+    const { quoteId, message } = request.data || {};
+    const { ref, quote } = await loadEditableQuote(quoteId);
+    if (quote.expiresAt.toMillis() <= Date.now()) {
+        throw new HttpsError('failed-precondition', 'This quote has expired. Set a new expiry date before sending it.');
+    }
+
+    const link = buildQuoteUrl(ref.id);
+    const emailed = await sendLoggedEmail({
+        key: `quote_issued_${ref.id}_${Date.now()}`,
+        template: 'quote_issued',
+        to: quote.customerEmail,
+        data: { quote: { ...quote, number: quote.number || quoteNumber(ref.id) }, link, message: optionalText(message, 2000) },
+        context: { quoteId: ref.id, userId: quote.userId || null }
+    });
+
+    await ref.update({
+        status: 'sent',
+        sentAt: admin.firestore.FieldValue.serverTimestamp(),
+        sentBy: actor('admin', uid),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    logger.info(`Admin ${uid} sent quote ${ref.id} to ${quote.customerEmail}`);
+
+    return { quoteId: ref.id, link, emailed };
+});
+
+const cancelQuote = onCall(async (request) => {
+    const uid = await requireAdmin(request, 'withdraw quotes');
+
+    const { quoteId } = request.data || {};
+    const { ref } = await loadEditableQuote(quoteId);
+
+    await ref.update({
+        status: 'cancelled',
+        cancelledBy: actor('admin', uid),
+        cancelledAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    logger.info(`Admin ${uid} withdrew quote ${ref.id}`);
+
+    return { quoteId: ref.id, status: 'cancelled' };
+});
+
+module.exports = { saveQuote, sendQuote, cancelQuote };
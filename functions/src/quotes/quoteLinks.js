@@ -0,0 +1,54 @@
+/**
+ * Quote Links
+ * Signs the shareable link to a quote page with auth/signedTokens.js, so a link
+ * cannot be altered to open someone else's quote.
+ */
+
+const { createTokenSigner, siteUrl } = require('../auth/signedTokens');
+const { HttpError } = require('../shared/httpError');
+
+const signer = createTokenSigner({ secretEnv: 'QUOTE_LINK_SECRET', purpose: 'quote' });
+
+/**
+ * Error raised for a missing, malformed or forged quote token
+ */
+class QuoteLinkError extends HttpError {}
+
+/**
+ * Sign a quote ID
+ * @param {string} quoteId - quotes document ID
+ * @returns {string} Token for use in links
+ */
+function signQuoteToken(quoteId) {
+    return signer.sign(quoteId);
+}
+
+/**
+ * Check a token and return the quote ID it was signed for
+ * @param {string} token
+ * @returns {string} quotes document ID
+ * @throws {QuoteLinkError} If the token is malformed or the signature does not match
+ */
+function verifyQuoteToken(token) {
+    const quoteId = signer.verify(token);
+    if (!quoteId) {
+        throw new QuoteLinkError('This quote link is not valid');
+    }
+    return quoteId;
+}
+
+/**
+ * Build the link a customer opens to view and accept a quote
+ * @param {string} quoteId - quotes document ID
+ * @returns {string}
+ */
+function buildQuoteUrl(quoteId) {
+    return `${siteUrl()}/quote.html?t=${encodeURIComponent(signQuoteToken(quoteId))}`;
+}
+
+module.exports = {
+    QuoteLinkError,
+    buildQuoteUrl,
+    signQuoteToken,
+    verifyQuoteToken
+};
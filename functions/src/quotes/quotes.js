@@ -0,0 +1,294 @@
+/**
+ * Quotes
+ * Formal quotes for negotiated orders. Admins build a quote with custom
+ * per-line prices, an expiry and terms (manageQuotes.js) and share a signed
+ * link to it (quoteLinks.js). Accepting the quote places an order through the
+ * normal PayPal or manual-payment flow, priced at the quoted amounts:
+ * priceQuote() stands in for pricingEngine.priceCart(), and shipping and tax
+ * are worked out as for any other order.
+ *
+ * quotes/{quoteId}:
+ *   number         - customer-facing code ("Q-" and the end of the ID)
+ *   status         - draft, sent, accepted or cancelled; a sent quote past
+ *                    expiresAt can no longer be accepted
+ *   customerEmail, customerName, company
+ *   userId         - account the quote is for, if any; its orders are mirrored there
+ *   inquiryId      - wholesale inquiry the quote answers, if any
+ *   items[]        - id, sku, name, image, weightGrams, quantity, listPrice and
+ *                    price (the quoted unit price)
+ *   subtotal, currency
+ *   expiresAt, terms
+ *   orderId        - order placed from the quote while it is accepted
+ *   createdBy, createdAt, updatedAt, sentAt, acceptedAt, paidAt
+ */
+
+const admin = require('firebase-admin');
+const { roundCurrency } = require('../shared/tierPricing');
+const { verifyQuoteToken } = require('./quoteLinks');
+const { HttpError } = require('../shared/httpError');
+
+const db = admin.firestore();
+
+const QUOTE_STATUSES = ['draft', 'sent', 'accepted', 'cancelled'];
+const MAX_QUOTE_LINES = 50;
+const MAX_LINE_QUANTITY = 10000;
+const MAX_TERMS_LENGTH = 4000;
+
+/**
+ * Error raised when a quote is invalid or cannot be accepted.
+ */
+class QuoteError extends HttpError {}
+
+/**
+ * Customer-facing quote code
+ * @param {string} quoteId
+ * @returns {string}
+ */
+function quoteNumber(quoteId) {
+    return `Q-${quoteId.slice(-6).toUpperCase()}`;
+}
+
+/**
+ * Whether a quote's expiry has passed
+ * @param {Object} quote - Quote document data
+ * @param {number} [now] - Milliseconds since the epoch
+ * @returns {boolean}
+ */
+function isExpired(quote, now = Date.now()) {
+    return Boolean(quote.expiresAt && quote.expiresAt.toMillis() <= now);
+}
+
+/**
+ * Validate quote lines against the catalog
+ * @param {Array<{ id: string, quantity: number, price: number }>} lines - Quoted unit prices
+ * @returns {Promise<{ items: Array<Object>, subtotal: number }>}
+ */
+async function buildQuoteItems(lines) {
+    if (!Array.isArray(lines) || lines.length === 0) {
+        throw new QuoteError('A quote needs at least one line');
+    }
+    if (lines.length > MAX_QUOTE_LINES) {
+        throw new QuoteError(`A quote can have at most ${MAX_QUOTE_LINES} lines`);
+    }
+
+    const seen = new Set();
+    const normalized = lines.map(line => {
+        const id = typeof line?.id === 'string' ? line.id.trim() : '';
+        const quantity = Number(line?.quantity);
+        const price = Number(line?.price);
+
+        if (!id || !/^[a-zA-Z0-9\-_]+$/.test(id)) {
+            throw new QuoteError('Invalid product ID in quote');
+        }
+        if (seen.has(id)) {
+            throw new QuoteError(`${id} is quoted more than once`);
+        }
+        if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_LINE_QUANTITY) {
+            throw new QuoteError(`Quantity for ${id} must be between 1 and ${MAX_LINE_QUANTITY}`);
+        }
+        if (!Number.isFinite(price) || price <= 0) {
+            throw new QuoteError(`Quoted price for ${id} must be above zero`);
+        }
+        seen.add(id);
+        return { id, quantity, price: roundCurrency(price) };
+    });
+
+    const docs = await db.getAll(...normalized.map(line => db.collection('products').doc(line.id)));
+    const unknown = docs.filter(doc => !doc.exists).map(doc => doc.id);
+    if (unknown.length > 0) {
+        throw new QuoteError(`Unknown product: ${unknown.join(', ')}`, 404);
+    }
+
+    let subtotal = 0;
+    const items = normalized.map((line, index) => {
+        const product = docs[index].data();
+        subtotal += roundCurrency(line.price * line.quantity);
+        return {
+            id: line.id,
+            sku: product.sku || product.priceId || null,
+            name: product.name || line.id,
+            image: product.image || '',
+            weightGrams: Number(product.weightGrams) || null,
+            quantity: line.quantity,
+            listPrice: Number(product.price) || null,
+            price: line.price
+        };
+    });
+
+    return { items, subtotal: roundCurrency(subtotal) };
+}
+
+/**
+ * Load the quote a signed link points to
+ * @param {string} token - Token from the quote link
+ * @returns {Promise<{ quoteId: string, quote: Object }>}
+ * @throws {QuoteLinkError|QuoteError} If the token is invalid or the quote is gone
+ */
+async function loadQuoteByToken(token) {
+    const quoteId = verifyQuoteToken(token);
+    const doc = await db.collection('quotes').doc(quoteId).get();
+    if (!doc.exists || doc.data().status === 'draft') {
+        throw new QuoteError('This quote is no longer available', 404);
+    }
+    return { quoteId, quote: doc.data() };
+}
+
+/**
+ * Why a quote cannot be accepted, if it cannot
+ * @param {Object} quote - Quote document data
+ * @returns {string|null}
+ */
+function acceptanceProblem(quote) {
+    if (quote.status === 'accepted') return 'This quote has already been accepted';
+    if (quote.status === 'cancelled') return 'This quote has been withdrawn';
+    if (quote.status !== 'sent') return 'This quote is not open for acceptance';
+    if (isExpired(quote)) return 'This quote has expired. Contact us for an updated quote.';
+    return null;
+}
+
+/**
+ * Price an order at a quote's amounts
+ * @param {string} token - Token from the quote link
+ * @returns {Promise<{ quoteId: string, quote: Object, pricedCart: Object }>}
+ *     pricedCart has the shape of pricingEngine.priceCart()'s result
+ * @throws {QuoteError} If the quote cannot be accepted
+ */
+async function priceQuote(token) {
+    const { quoteId, quote } = await loadQuoteByToken(token);
+    const problem = acceptanceProblem(quote);
+    if (problem) {
+        throw new QuoteError(problem, 409);
+    }
+
+    const items = quote.items.map(item => {
+        const listPrice = item.listPrice || item.price;
+        return {
+            id: item.id,
+            sku: item.sku,
+            name: item.name,
+            image: item.image,
+            quantity: item.quantity,
+            price: item.price,
+            listPrice,
+            tier: 'quote',
+            volumeTier: null,
+            savings: Math.max(0, roundCurrency((listPrice - item.price) * item.quantity)),
+            lineTotal: roundCurrency(item.price * item.quantity),
+            weightGrams: item.weightGrams
+        };
+    });
+
+    return {
+        quoteId,
+        quote,
+        pricedCart: {
+            items,
+            subtotal: quote.subtotal,
+            currency: quote.currency || 'USD',
+            pricingGroup: null
+        }
+    };
+}
+
+/**
+ * Mark a quote accepted by a new order, so it cannot be accepted twice
+ * @param {string} quoteId
+ * @param {string} orderId - Order being placed from the quote
+ * @param {Object} [options]
+ * @param {string} [options.paymentMethod]
+ * @throws {QuoteError} If the quote was accepted, withdrawn or expired meanwhile
+ */
+async function claimQuote(quoteId, orderId, { paymentMethod = null } = {}) {
+    const ref = db.collection('quotes').doc(quoteId);
+
+    await db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(ref);
+        const problem = doc.exists ? acceptanceProblem(doc.data()) : 'This quote is no longer available';
+        if (problem) {
+            throw new QuoteError(problem, 409);
+        }
+
+        const now = admin.firestore.FieldValue.serverTimestamp();
+        transaction.update(ref, {
+            status: 'accepted',
+            orderId,
+            paymentMethod,
+            acceptedAt: now,
+            updatedAt: now
+        });
+    });
+}
+
+/**
+ * Reopen a quote whose order was never paid
+ * @param {string} quoteId
+ * @param {string} orderId - The order that accepted it
+ * @param {string} reason - Why the order fell through
+ * @returns {Promise<boolean>} Whether the quote was reopened
+ */
+async function releaseQuote(quoteId, orderId, reason) {
+    const ref = db.collection('quotes').doc(quoteId);
+
+    return db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(ref);
+        if (!doc.exists) return false;
+
+        const quote = doc.data();
+        if (quote.status !== 'accepted' || quote.orderId !== orderId) return false;
+
+        transaction.update(ref, {
+            status: 'sent',
+            orderId: null,
+            paymentMethod: null,
+            acceptedAt: null,
+            releasedOrder: { orderId, reason },
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        return true;
+    });
+}
+
+/**
+ * What the quote page shows the customer
+ * @param {string} quoteId
+ * @param {Object} quote - Quote document data
+ * @returns {Object}
+ */
+function publicQuote(quoteId, quote) {
+    const expired = quote.status === 'sent' && isExpired(quote);
+    return {
+        number: quote.number || quoteNumber(quoteId),
+        status: expired ? 'expired' : quote.status,
+        customerName: quote.customerName || null,
+        customerEmail: quote.customerEmail,
+        company: quote.company || null,
+        items: quote.items.map(item => ({
+            id: item.id,
+            name: item.name,
+            image: item.image,
+            quantity: item.quantity,
+            price: item.price,
+            listPrice: item.listPrice
+        })),
+        subtotal: quote.subtotal,
+        currency: quote.currency || 'USD',
+        terms: quote.terms || '',
+        expiresAt: quote.expiresAt ? quote.expiresAt.toDate().toISOString() : null,
+        sentAt: quote.sentAt ? quote.sentAt.toDate().toISOString() : null,
+        acceptable: acceptanceProblem(quote) === null
+    };
+}
+
+module.exports = {
+    QUOTE_STATUSES,
+    MAX_TERMS_LENGTH,
+    QuoteError,
+    quoteNumber,
+    isExpired,
+    buildQuoteItems,
+    loadQuoteByToken,
+    priceQuote,
+    claimQuote,
+    releaseQuote,
+    publicQuote
+};
@@ -0,0 +1,54 @@
+/**
+ * Sync Quote Order
+ * Keeps a quote in step with the order placed from it: paying the order
+ * records paidAt on the quote, and an order that is cancelled or expires
+ * unpaid reopens the quote so the customer can accept it again (until its
+ * own expiry).
+ */
+
+const admin = require('firebase-admin');
+const { onDocumentUpdated } = require('firebase-functions/v2/firestore');
+const { logger } = require('firebase-functions');
+const { releaseQuote } = require('./quotes');
+
+const db = admin.firestore();
+
+const RELEASING_STATUSES = ['cancelled', 'expired'];
+
+exports.syncQuoteOrder = onDocumentUpdated('orders/{orderId}', async (event) => {
+    const before = event.data.before.data();
+    const after = event.data.after.data();
+    if (!after.quoteId || before.status === after.status) return;
+
+    const orderId = event.params.orderId;
+
+    if (after.status === 'paid') {
+        const ref = db.collection('quotes').doc(after.quoteId);
+        await db.runTransaction(async (transaction) => {
+            const doc = await transaction.get(ref);
+            if (!doc.exists) return;
+
+            const updates = {
+                paidAt: admin.firestore.FieldValue.serverTimestamp(),
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            };
+            // Paid after expiring: the quote was reopened, so close it again
+            if (doc.data().status === 'sent') {
+                Object.assign(updates, { status: 'accepted', orderId, acceptedAt: updates.paidAt });
+            } else if (doc.data().orderId !== orderId) {
+                logger.warn(`Order ${orderId} paid for quote ${after.quoteId}, which order ${doc.data().orderId} accepted`);
+            }
+            transaction.update(ref, updates);
+        });
+        logger.info(`Quote ${after.quoteId} paid by order ${orderId}`);
+        return;
+    }
+
+    // A cancelled order that was paid keeps its quote; only unpaid orders hand it back
+    if (RELEASING_STATUSES.includes(after.status) && !after.paidAt) {
+        const released = await releaseQuote(after.quoteId, orderId, `order_${after.status}`);
+        if (released) {
+            logger.info(`Quote ${after.quoteId} reopened: order ${orderId} ${after.status}`);
+        }
+    }
+});
@@ -0,0 +1,155 @@
+/**
+ * Payment Matching
+ * Pairs incoming statement rows with unpaid manual orders. A row matches an order
+ * when the amount is exact and either the memo carries the order reference or the
+ * payment landed within the date window after the order was placed.
+ *
+ * Every row comes back as:
+ *   matched   - one clear order; ready to confirm
+ *   ambiguous - several plausible orders, or a reference hit with the wrong amount
+ *   unmatched - no plausible order
+ */
+
+const DEFAULT_DATE_WINDOW_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Order references a customer may write in the payment memo: the order's
+ * reference code ("APX-7K3Q"), the full document ID, and the "APX-XXXXXXXX"
+ * form shown to customers before reference codes existed
+ * @param {{ id: string, reference?: string }} order
+ * @returns {string[]} Uppercased references
+ */
+function orderReferences(order) {
+    const suffix = order.id.slice(-8).toUpperCase();
+    const references = [order.id.toUpperCase(), `APX-${suffix}`, `APX${suffix}`, suffix];
+    if (order.reference) {
+        const code = order.reference.toUpperCase();
+        references.unshift(code, code.replace('-', ''), code.replace(/^APX-/, 'APX '));
+    }
+    return references;
+}
+
+function memoMentionsOrder(memo, order) {
+    if (!memo) return false;
+    const normalized = memo.toUpperCase();
+    return orderReferences(order).some(ref => {
+        const index = normalized.indexOf(ref);
+        if (index === -1) return false;
+        // Whole-token match only, so a short suffix cannot hit inside a longer word
+        const before = normalized[index - 1];
+        const after = normalized[index + ref.length];
+        return !/[A-Z0-9]/.test(before || '') && !/[A-Z0-9]/.test(after || '');
+    });
+}
+
+/**
+ * Score one order as the source of one statement row
+ * @returns {{ score: number, reasons: string[], amountMatches: boolean, referenceMatches: boolean, inWindow: boolean }}
+ */
+function scoreCandidate(row, order, dateWindowDays) {
+    const reasons = [];
+    const amountMatches = Math.abs((Number(order.amountTotal) || 0) - row.amount) < 0.005;
+    const referenceMatches = memoMentionsOrder(row.memo, order);
+
+    // A day of slack before the order covers statement dates without a time of day
+    const placed = order.createdAt ? order.createdAt.getTime() : null;
+    const inWindow = placed !== null &&
+        row.date.getTime() >= placed - DAY_MS &&
+        row.date.getTime() <= placed + dateWindowDays * DAY_MS;
+
+    let score = 0;
+    if (referenceMatches) {
+        score += 3;
+        reasons.push('reference');
+    }
+    if (amountMatches) {
+        score += 2;
+        reasons.push('amount');
+    }
+    if (inWindow) {
+        score += 1;
+        reasons.push('date');
+    }
+    if (row.payerName && order.customerName &&
+        row.payerName.trim().toLowerCase() === order.customerName.trim().toLowerCase()) {
+        score += 1;
+        reasons.push('name');
+    }
+
+    return { score, reasons, amountMatches, referenceMatches, inWindow };
+}
+
+/**
+ * Match statement rows against unpaid orders
+ * @param {Array<{ id: string, date: Date, amount: number, memo: string, payerName: string|null }>} rows
+ * @param {Array<{ id: string, reference?: string, amountTotal: number, createdAt: Date|null, customerEmail?: string, customerName?: string, status: string }>} orders
+ * @param {Object} [options]
+ * @param {number} [options.dateWindowDays=7] - Days after an order within which its payment is expected
+ * @returns {Array<{ rowId: string, status: string, suggestedOrderId: string|null, candidates: Array }>}
+ */
+function matchPayments(rows, orders, { dateWindowDays = DEFAULT_DATE_WINDOW_DAYS } = {}) {
+    const results = rows.map(row => {
+        const candidates = orders
+            .map(order => ({ order, ...scoreCandidate(row, order, dateWindowDays) }))
+            // Worth a human look: right reference, or right amount at the right time
+            .filter(c => c.referenceMatches || (c.amountMatches && c.inWindow))
+            .sort((a, b) => b.score - a.score);
+
+        const exactByReference = candidates.filter(c => c.referenceMatches && c.amountMatches);
+        const byAmountAndDate = candidates.filter(c => c.amountMatches && c.inWindow);
+
+        let status = 'unmatched';
+        let suggested = null;
+
+        if (exactByReference.length === 1) {
+            status = 'matched';
+            suggested = exactByReference[0];
+        } else if (exactByReference.length === 0 && byAmountAndDate.length === 1 &&
+            !candidates.some(c => c.referenceMatches)) {
+            status = 'matched';
+            suggested = byAmountAndDate[0];
+        } else if (candidates.length > 0) {
+            status = 'ambiguous';
+            suggested = candidates[0];
+        }
+
+        return {
+            rowId: row.id,
+            status,
+            suggestedOrderId: suggested ? suggested.order.id : null,
+            candidates: candidates.slice(0, 5).map(c => ({
+                orderId: c.order.id,
+                reference: c.order.reference || null,
+                orderStatus: c.order.status,
+                amountTotal: c.order.amountTotal,
+                customerEmail: c.order.customerEmail || null,
+                customerName: c.order.customerName || null,
+                createdAt: c.order.createdAt || null,
+                score: c.score,
+                reasons: c.reasons
+            }))
+        };
+    });
+
+    // Two payments claiming the same order need a human to decide which one paid it
+    const claims = {};
+    results.forEach(result => {
+        if (result.status === 'matched') {
+            claims[result.suggestedOrderId] = (claims[result.suggestedOrderId] || 0) + 1;
+        }
+    });
+    results.forEach(result => {
+        if (result.status === 'matched' && claims[result.suggestedOrderId] > 1) {
+            result.status = 'ambiguous';
+        }
+    });
+
+    return results;
+}
+
+module.exports = {
+    DEFAULT_DATE_WINDOW_DAYS,
+    matchPayments,
+    memoMentionsOrder
+};
@@ -0,0 +1,365 @@
+/**
+ * Payment Reconciliation
+ * Admin workflow for Zelle/CashApp orders: import a CSV statement, auto-match its
+ * incoming payments to unpaid orders, then review and confirm. Confirming moves the
+ * order to 'paid' with the matching statement row recorded on it.
+ *
+ * Collections:
+ *   paymentImports/{importId}          - one per uploaded statement, with match counts
+ *   paymentTransactions/{transactionId} - one per statement row; the ID is stable across
+ *                                        imports, so overlapping statements do not duplicate rows
+ *
+ * Only callable by admin users.
+ */
+
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const admin = require('firebase-admin');
+const { logger } = require('firebase-functions');
+const { requireAdmin } = require('../auth/requireAdmin');
+const { OrderStateError, actor } = require('../orders/orderState');
+const { commitStock } = require('../inventory/inventory');
+const { MANUAL_PAYMENT_METHODS, recordManualPayment } = require('../orders/manualPayments');
+const { findOrderIdByReference } = require('../orders/orderReference');
+const { parseStatement } = require('./statementParser');
+const { DEFAULT_DATE_WINDOW_DAYS, matchPayments } = require('./matchPayments');
+
+const db = admin.firestore();
+
+const MAX_CSV_LENGTH = 2 * 1024 * 1024;
+const MAX_CANDIDATE_ORDERS = 1000;
+const BATCH_SIZE = 400;
+const STOCK_COMMIT_ATTEMPTS = 3;
+
+/** Orders that can still receive a manual payment */
+const UNPAID_STATUSES = ['pending_payment', 'expired'];
+
+/** Transaction statuses that are still open for review */
+const OPEN_STATUSES = ['matched', 'ambiguous', 'unmatched'];
+
+function toIso(value) {
+    if (!value) return null;
+    return (typeof value.toDate === 'function' ? value.toDate() : value).toISOString();
+}
+
+function serializeTransaction(doc) {
+    const data = doc.data();
+    return {
+        transactionId: doc.id,
+        importId: data.importId,
+        method: data.method,
+        date: toIso(data.date),
+        amount: data.amount,
+        memo: data.memo || '',
+        reference: data.reference || null,
+        payerName: data.payerName || null,
+        status: data.status,
+        suggestedOrderId: data.suggestedOrderId || null,
+        orderId: data.orderId || null,
+        candidates: (data.candidates || []).map(c => ({ ...c, createdAt: toIso(c.createdAt) })),
+        note: data.note || null
+    };
+}
+
+/**
+ * Load the IDs among `ids` that already exist in paymentTransactions
+ * @param {string[]} ids
+ * @returns {Promise<Set<string>>}
+ */
+async function findExistingTransactions(ids) {
+    const existing = new Set();
+    for (let i = 0; i < ids.length; i += 300) {
+        const refs = ids.slice(i, i + 300).map(id => db.collection('paymentTransactions').doc(id));
+        const docs = refs.length > 0 ? await db.getAll(...refs) : [];
+        docs.forEach(doc => {
+            if (doc.exists) existing.add(doc.id);
+        });
+    }
+    return existing;
+}
+
+/**
+ * Load unpaid orders for a payment method in the shape matchPayments() expects
+ * @param {string} method
+ * @returns {Promise<Array<Object>>}
+ */
+async function loadUnpaidOrders(method) {
+    const snapshot = await db.collection('orders')
+        .where('paymentMethod', '==', method)
+        .where('status', 'in', UNPAID_STATUSES)
+        .limit(MAX_CANDIDATE_ORDERS)
+        .get();
+
+    return snapshot.docs.map(doc => {
+        const data = doc.data();
+        return {
+            id: doc.id,
+            reference: data.reference || null,
+            status: data.status,
+            amountTotal: Number(data.amountTotal) || 0,
+            createdAt: data.createdAt ? data.createdAt.toDate() : null,
+            customerEmail: data.customerEmail || null,
+            customerName: data.customerName || null
+        };
+    });
+}
+
+const importPaymentStatement = onCall(async (request) => {
+    const uid = await requireAdmin(request, 'import payment statements');
+
+    const { method, fileName, csv, dateWindowDays } = request.data || {};
+    if (!MANUAL_PAYMENT_METHODS.includes(method)) {
+        throw new HttpsError('invalid-argument', `method must be one of: ${MANUAL_PAYMENT_METHODS.join(', ')}.`);
+    }
+    if (typeof csv !== 'string' || !csv.trim()) {
+        throw new HttpsError('invalid-argument', 'csv is required.');
+    }
+    if (csv.length > MAX_CSV_LENGTH) {
+        throw new HttpsError('invalid-argument', 'Statement file is too large.');
+    }
+
+    const windowDays = Math.min(Math.max(parseInt(dateWindowDays, 10) || DEFAULT_DATE_WINDOW_DAYS, 1), 30);
+
+    let parsed;
+    try {
+        parsed = parseStatement(csv, method);
+    } catch (error) {
+        throw new HttpsError('invalid-argument', error.message);
+    }
+
+    const existing = await findExistingTransactions(parsed.rows.map(row => row.id));
+    const newRows = parsed.rows.filter(row => !existing.has(row.id));
+
+    const orders = await loadUnpaidOrders(method);
+    const matches = matchPayments(newRows, orders, { dateWindowDays: windowDays });
+
+    const importRef = db.collection('paymentImports').doc();
+    const counts = { matched: 0, ambiguous: 0, unmatched: 0 };
+    const now = admin.firestore.FieldValue.serverTimestamp();
+
+    for (let i = 0; i < newRows.length; i += BATCH_SIZE) {
+        const batch = db.batch();
+        newRows.slice(i, i + BATCH_SIZE).forEach((row, offset) => {
+            const match = matches[i + offset];
+            counts[match.status]++;
+
+            batch.set(db.collection('paymentTransactions').doc(row.id), {
+                importId: importRef.id,
+                method,
+                date: admin.firestore.Timestamp.fromDate(row.date),
+                amount: row.amount,
+                currency: 'USD',
+                memo: row.memo,
+                reference: row.reference,
+                payerName: row.payerName,
+                line: row.line,
+                status: match.status,
+                suggestedOrderId: match.suggestedOrderId,
+                candidates: match.candidates.map(c => ({
+                    ...c,
+                    createdAt: c.createdAt ? admin.firestore.Timestamp.fromDate(c.createdAt) : null
+                })),
+                orderId: null,
+                createdAt: now,
+                updatedAt: now
+            });
+        });
+        await batch.commit();
+    }
+
+    const summary = {
+        rowCount: parsed.rows.length + parsed.skipped + parsed.errors.length,
+        imported: newRows.length,
+        duplicates: existing.size,
+        skipped: parsed.skipped,
+        errors: parsed.errors.slice(0, 20),
+        ...counts
+    };
+
+    await importRef.set({
+        ...summary,
+        method,
+        fileName: typeof fileName === 'string' ? fileName.substring(0, 200) : null,
+        dateWindowDays: windowDays,
+        createdBy: uid,
+        createdAt: now
+    });
+
+    logger.info(`Admin ${uid} imported ${method} statement ${importRef.id}: ${newRows.length} new row(s), ${counts.matched} matched, ${counts.ambiguous} ambiguous`);
+
+    return { importId: importRef.id, ...summary };
+});
+
+const listPaymentTransactions = onCall(async (request) => {
+    await requireAdmin(request, 'list payment transactions');
+
+    const status = request.data?.status || 'matched';
+    const limit = Math.min(Math.max(parseInt(request.data?.limit, 10) || 100, 1), 500);
+
+    const snapshot = await db.collection('paymentTransactions')
+        .where('status', '==', status)
+        .orderBy('date', 'desc')
+        .limit(limit)
+        .get();
+
+    return { transactions: snapshot.docs.map(serializeTransaction) };
+});
+
+const confirmPaymentMatch = onCall(async (request) => {
+    const uid = await requireAdmin(request, 'confirm payments');
+
+    const { transactionId } = request.data || {};
+    if (typeof transactionId !== 'string' || !transactionId) {
+        throw new HttpsError('invalid-argument', 'transactionId is required.');
+    }
+
+    const transactionRef = db.collection('paymentTransactions').doc(transactionId);
+
+    // Admins may type either the Firestore order ID or its APX- reference
+    let orderId = typeof request.data.orderId === 'string' ? request.data.orderId.trim() : null;
+    if (orderId && /^apx/i.test(orderId)) {
+        orderId = await findOrderIdByReference(orderId);
+        if (!orderId) {
+            throw new HttpsError('not-found', `No order with reference ${request.data.orderId}.`);
+        }
+    }
+
+    // Claim the row first so two admins cannot apply one payment to two orders
+    const claim = await db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(transactionRef);
+        if (!doc.exists) {
+            throw new HttpsError('not-found', `No payment transaction ${transactionId}.`);
+        }
+
+        const data = doc.data();
+        if (!OPEN_STATUSES.includes(data.status)) {
+            throw new HttpsError('failed-precondition', `Transaction ${transactionId} is already ${data.status}.`);
+        }
+
+        const chosenOrderId = orderId || data.suggestedOrderId;
+        if (typeof chosenOrderId !== 'string' || !chosenOrderId) {
+            throw new HttpsError('invalid-argument', 'Choose an order for this payment.');
+        }
+
+        transaction.update(transactionRef, {
+            status: 'confirming',
+            orderId: chosenOrderId,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        return { ...data, orderId: chosenOrderId };
+    });
+
+    const restore = () => transactionRef.update({
+        status: claim.status,
+        orderId: null,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    const orderRef = db.collection('orders').doc(claim.orderId);
+    let paid;
+
+    try {
+        const orderDoc = await orderRef.get();
+        if (!orderDoc.exists) {
+            throw new HttpsError('not-found', `Order ${claim.orderId} not found.`);
+        }
+        const order = orderDoc.data();
+        if (order.paymentMethod !== claim.method) {
+            throw new HttpsError('failed-precondition', `Order ${claim.orderId} was placed with ${order.paymentMethod}, not ${claim.method}.`);
+        }
+        if (Math.abs((Number(order.amountTotal) || 0) - claim.amount) >= 0.005) {
+            throw new HttpsError('failed-precondition',
+                `Payment of $${claim.amount.toFixed(2)} does not equal the order total of $${(Number(order.amountTotal) || 0).toFixed(2)}.`);
+        }
+
+        paid = await recordManualPayment(orderRef, {
+            by: actor('admin', uid),
+            reason: `Matched ${claim.method} payment${claim.reference ? ` ${claim.reference}` : ''} from statement import`,
+            payment: {
+                method: 'statement_import',
+                transactionId,
+                importId: claim.importId,
+                reference: claim.reference || null,
+                amount: claim.amount,
+                date: claim.date,
+                memo: claim.memo || null,
+                payerName: claim.payerName || null
+            }
+        });
+
+        if (!paid.changed) {
+            throw new HttpsError('already-exists', `Order ${claim.orderId} is already paid.`);
+        }
+    } catch (error) {
+        // Only reached while the order is still unpaid, so the row can be matched again
+        await restore().catch(restoreError => logger.error(`Failed to reopen payment transaction ${transactionId}:`, restoreError));
+        if (error instanceof OrderStateError) {
+            throw new HttpsError(error.statusCode === 404 ? 'not-found' : 'failed-precondition', error.message);
+        }
+        throw error;
+    }
+
+    await transactionRef.update({
+        status: 'confirmed',
+        confirmedBy: uid,
+        confirmedAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    logger.info(`Admin ${uid} confirmed payment transaction ${transactionId} for order ${claim.orderId}`);
+
+    // The order is paid and the row confirmed whatever happens here; commitStock is
+    // idempotent, so a failed attempt is simply tried again
+    for (let attempt = 1; ; attempt++) {
+        try {
+            await commitStock(claim.orderId, paid.items);
+            break;
+        } catch (error) {
+            logger.error(`Stock commit attempt ${attempt} failed for order ${claim.orderId}:`, error);
+            if (attempt >= STOCK_COMMIT_ATTEMPTS) {
+                await transactionRef.update({ stockCommitError: error.message })
+                    .catch(updateError => logger.error(`Failed to flag payment transaction ${transactionId}:`, updateError));
+                throw new HttpsError('internal',
+                    `Order ${claim.orderId} is paid, but its stock could not be committed: ${error.message}`);
+            }
+        }
+    }
+
+    return { transactionId, orderId: claim.orderId, status: 'paid' };
+});
+
+const ignorePaymentTransaction = onCall(async (request) => {
+    const uid = await requireAdmin(request, 'ignore payment transactions');
+
+    const { transactionId, note } = request.data || {};
+    if (typeof transactionId !== 'string' || !transactionId) {
+        throw new HttpsError('invalid-argument', 'transactionId is required.');
+    }
+
+    const transactionRef = db.collection('paymentTransactions').doc(transactionId);
+
+    await db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(transactionRef);
+        if (!doc.exists) {
+            throw new HttpsError('not-found', `No payment transaction ${transactionId}.`);
+        }
+        if (!OPEN_STATUSES.includes(doc.data().status)) {
+            throw new HttpsError('failed-precondition', `Transaction ${transactionId} is already ${doc.data().status}.`);
+        }
+
+        transaction.update(transactionRef, {
+            status: 'ignored',
+            note: typeof note === 'string' ? note.trim().substring(0, 500) : null,
+            ignoredBy: uid,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+    });
+
+    return { transactionId, status: 'ignored' };
+});
+
+module.exports = {
+    confirmPaymentMatch,
+    ignorePaymentTransaction,
+    importPaymentStatement,
+    listPaymentTransactions
+};
@@ -0,0 +1,220 @@
+/**
+ * Statement Parser
+ * Turns a CSV export from a bank (Zelle) or CashApp into normalized incoming
+ * payment rows. Columns are found by header name, so the common export layouts
+ * work without a per-bank mapping.
+ */
+
+const crypto = require('crypto');
+const { roundCurrency } = require('../pricing/pricingEngine');
+
+const MAX_ROWS = 2000;
+
+/** Accepted header names for each field, in order of preference */
+const COLUMN_ALIASES = {
+    date: ['date', 'transaction date', 'posting date', 'posted date', 'date/time'],
+    amount: ['amount', 'net amount', 'credit', 'credit amount', 'deposit', 'deposits'],
+    memo: ['memo', 'notes', 'note', 'description', 'details', 'message'],
+    reference: ['transaction id', 'reference', 'reference number', 'confirmation', 'confirmation number', 'id'],
+    payerName: ['name of sender/receiver', 'sender', 'from', 'payer', 'name'],
+    status: ['status']
+};
+
+// CashApp exports include failed and pending transfers; only settled money counts
+const SKIPPED_STATUS = /fail|cancel|declin|pending|refund/i;
+
+/**
+ * Split CSV text into rows of cells. Handles quoted cells, escaped quotes and CRLF.
+ * @param {string} text - Raw CSV
+ * @returns {string[][]}
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Map each field to its column index using the header row
+ * @param {string[]} header
+ * @returns {Object<string, number>} Field -> column index (-1 when absent)
+ */
+function findColumns(header) {
+    const normalized = header.map(name => name.replace(/^\uFEFF/, '').trim().toLowerCase());
+    const columns = {};
+
+    Object.entries(COLUMN_ALIASES).forEach(([field, aliases]) => {
+        columns[field] = -1;
+        for (const alias of aliases) {
+            const index = normalized.indexOf(alias);
+            if (index !== -1) {
+                columns[field] = index;
+                break;
+            }
+        }
+    });
+
+    return columns;
+}
+
+/**
+ * Parse a statement amount such as "$1,234.50", "-$20", "(20.00)" or "+ 45"
+ * @param {string} value
+ * @returns {number|null}
+ */
+function parseAmount(value) {
+    if (typeof value !== 'string') return null;
+    const trimmed = value.trim();
+    if (!trimmed) return null;
+
+    const negative = /^\(.*\)$/.test(trimmed) || trimmed.includes('-');
+    const digits = trimmed.replace(/[^0-9.]/g, '');
+    if (!digits) return null;
+
+    const amount = Number(digits);
+    if (!Number.isFinite(amount)) return null;
+    return roundCurrency(negative ? -amount : amount);
+}
+
+/**
+ * Parse a statement date: ISO ("2026-03-14", "2026-03-14 13:44:05 EDT") or US ("03/14/2026")
+ * @param {string} value
+ * @returns {Date|null}
+ */
+function parseDate(value) {
+    if (typeof value !== 'string') return null;
+    const trimmed = value.trim();
+
+    const us = trimmed.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})\b/);
+    if (us) {
+        const year = us[3].length === 2 ? 2000 + Number(us[3]) : Number(us[3]);
+        const date = new Date(Date.UTC(year, Number(us[1]) - 1, Number(us[2]), 12));
+        return isNaN(date) ? null : date;
+    }
+
+    // Timezone abbreviations (EDT, PST) are not parseable; the calendar day is what matters
+    const iso = trimmed.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (iso) {
+        const date = new Date(Date.UTC(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3]), 12));
+        return isNaN(date) ? null : date;
+    }
+
+    const parsed = new Date(trimmed);
+    return isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Stable ID for a statement row so re-importing an overlapping statement skips rows already seen.
+ * Rows without a bank reference are keyed by their content plus their position among identical rows.
+ */
+function transactionId(method, row, occurrence) {
+    const key = row.reference
+        ? `${method}|ref|${row.reference}`
+        : `${method}|${row.date.toISOString().slice(0, 10)}|${row.amount}|${row.memo}|${row.payerName}|${occurrence}`;
+    return crypto.createHash('sha256').update(key).digest('hex').slice(0, 32);
+}
+
+/**
+ * Parse a statement CSV into incoming payment rows
+ * @param {string} csv - Raw CSV text with a header row
+ * @param {string} method - 'zelle' or 'cashapp'
+ * @returns {{ rows: Array<Object>, skipped: number, errors: Array<{ line: number, error: string }> }}
+ * @throws {Error} If the header lacks a date or amount column
+ */
+function parseStatement(csv, method) {
+    const [header, ...lines] = parseCsv(csv);
+    if (!header) {
+        throw new Error('The statement is empty.');
+    }
+
+    const columns = findColumns(header);
+    if (columns.date === -1 || columns.amount === -1) {
+        throw new Error('The statement needs a Date and an Amount column.');
+    }
+    if (lines.length > MAX_ROWS) {
+        throw new Error(`Statements are limited to ${MAX_ROWS} rows; split the file and import each part.`);
+    }
+
+    const cell = (cells, field) => (columns[field] === -1 ? '' : (cells[columns[field]] || '').trim());
+    const rows = [];
+    const errors = [];
+    const occurrences = {};
+    let skipped = 0;
+
+    lines.forEach((cells, index) => {
+        const line = index + 2;
+        const amount = parseAmount(cell(cells, 'amount'));
+        const date = parseDate(cell(cells, 'date'));
+
+        if (amount === null || !date) {
+            errors.push({ line, error: amount === null ? 'Unreadable amount' : 'Unreadable date' });
+            return;
+        }
+
+        // Outgoing transfers and unsettled rows are never customer payments
+        if (amount <= 0 || SKIPPED_STATUS.test(cell(cells, 'status'))) {
+            skipped++;
+            return;
+        }
+
+        const row = {
+            date,
+            amount,
+            memo: cell(cells, 'memo').substring(0, 500),
+            reference: cell(cells, 'reference').substring(0, 200) || null,
+            payerName: cell(cells, 'payerName').substring(0, 200) || null,
+            line
+        };
+
+        const contentKey = `${row.date.toISOString().slice(0, 10)}|${row.amount}|${row.memo}|${row.payerName}`;
+        occurrences[contentKey] = (occurrences[contentKey] || 0) + 1;
+        row.id = transactionId(method, row, occurrences[contentKey]);
+
+        rows.push(row);
+    });
+
+    return { rows, skipped, errors };
+}
+
+module.exports = {
+    parseAmount,
+    parseCsv,
+    parseDate,
+    parseStatement
+};
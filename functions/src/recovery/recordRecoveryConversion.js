@@ -0,0 +1,43 @@
+/**
+ * Record Recovery Conversion
+ * Credits a recovery message when an order it brought back is paid. An order
+ * converts a message if it was placed from a restored cart (the signed token
+ * checkout passes in metadata.recoveryToken), or if it is the pending PayPal
+ * order the message was about.
+ */
+
+const { onDocumentUpdated } = require('firebase-functions/v2/firestore');
+const { logger } = require('firebase-functions');
+const { recordRecoveryEvent, recoveryMessageId } = require('./recoveryCampaign');
+const { RecoveryLinkError, verifyRecoveryToken } = require('./recoveryLinks');
+
+exports.recordRecoveryConversion = onDocumentUpdated('orders/{orderId}', async (event) => {
+    const before = event.data.before.data();
+    const after = event.data.after.data();
+    if (before.status === 'paid' || after.status !== 'paid') return;
+
+    const orderId = event.params.orderId;
+    const messageIds = new Set();
+
+    if (after.metadata?.recoveryToken) {
+        try {
+            messageIds.add(verifyRecoveryToken(after.metadata.recoveryToken));
+        } catch (error) {
+            if (!(error instanceof RecoveryLinkError)) throw error;
+            logger.warn(`Order ${orderId} carries an invalid recovery token`);
+        }
+    }
+    if (after.createdAt) {
+        messageIds.add(recoveryMessageId('order', orderId, after.createdAt.toMillis()));
+    }
+
+    for (const messageId of messageIds) {
+        const message = await recordRecoveryEvent(messageId, 'converted', {
+            orderId,
+            amount: after.amountTotal
+        });
+        if (message) {
+            logger.info(`Order ${orderId} converted recovery message ${messageId} (${message.campaignId})`);
+        }
+    }
+});
@@ -0,0 +1,284 @@
+/**
+ * Recovery Campaign
+ * Queues, sends and tracks abandoned-cart recovery messages.
+ *
+ * Each message lives at recoveryMessages/{id} and moves queued -> sent. A failed
+ * send is retried on later runs; after MAX_SEND_ATTEMPTS it is undeliverable.
+ * Opens, restores and conversions are stamped on the message once each and
+ * counted on recoveryCampaigns/{campaignId}.
+ * CART_RECOVERY_CAMPAIGN names the campaign, so a new subject or delay can be
+ * measured separately by starting a new one.
+ */
+
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const { logger } = require('firebase-functions');
+const { sendMail } = require('../mail/transport');
+const { escapeHtml, formatMoney, layout } = require('../mail/templates');
+const { buildRecoveryLinks } = require('./recoveryLinks');
+
+const db = admin.firestore();
+
+const DEFAULT_CAMPAIGN_ID = 'cart-recovery';
+const DEFAULT_DELAY_HOURS = 4;
+const MAX_SEND_ATTEMPTS = 3;
+
+/** Events tracked on each message and counted per campaign */
+const RECOVERY_EVENTS = ['opened', 'restored', 'converted'];
+
+/**
+ * Campaign that new messages are counted against
+ * @returns {string}
+ */
+function getCampaignId() {
+    return process.env.CART_RECOVERY_CAMPAIGN || DEFAULT_CAMPAIGN_ID;
+}
+
+/**
+ * Hours a cart or pending order must sit untouched before a message goes out
+ * @returns {number}
+ */
+function getRecoveryDelayHours() {
+    const configured = Number(process.env.CART_RECOVERY_HOURS);
+    return Number.isFinite(configured) && configured > 0 ? configured : DEFAULT_DELAY_HOURS;
+}
+
+/**
+ * Deterministic message ID for one abandonment, so re-running the sweep never
+ * sends twice for the same cart state, while a cart abandoned again later gets
+ * a new message.
+ * @param {string} source - 'cart', 'checkout' or 'order'
+ * @param {string} sourceId - User ID, email hash or order ID
+ * @param {number} touchedAtMillis - When the cart or order was last touched
+ * @returns {string}
+ */
+function recoveryMessageId(source, sourceId, touchedAtMillis) {
+    return crypto.createHash('sha256')
+        .update(`${source}:${sourceId}:${touchedAtMillis}`)
+        .digest('hex')
+        .slice(0, 32);
+}
+
+function campaignRef(campaignId) {
+    return db.collection('recoveryCampaigns').doc(campaignId);
+}
+
+function countOnCampaign(writer, campaignId, counters) {
+    const updates = {
+        campaignId,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+    Object.entries(counters).forEach(([field, amount]) => {
+        updates[field] = admin.firestore.FieldValue.increment(amount);
+    });
+    writer.set(campaignRef(campaignId), updates, { merge: true });
+}
+
+/**
+ * Render the recovery email
+ * @param {Object} message - recoveryMessages document data
+ * @param {{ restoreUrl: string, openPixelUrl: string }} links
+ * @returns {{ subject: string, html: string, text: string }}
+ */
+function renderRecoveryEmail(message, links) {
+    const subject = message.source === 'order'
+        ? 'Your Apex Labs order is waiting for payment'
+        : 'You left something in your Apex Labs cart';
+    const lines = message.items.map(item => `${item.quantity} x ${item.name}  ${formatMoney(item.price * item.quantity)}`);
+
+    const text = [
+        'Your cart is saved and ready when you are:',
+        '',
+        ...lines,
+        '',
+        `Subtotal: ${formatMoney(message.subtotal)}`,
+        '',
+        `Pick up where you left off: ${links.restoreUrl}`,
+        '',
+        'Prices and availability are confirmed at checkout.'
+    ].join('\n');
+
+    const html = layout('Your cart is waiting', `
+        <p style="margin: 0 0 16px;">Your cart is saved and ready when you are:</p>
+        <table style="width: 100%; border-collapse: collapse; font-size: 14px;">
+            ${message.items.map(item => `
+            <tr>
+                <td style="padding: 6px 0;">${escapeHtml(item.quantity)} &times; ${escapeHtml(item.name)}</td>
+                <td style="padding: 6px 0; text-align: right;">${formatMoney(item.price * item.quantity)}</td>
+            </tr>`).join('')}
+            <tr>
+                <td style="padding: 6px 0; font-weight: bold; border-top: 1px solid #e2e8f0;">Subtotal</td>
+                <td style="padding: 6px 0; font-weight: bold; text-align: right; border-top: 1px solid #e2e8f0;">${formatMoney(message.subtotal)}</td>
+            </tr>
+        </table>
+        <p style="margin: 24px 0;">
+            <a href="${escapeHtml(links.restoreUrl)}" style="background: #2563eb; color: #ffffff; padding: 12px 20px; border-radius: 8px; text-decoration: none;">Return to your cart</a>
+        </p>
+        <p style="font-size: 12px; color: #64748b;">Prices and availability are confirmed at checkout.</p>
+        <img src="${escapeHtml(links.openPixelUrl)}" width="1" height="1" alt="" style="display: none;">`);
+
+    return { subject, html, text };
+}
+
+/**
+ * Queue a recovery message for one abandoned cart or order.
+ * @param {Object} candidate
+ * @param {string} candidate.source - 'cart' (signed-in cart), 'checkout' (email typed at checkout) or 'order' (unapproved PayPal order)
+ * @param {string} candidate.sourceId - User ID, email hash or order ID
+ * @param {number} candidate.touchedAtMillis - When the cart or order was last touched
+ * @param {string} candidate.email
+ * @param {string|null} candidate.userId
+ * @param {Object} candidate.pricedCart - Result of pricingEngine.priceCart()
+ * @returns {Promise<FirebaseFirestore.DocumentReference|null>} The new message, or null if one already exists
+ */
+async function queueRecoveryMessage({ source, sourceId, touchedAtMillis, email, userId, pricedCart }) {
+    const campaignId = getCampaignId();
+    const messageRef = db.collection('recoveryMessages').doc(recoveryMessageId(source, sourceId, touchedAtMillis));
+
+    const batch = db.batch();
+    batch.create(messageRef, {
+        campaignId,
+        source,
+        sourceId,
+        email,
+        userId: userId || null,
+        items: pricedCart.items.map(item => ({
+            id: item.id,
+            name: item.name,
+            price: item.price,
+            quantity: item.quantity,
+            image: item.image
+        })),
+        subtotal: pricedCart.subtotal,
+        abandonedAt: admin.firestore.Timestamp.fromMillis(touchedAtMillis),
+        status: 'queued',
+        attempts: 0,
+        lastError: null,
+        openedAt: null,
+        restoredAt: null,
+        convertedAt: null,
+        convertedOrderId: null,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    countOnCampaign(batch, campaignId, { queued: 1 });
+
+    try {
+        await batch.commit();
+    } catch (error) {
+        // ALREADY_EXISTS: this abandonment was handled by an earlier run
+        if (error.code === 6) return null;
+        throw error;
+    }
+    return messageRef;
+}
+
+/**
+ * Send a queued (or previously failed) message through the mail transport
+ * @param {FirebaseFirestore.DocumentReference} messageRef
+ * @returns {Promise<boolean>} Whether the message was sent
+ */
+async function deliverRecoveryMessage(messageRef) {
+    const snapshot = await messageRef.get();
+    const message = snapshot.data();
+    if (!message || !['queued', 'failed'].includes(message.status)) {
+        return false;
+    }
+
+    const email = renderRecoveryEmail(message, buildRecoveryLinks(messageRef.id));
+    const batch = db.batch();
+
+    try {
+        const result = await sendMail({ to: message.email, ...email });
+        batch.update(messageRef, {
+            status: 'sent',
+            attempts: admin.firestore.FieldValue.increment(1),
+            transport: result.transport,
+            transportMessageId: result.messageId,
+            lastError: null,
+            sentAt: admin.firestore.FieldValue.serverTimestamp(),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        countOnCampaign(batch, message.campaignId, { sent: 1 });
+        await batch.commit();
+        return true;
+    } catch (error) {
+        logger.error(`Failed to send recovery message ${messageRef.id}:`, error);
+        const attempts = (message.attempts || 0) + 1;
+        batch.update(messageRef, {
+            status: attempts >= MAX_SEND_ATTEMPTS ? 'undeliverable' : 'failed',
+            attempts,
+            lastError: error.message || String(error),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        if (attempts >= MAX_SEND_ATTEMPTS) {
+            countOnCampaign(batch, message.campaignId, { failed: 1 });
+        }
+        await batch.commit();
+        return false;
+    }
+}
+
+/**
+ * Stamp an open, restore or conversion on a message and count it on its campaign.
+ * Each event counts once per message; a restore also counts as an open, since
+ * many mail clients block the tracking pixel. Messages that were never sent are
+ * not counted.
+ * @param {string} messageId - recoveryMessages document ID
+ * @param {string} event - One of RECOVERY_EVENTS
+ * @param {Object} [details]
+ * @param {string} [details.orderId] - Converting order
+ * @param {number} [details.amount] - Converting order's total
+ * @returns {Promise<Object|null>} Message data, or null if the message does not exist
+ */
+async function recordRecoveryEvent(messageId, event, details = {}) {
+    if (!RECOVERY_EVENTS.includes(event)) {
+        throw new Error(`Unknown recovery event: ${event}`);
+    }
+
+    const messageRef = db.collection('recoveryMessages').doc(messageId);
+
+    return db.runTransaction(async (transaction) => {
+        const snapshot = await transaction.get(messageRef);
+        if (!snapshot.exists) return null;
+
+        const message = snapshot.data();
+        // Nothing to attribute to a message the customer never received
+        if (message.status !== 'sent') return message;
+
+        const now = admin.firestore.FieldValue.serverTimestamp();
+        const updates = {};
+        const counters = {};
+
+        const stamp = (name) => {
+            if (message[`${name}At`]) return;
+            updates[`${name}At`] = now;
+            counters[name] = 1;
+        };
+
+        if (event === 'restored' || event === 'converted') stamp('opened');
+        stamp(event);
+
+        if (event === 'converted' && counters.converted) {
+            updates.convertedOrderId = details.orderId || null;
+            counters.revenue = Number(details.amount) || 0;
+        }
+
+        if (Object.keys(counters).length > 0) {
+            transaction.update(messageRef, { ...updates, updatedAt: now });
+            countOnCampaign(transaction, message.campaignId, counters);
+        }
+        return message;
+    });
+}
+
+module.exports = {
+    RECOVERY_EVENTS,
+    deliverRecoveryMessage,
+    getCampaignId,
+    getRecoveryDelayHours,
+    queueRecoveryMessage,
+    recordRecoveryEvent,
+    recoveryMessageId,
+    renderRecoveryEmail
+};
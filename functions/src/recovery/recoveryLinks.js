@@ -0,0 +1,60 @@
+/**
+ * Recovery Links
+ * Signs the restore-cart and open-tracking links in recovery emails with
+ * auth/signedTokens.js, so links cannot be forged or pointed at someone
+ * else's cart. Tokens are signed over the recoveryMessages document ID.
+ */
+
+const { createTokenSigner, siteUrl } = require('../auth/signedTokens');
+const { HttpError } = require('../shared/httpError');
+
+// No purpose prefix: links already in customers' inboxes were signed over the bare ID
+const signer = createTokenSigner({ secretEnv: 'RECOVERY_LINK_SECRET' });
+
+/**
+ * Error raised for a missing, malformed or forged recovery token
+ */
+class RecoveryLinkError extends HttpError {}
+
+/**
+ * Sign a recovery message ID
+ * @param {string} messageId - recoveryMessages document ID
+ * @returns {string} Token for use in links
+ */
+function signRecoveryToken(messageId) {
+    return signer.sign(messageId);
+}
+
+/**
+ * Check a token and return the message ID it was signed for
+ * @param {string} token
+ * @returns {string} recoveryMessages document ID
+ * @throws {RecoveryLinkError} If the token is malformed or the signature does not match
+ */
+function verifyRecoveryToken(token) {
+    const messageId = signer.verify(token);
+    if (!messageId) {
+        throw new RecoveryLinkError('This link is not valid');
+    }
+    return messageId;
+}
+
+/**
+ * Build the links embedded in a recovery email
+ * @param {string} messageId - recoveryMessages document ID
+ * @returns {{ restoreUrl: string, openPixelUrl: string }}
+ */
+function buildRecoveryLinks(messageId) {
+    const token = encodeURIComponent(signRecoveryToken(messageId));
+    return {
+        restoreUrl: `${siteUrl()}/cart.html?recover=${token}`,
+        openPixelUrl: `${siteUrl()}/api/cart-recovery/open?t=${token}`
+    };
+}
+
+module.exports = {
+    RecoveryLinkError,
+    buildRecoveryLinks,
+    signRecoveryToken,
+    verifyRecoveryToken
+};
@@ -0,0 +1,93 @@
+/**
+ * Recovery Tracking
+ * Endpoints behind the links in recovery emails:
+ *   - GET  /api/cart-recovery/open?t=TOKEN  - tracking pixel, records the open
+ *   - POST /api/cart-recovery/restore       - returns the saved cart for cart.html
+ *     to load, and records the restore
+ * Conversions are recorded by recordRecoveryConversion when the order is paid.
+ */
+
+const admin = require('firebase-admin');
+const { onRequest } = require('firebase-functions/v2/https');
+const { logger } = require('firebase-functions');
+const { recordRecoveryEvent } = require('./recoveryCampaign');
+const { RecoveryLinkError, verifyRecoveryToken } = require('./recoveryLinks');
+const cors = require('cors')({
+    origin: [
+        'https://apex-labs-18862.web.app',
+        'https://apex-labs-18862.firebaseapp.com',
+        'http://localhost:3000',
+        'http://localhost:5000',
+        'http://127.0.0.1:4173'
+    ]
+});
+
+const db = admin.firestore();
+
+// 1x1 transparent GIF
+const PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+const trackRecoveryOpen = onRequest({
+    maxInstances: 10,
+    concurrency: 80
+}, async (req, res) => {
+    try {
+        const messageId = verifyRecoveryToken(req.query.t);
+        await recordRecoveryEvent(messageId, 'opened');
+    } catch (error) {
+        // The image is served either way; a bad token just isn't counted
+        if (!(error instanceof RecoveryLinkError)) {
+            logger.error('Error recording recovery open:', error);
+        }
+    }
+
+    res.set('Cache-Control', 'no-store, max-age=0');
+    res.set('Content-Type', 'image/gif');
+    return res.status(200).send(PIXEL);
+});
+
+const restoreRecoveryCart = onRequest({
+    maxInstances: 10,
+    concurrency: 80
+}, (req, res) => {
+    cors(req, res, async () => {
+        if (req.method !== 'POST') {
+            return res.status(405).json({ error: 'Method not allowed' });
+        }
+
+        try {
+            const messageId = verifyRecoveryToken(req.body?.token);
+            const message = await recordRecoveryEvent(messageId, 'restored');
+            if (!message) {
+                throw new RecoveryLinkError('This cart is no longer available', 404);
+            }
+
+            // A pending order that has since been paid needs no restoring
+            if (message.source === 'order') {
+                const order = await db.collection('orders').doc(message.sourceId).get();
+                if (order.exists && order.data().status !== 'pending' && order.data().paidAt) {
+                    return res.status(200).json({ items: [], alreadyPaid: true });
+                }
+            }
+
+            return res.status(200).json({
+                items: message.items.map(item => ({
+                    id: item.id,
+                    name: item.name,
+                    price: item.price,
+                    quantity: item.quantity,
+                    image: item.image
+                }))
+            });
+        } catch (error) {
+            if (!error.statusCode) {
+                logger.error('Error restoring recovery cart:', error);
+            }
+            return res.status(error.statusCode || 500).json({
+                error: error.message || 'Failed to restore cart'
+            });
+        }
+    });
+});
+
+module.exports = { restoreRecoveryCart, trackRecoveryOpen };
@@ -0,0 +1,95 @@
+/**
+ * Save Checkout Cart
+ * Remembers the cart against the email a customer types at checkout, so a guest
+ * who leaves before paying can be sent a recovery message. Stored at
+ * checkoutCarts/{sha256(email)}; order creation does not touch it, the recovery
+ * sweep skips customers who ordered after the cart was saved.
+ *
+ * No sign-in is needed, so saves are rate limited per client IP and per email,
+ * and a saved cart is never deleted through here: anyone can type any email.
+ */
+
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const { onRequest } = require('firebase-functions/v2/https');
+const { logger } = require('firebase-functions');
+const { priceCart } = require('../pricing/pricingEngine');
+const { getCallerUid } = require('../auth/getCallerUid');
+const { clientIp, consumeRateLimit } = require('../auth/rateLimit');
+const cors = require('cors')({
+    origin: [
+        'https://apex-labs-18862.web.app',
+        'https://apex-labs-18862.firebaseapp.com',
+        'http://localhost:3000',
+        'http://localhost:5000',
+        'http://127.0.0.1:4173'
+    ]
+});
+
+const db = admin.firestore();
+
+const IP_LIMIT = { limit: 20, windowSeconds: 60 * 60 };
+const EMAIL_LIMIT = { limit: 5, windowSeconds: 24 * 60 * 60 };
+
+/**
+ * Document ID for an email's checkout cart
+ * @param {string} email
+ * @returns {string}
+ */
+function checkoutCartId(email) {
+    return crypto.createHash('sha256').update(email.trim().toLowerCase()).digest('hex');
+}
+
+const saveCheckoutCart = onRequest({
+    maxInstances: 10,
+    concurrency: 80
+}, (req, res) => {
+    cors(req, res, async () => {
+        if (req.method !== 'POST') {
+            return res.status(405).json({ error: 'Method not allowed' });
+        }
+
+        try {
+            const { email, items } = req.body;
+
+            if (typeof email !== 'string' || email.length > 254 || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim())) {
+                return res.status(400).json({ error: 'A valid email address is required' });
+            }
+
+            if (!Array.isArray(items) || items.length === 0) {
+                return res.status(400).json({ error: 'The cart is empty' });
+            }
+
+            const cartId = checkoutCartId(email);
+            const allowed = await consumeRateLimit(`checkout-cart:ip:${clientIp(req)}`, IP_LIMIT) &&
+                await consumeRateLimit(`checkout-cart:email:${cartId}`, EMAIL_LIMIT);
+            if (!allowed) {
+                return res.status(429).json({ error: 'Too many requests; try again later' });
+            }
+
+            const userId = await getCallerUid(req);
+            const ref = db.collection('checkoutCarts').doc(cartId);
+
+            // Only catalog products are kept; prices are looked up again when the message is sent
+            const pricedCart = await priceCart(items, { userId });
+
+            await ref.set({
+                email: email.trim(),
+                userId,
+                items: pricedCart.items.map(item => ({ id: item.id, quantity: item.quantity })),
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+
+            return res.status(200).json({ saved: true });
+        } catch (error) {
+            if (!error.statusCode) {
+                logger.error('Error saving checkout cart:', error);
+            }
+            return res.status(error.statusCode || 500).json({
+                error: error.message || 'Failed to save cart'
+            });
+        }
+    });
+});
+
+module.exports = { checkoutCartId, saveCheckoutCart };
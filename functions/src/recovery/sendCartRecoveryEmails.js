@@ -0,0 +1,186 @@
+/**
+ * Send Cart Recovery Emails
+ * Scheduled sweep for carts and PayPal orders left untouched for
+ * CART_RECOVERY_HOURS. Looks at three sources:
+ *   - cart:     signed-in users' carts (users/{uid}/cart/current)
+ *   - checkout: carts saved against the email typed at checkout (checkoutCarts)
+ *   - order:    PayPal orders never approved ('pending', or 'expired' by expireUnpaidOrders)
+ * and queues one recovery message per abandonment, then sends anything queued
+ * or due a retry. Anything older than MAX_AGE_HOURS is left alone.
+ */
+
+const admin = require('firebase-admin');
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const { logger } = require('firebase-functions');
+const { PricingError, priceCart } = require('../pricing/pricingEngine');
+const { deliverRecoveryMessage, getRecoveryDelayHours, queueRecoveryMessage } = require('./recoveryCampaign');
+
+const db = admin.firestore();
+
+const BATCH_LIMIT = 100;
+const MAX_AGE_HOURS = 7 * 24;
+
+/**
+ * Account email for a signed-in user
+ * @param {string} userId
+ * @returns {Promise<string|null>}
+ */
+async function getUserEmail(userId) {
+    try {
+        const user = await admin.auth().getUser(userId);
+        return user.email || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Whether the customer has placed an order since the cart was last touched
+ * @param {{ email: string, userId: string|null }} customer
+ * @param {number} sinceMillis
+ * @returns {Promise<boolean>}
+ */
+async function hasOrderedSince({ email, userId }, sinceMillis) {
+    const queries = [db.collection('orders').where('customerEmail', '==', email)];
+    if (userId) {
+        queries.push(db.collection('orders').where('userId', '==', userId));
+    }
+
+    for (const query of queries) {
+        const snapshot = await query.orderBy('createdAt', 'desc').limit(1).get();
+        const latest = snapshot.docs[0]?.data().createdAt;
+        if (latest && latest.toMillis() > sinceMillis) return true;
+    }
+    return false;
+}
+
+async function findUserCarts(oldest, cutoff) {
+    const snapshot = await db.collectionGroup('cart')
+        .where('updatedAt', '>=', oldest)
+        .where('updatedAt', '<=', cutoff)
+        .limit(BATCH_LIMIT)
+        .get();
+
+    const candidates = [];
+    for (const doc of snapshot.docs) {
+        // Only users/{uid}/cart/current
+        if (doc.id !== 'current' || doc.ref.parent.parent?.parent.id !== 'users') continue;
+
+        const userId = doc.ref.parent.parent.id;
+        const email = await getUserEmail(userId);
+        if (!email) continue;
+
+        candidates.push({
+            source: 'cart',
+            sourceId: userId,
+            touchedAtMillis: doc.data().updatedAt.toMillis(),
+            email,
+            userId,
+            items: doc.data().items
+        });
+    }
+    return candidates;
+}
+
+async function findCheckoutCarts(oldest, cutoff) {
+    const snapshot = await db.collection('checkoutCarts')
+        .where('updatedAt', '>=', oldest)
+        .where('updatedAt', '<=', cutoff)
+        .limit(BATCH_LIMIT)
+        .get();
+
+    return snapshot.docs.map(doc => ({
+        source: 'checkout',
+        sourceId: doc.id,
+        touchedAtMillis: doc.data().updatedAt.toMillis(),
+        email: doc.data().email,
+        userId: doc.data().userId || null,
+        items: doc.data().items
+    }));
+}
+
+async function findPendingOrders(oldest, cutoff) {
+    const snapshot = await db.collection('orders')
+        .where('status', 'in', ['pending', 'expired'])
+        .where('createdAt', '>=', oldest)
+        .where('createdAt', '<=', cutoff)
+        .orderBy('createdAt', 'desc')
+        .limit(BATCH_LIMIT)
+        .get();
+
+    const candidates = [];
+    for (const doc of snapshot.docs) {
+        const order = doc.data();
+        // Expired Zelle/CashApp orders were placed, not abandoned at checkout
+        if (!order.paypalOrderId) continue;
+
+        const email = order.customerEmail || (order.userId ? await getUserEmail(order.userId) : null);
+        if (!email) continue;
+
+        candidates.push({
+            source: 'order',
+            sourceId: doc.id,
+            touchedAtMillis: order.createdAt.toMillis(),
+            email,
+            userId: order.userId || null,
+            items: order.items
+        });
+    }
+    return candidates;
+}
+
+exports.sendCartRecoveryEmails = onSchedule({
+    schedule: 'every 60 minutes',
+    maxInstances: 1
+}, async () => {
+    const delayHours = getRecoveryDelayHours();
+    const now = Date.now();
+    const cutoff = admin.firestore.Timestamp.fromMillis(now - delayHours * 60 * 60 * 1000);
+    const oldest = admin.firestore.Timestamp.fromMillis(now - MAX_AGE_HOURS * 60 * 60 * 1000);
+
+    // Pending orders first, so a customer with both an order and a cart hears about the order
+    const candidates = [
+        ...await findPendingOrders(oldest, cutoff),
+        ...await findUserCarts(oldest, cutoff),
+        ...await findCheckoutCarts(oldest, cutoff)
+    ];
+
+    const contacted = new Set();
+    let queued = 0;
+
+    for (const candidate of candidates) {
+        const emailKey = candidate.email.toLowerCase();
+        if (contacted.has(emailKey) || !Array.isArray(candidate.items) || candidate.items.length === 0) continue;
+
+        try {
+            if (await hasOrderedSince(candidate, candidate.touchedAtMillis)) continue;
+
+            const pricedCart = await priceCart(
+                candidate.items.map(item => ({ id: item.id, quantity: item.quantity })),
+                { userId: candidate.userId }
+            );
+            contacted.add(emailKey);
+
+            if (await queueRecoveryMessage({ ...candidate, pricedCart })) {
+                queued++;
+            }
+        } catch (error) {
+            // Products removed or sold out since the cart was saved
+            if (error instanceof PricingError) continue;
+            logger.error(`Failed to queue recovery for ${candidate.source} ${candidate.sourceId}:`, error);
+        }
+    }
+
+    // Send new messages and retry earlier failures
+    const pending = await db.collection('recoveryMessages')
+        .where('status', 'in', ['queued', 'failed'])
+        .limit(BATCH_LIMIT)
+        .get();
+
+    let sent = 0;
+    for (const doc of pending.docs) {
+        if (await deliverRecoveryMessage(doc.ref)) sent++;
+    }
+
+    logger.info(`Cart recovery: queued ${queued}, sent ${sent} (carts untouched for ${delayHours}+ hours)`);
+});
@@ -8,19 +8,12 @@ const { onCall, HttpsError } = require('firebase-functions/v2/https');
 const admin = require('firebase-admin');
 const path = require('path');
 const fs = require('fs');
+const { requireAdmin } = require('./auth/requireAdmin');
 
 const seedProducts = onCall(async (request) => {
-    // Verify caller is authenticated
-    if (!request.auth) {
-        throw new HttpsError('unauthenticated', 'Must be signed in to seed products.');
-    }
-
-    // Verify caller is admin
+    // Verify caller is an authenticated admin
+    await requireAdmin(request, 'seed products');
     const db = admin.firestore();
-    const adminDoc = await db.collection('admins').doc(request.auth.uid).get();
-    if (!adminDoc.exists || adminDoc.data().role !== 'admin') {
-        throw new HttpsError('permission-denied', 'Only admins can seed products.');
-    }
 
     // Read products.json
     const productsPath = path.join(__dirname, '..', 'data', 'products.json');
@@ -0,0 +1,19 @@
+/**
+ * HTTP Error
+ * Base class for domain errors. Carries an HTTP status code so onRequest
+ * handlers can pass it straight through with res.status(error.statusCode).
+ */
+
+class HttpError extends Error {
+    /**
+     * @param {string} message
+     * @param {number} [statusCode=400]
+     */
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = new.target.name;
+        this.statusCode = statusCode;
+    }
+}
+
+module.exports = { HttpError };
@@ -0,0 +1,85 @@
+/**
+ * Get Shipping Rates
+ * Quotes the shipping methods available for the customer's cart and destination,
+ * each with the sales tax the order would carry, for the checkout summary and
+ * the quote page (quoteToken in place of items). Order creation re-quotes;
+ * nothing here is binding.
+ */
+
+const { onRequest } = require('firebase-functions/v2/https');
+const { logger } = require('firebase-functions');
+const { priceCart } = require('../pricing/pricingEngine');
+const { getCallerUid } = require('../auth/getCallerUid');
+const { PromotionError, previewPromotion } = require('../promotions/promotionEngine');
+const { quoteShipping } = require('./shippingRates');
+const { applyTaxRule, loadTaxRule } = require('../tax/taxEngine');
+const { priceQuote } = require('../quotes/quotes');
+const cors = require('cors')({
+    origin: [
+        'https://apex-labs-18862.web.app',
+        'https://apex-labs-18862.firebaseapp.com',
+        'http://localhost:3000',
+        'http://localhost:5000',
+        'http://127.0.0.1:4173'
+    ]
+});
+
+exports.getShippingRates = onRequest({
+    maxInstances: 10,
+    concurrency: 80
+}, (req, res) => {
+    cors(req, res, async () => {
+        if (req.method !== 'POST') {
+            return res.status(405).json({ error: 'Method not allowed' });
+        }
+
+        try {
+            const { items, destination, promoCode, customerEmail, quoteToken } = req.body;
+
+            const userId = await getCallerUid(req);
+            const pricedCart = quoteToken
+                ? (await priceQuote(quoteToken)).pricedCart
+                : await priceCart(items, { userId });
+
+            // Free-shipping thresholds count the discounted total; a code that no
+            // longer applies simply gives no discount here. Quotes take no codes.
+            let discountTotal = 0;
+            if (promoCode && !quoteToken) {
+                try {
+                    const preview = await previewPromotion(promoCode, pricedCart, {
+                        userId,
+                        email: customerEmail
+                    });
+                    discountTotal = preview.discount;
+                } catch (error) {
+                    if (!(error instanceof PromotionError)) throw error;
+                }
+            }
+
+            const quote = await quoteShipping(pricedCart, destination, { discountTotal });
+
+            // Taxable shipping makes the tax differ per method
+            const taxRule = await loadTaxRule(quote.destination);
+            const options = quote.options.map(option => ({
+                ...option,
+                taxTotal: applyTaxRule(taxRule, quote.destination, {
+                    merchandiseTotal: pricedCart.subtotal - discountTotal,
+                    shippingTotal: option.amount
+                }).taxTotal
+            }));
+
+            return res.status(200).json({
+                destination: quote.destination,
+                zone: quote.zone,
+                options
+            });
+        } catch (error) {
+            if (!error.statusCode) {
+                logger.error('Error quoting shipping:', error);
+            }
+            return res.status(error.statusCode || 500).json({
+                error: error.message || 'Failed to quote shipping'
+            });
+        }
+    });
+});
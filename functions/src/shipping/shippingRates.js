@@ -0,0 +1,286 @@
+/**
+ * Shipping Rates
+ * Quotes shipping methods for a priced cart and destination. Rates come from the
+ * settings/shipping document, so admins can change zones and prices without a
+ * redeploy; DEFAULT_SHIPPING_CONFIG applies until that document exists.
+ *
+ * settings/shipping:
+ *   defaultWeightGrams - weight of one unit when the product has no weightGrams
+ *   zones[]            - checked in order; the first zone matching the destination wins
+ *     id, name
+ *     countries        - ISO country codes, or ['*'] for anywhere
+ *     states           - only these states/regions (omit for the whole country)
+ *     excludeStates    - every state except these
+ *     methods[]
+ *       id, label
+ *       rate           - { type: 'flat', amount }
+ *                        { type: 'per_item', base, perItem }             (per vial)
+ *                        { type: 'weight', brackets: [{ maxGrams, amount }] }
+ *       freeOver       - free when the discounted merchandise total reaches this
+ *       minDays, maxDays
+ */
+
+const admin = require('firebase-admin');
+const { roundCurrency } = require('../pricing/pricingEngine');
+const { HttpError } = require('../shared/httpError');
+
+const db = admin.firestore();
+
+const NON_CONTIGUOUS_US = ['AK', 'HI', 'PR', 'GU', 'VI', 'AS', 'MP'];
+
+// States, DC and territories; zones and tax rates are keyed by these codes
+const US_STATE_CODES = [
+    'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'DC', 'FL', 'GA', 'HI', 'ID', 'IL', 'IN',
+    'IA', 'KS', 'KY', 'LA', 'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH',
+    'NJ', 'NM', 'NY', 'NC', 'ND', 'OH', 'OK', 'OR', 'PA', 'RI', 'SC', 'SD', 'TN', 'TX', 'UT',
+    'VT', 'VA', 'WA', 'WV', 'WI', 'WY', 'PR', 'GU', 'VI', 'AS', 'MP'
+];
+
+const DEFAULT_SHIPPING_CONFIG = {
+    defaultWeightGrams: 30,
+    zones: [
+        {
+            id: 'us-contiguous',
+            name: 'Contiguous United States',
+            countries: ['US'],
+            excludeStates: NON_CONTIGUOUS_US,
+            methods: [
+                {
+                    id: 'priority',
+                    label: 'Priority Shipping',
+                    rate: { type: 'flat', amount: 9.95 },
+                    freeOver: 150,
+                    minDays: 2,
+                    maxDays: 3
+                },
+                {
+                    id: 'express',
+                    label: 'Express Overnight',
+                    rate: {
+                        type: 'weight',
+                        brackets: [
+                            { maxGrams: 250, amount: 34.95 },
+                            { maxGrams: 1000, amount: 44.95 },
+                            { maxGrams: 5000, amount: 64.95 }
+                        ]
+                    },
+                    minDays: 1,
+                    maxDays: 1
+                }
+            ]
+        },
+        {
+            id: 'us-non-contiguous',
+            name: 'Alaska, Hawaii and US Territories',
+            countries: ['US'],
+            states: NON_CONTIGUOUS_US,
+            methods: [
+                {
+                    id: 'priority',
+                    label: 'Priority Shipping',
+                    rate: { type: 'per_item', base: 14.95, perItem: 0.5 },
+                    freeOver: 300,
+                    minDays: 3,
+                    maxDays: 6
+                }
+            ]
+        }
+    ]
+};
+
+/**
+ * Error raised when a destination or method cannot be shipped to.
+ */
+class ShippingError extends HttpError {
+    constructor(message, statusCode = 400, issue = 'ADDRESS_ERROR') {
+        super(message, statusCode);
+        // PayPal shipping-callback issue code (COUNTRY_ERROR, STATE_ERROR, METHOD_UNAVAILABLE, ...)
+        this.issue = issue;
+    }
+}
+
+/**
+ * Load the shipping configuration, falling back to the built-in defaults
+ * @returns {Promise<Object>}
+ */
+async function loadShippingConfig() {
+    const doc = await db.collection('settings').doc('shipping').get();
+    const config = doc.exists ? doc.data() : null;
+    return config && Array.isArray(config.zones) && config.zones.length > 0 ? config : DEFAULT_SHIPPING_CONFIG;
+}
+
+/**
+ * Normalize a destination from the request body or a PayPal address
+ * @param {Object} [destination] - { country, state, postalCode } or { country_code, admin_area_1, postal_code }
+ * @returns {{ country: string, state: string|null, postalCode: string|null }}
+ * @throws {ShippingError} If the country is malformed, or a US address has no valid state code
+ */
+function normalizeDestination(destination = {}) {
+    const country = String(destination.country || destination.country_code || 'US').trim().toUpperCase();
+    const state = destination.state || destination.admin_area_1 || null;
+    const postalCode = destination.postalCode || destination.postal_code || null;
+
+    if (!/^[A-Z]{2}$/.test(country)) {
+        throw new ShippingError('Invalid shipping country', 400, 'COUNTRY_ERROR');
+    }
+
+    const normalizedState = typeof state === 'string' && state.trim() ? state.trim().toUpperCase().substring(0, 10) : null;
+    // Without a state a US address would fall into the contiguous zone and get no sales tax
+    if (country === 'US' && !US_STATE_CODES.includes(normalizedState)) {
+        throw new ShippingError('A valid US state is required for shipping', 400, 'STATE_ERROR');
+    }
+
+    return {
+        country,
+        state: normalizedState,
+        postalCode: typeof postalCode === 'string' && postalCode.trim() ? postalCode.trim().toUpperCase().substring(0, 12) : null
+    };
+}
+
+/**
+ * Find the zone that covers a destination
+ * @param {Object} config - Shipping configuration
+ * @param {{ country: string, state: string|null }} destination
+ * @returns {Object}
+ * @throws {ShippingError} If no zone ships there
+ */
+function findZone(config, { country, state }) {
+    const countryZones = config.zones.filter(zone =>
+        (zone.countries || []).includes(country) || (zone.countries || []).includes('*'));
+
+    if (countryZones.length === 0) {
+        throw new ShippingError(`We do not ship to ${country}`, 400, 'COUNTRY_ERROR');
+    }
+
+    const zone = countryZones.find(z => {
+        if (Array.isArray(z.states) && z.states.length > 0) return state !== null && z.states.includes(state);
+        if (Array.isArray(z.excludeStates)) return !z.excludeStates.includes(state);
+        return true;
+    });
+
+    if (!zone) {
+        throw new ShippingError(`We do not ship to ${state || 'this region'}, ${country}`, 400, 'STATE_ERROR');
+    }
+    return zone;
+}
+
+/**
+ * Price one method for a cart, or null if the method cannot carry it
+ * @param {Object} method - Zone method
+ * @param {{ units: number, grams: number, merchandiseTotal: number }} parcel
+ * @returns {number|null}
+ */
+function rateMethod(method, { units, grams, merchandiseTotal }) {
+    const freeOver = Number(method.freeOver) || 0;
+    if (freeOver > 0 && merchandiseTotal >= freeOver) return 0;
+
+    const rate = method.rate || {};
+    switch (rate.type) {
+        case 'flat':
+            return roundCurrency(Number(rate.amount) || 0);
+
+        case 'per_item':
+            return roundCurrency((Number(rate.base) || 0) + (Number(rate.perItem) || 0) * units);
+
+        case 'weight': {
+            const bracket = (rate.brackets || [])
+                .slice()
+                .sort((a, b) => a.maxGrams - b.maxGrams)
+                .find(b => grams <= b.maxGrams);
+            return bracket ? roundCurrency(Number(bracket.amount) || 0) : null;
+        }
+
+        default:
+            return null;
+    }
+}
+
+/**
+ * Quote every method available for a cart and destination
+ * @param {{ items: Array<{ quantity: number, weightGrams?: number }>, subtotal: number }} pricedCart
+ * @param {Object} destination - { country, state }
+ * @param {Object} [options]
+ * @param {number} [options.discountTotal=0] - Promotion discount, counted against free-shipping thresholds
+ * @param {Object} [options.config] - Preloaded shipping configuration
+ * @returns {Promise<{ destination: Object, zone: { id: string, name: string }, options: Array<Object> }>}
+ * @throws {ShippingError} If nothing ships to the destination
+ */
+async function quoteShipping(pricedCart, destination, { discountTotal = 0, config = null } = {}) {
+    const shippingConfig = config || await loadShippingConfig();
+    const normalized = normalizeDestination(destination);
+    const zone = findZone(shippingConfig, normalized);
+
+    const defaultWeight = Number(shippingConfig.defaultWeightGrams) || 0;
+    const parcel = {
+        units: pricedCart.items.reduce((sum, item) => sum + item.quantity, 0),
+        grams: pricedCart.items.reduce((sum, item) =>
+            sum + (Number(item.weightGrams) || defaultWeight) * item.quantity, 0),
+        merchandiseTotal: roundCurrency(pricedCart.subtotal - discountTotal)
+    };
+
+    const options = (zone.methods || [])
+        .map(method => ({ method, amount: rateMethod(method, parcel) }))
+        .filter(({ amount }) => amount !== null)
+        .map(({ method, amount }) => ({
+            id: method.id,
+            label: method.label,
+            amount,
+            minDays: method.minDays ?? null,
+            maxDays: method.maxDays ?? null
+        }));
+
+    if (options.length === 0) {
+        throw new ShippingError('No shipping method can carry this order', 400, 'METHOD_UNAVAILABLE');
+    }
+
+    return { destination: normalized, zone: { id: zone.id, name: zone.name }, options };
+}
+
+/**
+ * Quote shipping and pick the customer's method (the first option when none is given)
+ * @param {Object} pricedCart - Result of pricingEngine.priceCart()
+ * @param {Object} destination - { country, state }
+ * @param {string|null} methodId - Method chosen at checkout
+ * @param {Object} [options] - As for quoteShipping()
+ * @returns {Promise<{ destination: Object, zone: Object, options: Array<Object>, selected: Object }>}
+ * @throws {ShippingError} If the destination or method is not available
+ */
+async function selectShipping(pricedCart, destination, methodId, options = {}) {
+    const quote = await quoteShipping(pricedCart, destination, options);
+    const selected = methodId
+        ? quote.options.find(option => option.id === methodId)
+        : quote.options[0];
+
+    if (!selected) {
+        throw new ShippingError('That shipping method is not available for this address', 400, 'METHOD_UNAVAILABLE');
+    }
+    return { ...quote, selected };
+}
+
+/**
+ * Shipping fields stored on an order
+ * @param {{ destination: Object, zone: Object, selected: Object }} shipping - Result of selectShipping()
+ * @returns {Object}
+ */
+function shippingMethodRecord({ destination, zone, selected }) {
+    return {
+        id: selected.id,
+        label: selected.label,
+        amount: selected.amount,
+        minDays: selected.minDays,
+        maxDays: selected.maxDays,
+        zoneId: zone.id,
+        country: destination.country,
+        state: destination.state,
+        postalCode: destination.postalCode
+    };
+}
+
+module.exports = {
+    DEFAULT_SHIPPING_CONFIG,
+    ShippingError,
+    loadShippingConfig,
+    quoteShipping,
+    selectShipping,
+    shippingMethodRecord
+};
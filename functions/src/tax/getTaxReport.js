@@ -0,0 +1,87 @@
+/**
+ * Tax Report
+ * Sums sales tax collected by jurisdiction over a date range, for filing.
+ * Counts orders by the date they were paid; cancelled and fully refunded orders
+ * are left out.
+ *
+ * Only callable by admin users.
+ */
+
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const admin = require('firebase-admin');
+const { requireAdmin } = require('../auth/requireAdmin');
+const { roundCurrency } = require('../pricing/pricingEngine');
+
+const db = admin.firestore();
+
+const EXCLUDED_STATUSES = ['cancelled', 'refunded'];
+const MAX_RANGE_DAYS = 366;
+
+function parseDay(value, label) {
+    const date = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00Z`) : null;
+    if (!date || isNaN(date)) {
+        throw new HttpsError('invalid-argument', `${label} must be a YYYY-MM-DD date.`);
+    }
+    return date;
+}
+
+const getTaxReport = onCall(async (request) => {
+    await requireAdmin(request, 'view tax reports');
+
+    const from = parseDay(request.data?.from, 'from');
+    const to = parseDay(request.data?.to, 'to');
+    // Include the whole "to" day
+    const end = new Date(to.getTime() + 24 * 60 * 60 * 1000);
+
+    if (end <= from) {
+        throw new HttpsError('invalid-argument', 'from must be on or before to.');
+    }
+    if (end - from > MAX_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+        throw new HttpsError('invalid-argument', `Date range cannot exceed ${MAX_RANGE_DAYS} days.`);
+    }
+
+    const snapshot = await db.collection('orders')
+        .where('paidAt', '>=', admin.firestore.Timestamp.fromDate(from))
+        .where('paidAt', '<', admin.firestore.Timestamp.fromDate(end))
+        .get();
+
+    const jurisdictions = new Map();
+    let untaxedOrders = 0;
+
+    snapshot.docs.forEach(doc => {
+        const order = doc.data();
+        if (EXCLUDED_STATUSES.includes(order.status)) return;
+
+        if (!order.tax || !order.taxTotal) {
+            untaxedOrders++;
+            return;
+        }
+
+        const key = order.tax.jurisdiction;
+        const row = jurisdictions.get(key) || {
+            jurisdiction: key,
+            name: order.tax.jurisdictionName,
+            state: order.tax.state,
+            postalPrefix: order.tax.postalPrefix,
+            orderCount: 0,
+            taxableAmount: 0,
+            taxCollected: 0
+        };
+        row.orderCount++;
+        row.taxableAmount = roundCurrency(row.taxableAmount + (Number(order.tax.taxableAmount) || 0));
+        row.taxCollected = roundCurrency(row.taxCollected + (Number(order.taxTotal) || 0));
+        jurisdictions.set(key, row);
+    });
+
+    const rows = Array.from(jurisdictions.values()).sort((a, b) => a.jurisdiction.localeCompare(b.jurisdiction));
+
+    return {
+        from: request.data.from,
+        to: request.data.to,
+        jurisdictions: rows,
+        taxCollected: roundCurrency(rows.reduce((sum, row) => sum + row.taxCollected, 0)),
+        untaxedOrders
+    };
+});
+
+module.exports = { getTaxReport };
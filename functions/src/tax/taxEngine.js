@@ -0,0 +1,83 @@
+/**
+ * Tax Engine
+ * Sales tax by destination. Rates live in taxRates/{STATE}, edited by admins from the
+ * Tax tab; a state without a document, or with nexus switched off, is not taxed.
+ *
+ * taxRates/{STATE}:
+ *   state        - two-letter code (document ID)
+ *   name         - display name
+ *   nexus        - collect tax in this state
+ *   rate         - default rate as a fraction (0.0625 = 6.25%)
+ *   taxShipping  - shipping charges are taxable
+ *   postalRates  - [{ prefix, rate, name }] overrides by ZIP prefix; the longest match wins
+ */
+
+const admin = require('firebase-admin');
+const { roundCurrency } = require('../pricing/pricingEngine');
+
+const db = admin.firestore();
+
+/**
+ * Load the tax rule for a destination, or null if no tax is collected there
+ * @param {{ country: string, state: string|null }} destination - Normalized destination
+ * @returns {Promise<Object|null>}
+ */
+async function loadTaxRule({ country, state }) {
+    if (country !== 'US' || !state) return null;
+
+    const doc = await db.collection('taxRates').doc(state).get();
+    if (!doc.exists || doc.data().nexus !== true) return null;
+    return { ...doc.data(), state };
+}
+
+/**
+ * Apply a tax rule to an order's amounts
+ * @param {Object|null} rule - From loadTaxRule()
+ * @param {{ postalCode?: string|null }} destination - Normalized destination
+ * @param {{ merchandiseTotal: number, shippingTotal: number }} amounts - Discounted merchandise and shipping
+ * @returns {{ taxTotal: number, tax: Object|null }} tax is the record stored on the order
+ */
+function applyTaxRule(rule, destination, { merchandiseTotal, shippingTotal }) {
+    if (!rule) return { taxTotal: 0, tax: null };
+
+    const postalCode = String(destination.postalCode || '').replace(/\s/g, '');
+    const override = (rule.postalRates || [])
+        .filter(entry => entry.prefix && postalCode.startsWith(String(entry.prefix)))
+        .sort((a, b) => String(b.prefix).length - String(a.prefix).length)[0];
+
+    const rate = Math.max(Number(override ? override.rate : rule.rate) || 0, 0);
+    const taxableAmount = roundCurrency(Math.max(merchandiseTotal, 0) + (rule.taxShipping ? shippingTotal : 0));
+    const taxTotal = roundCurrency(taxableAmount * rate);
+
+    return {
+        taxTotal,
+        tax: {
+            rate,
+            taxableAmount,
+            amount: taxTotal,
+            // Reporting groups by this key
+            jurisdiction: override ? `US-${rule.state}-${override.prefix}` : `US-${rule.state}`,
+            jurisdictionName: override?.name || rule.name || rule.state,
+            country: 'US',
+            state: rule.state,
+            postalPrefix: override ? String(override.prefix) : null
+        }
+    };
+}
+
+/**
+ * Calculate tax for an order
+ * @param {Object} destination - Normalized destination ({ country, state, postalCode })
+ * @param {{ merchandiseTotal: number, shippingTotal: number }} amounts
+ * @returns {Promise<{ taxTotal: number, tax: Object|null }>}
+ */
+async function calculateTax(destination, amounts) {
+    const rule = await loadTaxRule(destination);
+    return applyTaxRule(rule, destination, amounts);
+}
+
+module.exports = {
+    applyTaxRule,
+    calculateTax,
+    loadTaxRule
+};
@@ -0,0 +1,109 @@
+/**
+ * Wholesale Inquiries
+ * Inquiries from the wholesale form start as 'new' and admins triage them to
+ * 'contacted', then 'approved' (approveWholesaleInquiry) or 'rejected'.
+ * Inquiries from one email are one application: emailKey (the lower-cased
+ * email) groups them and admins update the group together.
+ *
+ * syncWholesaleInquiry links each inquiry to the account that verified its
+ * email and mirrors what the inquirer may see (not notes or assignee) to
+ * users/{uid}/wholesaleApplications/{inquiryId} for the account pages.
+ */
+
+const admin = require('firebase-admin');
+const { onDocumentWritten } = require('firebase-functions/v2/firestore');
+const { logger } = require('firebase-functions');
+
+const db = admin.firestore();
+
+/** Inquiry fields copied to the inquirer's account */
+const MIRRORED_FIELDS = ['company', 'product', 'volume', 'status', 'createdAt', 'quoteSentAt'];
+
+function applicationRef(userId, inquiryId) {
+    return db.collection('users').doc(userId).collection('wholesaleApplications').doc(inquiryId);
+}
+
+/**
+ * Find the account registered with an email
+ * @param {string} email
+ * @param {Object} [options]
+ * @param {boolean} [options.verifiedOnly=false] - Ignore an account that has not verified the email,
+ *     since anyone can sign up with an address they do not own
+ * @returns {Promise<string|null>} User ID
+ */
+async function findUserByEmail(email, { verifiedOnly = false } = {}) {
+    try {
+        const user = await admin.auth().getUserByEmail(email);
+        return !verifiedOnly || user.emailVerified ? user.uid : null;
+    } catch (error) {
+        if (error.code === 'auth/user-not-found') return null;
+        throw error;
+    }
+}
+
+/**
+ * All inquiries sent from the same email as this one, this one included
+ * @param {string} inquiryId
+ * @returns {Promise<{ inquiry: Object, refs: Array<FirebaseFirestore.DocumentReference> }|null>}
+ */
+async function loadInquiryGroup(inquiryId) {
+    const doc = await db.collection('wholesaleInquiries').doc(inquiryId).get();
+    if (!doc.exists) return null;
+
+    const inquiry = doc.data();
+    const emailKey = inquiry.emailKey || String(inquiry.email || '').toLowerCase();
+    const snapshot = await db.collection('wholesaleInquiries').where('emailKey', '==', emailKey).get();
+
+    const refs = snapshot.docs.map(sibling => sibling.ref);
+    if (!refs.some(ref => ref.id === doc.id)) refs.push(doc.ref);
+    return { inquiry, refs };
+}
+
+function changed(before, after) {
+    if (!before) return true;
+    return MIRRORED_FIELDS.some(field => {
+        const a = before[field];
+        const b = after[field];
+        if (a && typeof a.isEqual === 'function') return !a.isEqual(b);
+        return a !== b;
+    });
+}
+
+exports.syncWholesaleInquiry = onDocumentWritten('wholesaleInquiries/{inquiryId}', async (event) => {
+    const inquiryId = event.params.inquiryId;
+    const before = event.data.before.exists ? event.data.before.data() : null;
+    const after = event.data.after.exists ? event.data.after.data() : null;
+
+    if (before?.userId && before.userId !== after?.userId) {
+        await applicationRef(before.userId, inquiryId).delete();
+    }
+    if (!after) return;
+
+    // Fill in the grouping key and account link; the update re-runs this trigger to mirror
+    const patch = {};
+    if (!after.emailKey && after.email) {
+        patch.emailKey = String(after.email).toLowerCase();
+    }
+    if (!after.userId && after.email) {
+        // The typed email is unproven, so only an account that verified it gets the link
+        const userId = await findUserByEmail(String(after.email).toLowerCase(), { verifiedOnly: true });
+        if (userId) patch.userId = userId;
+    }
+    if (Object.keys(patch).length > 0) {
+        await event.data.after.ref.update(patch);
+        return;
+    }
+
+    if (!after.userId || (before?.userId === after.userId && !changed(before, after))) return;
+
+    const application = { updatedAt: admin.firestore.FieldValue.serverTimestamp() };
+    MIRRORED_FIELDS.forEach(field => {
+        application[field] = after[field] === undefined ? null : after[field];
+    });
+    await applicationRef(after.userId, inquiryId).set(application);
+
+    logger.info(`Wholesale inquiry ${inquiryId} mirrored to ${after.userId} (${after.status})`);
+});
+
+exports.findUserByEmail = findUserByEmail;
+exports.loadInquiryGroup = loadInquiryGroup;
@@ -0,0 +1,113 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { matchPayments, memoMentionsOrder } = require('../src/reconciliation/matchPayments');
+
+const order = (overrides = {}) => ({
+    id: 'k3Fq9ZbTx0Wm4Rv2',
+    reference: 'APX-7K3Q',
+    amountTotal: 150,
+    createdAt: new Date('2026-03-10T15:00:00Z'),
+    customerName: 'Jane Doe',
+    status: 'pending_payment',
+    ...overrides
+});
+
+const row = (overrides = {}) => ({
+    id: 'row-1',
+    date: new Date('2026-03-12T12:00:00Z'),
+    amount: 150,
+    memo: '',
+    payerName: null,
+    ...overrides
+});
+
+describe('memoMentionsOrder', () => {
+    it('finds the reference code in its written forms', () => {
+        assert.equal(memoMentionsOrder('Order APX-7K3Q thanks', order()), true);
+        assert.equal(memoMentionsOrder('apx7k3q', order()), true);
+        assert.equal(memoMentionsOrder('for APX 7K3Q', order()), true);
+    });
+
+    it('finds the document ID and the legacy APX- suffix form', () => {
+        assert.equal(memoMentionsOrder('k3fq9zbtx0wm4rv2', order()), true);
+        assert.equal(memoMentionsOrder('APX-X0WM4RV2', order()), true);
+        assert.equal(memoMentionsOrder('paid X0WM4RV2', order()), true);
+    });
+
+    it('only matches whole tokens', () => {
+        assert.equal(memoMentionsOrder('APX-7K3QZ', order()), false);
+        assert.equal(memoMentionsOrder('AX0WM4RV2', order()), false);
+    });
+
+    it('is false for an empty memo', () => {
+        assert.equal(memoMentionsOrder('', order()), false);
+        assert.equal(memoMentionsOrder(null, order()), false);
+    });
+});
+
+describe('matchPayments', () => {
+    it('matches on reference and amount, even outside the date window', () => {
+        const [result] = matchPayments([row({ memo: 'APX-7K3Q', date: new Date('2026-04-30T12:00:00Z') })], [order()]);
+        assert.equal(result.status, 'matched');
+        assert.equal(result.suggestedOrderId, 'k3Fq9ZbTx0Wm4Rv2');
+        assert.deepEqual(result.candidates[0].reasons, ['reference', 'amount']);
+    });
+
+    it('matches on amount within the date window when no memo names an order', () => {
+        const [result] = matchPayments([row()], [order()]);
+        assert.equal(result.status, 'matched');
+        assert.deepEqual(result.candidates[0].reasons, ['amount', 'date']);
+    });
+
+    it('tolerates half a cent on the amount', () => {
+        assert.equal(matchPayments([row({ amount: 150.004 })], [order()])[0].status, 'matched');
+        assert.equal(matchPayments([row({ amount: 150.01 })], [order()])[0].status, 'unmatched');
+    });
+
+    it('allows a day before the order and the configured window after it', () => {
+        assert.equal(matchPayments([row({ date: new Date('2026-03-09T16:00:00Z') })], [order()])[0].status, 'matched');
+        assert.equal(matchPayments([row({ date: new Date('2026-03-09T14:00:00Z') })], [order()])[0].status, 'unmatched');
+        assert.equal(matchPayments([row({ date: new Date('2026-03-17T15:00:00Z') })], [order()])[0].status, 'matched');
+        assert.equal(matchPayments([row({ date: new Date('2026-03-18T12:00:00Z') })], [order()])[0].status, 'unmatched');
+
+        const late = row({ date: new Date('2026-03-18T12:00:00Z') });
+        assert.equal(matchPayments([late], [order()], { dateWindowDays: 10 })[0].status, 'matched');
+    });
+
+    it('never matches an order without a creation date on amount alone', () => {
+        assert.equal(matchPayments([row()], [order({ createdAt: null })])[0].status, 'unmatched');
+    });
+
+    it('flags a reference hit with the wrong amount as ambiguous', () => {
+        const [result] = matchPayments([row({ memo: 'APX-7K3Q', amount: 140 })], [order()]);
+        assert.equal(result.status, 'ambiguous');
+        assert.equal(result.suggestedOrderId, 'k3Fq9ZbTx0Wm4Rv2');
+    });
+
+    it('does not match on amount when the memo names a different order', () => {
+        const other = order({ id: 'Yh2Lp8QcVn5Ds1Ea', reference: 'APX-M4TR', amountTotal: 90 });
+        const [result] = matchPayments([row({ memo: 'APX-M4TR' })], [order(), other]);
+        assert.equal(result.status, 'ambiguous');
+        assert.equal(result.suggestedOrderId, 'Yh2Lp8QcVn5Ds1Ea');
+    });
+
+    it('flags several orders with the same amount and date as ambiguous', () => {
+        const twin = order({ id: 'Yh2Lp8QcVn5Ds1Ea', reference: 'APX-M4TR', customerName: 'Sam Roe' });
+        const [result] = matchPayments([row({ payerName: 'sam roe' })], [order(), twin]);
+        assert.equal(result.status, 'ambiguous');
+        assert.equal(result.suggestedOrderId, 'Yh2Lp8QcVn5Ds1Ea');
+        assert.equal(result.candidates.length, 2);
+    });
+
+    it('flags two payments that claim the same order as ambiguous', () => {
+        const results = matchPayments([row(), row({ id: 'row-2', memo: 'APX-7K3Q' })], [order()]);
+        assert.deepEqual(results.map(result => result.status), ['ambiguous', 'ambiguous']);
+    });
+
+    it('leaves a row with no plausible order unmatched', () => {
+        const [result] = matchPayments([row({ amount: 20 })], [order()]);
+        assert.equal(result.status, 'unmatched');
+        assert.equal(result.suggestedOrderId, null);
+        assert.deepEqual(result.candidates, []);
+    });
+});
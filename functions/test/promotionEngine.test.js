@@ -0,0 +1,105 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const admin = require('firebase-admin');
+
+// The engine opens a Firestore client on load; nothing here talks to it
+if (admin.apps.length === 0) admin.initializeApp({ projectId: 'demo-apex-labs' });
+
+const { PromotionError, calculateDiscount, customerKey, normalizeCode } = require('../src/promotions/promotionEngine');
+
+const items = [
+    { id: 'bpc-157', name: 'BPC-157', price: 50, quantity: 2, lineTotal: 100 },
+    { id: 'tb-500', name: 'TB-500', price: 25, quantity: 2, lineTotal: 50 }
+];
+const subtotal = 150;
+
+describe('calculateDiscount', () => {
+    it('takes a percentage off every line', () => {
+        assert.deepEqual(calculateDiscount({ type: 'percent', percentOff: 10 }, items, subtotal), {
+            discount: 15,
+            lines: [{ id: 'bpc-157', discount: 10 }, { id: 'tb-500', discount: 5 }]
+        });
+    });
+
+    it('never takes more than 100 percent', () => {
+        assert.equal(calculateDiscount({ type: 'percent', percentOff: 150 }, items, subtotal).discount, 150);
+    });
+
+    it('spreads a fixed amount across lines by value', () => {
+        assert.deepEqual(calculateDiscount({ type: 'fixed', amountOff: 30 }, items, subtotal), {
+            discount: 30,
+            lines: [{ id: 'bpc-157', discount: 20 }, { id: 'tb-500', discount: 10 }]
+        });
+    });
+
+    it('caps a fixed amount at the subtotal', () => {
+        assert.equal(calculateDiscount({ type: 'fixed', amountOff: 500 }, items, subtotal).discount, 150);
+    });
+
+    it('gives free units up to the quantity in the cart', () => {
+        const promotion = { type: 'free_item', productId: 'tb-500', quantity: 5 };
+        assert.deepEqual(calculateDiscount(promotion, items, subtotal), {
+            discount: 50,
+            lines: [{ id: 'tb-500', discount: 50 }]
+        });
+    });
+
+    it('asks for the free item when it is not in the cart', () => {
+        const promotion = { type: 'free_item', productId: 'bac-water', productName: 'Bacteriostatic Water' };
+        assert.throws(() => calculateDiscount(promotion, items, subtotal), (error) =>
+            error instanceof PromotionError &&
+            error.statusCode === 400 &&
+            error.message === 'Add Bacteriostatic Water to your cart to use this code');
+    });
+
+    it('discounts only the listed products', () => {
+        const percent = { type: 'product', productIds: ['bpc-157'], percentOff: 20 };
+        assert.deepEqual(calculateDiscount(percent, items, subtotal), {
+            discount: 20,
+            lines: [{ id: 'bpc-157', discount: 20 }]
+        });
+
+        // Per-unit amount, never more than the line itself
+        const perUnit = { type: 'product', productIds: ['tb-500'], amountOff: 30 };
+        assert.equal(calculateDiscount(perUnit, items, subtotal).discount, 50);
+    });
+
+    it('rejects a product code when none of its products are in the cart', () => {
+        const promotion = { type: 'product', productIds: ['bac-water'], percentOff: 20 };
+        assert.throws(() => calculateDiscount(promotion, items, subtotal), PromotionError);
+    });
+
+    it('treats an unknown type as a server error', () => {
+        assert.throws(() => calculateDiscount({ type: 'bogo' }, items, subtotal), (error) =>
+            error instanceof PromotionError && error.statusCode === 500);
+    });
+});
+
+describe('normalizeCode', () => {
+    it('trims and uppercases codes', () => {
+        assert.equal(normalizeCode('  save10 '), 'SAVE10');
+        assert.equal(normalizeCode('spring_sale-26'), 'SPRING_SALE-26');
+    });
+
+    it('rejects codes that cannot be document IDs', () => {
+        assert.equal(normalizeCode('A'), null);
+        assert.equal(normalizeCode('SAVE 10'), null);
+        assert.equal(normalizeCode('X'.repeat(41)), null);
+        assert.equal(normalizeCode(10), null);
+    });
+});
+
+describe('customerKey', () => {
+    it('prefers the verified uid over the email', () => {
+        assert.equal(customerKey({ userId: 'u1', email: 'jane@example.com' }), 'uid:u1');
+    });
+
+    it('falls back to the lowercased email', () => {
+        assert.equal(customerKey({ email: ' Jane@Example.com ' }), 'email:jane@example.com');
+    });
+
+    it('returns null for an anonymous customer', () => {
+        assert.equal(customerKey({ email: '  ' }), null);
+        assert.equal(customerKey(), null);
+    });
+});
@@ -0,0 +1,103 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const admin = require('firebase-admin');
+
+// The pricing engine opens a Firestore client on load; nothing here talks to it
+if (admin.apps.length === 0) admin.initializeApp({ projectId: 'demo-apex-labs' });
+
+const parser = require('../src/reconciliation/statementParser');
+
+describe('parseAmount', () => {
+    it('reads currency symbols, thousands separators and signs', () => {
+        assert.equal(parser.parseAmount('$1,234.50'), 1234.5);
+        assert.equal(parser.parseAmount('+ 45'), 45);
+        assert.equal(parser.parseAmount('-$20'), -20);
+        assert.equal(parser.parseAmount('(20.00)'), -20);
+        assert.equal(parser.parseAmount('12.345'), 12.35);
+    });
+
+    it('returns null for blank or non-numeric cells', () => {
+        assert.equal(parser.parseAmount(''), null);
+        assert.equal(parser.parseAmount('n/a'), null);
+        assert.equal(parser.parseAmount(undefined), null);
+    });
+});
+
+describe('parseDate', () => {
+    it('reads US dates at midday UTC', () => {
+        assert.equal(parser.parseDate('03/14/2026').toISOString(), '2026-03-14T12:00:00.000Z');
+        assert.equal(parser.parseDate('3/4/26').toISOString(), '2026-03-04T12:00:00.000Z');
+    });
+
+    it('keeps the calendar day of ISO dates with a timezone abbreviation', () => {
+        assert.equal(parser.parseDate('2026-03-14 23:44:05 EDT').toISOString(), '2026-03-14T12:00:00.000Z');
+    });
+
+    it('returns null for an unreadable date', () => {
+        assert.equal(parser.parseDate('yesterday'), null);
+        assert.equal(parser.parseDate(null), null);
+    });
+});
+
+describe('parseCsv', () => {
+    it('handles quoted commas, escaped quotes, CRLF and blank lines', () => {
+        const rows = parser.parseCsv('a,b\r\n"1,5","say ""hi"""\r\n\r\n,\nx,y');
+        assert.deepEqual(rows, [['a', 'b'], ['1,5', 'say "hi"'], ['x', 'y']]);
+    });
+});
+
+describe('parseStatement', () => {
+    const zelle = [
+        '\uFEFFPosting Date,Description,Amount,Reference Number',
+        '03/14/2026,"Zelle from JANE DOE, APX-7K3Q","$150.00",ZL1001',
+        '03/15/2026,Zelle to LANDLORD,-1200.00,ZL1002',
+        '03/15/2026,Zelle from SAM ROE,abc,ZL1003',
+        'soon,Zelle from SAM ROE,20.00,ZL1004'
+    ].join('\n');
+
+    it('finds columns by header name and skips outgoing transfers', () => {
+        const { rows, skipped, errors } = parser.parseStatement(zelle, 'zelle');
+
+        assert.equal(rows.length, 1);
+        assert.equal(rows[0].amount, 150);
+        assert.equal(rows[0].memo, 'Zelle from JANE DOE, APX-7K3Q');
+        assert.equal(rows[0].reference, 'ZL1001');
+        assert.equal(rows[0].payerName, null);
+        assert.equal(rows[0].line, 2);
+        assert.equal(skipped, 1);
+        assert.deepEqual(errors, [
+            { line: 4, error: 'Unreadable amount' },
+            { line: 5, error: 'Unreadable date' }
+        ]);
+    });
+
+    it('reads CashApp exports and skips unsettled transfers', () => {
+        const cashapp = [
+            'Transaction ID,Date,Transaction Type,Amount,Net Amount,Status,Notes,Name of sender/receiver',
+            'cq1,2026-03-14 13:44:05 EDT,P2P,$90.00,$90.00,COMPLETE,APX-M4TR,Sam Roe',
+            'cq2,2026-03-14 14:00:00 EDT,P2P,$40.00,$40.00,PAYMENT FAILED,,Sam Roe'
+        ].join('\n');
+
+        const { rows, skipped } = parser.parseStatement(cashapp, 'cashapp');
+        assert.equal(rows.length, 1);
+        assert.equal(rows[0].reference, 'cq1');
+        assert.equal(rows[0].payerName, 'Sam Roe');
+        assert.equal(rows[0].memo, 'APX-M4TR');
+        assert.equal(skipped, 1);
+    });
+
+    it('gives rows stable IDs so a re-import skips them', () => {
+        const csv = 'Date,Amount,Memo\n03/14/2026,25,rent\n03/14/2026,25,rent';
+        const first = parser.parseStatement(csv, 'zelle').rows.map(row => row.id);
+        const second = parser.parseStatement(csv, 'zelle').rows.map(row => row.id);
+
+        assert.deepEqual(first, second);
+        assert.notEqual(first[0], first[1]);
+        assert.notDeepEqual(parser.parseStatement(csv, 'cashapp').rows.map(row => row.id), first);
+    });
+
+    it('rejects a statement without a date or amount column', () => {
+        assert.throws(() => parser.parseStatement('Memo,Amount\nhi,5', 'zelle'), /Date and an Amount column/);
+        assert.throws(() => parser.parseStatement('', 'zelle'), /empty/);
+    });
+});
@@ -0,0 +1,115 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_VOLUME_PRICING, priceLines } = require('../src/shared/tierPricing');
+
+const products = {
+    'bpc-157': { price: 50, wholesaleMinQty: 10, wholesale1Price: 40, wholesale2MinQty: 25, wholesale2Price: 30, category: 'recovery' },
+    'tb-500': { price: 60, wholesale1Price: 48, wholesale2Price: 36, category: 'recovery' },
+    'semaglutide': { price: 100, wholesale1Price: 80, category: 'weight' },
+    'bac-water': { price: 10, category: 'supplies' }
+};
+
+const cart = (quantities) => Object.entries(quantities)
+    .map(([id, quantity]) => ({ id, quantity, product: products[id] }));
+
+const byId = (result) => Object.fromEntries(result.lines.map(line => [line.id, line]));
+
+const distributorRules = {
+    tiers: [
+        { id: 'wholesale', name: 'Tier 1 Logistics', minQuantity: 10, productTier: 'wholesale1' },
+        { id: 'distribution', name: 'Tier 2 Distribution', minQuantity: 25, productTier: 'wholesale2' }
+    ]
+};
+
+describe('priceLines', () => {
+    it('pools vials across products to unlock Tier 1 on every line', () => {
+        const result = priceLines(cart({ 'bpc-157': 5, 'tb-500': 5 }));
+        const lines = byId(result);
+
+        assert.equal(lines['bpc-157'].tier, 'wholesale1');
+        assert.equal(lines['bpc-157'].unitPrice, 40);
+        assert.equal(lines['bpc-157'].volumeTier, 'wholesale');
+        assert.equal(lines['tb-500'].unitPrice, 48);
+        assert.equal(lines['tb-500'].pool, 'cart');
+        assert.deepEqual(result.pools, [{
+            key: 'cart',
+            category: null,
+            quantity: 10,
+            tier: { id: 'wholesale', name: 'Tier 1 Logistics' },
+            nextTier: null
+        }]);
+    });
+
+    it('reports how many vials the pool needs for the next tier', () => {
+        const result = priceLines(cart({ 'bpc-157': 4, 'tb-500': 5 }));
+
+        assert.equal(byId(result)['bpc-157'].tier, 'standard');
+        assert.equal(result.pools[0].tier, null);
+        assert.equal(result.pools[0].nextTier.unitsNeeded, 1);
+    });
+
+    it('leaves volumeTier empty when a line reaches the tier on its own', () => {
+        const line = byId(priceLines(cart({ 'bpc-157': 12 })))['bpc-157'];
+        assert.equal(line.tier, 'wholesale1');
+        assert.equal(line.volumeTier, null);
+    });
+
+    it('counts products without tiers towards the pool but keeps their list price', () => {
+        const lines = byId(priceLines(cart({ 'bpc-157': 5, 'bac-water': 5 })));
+        assert.equal(lines['bpc-157'].tier, 'wholesale1');
+        assert.equal(lines['bac-water'].tier, 'standard');
+        assert.equal(lines['bac-water'].volumeTier, null);
+    });
+
+    it('keeps excluded products and categories out of the pool', () => {
+        const rules = { ...DEFAULT_VOLUME_PRICING, excludeProducts: ['tb-500'], excludeCategories: ['supplies'] };
+        const result = priceLines(cart({ 'bpc-157': 5, 'tb-500': 5, 'bac-water': 5 }), rules);
+        const lines = byId(result);
+
+        assert.equal(lines['bpc-157'].tier, 'standard');
+        assert.equal(lines['tb-500'].pool, null);
+        assert.equal(lines['bac-water'].pool, null);
+        assert.equal(result.pools[0].quantity, 5);
+    });
+
+    it('pools each category on its own under category pooling', () => {
+        const quantities = { 'bpc-157': 5, 'semaglutide': 5 };
+        const rules = { ...DEFAULT_VOLUME_PRICING, pooling: 'category' };
+        const result = priceLines(cart(quantities), rules);
+
+        assert.deepEqual(result.pools.map(pool => [pool.category, pool.quantity]), [['recovery', 5], ['weight', 5]]);
+        assert.equal(byId(result).semaglutide.tier, 'standard');
+        assert.equal(byId(priceLines(cart(quantities))).semaglutide.tier, 'wholesale1');
+    });
+
+    it('falls back to the default rules for a missing or malformed document', () => {
+        const quantities = { 'bpc-157': 5, 'tb-500': 5 };
+        assert.equal(byId(priceLines(cart(quantities), { tiers: 'none' }))['bpc-157'].tier, 'wholesale1');
+    });
+
+    it('gives distributors Tier 2 from the pool and their negotiated prices', () => {
+        const customer = { group: 'distributor', prices: { 'tb-500': 33 } };
+        const lines = byId(priceLines(cart({ 'bpc-157': 20, 'tb-500': 5 }), distributorRules, customer));
+
+        assert.equal(lines['bpc-157'].tier, 'wholesale2');
+        assert.equal(lines['bpc-157'].unitPrice, 30);
+        assert.equal(lines['tb-500'].unitPrice, 33);
+        assert.equal(lines['tb-500'].volumeTier, 'distribution');
+    });
+
+    it('never gives Tier 2 to customers outside the distributor group', () => {
+        const lines = byId(priceLines(cart({ 'bpc-157': 30 }), distributorRules, { group: 'retail' }));
+        assert.equal(lines['bpc-157'].tier, 'wholesale1');
+        assert.equal(lines['bpc-157'].nextTier, null);
+    });
+
+    it('keeps pooled Tier 1 for public customers when the pool reaches Tier 2', () => {
+        const result = priceLines(cart({ 'bpc-157': 20, 'tb-500': 5 }), distributorRules, null);
+        const lines = byId(result);
+
+        assert.equal(lines['tb-500'].tier, 'wholesale1');
+        assert.equal(lines['tb-500'].volumeTier, 'wholesale');
+        assert.deepEqual(result.pools[0].tier, { id: 'wholesale', name: 'Tier 1 Logistics' });
+        assert.equal(result.pools[0].nextTier, null);
+    });
+});
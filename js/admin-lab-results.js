@@ -0,0 +1,350 @@
+/**
+ * Admin Lab Results Module - COA uploads
+ * Uploads lab report images to Storage under lab-results/{productId}/ and
+ * records each test in labResults, optionally against a lot. Product pages
+ * show the newest test (or the lot's) with the rest as history, flagging tests
+ * under the thresholds saved to settings/labResults.
+ */
+(function() {
+    'use strict';
+
+    const BUNDLED_REPORTS_URL = '/assets/lab-results/lab-results.json';
+    const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+
+    let db = null;
+    let products = [];
+    let results = [];
+    let productId = null;
+    let unsubscribeResults = null;
+    let formBound = false;
+
+    function esc(value) {
+        return window.sanitize.html(value == null ? '' : String(value));
+    }
+
+    function toast(message, type) {
+        window.adminModule.showToast(message, type);
+    }
+
+    function productName(id) {
+        const product = products.find(p => p._docId === id);
+        return product ? product.name || id : id;
+    }
+
+    /**
+     * Labelled amount per vial from the product's concentration ("10 MG/VIAL")
+     * @param {string} id - Product ID
+     * @returns {number|null}
+     */
+    function labelledQuantity(id) {
+        const product = products.find(p => p._docId === id);
+        const match = /([\d.]+)\s*MG/i.exec(product?.concentration || '');
+        return match ? parseFloat(match[1]) : null;
+    }
+
+    // ====================================================================
+    // Result List
+    // ====================================================================
+
+    async function start(database) {
+        db = database;
+        bindForm();
+
+        try {
+            const snapshot = await db.collection('products').orderBy('name').get();
+            products = snapshot.docs.map(doc => ({ _docId: doc.id, ...doc.data() }));
+        } catch (error) {
+            console.error('Lab results product list error:', error);
+            toast('Failed to load products for lab results', 'error');
+            return;
+        }
+
+        const select = document.getElementById('lab-product');
+        if (!select) return;
+        select.innerHTML = products
+            .map(product => `<option value="${esc(product._docId)}">${esc(product.name || product._docId)}</option>`)
+            .join('');
+
+        if (products.length > 0) selectProduct(productId || products[0]._docId);
+        loadThresholds();
+    }
+
+    function stop() {
+        if (unsubscribeResults) {
+            unsubscribeResults();
+            unsubscribeResults = null;
+        }
+        results = [];
+    }
+
+    function selectProduct(id) {
+        stop();
+        productId = id;
+        document.getElementById('lab-product').value = id;
+        const form = document.getElementById('lab-result-form');
+        form.elements['lab-compound'].placeholder = productName(id);
+        form.elements['lab-labelled'].value = labelledQuantity(id) ?? '';
+        loadLots(id);
+
+        unsubscribeResults = db.collection('labResults')
+            .where('productId', '==', id)
+            .orderBy('analysisDate', 'desc')
+            .onSnapshot(
+                (snapshot) => {
+                    results = snapshot.docs.map(doc => ({ _docId: doc.id, ...doc.data() }));
+                    renderResults();
+                },
+                (error) => {
+                    console.error('Lab results listener error:', error);
+                    toast('Failed to load lab results', 'error');
+                }
+            );
+    }
+
+    async function loadLots(id) {
+        const select = document.getElementById('lab-lot');
+        select.innerHTML = '<option value="">No specific lot</option>';
+
+        try {
+            const snapshot = await db.collection('products').doc(id).collection('lots').orderBy('receivedAt', 'desc').get();
+            if (productId !== id) return;
+            select.insertAdjacentHTML('beforeend', snapshot.docs
+                .map(doc => `<option value="${esc(doc.id)}">${esc(doc.id)} (${esc(doc.data().status)})</option>`)
+                .join(''));
+        } catch (error) {
+            console.error('Lab results lot list error:', error);
+        }
+    }
+
+    function renderResults() {
+        const tbody = document.getElementById('lab-results-tbody');
+        if (!tbody) return;
+
+        if (results.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="5" class="px-6 py-12 text-center text-slate-400">No lab results for this product. Its page shows no lab panel until one is added.</td>
+                </tr>`;
+            return;
+        }
+
+        tbody.innerHTML = results.map((result, index) => `
+            <tr class="border-b border-slate-100 hover:bg-slate-50/50">
+                <td class="px-4 py-3">
+                    <div class="text-sm font-medium text-slate-900">${esc(result.analysisDate)}</div>
+                    ${index === 0 ? '<div class="text-xs text-emerald-600">Shown on product page</div>' : ''}
+                </td>
+                <td class="px-4 py-3 text-sm text-slate-700">
+                    Task ${esc(result.taskNumber)}
+                    <div class="text-xs text-slate-400 font-mono">${esc(result.verificationKey || '')}</div>
+                </td>
+                <td class="px-4 py-3 text-sm font-mono text-slate-700">${esc(result.lotNumber || '-')}</td>
+                <td class="px-4 py-3 text-sm text-slate-700">
+                    ${esc(Number(result.purity).toFixed(3))}%
+                    ${result.quantity != null ? `<div class="text-xs text-slate-400">${esc(result.quantity)} ${esc(result.unit || 'mg')}</div>` : ''}
+                </td>
+                <td class="px-4 py-3 text-right whitespace-nowrap">
+                    <a href="${esc(result.reportUrl)}" target="_blank" rel="noopener"
+                        class="px-2.5 py-1 text-xs font-medium text-brand-blue hover:bg-blue-50 rounded-lg transition-colors">Report</a>
+                    <button onclick="window.adminLabResults.deleteResult('${esc(result._docId)}')"
+                        class="px-2.5 py-1 text-xs font-medium text-red-600 hover:bg-red-50 rounded-lg transition-colors">Delete</button>
+                </td>
+            </tr>`).join('');
+    }
+
+    async function deleteResult(resultId) {
+        const result = results.find(r => r._docId === resultId);
+        if (!result || !confirm(`Delete the ${result.analysisDate} lab result (task ${result.taskNumber})?`)) return;
+
+        try {
+            await db.collection('labResults').doc(resultId).delete();
+            if (result.reportPath) {
+                await firebase.storage().ref(result.reportPath).delete().catch(error => {
+                    console.warn('Report image not removed:', error);
+                });
+            }
+            toast('Lab result deleted', 'success');
+        } catch (error) {
+            toast(`Delete failed: ${error.message}`, 'error');
+        }
+    }
+
+    // ====================================================================
+    // Upload Form
+    // ====================================================================
+
+    function bindForm() {
+        if (formBound) return;
+        formBound = true;
+
+        document.getElementById('lab-product')?.addEventListener('change', (e) => selectProduct(e.target.value));
+        document.getElementById('lab-result-form')?.addEventListener('submit', saveResult);
+        document.getElementById('lab-import-btn')?.addEventListener('click', importBundledReports);
+        document.getElementById('lab-thresholds-form')?.addEventListener('submit', saveThresholds);
+    }
+
+    function normalizeTaskNumber(value) {
+        const task = value.trim();
+        return /^\d+$/.test(task) ? `#${task}` : task;
+    }
+
+    async function saveResult(e) {
+        e.preventDefault();
+        if (!productId) return;
+
+        const form = e.target;
+        const value = (name) => form.elements[name].value.trim();
+        const file = form.elements['lab-image'].files[0];
+        const purity = parseFloat(value('lab-purity'));
+        const quantity = value('lab-quantity') ? parseFloat(value('lab-quantity')) : null;
+        const labelled = value('lab-labelled') ? parseFloat(value('lab-labelled')) : null;
+
+        if (!file || !file.type.startsWith('image/')) {
+            toast('Choose the COA image to upload', 'error');
+            return;
+        }
+        if (file.size > MAX_IMAGE_BYTES) {
+            toast('COA images must be under 10 MB', 'error');
+            return;
+        }
+        if (!Number.isFinite(purity) || purity <= 0 || purity > 100) {
+            toast('Purity must be a percentage above 0 and up to 100', 'error');
+            return;
+        }
+
+        const button = form.querySelector('button[type="submit"]');
+        button.disabled = true;
+        button.textContent = 'Uploading...';
+
+        try {
+            const extension = (file.name.split('.').pop() || 'png').toLowerCase().replace(/[^a-z0-9]/g, '');
+            const reportPath = `lab-results/${productId}/${Date.now()}.${extension}`;
+            const upload = await firebase.storage().ref(reportPath).put(file, { contentType: file.type });
+            const reportUrl = await upload.ref.getDownloadURL();
+
+            await db.collection('labResults').add({
+                productId,
+                compound: value('lab-compound') || productName(productId),
+                lotNumber: value('lab-lot') || null,
+                quantity: Number.isFinite(quantity) ? quantity : null,
+                labelledQuantity: labelled > 0 ? labelled : null,
+                unit: value('lab-unit') || 'mg',
+                purity,
+                analysisDate: value('lab-date'),
+                taskNumber: normalizeTaskNumber(value('lab-task')),
+                verificationKey: value('lab-key') || null,
+                note: value('lab-note') || null,
+                lab: 'Janoshik',
+                reportUrl,
+                reportPath,
+                createdBy: firebase.auth().currentUser?.uid || null,
+                createdAt: firebase.firestore.FieldValue.serverTimestamp()
+            });
+
+            toast(`Lab result added for ${productName(productId)}`, 'success');
+            form.reset();
+            form.elements['lab-labelled'].value = labelledQuantity(productId) ?? '';
+        } catch (error) {
+            toast(`Upload failed: ${error.message}`, 'error');
+        } finally {
+            button.disabled = false;
+            button.textContent = 'Upload Result';
+        }
+    }
+
+    /**
+     * Copy the reports bundled with the site (before lab results moved to
+     * Firestore) into labResults. Re-running it overwrites the same documents.
+     */
+    async function importBundledReports() {
+        if (!confirm('Import the lab reports bundled with the site into Firestore?')) return;
+
+        try {
+            const response = await fetch(BUNDLED_REPORTS_URL);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const bundle = await response.json();
+            const analysisDate = bundle.testingPeriod?.conducted;
+
+            const batch = db.batch();
+            (bundle.products || []).forEach(report => {
+                const docId = `${report.id}-${report.taskNumber.replace(/\D/g, '')}`;
+                batch.set(db.collection('labResults').doc(docId), {
+                    productId: report.id,
+                    compound: report.results.compound,
+                    lotNumber: null,
+                    quantity: report.results.quantity,
+                    labelledQuantity: labelledQuantity(report.id),
+                    unit: report.results.unit,
+                    purity: report.results.purity,
+                    analysisDate,
+                    taskNumber: report.taskNumber,
+                    verificationKey: report.verificationKey,
+                    note: report.comments || null,
+                    lab: bundle.labProvider?.name || 'Janoshik',
+                    reportUrl: `/assets/lab-results/${report.reportImage}`,
+                    reportPath: null,
+                    createdBy: firebase.auth().currentUser?.uid || null,
+                    createdAt: firebase.firestore.FieldValue.serverTimestamp()
+                });
+            });
+            await batch.commit();
+
+            toast(`Imported ${(bundle.products || []).length} lab reports`, 'success');
+        } catch (error) {
+            toast(`Import failed: ${error.message}`, 'error');
+        }
+    }
+
+    // ====================================================================
+    // Flag Thresholds
+    // ====================================================================
+
+    async function loadThresholds() {
+        const form = document.getElementById('lab-thresholds-form');
+        if (!form) return;
+
+        try {
+            const doc = await db.collection('settings').doc('labResults').get();
+            const settings = doc.exists ? doc.data() : {};
+            // Left blank, the product pages fall back to the placeholder defaults
+            form.elements['lab-purity-threshold'].value = settings.purityThreshold ?? '';
+            form.elements['lab-quantity-tolerance'].value = settings.quantityTolerance ?? '';
+        } catch (error) {
+            console.error('Lab result thresholds error:', error);
+        }
+    }
+
+    async function saveThresholds(e) {
+        e.preventDefault();
+        const form = e.target;
+        const purityThreshold = parseFloat(form.elements['lab-purity-threshold'].value);
+        const quantityTolerance = parseFloat(form.elements['lab-quantity-tolerance'].value);
+
+        if (!Number.isFinite(purityThreshold) || purityThreshold <= 0 || purityThreshold > 100) {
+            toast('Purity threshold must be a percentage up to 100', 'error');
+            return;
+        }
+        if (!Number.isFinite(quantityTolerance) || quantityTolerance < 0 || quantityTolerance > 100) {
+            toast('Quantity tolerance must be between 0 and 100%', 'error');
+            return;
+        }
+
+        try {
+            await db.collection('settings').doc('labResults').set({
+                purityThreshold,
+                quantityTolerance,
+                updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+            }, { merge: true });
+            toast('Lab result thresholds saved', 'success');
+        } catch (error) {
+            toast(`Save failed: ${error.message}`, 'error');
+        }
+    }
+
+    // Expose module
+    window.adminLabResults = {
+        start,
+        stop,
+        deleteResult
+    };
+})();
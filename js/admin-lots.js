@@ -0,0 +1,281 @@
+/**
+ * Admin Lots Module - Lot receiving and recall tracing
+ * Lists products/{id}/lots for the selected product, receives new lots through
+ * the receiveLot function, quarantines or recalls them through updateLotStatus,
+ * and traces a lot to every order it shipped to from its allocations.
+ */
+(function() {
+    'use strict';
+
+    let db = null;
+    let products = [];
+    let lots = [];
+    let productId = null;
+    let unsubscribeLots = null;
+    let traceEmails = [];
+    let formBound = false;
+
+    const STATUS_BADGES = {
+        active: 'bg-emerald-50 text-emerald-700',
+        depleted: 'bg-slate-100 text-slate-500',
+        quarantined: 'bg-amber-50 text-amber-700',
+        recalled: 'bg-red-50 text-red-700'
+    };
+
+    function esc(value) {
+        return window.sanitize.html(value == null ? '' : String(value));
+    }
+
+    function toast(message, type) {
+        window.adminModule.showToast(message, type);
+    }
+
+    function formatDay(value) {
+        const date = value && typeof value.toDate === 'function' ? value.toDate() : null;
+        return date ? date.toLocaleDateString(undefined, { timeZone: 'UTC' }) : '-';
+    }
+
+    function call(name, data) {
+        return firebase.functions().httpsCallable(name)(data);
+    }
+
+    // ====================================================================
+    // Lot Table
+    // ====================================================================
+
+    async function start(database) {
+        db = database;
+        bindForm();
+
+        try {
+            const snapshot = await db.collection('products').orderBy('name').get();
+            products = snapshot.docs.map(doc => ({ _docId: doc.id, ...doc.data() }));
+        } catch (error) {
+            console.error('Lots product list error:', error);
+            toast('Failed to load products for lots', 'error');
+            return;
+        }
+
+        const select = document.getElementById('lots-product');
+        if (!select) return;
+        select.innerHTML = products
+            .map(product => `<option value="${esc(product._docId)}">${esc(product.name || product._docId)}</option>`)
+            .join('');
+
+        if (products.length > 0) selectProduct(productId || products[0]._docId);
+    }
+
+    function stop() {
+        if (unsubscribeLots) {
+            unsubscribeLots();
+            unsubscribeLots = null;
+        }
+        lots = [];
+    }
+
+    function selectProduct(id) {
+        stop();
+        productId = id;
+        document.getElementById('lots-product').value = id;
+        document.getElementById('lot-trace').innerHTML = '';
+
+        unsubscribeLots = db.collection('products').doc(id).collection('lots')
+            .orderBy('receivedAt', 'desc')
+            .onSnapshot(
+                (snapshot) => {
+                    lots = snapshot.docs.map(doc => ({ _docId: doc.id, ...doc.data() }));
+                    renderLots();
+                },
+                (error) => {
+                    console.error('Lots listener error:', error);
+                    toast('Failed to load lots', 'error');
+                }
+            );
+    }
+
+    function renderLots() {
+        const tbody = document.getElementById('lots-tbody');
+        if (!tbody) return;
+
+        if (lots.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="6" class="px-6 py-12 text-center text-slate-400">No lots received for this product. Shipments of it are not lot-tracked.</td>
+                </tr>`;
+            return;
+        }
+
+        tbody.innerHTML = lots.map(lot => {
+            const report = lot.labReport || {};
+            const actions = [
+                lot.status === 'active'
+                    ? `<button onclick="window.adminLots.setStatus('${esc(lot._docId)}', 'quarantined')" class="px-2.5 py-1 text-xs font-medium text-amber-700 hover:bg-amber-50 rounded-lg transition-colors">Quarantine</button>`
+                    : '',
+                ['quarantined', 'recalled'].includes(lot.status)
+                    ? `<button onclick="window.adminLots.setStatus('${esc(lot._docId)}', 'active')" class="px-2.5 py-1 text-xs font-medium text-emerald-700 hover:bg-emerald-50 rounded-lg transition-colors">Release</button>`
+                    : '',
+                lot.status !== 'recalled'
+                    ? `<button onclick="window.adminLots.setStatus('${esc(lot._docId)}', 'recalled')" class="px-2.5 py-1 text-xs font-medium text-red-600 hover:bg-red-50 rounded-lg transition-colors">Recall</button>`
+                    : ''
+            ].join('');
+
+            return `
+            <tr class="border-b border-slate-100 hover:bg-slate-50/50">
+                <td class="px-4 py-3">
+                    <button onclick="window.adminLots.traceLot('${esc(lot._docId)}')" class="text-sm font-mono font-semibold text-brand-blue hover:underline">${esc(lot.lotNumber)}</button>
+                    <div class="text-xs text-slate-400">Received ${esc(formatDay(lot.receivedAt))}</div>
+                </td>
+                <td class="px-4 py-3 text-xs text-slate-500">
+                    Mfg ${esc(formatDay(lot.manufacturedAt))}<br>Exp ${esc(formatDay(lot.expiresAt))}
+                </td>
+                <td class="px-4 py-3 text-sm text-slate-700">${esc(lot.quantityRemaining)} / ${esc(lot.quantityReceived)}</td>
+                <td class="px-4 py-3 text-xs text-slate-500">
+                    ${report.taskNumber ? `Task #${esc(report.taskNumber)}` : 'No report'}
+                    ${report.purity ? ` · ${esc(report.purity)}%` : ''}
+                    ${report.reportUrl ? `<br><a href="${esc(report.reportUrl)}" target="_blank" rel="noopener" class="text-brand-blue hover:underline">View COA</a>` : ''}
+                </td>
+                <td class="px-4 py-3">
+                    <span class="px-2 py-0.5 text-xs font-medium rounded-full ${STATUS_BADGES[lot.status] || STATUS_BADGES.depleted}">${esc(lot.status)}</span>
+                </td>
+                <td class="px-4 py-3 text-right whitespace-nowrap">${actions}</td>
+            </tr>`;
+        }).join('');
+    }
+
+    async function setStatus(lotNumber, status) {
+        let reason = null;
+        if (status !== 'active') {
+            reason = prompt(`${status === 'recalled' ? 'Recall' : 'Quarantine'} lot ${lotNumber}? Enter a reason:`);
+            if (reason === null) return;
+        }
+
+        try {
+            const result = await call('updateLotStatus', { productId, lotNumber, status, reason });
+            toast(`Lot ${lotNumber} is now ${result.data.status}`, 'success');
+            if (status === 'recalled') traceLot(lotNumber);
+        } catch (error) {
+            toast(`Update failed: ${error.message}`, 'error');
+        }
+    }
+
+    // ====================================================================
+    // Receive Form
+    // ====================================================================
+
+    function bindForm() {
+        if (formBound) return;
+        formBound = true;
+
+        document.getElementById('lots-product')?.addEventListener('change', (e) => selectProduct(e.target.value));
+        document.getElementById('lot-receive-form')?.addEventListener('submit', receiveLot);
+    }
+
+    async function receiveLot(e) {
+        e.preventDefault();
+        if (!productId) return;
+
+        const form = e.target;
+        const value = (name) => form.elements[name].value.trim();
+        const button = form.querySelector('button[type="submit"]');
+        button.disabled = true;
+
+        try {
+            const result = await call('receiveLot', {
+                productId,
+                lotNumber: value('lot-number'),
+                quantity: parseInt(value('lot-quantity'), 10),
+                manufacturedAt: value('lot-manufactured') || null,
+                expiresAt: value('lot-expires') || null,
+                labReport: {
+                    taskNumber: value('lot-task'),
+                    verificationKey: value('lot-key'),
+                    analysisDate: value('lot-analysis-date'),
+                    purity: value('lot-purity') ? parseFloat(value('lot-purity')) : null,
+                    reportUrl: value('lot-report-url')
+                }
+            });
+            toast(`Received lot ${result.data.lotNumber}; stock is now ${result.data.stockLevel}`, 'success');
+            form.reset();
+        } catch (error) {
+            toast(`Receive failed: ${error.message}`, 'error');
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    // ====================================================================
+    // Trace
+    // ====================================================================
+
+    async function traceLot(lotNumber) {
+        const output = document.getElementById('lot-trace');
+        output.innerHTML = '<p class="text-sm text-slate-400 text-center py-6">Tracing lot...</p>';
+
+        try {
+            const snapshot = await db.collection('products').doc(productId)
+                .collection('lots').doc(lotNumber)
+                .collection('allocations')
+                .orderBy('shippedAt', 'desc')
+                .get();
+            const allocations = snapshot.docs.map(doc => doc.data());
+            const units = allocations.reduce((sum, allocation) => sum + allocation.quantity, 0);
+            traceEmails = [...new Set(allocations.map(allocation => allocation.customerEmail).filter(Boolean))];
+
+            output.innerHTML = `
+                <div class="flex flex-wrap items-center justify-between gap-3 p-5 border-b border-slate-200">
+                    <div>
+                        <h3 class="text-sm font-semibold text-slate-900">Lot <span class="font-mono">${esc(lotNumber)}</span> shipments</h3>
+                        <p class="text-xs text-slate-500">${esc(units)} unit(s) to ${esc(allocations.length)} shipment(s)</p>
+                    </div>
+                    ${traceEmails.length ? `<button onclick="window.adminLots.copyEmails()"
+                        class="px-3 py-1.5 text-xs font-medium text-slate-700 border border-slate-200 rounded-lg hover:bg-slate-50 transition-colors">Copy customer emails</button>` : ''}
+                </div>
+                ${allocations.length === 0
+                    ? '<p class="text-sm text-slate-400 text-center py-6">This lot has not shipped to anyone.</p>'
+                    : `
+                <table class="w-full text-left">
+                    <thead>
+                        <tr class="border-b border-slate-200 bg-slate-50/50">
+                            <th class="px-4 py-2 text-xs font-semibold text-slate-500 uppercase tracking-wider">Order</th>
+                            <th class="px-4 py-2 text-xs font-semibold text-slate-500 uppercase tracking-wider">Customer</th>
+                            <th class="px-4 py-2 text-xs font-semibold text-slate-500 uppercase tracking-wider">Units</th>
+                            <th class="px-4 py-2 text-xs font-semibold text-slate-500 uppercase tracking-wider">Shipped</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${allocations.map(allocation => `
+                        <tr class="border-b border-slate-100">
+                            <td class="px-4 py-2">
+                                <button onclick="window.adminModule.switchTab('orders'); window.adminOrders.openOrderDrawer('${esc(allocation.orderId)}')"
+                                    class="text-sm font-mono text-brand-blue hover:underline">${esc(allocation.reference || allocation.orderId)}</button>
+                            </td>
+                            <td class="px-4 py-2 text-sm text-slate-700">${esc(allocation.customerEmail || allocation.userId || '-')}</td>
+                            <td class="px-4 py-2 text-sm text-slate-700">${esc(allocation.quantity)}</td>
+                            <td class="px-4 py-2 text-sm text-slate-500">${esc(formatDay(allocation.shippedAt))}</td>
+                        </tr>`).join('')}
+                    </tbody>
+                </table>`}`;
+        } catch (error) {
+            output.innerHTML = '';
+            toast(`Trace failed: ${error.message}`, 'error');
+        }
+    }
+
+    async function copyEmails() {
+        try {
+            await navigator.clipboard.writeText(traceEmails.join(', '));
+            toast(`Copied ${traceEmails.length} email(s)`, 'success');
+        } catch (error) {
+            toast('Could not copy to the clipboard', 'error');
+        }
+    }
+
+    // Expose module
+    window.adminLots = {
+        start,
+        stop,
+        setStatus,
+        traceLot,
+        copyEmails
+    };
+})();
@@ -0,0 +1,785 @@
+/**
+ * Admin Orders Module - Order management console
+ * Real-time order listener with filters, an order detail drawer and admin actions
+ * (manual payment confirmation, cancellation, shipments, refunds, internal notes).
+ * Status changes go through Cloud Functions; only non-status fields are written directly.
+ */
+(function() {
+    'use strict';
+
+    const ORDER_LIMIT = 500;
+    const MANUAL_PAYMENT_METHODS = ['zelle', 'cashapp'];
+
+    const STATUS_STYLES = {
+        pending: 'bg-slate-100 text-slate-600',
+        pending_payment: 'bg-amber-50 text-amber-700',
+        payment_failed: 'bg-red-50 text-red-700',
+        paid: 'bg-emerald-50 text-emerald-700',
+        processing: 'bg-blue-50 text-blue-700',
+        shipped: 'bg-indigo-50 text-indigo-700',
+        delivered: 'bg-emerald-100 text-emerald-800',
+        cancelled: 'bg-slate-200 text-slate-600',
+        expired: 'bg-slate-100 text-slate-400',
+        partially_refunded: 'bg-purple-50 text-purple-700',
+        refunded: 'bg-purple-100 text-purple-800'
+    };
+
+    // Mirrors the server-side state machine; the functions still enforce it
+    const CONFIRMABLE_STATUSES = ['pending_payment', 'payment_failed', 'expired'];
+    const CANCELLABLE_STATUSES = ['pending', 'pending_payment', 'payment_failed', 'paid', 'processing', 'expired', 'partially_refunded'];
+    const SHIPPABLE_STATUSES = ['paid', 'processing', 'partially_refunded'];
+    const REFUNDABLE_STATUSES = ['paid', 'processing', 'shipped', 'delivered', 'cancelled', 'partially_refunded'];
+
+    const CARRIERS = [
+        { code: 'usps', name: 'USPS' },
+        { code: 'ups', name: 'UPS' },
+        { code: 'fedex', name: 'FedEx' },
+        { code: 'dhl', name: 'DHL' }
+    ];
+
+    let db = null;
+    let unsubscribeOrders = null;
+    let orders = [];
+    let openOrderId = null;
+    // Last refund submitted and its idempotency key; resubmitting the same refund
+    // after an error reuses the key, so PayPal cannot refund it twice
+    let lastRefund = null;
+
+    // ====================================================================
+    // Helpers
+    // ====================================================================
+
+    function esc(value) {
+        return window.sanitize.html(value == null ? '' : String(value));
+    }
+
+    function toast(message, type) {
+        window.adminModule.showToast(message, type);
+    }
+
+    function toDate(value) {
+        if (!value) return null;
+        if (typeof value.toDate === 'function') return value.toDate();
+        const date = new Date(value);
+        return isNaN(date) ? null : date;
+    }
+
+    function formatDate(value) {
+        const date = toDate(value);
+        return date ? date.toLocaleString() : '-';
+    }
+
+    function formatMoney(amount) {
+        return `$${(Number(amount) || 0).toFixed(2)}`;
+    }
+
+    function formatStatus(status) {
+        return (status || 'unknown').replace(/_/g, ' ');
+    }
+
+    function statusBadge(status) {
+        return `<span class="px-2 py-0.5 text-xs font-medium rounded-full capitalize ${STATUS_STYLES[status] || 'bg-slate-100 text-slate-600'}">${esc(formatStatus(status))}</span>`;
+    }
+
+    /**
+     * Units of each line still to ship (mirrors shipments.remainingToShip on the server)
+     * @param {Object} order
+     * @returns {Object<string, number>}
+     */
+    function remainingToShip(order) {
+        const shipped = order.shippedItems || {};
+        const refunded = order.refundedItems || {};
+        const remaining = {};
+        (order.items || []).forEach(item => {
+            remaining[item.id] = Math.max(0, (remaining[item.id] || 0) + item.quantity - (shipped[item.id] || 0) - (refunded[item.id] || 0));
+        });
+        return remaining;
+    }
+
+    /**
+     * Units of each line that can still be refunded (mirrors refunds.remainingToRefund on the server)
+     * @param {Object} order
+     * @returns {Object<string, number>}
+     */
+    function remainingToRefund(order) {
+        const refunded = order.refundedItems || {};
+        const remaining = {};
+        (order.items || []).forEach(item => {
+            remaining[item.id] = (remaining[item.id] || 0) + item.quantity;
+        });
+        Object.keys(remaining).forEach(id => {
+            remaining[id] = Math.max(0, remaining[id] - (refunded[id] || 0));
+        });
+        return remaining;
+    }
+
+    function callFunction(name, data) {
+        return firebase.functions().httpsCallable(name)(data);
+    }
+
+    // ====================================================================
+    // Real-time Order Listener
+    // ====================================================================
+
+    function start(database) {
+        db = database;
+        populateStatusFilter();
+        bindFilters();
+        if (unsubscribeOrders) unsubscribeOrders();
+
+        unsubscribeOrders = db.collection('orders')
+            .orderBy('createdAt', 'desc')
+            .limit(ORDER_LIMIT)
+            .onSnapshot(
+                (snapshot) => {
+                    orders = snapshot.docs.map(doc => ({
+                        _docId: doc.id,
+                        ...doc.data()
+                    }));
+                    renderOrderTable();
+                    updatePendingBadge();
+
+                    // Refresh the open drawer only when its order changed, so typed input survives
+                    const openChanged = snapshot.docChanges().some(change => change.doc.id === openOrderId);
+                    if (openOrderId && openChanged) {
+                        renderOrderDrawer();
+                    }
+                },
+                (error) => {
+                    console.error('Orders listener error:', error);
+                    toast('Failed to load orders', 'error');
+                }
+            );
+    }
+
+    function stop() {
+        if (unsubscribeOrders) {
+            unsubscribeOrders();
+            unsubscribeOrders = null;
+        }
+        orders = [];
+        closeOrderDrawer();
+    }
+
+    // ====================================================================
+    // Filters & Table
+    // ====================================================================
+
+    let filtersBound = false;
+
+    function populateStatusFilter() {
+        const select = document.getElementById('order-filter-status');
+        if (!select || select.options.length > 1) return;
+
+        Object.keys(STATUS_STYLES).forEach(status => {
+            const option = document.createElement('option');
+            option.value = status;
+            option.textContent = formatStatus(status);
+            select.appendChild(option);
+        });
+    }
+
+    function bindFilters() {
+        if (filtersBound) return;
+        filtersBound = true;
+
+        ['order-filter-email', 'order-filter-status', 'order-filter-method', 'order-filter-from', 'order-filter-to']
+            .forEach(id => {
+                const el = document.getElementById(id);
+                if (el) {
+                    el.addEventListener(el.tagName === 'INPUT' && el.type === 'text' ? 'input' : 'change', renderOrderTable);
+                }
+            });
+    }
+
+    function getFilters() {
+        const value = (id) => (document.getElementById(id)?.value || '').trim();
+        const from = value('order-filter-from');
+        const to = value('order-filter-to');
+
+        return {
+            query: value('order-filter-email').toLowerCase(),
+            status: value('order-filter-status'),
+            method: value('order-filter-method'),
+            // Date inputs are local calendar days; include the whole "to" day
+            from: from ? new Date(`${from}T00:00:00`) : null,
+            to: to ? new Date(`${to}T23:59:59.999`) : null
+        };
+    }
+
+    function filterOrders() {
+        const filters = getFilters();
+
+        return orders.filter(order => {
+            if (filters.status && order.status !== filters.status) return false;
+            if (filters.method && order.paymentMethod !== filters.method) return false;
+
+            const created = toDate(order.createdAt);
+            if (filters.from && (!created || created < filters.from)) return false;
+            if (filters.to && (!created || created > filters.to)) return false;
+
+            if (filters.query) {
+                const haystack = [order._docId, order.reference, order.customerEmail, order.customerName]
+                    .filter(Boolean)
+                    .join(' ')
+                    .toLowerCase();
+                if (!haystack.includes(filters.query)) return false;
+            }
+            return true;
+        });
+    }
+
+    function renderOrderTable() {
+        const tbody = document.getElementById('order-tbody');
+        if (!tbody) return;
+
+        const filtered = filterOrders();
+
+        const countEl = document.getElementById('order-count');
+        if (countEl) {
+            countEl.textContent = `${filtered.length} of ${orders.length} orders`;
+        }
+
+        if (filtered.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="6" class="px-6 py-12 text-center text-slate-400">
+                        ${orders.length === 0 ? 'No orders yet.' : 'No orders match your filters.'}
+                    </td>
+                </tr>`;
+            return;
+        }
+
+        tbody.innerHTML = filtered.map(order => `
+            <tr class="border-b border-slate-100 hover:bg-slate-50/50 transition-colors cursor-pointer"
+                onclick="window.adminOrders.openOrderDrawer('${esc(order._docId)}')">
+                <td class="px-4 py-3">
+                    <div class="font-mono text-sm font-semibold text-slate-900">${esc(order.reference || '-')}</div>
+                    <div class="font-mono text-[10px] text-slate-400">${esc(order._docId)}</div>
+                </td>
+                <td class="px-4 py-3 text-sm text-slate-500 whitespace-nowrap">${esc(formatDate(order.createdAt))}</td>
+                <td class="px-4 py-3">
+                    <div class="text-sm text-slate-900">${esc(order.customerName || '-')}</div>
+                    <div class="text-xs text-slate-400">${esc(order.customerEmail || '')}</div>
+                </td>
+                <td class="px-4 py-3 text-sm text-slate-600 capitalize">${esc(order.paymentMethod || '-')}</td>
+                <td class="px-4 py-3 text-sm font-medium text-slate-900">${esc(formatMoney(order.amountTotal))}</td>
+                <td class="px-4 py-3">${statusBadge(order.status)}</td>
+            </tr>
+        `).join('');
+    }
+
+    function updatePendingBadge() {
+        const badge = document.getElementById('orders-pending-badge');
+        if (!badge) return;
+
+        const pending = orders.filter(order => order.status === 'pending_payment').length;
+        badge.textContent = pending;
+        badge.classList.toggle('hidden', pending === 0);
+    }
+
+    // ====================================================================
+    // Order Detail Drawer
+    // ====================================================================
+
+    async function openOrderDrawer(orderId) {
+        openOrderId = orderId;
+        document.getElementById('order-drawer-overlay')?.classList.remove('hidden');
+        document.getElementById('order-drawer')?.classList.remove('translate-x-full');
+        renderOrderDrawer();
+    }
+
+    function closeOrderDrawer() {
+        openOrderId = null;
+        document.getElementById('order-drawer-overlay')?.classList.add('hidden');
+        document.getElementById('order-drawer')?.classList.add('translate-x-full');
+    }
+
+    function section(title, body) {
+        return `
+            <div>
+                <h4 class="text-xs font-semibold text-slate-500 uppercase tracking-wider mb-2">${esc(title)}</h4>
+                ${body}
+            </div>`;
+    }
+
+    function formatAddress(address) {
+        if (!address) return '';
+        return [
+            address.address_line_1,
+            address.address_line_2,
+            [address.admin_area_2, address.admin_area_1, address.postal_code].filter(Boolean).join(', '),
+            address.country_code
+        ].filter(Boolean).map(esc).join('<br>');
+    }
+
+    function renderOrderDrawer() {
+        const body = document.getElementById('order-drawer-body');
+        const order = orders.find(o => o._docId === openOrderId);
+        if (!body) return;
+
+        if (!order) {
+            body.innerHTML = '<p class="text-sm text-slate-400 text-center py-8">Order not found in the loaded list.</p>';
+            return;
+        }
+
+        document.getElementById('order-drawer-title').textContent = `Order ${order.reference || order._docId}`;
+        document.getElementById('order-drawer-subtitle').textContent = `${order._docId} · Placed ${formatDate(order.createdAt)}`;
+
+        const items = order.items || [];
+        const refundedItems = order.refundedItems || {};
+        const itemsHtml = `
+            <div class="border border-slate-200 rounded-xl divide-y divide-slate-100">
+                ${items.map(item => `
+                    <div class="flex items-center justify-between px-4 py-2.5 text-sm">
+                        <div class="min-w-0">
+                            <div class="text-slate-900 truncate">${esc(item.name || item.id)}</div>
+                            <div class="text-xs text-slate-400">${esc(item.sku || item.id)}${refundedItems[item.id] ? ` · ${esc(refundedItems[item.id])} refunded` : ''}</div>
+                        </div>
+                        <div class="text-right flex-shrink-0 ml-4">
+                            <div class="text-slate-900">${esc(item.quantity)} × ${esc(formatMoney(item.price))}</div>
+                            <div class="text-xs text-slate-400">${esc(formatMoney(item.price * item.quantity))}</div>
+                        </div>
+                    </div>
+                `).join('') || '<div class="px-4 py-3 text-sm text-slate-400">No line items</div>'}
+                ${order.discountTotal ? `
+                <div class="flex justify-between px-4 py-2.5 text-sm text-emerald-700">
+                    <span>Discount <span class="font-mono">${esc(order.promotion?.code || '')}</span></span><span>-${esc(formatMoney(order.discountTotal))}</span>
+                </div>` : ''}
+                ${order.shippingMethod ? `
+                <div class="flex justify-between px-4 py-2.5 text-sm text-slate-600">
+                    <span>Shipping</span><span>${esc(formatMoney(order.shippingTotal))}</span>
+                </div>` : ''}
+                ${order.tax ? `
+                <div class="flex justify-between px-4 py-2.5 text-sm text-slate-600">
+                    <span>Tax <span class="text-xs text-slate-400">${esc(order.tax.jurisdictionName)} ${esc((order.tax.rate * 100).toFixed(3).replace(/\.?0+$/, ''))}%</span></span><span>${esc(formatMoney(order.taxTotal))}</span>
+                </div>` : ''}
+                <div class="flex justify-between px-4 py-2.5 text-sm font-semibold">
+                    <span>Total</span><span>${esc(formatMoney(order.amountTotal))}</span>
+                </div>
+                ${order.refundedTotal ? `
+                <div class="flex justify-between px-4 py-2.5 text-sm text-purple-700">
+                    <span>Refunded</span><span>-${esc(formatMoney(order.refundedTotal))}</span>
+                </div>` : ''}
+            </div>`;
+
+        const payerHtml = `
+            <div class="text-sm text-slate-700 space-y-0.5">
+                <div>${esc(order.customerName || '-')}</div>
+                <div>${esc(order.customerEmail || '-')}</div>
+                ${order.paypalPayerId ? `<div class="text-xs text-slate-400">PayPal payer ${esc(order.paypalPayerId)}</div>` : ''}
+                <div class="text-xs text-slate-400">${order.userId ? `Account ${esc(order.userId)}` : 'Guest checkout'}</div>
+            </div>`;
+
+        const shippingMethodHtml = order.shippingMethod
+            ? `<div class="text-xs text-slate-500 mt-1">${esc(order.shippingMethod.label)} · ${esc(formatMoney(order.shippingMethod.amount))}</div>`
+            : '';
+        const shippingHtml = (order.shippingAddress
+            ? `<div class="text-sm text-slate-700">${order.shippingName ? `${esc(order.shippingName)}<br>` : ''}${formatAddress(order.shippingAddress)}</div>`
+            : '<p class="text-sm text-slate-400">No shipping address on file.</p>') + shippingMethodHtml;
+
+        const tracking = order.tracking;
+        const paymentHtml = `
+            <div class="text-sm text-slate-700 space-y-0.5">
+                <div class="flex items-center gap-2"><span class="capitalize">${esc(order.paymentMethod || '-')}</span>${statusBadge(order.status)}</div>
+                ${order.paypalCaptureId ? `<div class="text-xs text-slate-400">Capture ${esc(order.paypalCaptureId)}</div>` : ''}
+                ${order.manualPayment?.reference ? `<div class="text-xs text-slate-400">Transfer ref ${esc(order.manualPayment.reference)}</div>` : ''}
+                ${order.paidAt ? `<div class="text-xs text-slate-400">Paid ${esc(formatDate(order.paidAt))}</div>` : ''}
+                ${order.status === 'pending_payment' && order.reservationExpiresAt ? `<div class="text-xs text-amber-600">Stock held until ${esc(formatDate(order.reservationExpiresAt))}</div>` : ''}
+                ${tracking && !(order.shipments || []).length ? `<div class="text-xs text-slate-500">Tracking: ${esc(tracking.carrier)} ${esc(tracking.number)}</div>` : ''}
+            </div>`;
+
+        body.innerHTML = [
+            section('Line Items', itemsHtml),
+            `<div class="grid grid-cols-2 gap-6">${section('Payer', payerHtml)}${section('Shipping', shippingHtml)}</div>`,
+            section('Payment', paymentHtml),
+            section('Fulfillment', renderFulfillment(order)),
+            section('Actions', renderActions(order)),
+            section('Internal Notes', `
+                <div id="order-notes" class="space-y-2 mb-3"><p class="text-sm text-slate-400">Loading notes...</p></div>
+                <div class="flex gap-2">
+                    <textarea id="order-note-input" rows="2" maxlength="2000" placeholder="Add a note for the team..."
+                        class="flex-1 px-3 py-2 text-sm border border-slate-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-brand-blue/20 focus:border-brand-blue"></textarea>
+                    <button onclick="window.adminOrders.addNote(this)"
+                        class="px-3 py-2 text-xs font-semibold text-white bg-brand-navy rounded-lg hover:bg-slate-800 transition-colors self-end">Add</button>
+                </div>`),
+            section('History', '<div id="order-history" class="space-y-2"><p class="text-sm text-slate-400">Loading history...</p></div>')
+        ].join('');
+
+        loadNotes(order._docId);
+        loadHistory(order._docId);
+    }
+
+    function renderFulfillment(order) {
+        const shipments = order.shipments || [];
+        if (shipments.length === 0) {
+            return '<p class="text-sm text-slate-400">Nothing shipped yet.</p>';
+        }
+
+        return `
+            <div class="space-y-2">
+                ${shipments.map(shipment => `
+                    <div class="p-3 border border-slate-200 rounded-xl text-sm">
+                        <div class="flex items-center justify-between gap-2">
+                            <div class="text-slate-900">
+                                ${esc(shipment.carrierName)}
+                                ${shipment.trackingUrl
+                                    ? `<a href="${esc(shipment.trackingUrl)}" target="_blank" rel="noopener" class="font-mono text-brand-blue hover:underline">${esc(shipment.trackingNumber)}</a>`
+                                    : `<span class="font-mono">${esc(shipment.trackingNumber)}</span>`}
+                            </div>
+                            ${shipment.deliveredAt
+                                ? `<span class="text-xs text-emerald-700">Delivered ${esc(formatDate(shipment.deliveredAt))}</span>`
+                                : `<button onclick="window.adminOrders.markDelivered('${esc(shipment.id)}', this)"
+                                    class="px-2.5 py-1 text-xs font-medium text-emerald-700 hover:bg-emerald-50 rounded-lg transition-colors">Mark Delivered</button>`}
+                        </div>
+                        <div class="text-xs text-slate-400 mt-0.5">Shipped ${esc(formatDate(shipment.shippedAt))}</div>
+                        <ul class="mt-2 space-y-0.5 text-xs text-slate-600">
+                            ${(shipment.items || []).map(item => `
+                                <li>${esc(item.quantity)} × ${esc(item.name)}${formatLots(item)}</li>
+                            `).join('')}
+                        </ul>
+                    </div>
+                `).join('')}
+            </div>`;
+    }
+
+    /**
+     * Lots a shipment line came from: per-lot quantities when drawn from
+     * tracked lots, else the lot numbers typed at packing
+     */
+    function formatLots(item) {
+        const lots = item.lots?.length
+            ? item.lots.map(lot => `${lot.lotNumber} × ${lot.quantity}`)
+            : item.lotNumbers || [];
+        return lots.length ? ` · <span class="font-mono">Lot ${esc(lots.join(', '))}</span>` : '';
+    }
+
+    function renderShipmentForm(order) {
+        const remaining = remainingToShip(order);
+        const lines = (order.items || []).filter(item => remaining[item.id] > 0);
+        if (lines.length === 0) return '';
+
+        const inputClass = 'px-3 py-2 text-sm border border-slate-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-brand-blue/20 focus:border-brand-blue';
+
+        return `
+            <div id="shipment-form" class="p-3 border border-slate-200 rounded-xl space-y-2">
+                <div class="text-xs font-semibold text-slate-500">New shipment</div>
+                ${lines.map(item => `
+                    <div class="flex items-center gap-2" data-shipment-line="${esc(item.id)}">
+                        <div class="flex-1 min-w-0 text-sm text-slate-700 truncate">${esc(item.name)} <span class="text-xs text-slate-400">(${esc(remaining[item.id])} left)</span></div>
+                        <input type="number" min="0" max="${esc(remaining[item.id])}" value="${esc(remaining[item.id])}" data-field="quantity" class="w-16 ${inputClass}">
+                        <input type="text" maxlength="200" placeholder="Lots (FIFO)" title="Lots picked, comma separated. Lot-tracked products draw any remainder oldest lot first." data-field="lots" class="w-36 ${inputClass}">
+                    </div>
+                `).join('')}
+                <div class="flex gap-2">
+                    <select id="shipment-carrier" class="w-28 ${inputClass}">
+                        ${CARRIERS.map(carrier => `<option value="${esc(carrier.code)}">${esc(carrier.name)}</option>`).join('')}
+                        <option value="">Other...</option>
+                    </select>
+                    <input id="shipment-tracking" type="text" maxlength="100" placeholder="Tracking number" class="flex-1 ${inputClass}">
+                    <button onclick="window.adminOrders.createShipment(this)"
+                        class="px-3 py-2 text-xs font-semibold rounded-lg transition-colors text-white bg-brand-blue hover:bg-blue-700">Create Shipment</button>
+                </div>
+            </div>`;
+    }
+
+    function renderRefundForm(order) {
+        const hasPayment = order.paypalCaptureId || (MANUAL_PAYMENT_METHODS.includes(order.paymentMethod) && order.paidAt);
+        const refundable = Math.round(((Number(order.amountTotal) || 0) - (Number(order.refundedTotal) || 0)) * 100) / 100;
+        if (!hasPayment || refundable <= 0) return '';
+
+        const remaining = remainingToRefund(order);
+        const lines = (order.items || []).filter(item => remaining[item.id] > 0);
+        const inputClass = 'px-3 py-2 text-sm border border-slate-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-brand-blue/20 focus:border-brand-blue';
+
+        return `
+            <div id="refund-form" class="p-3 border border-slate-200 rounded-xl space-y-2">
+                <div class="text-xs font-semibold text-slate-500">Refund ${order.paypalCaptureId ? 'through PayPal' : `(sent by ${esc(order.paymentMethod === 'zelle' ? 'Zelle' : 'CashApp')} outside the site)`}</div>
+                ${lines.map(item => `
+                    <div class="flex items-center gap-2" data-refund-line="${esc(item.id)}">
+                        <div class="flex-1 min-w-0 text-sm text-slate-700 truncate">${esc(item.name || item.id)} <span class="text-xs text-slate-400">(${esc(remaining[item.id])} refundable)</span></div>
+                        <input type="number" min="0" max="${esc(remaining[item.id])}" value="0" data-field="quantity" class="w-16 ${inputClass}">
+                    </div>
+                `).join('')}
+                <div class="flex gap-2">
+                    <input id="refund-amount" type="number" min="0.01" max="${esc(refundable.toFixed(2))}" step="0.01" value="${esc(refundable.toFixed(2))}"
+                        title="Up to ${esc(formatMoney(refundable))}" class="w-28 ${inputClass}">
+                    <input id="refund-reason" type="text" maxlength="255" placeholder="Reason (shown to the customer)" class="flex-1 ${inputClass}">
+                </div>
+                <div class="flex items-center justify-between gap-2">
+                    <label class="flex items-center gap-2 text-sm text-slate-700">
+                        <input id="refund-restock" type="checkbox" class="rounded border-slate-300 text-brand-blue focus:ring-brand-blue/20">
+                        Return refunded units to stock
+                    </label>
+                    <button onclick="window.adminOrders.refundOrder(this)"
+                        class="px-3 py-2 text-xs font-semibold rounded-lg transition-colors text-purple-700 bg-purple-50 hover:bg-purple-100">Refund</button>
+                </div>
+            </div>`;
+    }
+
+    function renderActions(order) {
+        const buttonClass = 'px-3 py-2 text-xs font-semibold rounded-lg transition-colors';
+        const inputClass = 'flex-1 px-3 py-2 text-sm border border-slate-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-brand-blue/20 focus:border-brand-blue';
+        const blocks = [];
+
+        if (MANUAL_PAYMENT_METHODS.includes(order.paymentMethod) && CONFIRMABLE_STATUSES.includes(order.status)) {
+            blocks.push(`
+                <div class="flex gap-2">
+                    <input id="order-payment-reference" type="text" maxlength="200" placeholder="${esc(order.paymentMethod === 'zelle' ? 'Zelle' : 'CashApp')} reference (optional)" class="${inputClass}">
+                    <button onclick="window.adminOrders.markPaymentReceived(this)"
+                        class="${buttonClass} text-white bg-emerald-600 hover:bg-emerald-700">Mark Payment Received</button>
+                </div>`);
+        }
+
+        if (SHIPPABLE_STATUSES.includes(order.status)) {
+            const form = renderShipmentForm(order);
+            if (form) blocks.push(form);
+        }
+
+        if (REFUNDABLE_STATUSES.includes(order.status)) {
+            const form = renderRefundForm(order);
+            if (form) blocks.push(form);
+        }
+
+        if (CANCELLABLE_STATUSES.includes(order.status)) {
+            blocks.push(`
+                <div>
+                    <button onclick="window.adminOrders.cancelOrder(this)"
+                        class="${buttonClass} text-red-600 bg-red-50 hover:bg-red-100">Cancel Order</button>
+                </div>`);
+        }
+
+        return blocks.length > 0
+            ? `<div class="space-y-3">${blocks.join('')}</div>`
+            : '<p class="text-sm text-slate-400">No actions available for this order.</p>';
+    }
+
+    async function loadNotes(orderId) {
+        const list = document.getElementById('order-notes');
+        if (!list) return;
+
+        try {
+            const snapshot = await db.collection('orders').doc(orderId)
+                .collection('notes')
+                .orderBy('createdAt', 'desc')
+                .get();
+            if (openOrderId !== orderId) return;
+
+            list.innerHTML = snapshot.empty
+                ? '<p class="text-sm text-slate-400">No notes yet.</p>'
+                : snapshot.docs.map(doc => {
+                    const note = doc.data();
+                    return `
+                        <div class="p-3 bg-amber-50/50 border border-amber-100 rounded-xl">
+                            <div class="text-sm text-slate-800 whitespace-pre-wrap break-words">${esc(note.text)}</div>
+                            <div class="text-xs text-slate-400 mt-1">${esc(note.authorEmail || note.authorUid)} · ${esc(formatDate(note.createdAt))}</div>
+                        </div>`;
+                }).join('');
+        } catch (error) {
+            console.error('Failed to load notes:', error);
+            list.innerHTML = '<p class="text-sm text-red-600">Failed to load notes.</p>';
+        }
+    }
+
+    async function loadHistory(orderId) {
+        const list = document.getElementById('order-history');
+        if (!list) return;
+
+        try {
+            const snapshot = await db.collection('orders').doc(orderId)
+                .collection('history')
+                .orderBy('createdAt', 'desc')
+                .get();
+            if (openOrderId !== orderId) return;
+
+            list.innerHTML = snapshot.empty
+                ? '<p class="text-sm text-slate-400">No history recorded.</p>'
+                : snapshot.docs.map(doc => {
+                    const entry = doc.data();
+                    return `
+                        <div class="text-sm">
+                            <div class="text-slate-700 capitalize">${esc(entry.from ? `${formatStatus(entry.from)} → ${formatStatus(entry.to)}` : `Created as ${formatStatus(entry.to)}`)}</div>
+                            <div class="text-xs text-slate-400">${esc(entry.actor?.type || 'system')}${entry.reason ? ` · ${esc(entry.reason)}` : ''} · ${esc(formatDate(entry.createdAt))}</div>
+                        </div>`;
+                }).join('');
+        } catch (error) {
+            console.error('Failed to load history:', error);
+            list.innerHTML = '<p class="text-sm text-red-600">Failed to load history.</p>';
+        }
+    }
+
+    // ====================================================================
+    // Actions
+    // ====================================================================
+
+    async function runAction(button, busyLabel, action) {
+        const label = button ? button.textContent : '';
+        if (button) {
+            button.disabled = true;
+            button.textContent = busyLabel;
+        }
+
+        try {
+            await action();
+        } catch (error) {
+            toast(error.message, 'error');
+        } finally {
+            if (button && button.isConnected) {
+                button.disabled = false;
+                button.textContent = label;
+            }
+        }
+    }
+
+    function markPaymentReceived(button) {
+        const orderId = openOrderId;
+        const reference = document.getElementById('order-payment-reference')?.value.trim() || null;
+
+        const order = orders.find(o => o._docId === orderId);
+        if (!confirm(`Confirm payment was received for order ${order?.reference || orderId}?`)) return;
+
+        return runAction(button, 'Confirming...', async () => {
+            await callFunction('markManualPaymentReceived', { orderId, reference });
+            toast('Payment confirmed; order marked paid', 'success');
+        });
+    }
+
+    function cancelOrder(button) {
+        const orderId = openOrderId;
+        const reason = prompt(`Cancel order ${orderId}? Enter a reason for the order history:`);
+        if (reason === null) return;
+
+        return runAction(button, 'Cancelling...', async () => {
+            await callFunction('updateOrderStatus', { orderId, status: 'cancelled', reason: reason || 'Cancelled by admin' });
+            toast('Order cancelled', 'success');
+        });
+    }
+
+    function createShipment(button) {
+        const orderId = openOrderId;
+        const form = document.getElementById('shipment-form');
+        if (!form) return;
+
+        let carrier = form.querySelector('#shipment-carrier').value;
+        const trackingNumber = form.querySelector('#shipment-tracking').value.trim();
+
+        const items = Array.from(form.querySelectorAll('[data-shipment-line]'))
+            .map(row => ({
+                id: row.dataset.shipmentLine,
+                quantity: parseInt(row.querySelector('[data-field="quantity"]').value, 10) || 0,
+                lotNumbers: row.querySelector('[data-field="lots"]').value.split(',').map(lot => lot.trim()).filter(Boolean)
+            }))
+            .filter(item => item.quantity > 0);
+
+        if (items.length === 0) {
+            toast('Enter a quantity for at least one line', 'error');
+            return;
+        }
+        if (!trackingNumber) {
+            toast('Tracking number is required', 'error');
+            return;
+        }
+        if (!carrier) {
+            carrier = (prompt('Carrier name:') || '').trim();
+            if (!carrier) return;
+        }
+
+        return runAction(button, 'Shipping...', async () => {
+            const result = await callFunction('createShipment', { orderId, items, carrier, trackingNumber });
+            toast(result.data.fulfillmentStatus === 'fulfilled' ? 'Shipment created; order fully shipped' : 'Partial shipment created', 'success');
+        });
+    }
+
+    function refundOrder(button) {
+        const orderId = openOrderId;
+        const form = document.getElementById('refund-form');
+        if (!form) return;
+
+        const amount = parseFloat(form.querySelector('#refund-amount').value);
+        const reason = form.querySelector('#refund-reason').value.trim();
+        const restock = form.querySelector('#refund-restock').checked;
+        const items = Array.from(form.querySelectorAll('[data-refund-line]'))
+            .map(row => ({
+                id: row.dataset.refundLine,
+                quantity: parseInt(row.querySelector('[data-field="quantity"]').value, 10) || 0
+            }))
+            .filter(item => item.quantity > 0);
+
+        if (!(amount > 0)) {
+            toast('Enter a refund amount', 'error');
+            return;
+        }
+        if (!reason) {
+            toast('A refund reason is required', 'error');
+            return;
+        }
+        if (restock && items.length === 0) {
+            toast('Enter the refunded quantities to restock', 'error');
+            return;
+        }
+
+        const order = orders.find(o => o._docId === orderId);
+        if (!confirm(`Refund ${formatMoney(amount)} on order ${order?.reference || orderId}? This cannot be undone.`)) return;
+
+        const payload = { orderId, amount, reason, items, restock };
+        const key = JSON.stringify(payload);
+        if (!lastRefund || lastRefund.key !== key) {
+            lastRefund = { key, requestId: crypto.randomUUID() };
+        }
+        const { requestId } = lastRefund;
+
+        return runAction(button, 'Refunding...', async () => {
+            const result = await callFunction('refundOrder', { ...payload, requestId });
+            lastRefund = null;
+            toast(result.data.status === 'refunded' ? 'Order fully refunded' : `Refunded ${formatMoney(result.data.amount)}`, 'success');
+        });
+    }
+
+    function markDelivered(shipmentId, button) {
+        const orderId = openOrderId;
+
+        return runAction(button, 'Saving...', async () => {
+            const result = await callFunction('markShipmentDelivered', { orderId, shipmentId });
+            toast(result.data.status === 'delivered' ? 'Shipment delivered; order complete' : 'Shipment marked delivered', 'success');
+        });
+    }
+
+    function addNote(button) {
+        const orderId = openOrderId;
+        const input = document.getElementById('order-note-input');
+        const text = input?.value.trim() || '';
+        if (!text) return;
+
+        const user = window.authManager.getCurrentUser();
+
+        return runAction(button, 'Adding...', async () => {
+            await db.collection('orders').doc(orderId).collection('notes').add({
+                text: text.substring(0, 2000),
+                authorUid: user ? user.uid : null,
+                authorEmail: user ? user.email : null,
+                createdAt: firebase.firestore.FieldValue.serverTimestamp()
+            });
+            if (input) input.value = '';
+            await loadNotes(orderId);
+        });
+    }
+
+    // Close drawer on Escape
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && openOrderId) closeOrderDrawer();
+    });
+
+    // Expose module
+    window.adminOrders = {
+        start,
+        stop,
+        openOrderDrawer,
+        closeOrderDrawer,
+        markPaymentReceived,
+        cancelOrder,
+        createShipment,
+        refundOrder,
+        markDelivered,
+        addNote
+    };
+})();
@@ -0,0 +1,336 @@
+/**
+ * Admin Quotes Module - Build, send and track formal quotes
+ * A quote lists products at custom per-line prices with an expiry and terms.
+ * Saving goes through saveQuote (draft), sending through sendQuote, which
+ * emails the customer a signed link to quote.html where they can accept it
+ * and pay by PayPal, Zelle or CashApp. Accepted quotes link to their order.
+ */
+(function() {
+    'use strict';
+
+    let db = null;
+    let products = [];
+    let quotes = [];
+    let unsubscribeQuotes = null;
+    // quotes document ID while an existing quote is open in the builder
+    let editingId = null;
+    let formBound = false;
+
+    const STATUS_BADGES = {
+        draft: 'bg-slate-100 text-slate-600',
+        sent: 'bg-blue-50 text-blue-700',
+        expired: 'bg-amber-50 text-amber-700',
+        accepted: 'bg-emerald-50 text-emerald-700',
+        cancelled: 'bg-red-50 text-red-600'
+    };
+    const EDITABLE_STATUSES = ['draft', 'sent'];
+    const DEFAULT_VALIDITY_DAYS = 14;
+
+    function esc(value) {
+        return window.sanitize.html(value == null ? '' : String(value));
+    }
+
+    function toast(message, type) {
+        window.adminModule.showToast(message, type);
+    }
+
+    function formatDay(value) {
+        const date = value && typeof value.toDate === 'function' ? value.toDate() : null;
+        return date ? date.toLocaleDateString(undefined, { timeZone: 'UTC' }) : '-';
+    }
+
+    function formatMoney(amount) {
+        return '$' + (Number(amount) || 0).toFixed(2);
+    }
+
+    function call(name, data) {
+        return firebase.functions().httpsCallable(name)(data);
+    }
+
+    // Quotes stop being acceptable after expiry without their status changing
+    function displayStatus(quote) {
+        if (quote.status === 'sent' && quote.expiresAt && quote.expiresAt.toMillis() <= Date.now()) {
+            return 'expired';
+        }
+        return quote.status;
+    }
+
+    // ====================================================================
+    // List
+    // ====================================================================
+
+    async function start(database) {
+        db = database;
+        bindForm();
+
+        try {
+            const snapshot = await db.collection('products').orderBy('name').get();
+            products = snapshot.docs.map(doc => ({ _docId: doc.id, ...doc.data() }));
+        } catch (error) {
+            console.error('Quote product list error:', error);
+        }
+
+        unsubscribeQuotes = db.collection('quotes')
+            .orderBy('createdAt', 'desc')
+            .limit(100)
+            .onSnapshot(
+                (snapshot) => {
+                    quotes = snapshot.docs.map(doc => ({ _docId: doc.id, ...doc.data() }));
+                    renderQuotes();
+                },
+                (error) => {
+                    console.error('Quotes listener error:', error);
+                    toast('Failed to load quotes', 'error');
+                }
+            );
+    }
+
+    function stop() {
+        if (unsubscribeQuotes) {
+            unsubscribeQuotes();
+            unsubscribeQuotes = null;
+        }
+        quotes = [];
+        editingId = null;
+    }
+
+    function renderQuotes() {
+        const tbody = document.getElementById('quotes-tbody');
+        if (!tbody) return;
+
+        if (quotes.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="6" class="px-6 py-12 text-center text-slate-400">No quotes yet.</td>
+                </tr>`;
+            return;
+        }
+
+        tbody.innerHTML = quotes.map(quote => {
+            const status = displayStatus(quote);
+            const editable = EDITABLE_STATUSES.includes(quote.status);
+            return `
+            <tr class="border-b border-slate-100 hover:bg-slate-50/50 ${quote._docId === editingId ? 'bg-blue-50/40' : ''}">
+                <td class="px-4 py-3 text-sm font-mono text-slate-900">${esc(quote.number)}</td>
+                <td class="px-4 py-3">
+                    <div class="text-sm font-medium text-slate-900">${esc(quote.company || quote.customerName || quote.customerEmail)}</div>
+                    <div class="text-xs text-slate-500">${esc(quote.customerEmail)}</div>
+                </td>
+                <td class="px-4 py-3 text-sm text-slate-700">
+                    ${esc(formatMoney(quote.subtotal))}
+                    <div class="text-xs text-slate-400">${esc(quote.items.length)} line${quote.items.length === 1 ? '' : 's'}</div>
+                </td>
+                <td class="px-4 py-3 text-xs text-slate-500">${esc(formatDay(quote.expiresAt))}</td>
+                <td class="px-4 py-3">
+                    <span class="px-2 py-0.5 text-xs font-medium rounded-full ${STATUS_BADGES[status] || 'bg-slate-100 text-slate-500'}">${esc(status)}</span>
+                    ${quote.orderId ? `<div class="text-xs text-slate-400 mt-1 font-mono">${esc(quote.orderId)}</div>` : ''}
+                </td>
+                <td class="px-4 py-3 text-right whitespace-nowrap">
+                    ${editable ? `<button onclick="window.adminQuotes.editQuote('${esc(quote._docId)}')"
+                        class="px-2.5 py-1 text-xs font-medium text-brand-blue hover:bg-blue-50 rounded-lg transition-colors">Edit</button>` : ''}
+                    ${quote.status !== 'draft' ? `<button onclick="window.adminQuotes.copyLink('${esc(quote._docId)}')"
+                        class="px-2.5 py-1 text-xs font-medium text-slate-600 hover:bg-slate-100 rounded-lg transition-colors">Copy Link</button>` : ''}
+                    ${editable ? `<button onclick="window.adminQuotes.withdrawQuote('${esc(quote._docId)}')"
+                        class="px-2.5 py-1 text-xs font-medium text-red-600 hover:bg-red-50 rounded-lg transition-colors">Withdraw</button>` : ''}
+                </td>
+            </tr>`;
+        }).join('');
+    }
+
+    async function copyLink(quoteId) {
+        const quote = quotes.find(q => q._docId === quoteId);
+        if (!quote?.link) return;
+
+        try {
+            await navigator.clipboard.writeText(quote.link);
+            toast('Quote link copied', 'success');
+        } catch (error) {
+            window.prompt('Copy the quote link:', quote.link);
+        }
+    }
+
+    async function withdrawQuote(quoteId) {
+        const quote = quotes.find(q => q._docId === quoteId);
+        if (!quote || !confirm(`Withdraw quote ${quote.number}? The customer can no longer accept it.`)) return;
+
+        try {
+            await call('cancelQuote', { quoteId });
+            if (editingId === quoteId) closeBuilder();
+            toast(`Quote ${quote.number} withdrawn`, 'success');
+        } catch (error) {
+            toast(`Withdraw failed: ${error.message}`, 'error');
+        }
+    }
+
+    // ====================================================================
+    // Builder
+    // ====================================================================
+
+    function bindForm() {
+        if (formBound) return;
+        formBound = true;
+
+        const form = document.getElementById('quote-form');
+        form?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            saveQuote(e.submitter?.value === 'send');
+        });
+        document.getElementById('quote-add-line')?.addEventListener('click', () => addLine());
+        document.getElementById('quote-lines')?.addEventListener('input', renderSubtotal);
+        document.getElementById('quote-lines')?.addEventListener('change', (e) => {
+            // Show the list price of a newly picked product as the price hint
+            if (!e.target.matches('select[data-field="id"]')) return;
+            const product = products.find(p => p._docId === e.target.value);
+            e.target.closest('[data-quote-line]').querySelector('input[data-field="price"]').placeholder =
+                product ? Number(product.price).toFixed(2) : '0.00';
+        });
+    }
+
+    function defaultExpiry() {
+        const date = new Date(Date.now() + DEFAULT_VALIDITY_DAYS * 24 * 60 * 60 * 1000);
+        return date.toISOString().slice(0, 10);
+    }
+
+    /**
+     * Append a line row to the builder
+     * @param {{ id?: string, quantity?: number, price?: number }} [line]
+     */
+    function addLine(line = {}) {
+        const product = products.find(p => p._docId === line.id);
+        const row = document.createElement('div');
+        row.dataset.quoteLine = '';
+        row.className = 'flex items-center gap-2';
+        row.innerHTML = `
+            <select data-field="id"
+                class="flex-1 min-w-0 px-2 py-1.5 text-sm bg-white border border-slate-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-brand-blue/20 focus:border-brand-blue">
+                <option value="">Product...</option>
+                ${products.map(p => `<option value="${esc(p._docId)}" ${p._docId === line.id ? 'selected' : ''}>${esc(p.name || p._docId)}</option>`).join('')}
+            </select>
+            <input data-field="quantity" type="number" min="1" step="1" value="${esc(line.quantity ?? 1)}" aria-label="Quantity"
+                class="w-16 px-2 py-1.5 text-sm text-right border border-slate-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-brand-blue/20 focus:border-brand-blue">
+            <input data-field="price" type="number" min="0.01" step="0.01" value="${esc(line.price ?? '')}" aria-label="Unit price"
+                placeholder="${esc(product ? Number(product.price).toFixed(2) : '0.00')}"
+                class="w-24 px-2 py-1.5 text-sm text-right border border-slate-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-brand-blue/20 focus:border-brand-blue">
+            <button type="button" aria-label="Remove line"
+                class="p-1.5 text-slate-400 hover:text-red-600 rounded-lg transition-colors">&times;</button>`;
+        row.querySelector('button').addEventListener('click', () => {
+            row.remove();
+            renderSubtotal();
+        });
+        document.getElementById('quote-lines').appendChild(row);
+        renderSubtotal();
+    }
+
+    function formLines() {
+        return Array.from(document.querySelectorAll('#quote-lines [data-quote-line]')).map(row => ({
+            id: row.querySelector('[data-field="id"]').value,
+            quantity: parseInt(row.querySelector('[data-field="quantity"]').value, 10),
+            price: parseFloat(row.querySelector('[data-field="price"]').value)
+        })).filter(line => line.id);
+    }
+
+    function renderSubtotal() {
+        const subtotal = formLines().reduce((sum, line) =>
+            sum + (Number.isFinite(line.price) && line.quantity > 0 ? line.price * line.quantity : 0), 0);
+        document.getElementById('quote-subtotal').textContent = formatMoney(subtotal);
+    }
+
+    /**
+     * Open the builder for a new quote
+     * @param {Object} [prefill] - customerEmail, customerName, company and inquiryId,
+     *     e.g. from a wholesale inquiry
+     */
+    function newQuote(prefill = {}) {
+        window.adminModule.switchTab('quotes');
+        openBuilder(null, {
+            customerEmail: prefill.customerEmail || '',
+            customerName: prefill.customerName || '',
+            company: prefill.company || '',
+            inquiryId: prefill.inquiryId || '',
+            items: [],
+            terms: ''
+        });
+    }
+
+    function editQuote(quoteId) {
+        const quote = quotes.find(q => q._docId === quoteId);
+        if (!quote) return;
+        openBuilder(quoteId, quote);
+    }
+
+    function openBuilder(quoteId, quote) {
+        const form = document.getElementById('quote-form');
+        editingId = quoteId;
+
+        document.getElementById('quote-form-title').textContent = quoteId ? `Edit quote ${quote.number}` : 'New quote';
+        form['customer-email'].value = quote.customerEmail || '';
+        form['customer-name'].value = quote.customerName || '';
+        form['company'].value = quote.company || '';
+        form['inquiry-id'].value = quote.inquiryId || '';
+        form['expires-at'].value = quote.expiresAt ? quote.expiresAt.toDate().toISOString().slice(0, 10) : defaultExpiry();
+        form['terms'].value = quote.terms || '';
+        form['send-message'].value = '';
+        form.querySelector('button[value="send"]').textContent = quote.status === 'sent' ? 'Save & Resend' : 'Save & Send';
+
+        document.getElementById('quote-lines').innerHTML = '';
+        (quote.items.length ? quote.items : [{}]).forEach(item => addLine(item));
+
+        form.classList.remove('hidden');
+        renderQuotes();
+        form.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+
+    function closeBuilder() {
+        editingId = null;
+        document.getElementById('quote-form').classList.add('hidden');
+        renderQuotes();
+    }
+
+    async function saveQuote(send) {
+        const form = document.getElementById('quote-form');
+        const buttons = form.querySelectorAll('button[type="submit"]');
+        buttons.forEach(button => { button.disabled = true; });
+
+        try {
+            const saved = await call('saveQuote', {
+                quoteId: editingId,
+                customerEmail: form['customer-email'].value.trim(),
+                customerName: form['customer-name'].value.trim(),
+                company: form['company'].value.trim(),
+                inquiryId: form['inquiry-id'].value.trim() || null,
+                items: formLines(),
+                expiresAt: form['expires-at'].value,
+                terms: form['terms'].value.trim()
+            });
+
+            if (send) {
+                const sent = await call('sendQuote', {
+                    quoteId: saved.data.quoteId,
+                    message: form['send-message'].value.trim()
+                });
+                toast(sent.data.emailed
+                    ? `Quote ${saved.data.number} sent`
+                    : `Quote ${saved.data.number} is open, but the email did not go out. Copy the link to share it.`,
+                sent.data.emailed ? 'success' : 'error');
+            } else {
+                toast(`Quote ${saved.data.number} saved`, 'success');
+            }
+            closeBuilder();
+        } catch (error) {
+            toast(`Save failed: ${error.message}`, 'error');
+        } finally {
+            buttons.forEach(button => { button.disabled = false; });
+        }
+    }
+
+    // Expose module
+    window.adminQuotes = {
+        start,
+        stop,
+        newQuote,
+        editQuote,
+        closeBuilder,
+        copyLink,
+        withdrawQuote
+    };
+})();
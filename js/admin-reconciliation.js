@@ -0,0 +1,286 @@
+/**
+ * Admin Reconciliation Module - Zelle/CashApp payment matching
+ * Uploads a CSV statement for auto-matching, then lists matched, ambiguous and
+ * unmatched rows for review. Confirming a row marks its order paid.
+ */
+(function() {
+    'use strict';
+
+    let currentStatus = 'matched';
+    let transactions = [];
+    let formBound = false;
+
+    function esc(value) {
+        return window.sanitize.html(value == null ? '' : String(value));
+    }
+
+    function toast(message, type) {
+        window.adminModule.showToast(message, type);
+    }
+
+    function callFunction(name, data) {
+        return firebase.functions().httpsCallable(name)(data);
+    }
+
+    function formatMoney(amount) {
+        return `$${(Number(amount) || 0).toFixed(2)}`;
+    }
+
+    function formatDay(iso) {
+        return iso ? new Date(iso).toLocaleDateString(undefined, { timeZone: 'UTC' }) : '-';
+    }
+
+    // ====================================================================
+    // Modal
+    // ====================================================================
+
+    function openReconcileModal() {
+        const modal = document.getElementById('reconcile-modal');
+        if (!modal) return;
+
+        bindImportForm();
+        modal.classList.remove('hidden');
+        modal.classList.add('flex');
+        showStatus(currentStatus);
+    }
+
+    function closeReconcileModal() {
+        const modal = document.getElementById('reconcile-modal');
+        if (modal) {
+            modal.classList.add('hidden');
+            modal.classList.remove('flex');
+        }
+    }
+
+    // ====================================================================
+    // Statement Import
+    // ====================================================================
+
+    function bindImportForm() {
+        if (formBound) return;
+        formBound = true;
+
+        const form = document.getElementById('reconcile-import-form');
+        if (form) {
+            form.addEventListener('submit', handleImport);
+        }
+    }
+
+    async function handleImport(e) {
+        e.preventDefault();
+
+        const file = document.getElementById('reconcile-file').files[0];
+        if (!file) return;
+
+        const button = document.getElementById('reconcile-import-btn');
+        button.disabled = true;
+        button.textContent = 'Importing...';
+
+        try {
+            const result = await callFunction('importPaymentStatement', {
+                method: document.getElementById('reconcile-method').value,
+                fileName: file.name,
+                csv: await file.text(),
+                dateWindowDays: parseInt(document.getElementById('reconcile-window').value, 10)
+            });
+
+            const r = result.data;
+            toast(`Imported ${r.imported} payment(s): ${r.matched} matched, ${r.ambiguous} to review, ${r.unmatched} unmatched` +
+                (r.duplicates ? ` (${r.duplicates} already imported)` : ''), 'success');
+            if (r.errors && r.errors.length > 0) {
+                toast(`${r.errors.length} row(s) could not be read, e.g. line ${r.errors[0].line}: ${r.errors[0].error}`, 'error');
+            }
+
+            document.getElementById('reconcile-import-form').reset();
+            await showStatus(r.ambiguous > 0 ? 'ambiguous' : 'matched');
+        } catch (error) {
+            toast(`Import failed: ${error.message}`, 'error');
+        } finally {
+            button.disabled = false;
+            button.textContent = 'Import';
+        }
+    }
+
+    // ====================================================================
+    // Review List
+    // ====================================================================
+
+    async function showStatus(status) {
+        currentStatus = status;
+
+        document.querySelectorAll('[data-reconcile-status]').forEach(button => {
+            const active = button.dataset.reconcileStatus === status;
+            button.classList.toggle('bg-brand-navy', active);
+            button.classList.toggle('text-white', active);
+            button.classList.toggle('text-slate-500', !active);
+            button.classList.toggle('hover:bg-slate-100', !active);
+        });
+
+        await loadTransactions();
+    }
+
+    async function loadTransactions() {
+        const list = document.getElementById('reconcile-list');
+        if (!list) return;
+
+        list.innerHTML = '<p class="text-sm text-slate-400 text-center py-8">Loading transactions...</p>';
+
+        try {
+            const result = await callFunction('listPaymentTransactions', { status: currentStatus });
+            transactions = result.data.transactions || [];
+            renderTransactions();
+        } catch (error) {
+            list.innerHTML = '';
+            showConfirmAll(false);
+            toast(`Failed to load transactions: ${error.message}`, 'error');
+        }
+    }
+
+    function showConfirmAll(visible) {
+        document.getElementById('reconcile-confirm-all')?.classList.toggle('hidden', !visible);
+    }
+
+    function renderCandidate(txn, candidate) {
+        const open = ['matched', 'ambiguous', 'unmatched'].includes(txn.status);
+        const suggested = candidate.orderId === txn.suggestedOrderId;
+
+        return `
+            <div class="flex items-center justify-between gap-3 px-3 py-2 rounded-lg ${suggested ? 'bg-emerald-50/60' : 'bg-slate-50'}">
+                <div class="min-w-0 text-xs">
+                    <button onclick="window.adminOrders.openOrderDrawer('${esc(candidate.orderId)}')" class="font-mono text-brand-blue hover:underline">${esc(candidate.reference || candidate.orderId)}</button>
+                    <span class="text-slate-500"> · ${esc(formatMoney(candidate.amountTotal))} · ${esc(candidate.customerEmail || 'no email')} · ${esc(formatDay(candidate.createdAt))}</span>
+                    <div class="text-slate-400 mt-0.5">Matched on ${esc((candidate.reasons || []).join(', ') || 'nothing')}${candidate.orderStatus === 'expired' ? ' · order expired' : ''}</div>
+                </div>
+                ${open ? `
+                <button onclick="window.adminReconciliation.confirmMatch('${esc(txn.transactionId)}', '${esc(candidate.orderId)}', this)"
+                    class="px-2.5 py-1 text-xs font-semibold text-white bg-emerald-600 rounded-lg hover:bg-emerald-700 transition-colors flex-shrink-0">
+                    Confirm
+                </button>` : ''}
+            </div>`;
+    }
+
+    function renderTransactions() {
+        const list = document.getElementById('reconcile-list');
+        showConfirmAll(currentStatus === 'matched' && transactions.length > 0);
+
+        if (transactions.length === 0) {
+            list.innerHTML = '<p class="text-sm text-slate-400 text-center py-8">Nothing here.</p>';
+            return;
+        }
+
+        list.innerHTML = transactions.map(txn => {
+            const open = ['matched', 'ambiguous', 'unmatched'].includes(txn.status);
+            const candidates = txn.candidates || [];
+
+            return `
+                <div class="p-4 border border-slate-200 rounded-xl">
+                    <div class="flex items-start justify-between gap-4">
+                        <div class="min-w-0">
+                            <div class="text-sm font-semibold text-slate-900">${esc(formatMoney(txn.amount))}
+                                <span class="font-normal text-slate-500">from ${esc(txn.payerName || 'unknown sender')} · ${esc(formatDay(txn.date))} · <span class="capitalize">${esc(txn.method)}</span></span>
+                            </div>
+                            <div class="text-xs text-slate-500 mt-0.5 break-words">${esc(txn.memo || 'No memo')}</div>
+                            ${txn.reference ? `<div class="text-xs text-slate-400">Ref ${esc(txn.reference)}</div>` : ''}
+                            ${txn.orderId ? `<div class="text-xs text-emerald-700 mt-1">Paid order ${esc(txn.orderId)}</div>` : ''}
+                        </div>
+                        ${open ? `
+                        <button onclick="window.adminReconciliation.ignoreTransaction('${esc(txn.transactionId)}', this)"
+                            class="px-2.5 py-1 text-xs font-medium text-slate-500 border border-slate-200 rounded-lg hover:bg-slate-50 transition-colors flex-shrink-0">
+                            Ignore
+                        </button>` : ''}
+                    </div>
+                    ${open ? `
+                    <div class="mt-3 space-y-1.5">
+                        ${candidates.map(c => renderCandidate(txn, c)).join('') || '<p class="text-xs text-slate-400">No matching orders. Confirm by order ID or reference:</p>'}
+                        <div class="flex gap-2 pt-1">
+                            <input type="text" placeholder="Other order ID or APX- reference" data-manual-order="${esc(txn.transactionId)}"
+                                class="flex-1 px-3 py-1.5 text-xs border border-slate-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-brand-blue/20 focus:border-brand-blue">
+                            <button onclick="window.adminReconciliation.confirmManualEntry('${esc(txn.transactionId)}', this)"
+                                class="px-2.5 py-1 text-xs font-semibold text-slate-700 bg-slate-100 rounded-lg hover:bg-slate-200 transition-colors">
+                                Confirm
+                            </button>
+                        </div>
+                    </div>` : ''}
+                </div>`;
+        }).join('');
+    }
+
+    // ====================================================================
+    // Actions
+    // ====================================================================
+
+    async function confirmMatch(transactionId, orderId, button) {
+        if (button) button.disabled = true;
+
+        try {
+            await callFunction('confirmPaymentMatch', { transactionId, orderId });
+            toast(`Order ${orderId} marked paid`, 'success');
+            await loadTransactions();
+        } catch (error) {
+            toast(`Confirm failed: ${error.message}`, 'error');
+            if (button) button.disabled = false;
+        }
+    }
+
+    function confirmManualEntry(transactionId, button) {
+        const input = document.querySelector(`[data-manual-order="${CSS.escape(transactionId)}"]`);
+        const orderId = input ? input.value.trim() : '';
+        if (!orderId) {
+            toast('Enter an order ID', 'error');
+            return;
+        }
+        return confirmMatch(transactionId, orderId, button);
+    }
+
+    async function confirmAllMatched(button) {
+        const pending = transactions.filter(txn => txn.status === 'matched' && txn.suggestedOrderId);
+        if (pending.length === 0) return;
+        if (!confirm(`Mark ${pending.length} order(s) as paid?`)) return;
+
+        button.disabled = true;
+        let confirmed = 0;
+        const failures = [];
+
+        // One at a time: each confirmation runs its own order and inventory transactions
+        for (const txn of pending) {
+            try {
+                await callFunction('confirmPaymentMatch', { transactionId: txn.transactionId, orderId: txn.suggestedOrderId });
+                confirmed++;
+            } catch (error) {
+                failures.push(`${txn.suggestedOrderId}: ${error.message}`);
+            }
+        }
+
+        button.disabled = false;
+        toast(`Confirmed ${confirmed} of ${pending.length} payment(s)`, failures.length ? 'error' : 'success');
+        failures.forEach(message => console.error('Payment confirmation failed:', message));
+        await loadTransactions();
+    }
+
+    async function ignoreTransaction(transactionId, button) {
+        const note = prompt('Why is this payment being ignored? (e.g. not an order payment)');
+        if (note === null) return;
+
+        if (button) button.disabled = true;
+
+        try {
+            await callFunction('ignorePaymentTransaction', { transactionId, note });
+            toast('Transaction ignored', 'success');
+            await loadTransactions();
+        } catch (error) {
+            toast(`Ignore failed: ${error.message}`, 'error');
+            if (button) button.disabled = false;
+        }
+    }
+
+    // Expose module
+    window.adminReconciliation = {
+        openReconcileModal,
+        closeReconcileModal,
+        showStatus,
+        confirmMatch,
+        confirmManualEntry,
+        confirmAllMatched,
+        ignoreTransaction
+    };
+})();
@@ -0,0 +1,246 @@
+/**
+ * Admin Tax Module - Sales tax rates and collection report
+ * Edits taxRates/{STATE} (nexus flag, state rate, ZIP-prefix overrides) and sums
+ * tax collected by jurisdiction through the getTaxReport function.
+ */
+(function() {
+    'use strict';
+
+    let db = null;
+    let unsubscribeRates = null;
+    let rates = [];
+    let formBound = false;
+
+    function esc(value) {
+        return window.sanitize.html(value == null ? '' : String(value));
+    }
+
+    function toast(message, type) {
+        window.adminModule.showToast(message, type);
+    }
+
+    function formatMoney(amount) {
+        return `$${(Number(amount) || 0).toFixed(2)}`;
+    }
+
+    function formatRate(rate) {
+        return `${((Number(rate) || 0) * 100).toFixed(3).replace(/\.?0+$/, '')}%`;
+    }
+
+    // ====================================================================
+    // Rate Table
+    // ====================================================================
+
+    function start(database) {
+        db = database;
+        bindForm();
+        if (unsubscribeRates) unsubscribeRates();
+
+        unsubscribeRates = db.collection('taxRates').onSnapshot(
+            (snapshot) => {
+                rates = snapshot.docs
+                    .map(doc => ({ _docId: doc.id, ...doc.data() }))
+                    .sort((a, b) => a._docId.localeCompare(b._docId));
+                renderRates();
+            },
+            (error) => {
+                console.error('Tax rates listener error:', error);
+                toast('Failed to load tax rates', 'error');
+            }
+        );
+    }
+
+    function stop() {
+        if (unsubscribeRates) {
+            unsubscribeRates();
+            unsubscribeRates = null;
+        }
+        rates = [];
+    }
+
+    function renderRates() {
+        const tbody = document.getElementById('tax-rate-tbody');
+        if (!tbody) return;
+
+        if (rates.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="6" class="px-6 py-12 text-center text-slate-400">No tax rates yet. No tax is collected until a state has nexus.</td>
+                </tr>`;
+            return;
+        }
+
+        tbody.innerHTML = rates.map(rate => `
+            <tr class="border-b border-slate-100 hover:bg-slate-50/50">
+                <td class="px-4 py-3 text-sm font-mono font-semibold text-slate-900">${esc(rate._docId)}</td>
+                <td class="px-4 py-3 text-sm text-slate-700">${esc(rate.name || '')}</td>
+                <td class="px-4 py-3">
+                    <span class="px-2 py-0.5 text-xs font-medium rounded-full ${rate.nexus ? 'bg-emerald-50 text-emerald-700' : 'bg-slate-100 text-slate-500'}">${rate.nexus ? 'Collecting' : 'Off'}</span>
+                </td>
+                <td class="px-4 py-3 text-sm text-slate-700">${esc(formatRate(rate.rate))}</td>
+                <td class="px-4 py-3 text-xs text-slate-500">
+                    ${rate.taxShipping ? 'Shipping taxed' : 'Shipping exempt'}
+                    ${(rate.postalRates || []).length ? ` · ${esc(rate.postalRates.length)} ZIP override(s)` : ''}
+                </td>
+                <td class="px-4 py-3 text-right">
+                    <button onclick="window.adminTax.editRate('${esc(rate._docId)}')"
+                        class="px-2.5 py-1 text-xs font-medium text-brand-blue hover:bg-blue-50 rounded-lg transition-colors">Edit</button>
+                </td>
+            </tr>`).join('');
+    }
+
+    // ====================================================================
+    // Rate Form
+    // ====================================================================
+
+    function bindForm() {
+        if (formBound) return;
+        formBound = true;
+
+        document.getElementById('tax-rate-form')?.addEventListener('submit', saveRate);
+        document.getElementById('tax-report-form')?.addEventListener('submit', runReport);
+    }
+
+    function editRate(state) {
+        const rate = rates.find(r => r._docId === state) || {};
+        const form = document.getElementById('tax-rate-form');
+
+        form.elements['tax-state'].value = rate._docId || state || '';
+        form.elements['tax-state'].readOnly = Boolean(rate._docId);
+        form.elements['tax-name'].value = rate.name || '';
+        form.elements['tax-rate'].value = rate.rate != null ? (rate.rate * 100).toFixed(4).replace(/\.?0+$/, '') : '';
+        form.elements['tax-nexus'].checked = rate.nexus === true;
+        form.elements['tax-shipping'].checked = rate.taxShipping === true;
+        form.elements['tax-postal'].value = (rate.postalRates || [])
+            .map(entry => [entry.prefix, (entry.rate * 100).toFixed(4).replace(/\.?0+$/, ''), entry.name || ''].join(', ').replace(/, $/, ''))
+            .join('\n');
+
+        form.elements['tax-state'].focus();
+    }
+
+    function newRate() {
+        document.getElementById('tax-rate-form').reset();
+        document.getElementById('tax-rate-form').elements['tax-state'].readOnly = false;
+    }
+
+    /**
+     * Parse "prefix, rate%, name" lines into postalRates entries
+     * @param {string} text
+     * @returns {Array<{ prefix: string, rate: number, name: string|null }>}
+     */
+    function parsePostalRates(text) {
+        return text.split('\n')
+            .map(line => line.trim())
+            .filter(Boolean)
+            .map((line, index) => {
+                const [prefix, ratePercent, ...name] = line.split(',').map(part => part.trim());
+                const rate = parseFloat(ratePercent);
+                if (!/^\d{1,5}$/.test(prefix || '') || !Number.isFinite(rate) || rate < 0 || rate > 20) {
+                    throw new Error(`ZIP override line ${index + 1}: use "prefix, rate%, name"`);
+                }
+                return { prefix, rate: Math.round(rate * 10000) / 1000000, name: name.join(', ') || null };
+            });
+    }
+
+    async function saveRate(e) {
+        e.preventDefault();
+        const form = e.target;
+        const state = form.elements['tax-state'].value.trim().toUpperCase();
+        const ratePercent = parseFloat(form.elements['tax-rate'].value);
+
+        if (!/^[A-Z]{2}$/.test(state)) {
+            toast('State must be a two-letter code', 'error');
+            return;
+        }
+        if (!Number.isFinite(ratePercent) || ratePercent < 0 || ratePercent > 20) {
+            toast('Rate must be a percentage between 0 and 20', 'error');
+            return;
+        }
+
+        let postalRates;
+        try {
+            postalRates = parsePostalRates(form.elements['tax-postal'].value);
+        } catch (error) {
+            toast(error.message, 'error');
+            return;
+        }
+
+        try {
+            await db.collection('taxRates').doc(state).set({
+                state,
+                name: form.elements['tax-name'].value.trim() || state,
+                rate: Math.round(ratePercent * 10000) / 1000000,
+                nexus: form.elements['tax-nexus'].checked,
+                taxShipping: form.elements['tax-shipping'].checked,
+                postalRates,
+                updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+            });
+            toast(`Saved tax rate for ${state}`, 'success');
+            newRate();
+        } catch (error) {
+            toast(`Save failed: ${error.message}`, 'error');
+        }
+    }
+
+    // ====================================================================
+    // Report
+    // ====================================================================
+
+    async function runReport(e) {
+        e.preventDefault();
+        const from = document.getElementById('tax-report-from').value;
+        const to = document.getElementById('tax-report-to').value;
+        const output = document.getElementById('tax-report');
+        if (!from || !to) return;
+
+        output.innerHTML = '<p class="text-sm text-slate-400 text-center py-6">Running report...</p>';
+
+        try {
+            const result = await firebase.functions().httpsCallable('getTaxReport')({ from, to });
+            const report = result.data;
+
+            output.innerHTML = report.jurisdictions.length === 0
+                ? '<p class="text-sm text-slate-400 text-center py-6">No tax collected in this period.</p>'
+                : `
+                <table class="w-full text-left">
+                    <thead>
+                        <tr class="border-b border-slate-200 bg-slate-50/50">
+                            <th class="px-4 py-2 text-xs font-semibold text-slate-500 uppercase tracking-wider">Jurisdiction</th>
+                            <th class="px-4 py-2 text-xs font-semibold text-slate-500 uppercase tracking-wider">Orders</th>
+                            <th class="px-4 py-2 text-xs font-semibold text-slate-500 uppercase tracking-wider">Taxable</th>
+                            <th class="px-4 py-2 text-xs font-semibold text-slate-500 uppercase tracking-wider">Tax Collected</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${report.jurisdictions.map(row => `
+                        <tr class="border-b border-slate-100">
+                            <td class="px-4 py-2 text-sm text-slate-700"><span class="font-mono">${esc(row.jurisdiction)}</span> ${esc(row.name || '')}</td>
+                            <td class="px-4 py-2 text-sm text-slate-700">${esc(row.orderCount)}</td>
+                            <td class="px-4 py-2 text-sm text-slate-700">${esc(formatMoney(row.taxableAmount))}</td>
+                            <td class="px-4 py-2 text-sm font-medium text-slate-900">${esc(formatMoney(row.taxCollected))}</td>
+                        </tr>`).join('')}
+                        <tr>
+                            <td colspan="3" class="px-4 py-2 text-sm font-semibold text-slate-900">Total</td>
+                            <td class="px-4 py-2 text-sm font-semibold text-slate-900">${esc(formatMoney(report.taxCollected))}</td>
+                        </tr>
+                    </tbody>
+                </table>`;
+
+            if (report.untaxedOrders) {
+                output.insertAdjacentHTML('beforeend',
+                    `<p class="text-xs text-slate-400 px-4 py-2">${esc(report.untaxedOrders)} paid order(s) in this period carried no tax.</p>`);
+            }
+        } catch (error) {
+            output.innerHTML = '';
+            toast(`Report failed: ${error.message}`, 'error');
+        }
+    }
+
+    // Expose module
+    window.adminTax = {
+        start,
+        stop,
+        editRate,
+        newRate
+    };
+})();
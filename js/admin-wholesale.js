@@ -0,0 +1,490 @@
+/**
+ * Admin Wholesale Module - Inquiry inbox and distributor approvals
+ * Inquiries from one email are grouped into an application that admins triage
+ * together: status (new, contacted, rejected), assignee, internal notes and the
+ * linked account. Approving goes through approveWholesaleInquiry, which puts
+ * the inquirer's account in the distributor pricing group (Tier 2 prices, plus
+ * any negotiated per-product prices) and can email them a quote; a formal
+ * quote can also be started from the inquiry (admin-quotes.js). Distributors
+ * can have their prices changed or be returned to public pricing through
+ * updateCustomerPricing.
+ */
+(function() {
+    'use strict';
+
+    let db = null;
+    let products = [];
+    let inquiries = [];
+    let admins = [];
+    let distributors = [];
+    let unsubscribeInquiries = null;
+    let unsubscribeDistributors = null;
+    // { type: 'inquiry', id } or { type: 'distributor', id } while the pricing form is open
+    let editing = null;
+    // emailKey of the application open in the detail panel
+    let selectedKey = null;
+    let formBound = false;
+
+    const STATUS_BADGES = {
+        new: 'bg-blue-50 text-blue-700',
+        contacted: 'bg-amber-50 text-amber-700',
+        approved: 'bg-emerald-50 text-emerald-700',
+        rejected: 'bg-red-50 text-red-600'
+    };
+
+    function esc(value) {
+        return window.sanitize.html(value == null ? '' : String(value));
+    }
+
+    function toast(message, type) {
+        window.adminModule.showToast(message, type);
+    }
+
+    function formatDay(value) {
+        const date = value && typeof value.toDate === 'function' ? value.toDate() : null;
+        return date ? date.toLocaleDateString() : '-';
+    }
+
+    function call(name, data) {
+        return firebase.functions().httpsCallable(name)(data);
+    }
+
+    function emailKey(inquiry) {
+        return inquiry.emailKey || String(inquiry.email || '').toLowerCase();
+    }
+
+    /**
+     * Group inquiries by email, newest application first
+     * @returns {Array<{ key: string, latest: Object, inquiries: Array<Object> }>}
+     */
+    function applications() {
+        const groups = new Map();
+        inquiries.forEach(inquiry => {
+            const key = emailKey(inquiry);
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(inquiry);
+        });
+        // inquiries are ordered newest first, so the first of each group is the latest
+        return Array.from(groups, ([key, list]) => ({ key, latest: list[0], inquiries: list }));
+    }
+
+    function selectedApplication() {
+        return applications().find(application => application.key === selectedKey) || null;
+    }
+
+    // ====================================================================
+    // Lists
+    // ====================================================================
+
+    async function start(database) {
+        db = database;
+        bindForm();
+
+        try {
+            const snapshot = await db.collection('products').orderBy('name').get();
+            products = snapshot.docs.map(doc => ({ _docId: doc.id, ...doc.data() }));
+        } catch (error) {
+            console.error('Wholesale product list error:', error);
+        }
+
+        try {
+            const snapshot = await db.collection('admins').get();
+            admins = snapshot.docs.map(doc => ({ _docId: doc.id, ...doc.data() }));
+        } catch (error) {
+            console.error('Wholesale admin list error:', error);
+        }
+
+        unsubscribeInquiries = db.collection('wholesaleInquiries')
+            .orderBy('createdAt', 'desc')
+            .limit(100)
+            .onSnapshot(
+                (snapshot) => {
+                    inquiries = snapshot.docs.map(doc => ({ _docId: doc.id, ...doc.data() }));
+                    renderInquiries();
+                    renderDetail();
+                },
+                (error) => {
+                    console.error('Wholesale inquiries listener error:', error);
+                    toast('Failed to load wholesale inquiries', 'error');
+                }
+            );
+
+        unsubscribeDistributors = db.collection('users')
+            .where('pricing.group', '==', 'distributor')
+            .onSnapshot(
+                (snapshot) => {
+                    distributors = snapshot.docs.map(doc => ({ _docId: doc.id, ...doc.data() }));
+                    renderDistributors();
+                    renderDetail();
+                },
+                (error) => {
+                    console.error('Distributors listener error:', error);
+                    toast('Failed to load distributors', 'error');
+                }
+            );
+    }
+
+    function stop() {
+        if (unsubscribeInquiries) {
+            unsubscribeInquiries();
+            unsubscribeInquiries = null;
+        }
+        if (unsubscribeDistributors) {
+            unsubscribeDistributors();
+            unsubscribeDistributors = null;
+        }
+        inquiries = [];
+        distributors = [];
+        selectedKey = null;
+    }
+
+    function renderInquiries() {
+        const tbody = document.getElementById('wholesale-inquiries-tbody');
+        if (!tbody) return;
+
+        const filter = document.getElementById('wholesale-status-filter')?.value || '';
+        const rows = applications().filter(application => !filter || application.latest.status === filter);
+
+        if (rows.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="5" class="px-6 py-12 text-center text-slate-400">${inquiries.length ? 'No inquiries with this status.' : 'No wholesale inquiries yet.'}</td>
+                </tr>`;
+            return;
+        }
+
+        tbody.innerHTML = rows.map(({ key, latest, inquiries: group }) => `
+            <tr class="border-b border-slate-100 hover:bg-slate-50/50 ${key === selectedKey ? 'bg-blue-50/40' : ''}">
+                <td class="px-4 py-3">
+                    <div class="text-sm font-medium text-slate-900">
+                        ${esc(latest.company)}
+                        ${group.length > 1 ? `<span class="ml-1 px-1.5 py-0.5 text-xs font-medium text-slate-500 bg-slate-100 rounded-full">${esc(group.length)} inquiries</span>` : ''}
+                    </div>
+                    <div class="text-xs text-slate-500">${esc(latest.name)} · ${esc(latest.email)}</div>
+                </td>
+                <td class="px-4 py-3 text-sm text-slate-700">
+                    ${esc(latest.volume)}
+                    <div class="text-xs text-slate-400">${esc(latest.product)}</div>
+                </td>
+                <td class="px-4 py-3 text-xs text-slate-500">${esc(formatDay(latest.createdAt))}</td>
+                <td class="px-4 py-3">
+                    <span class="px-2 py-0.5 text-xs font-medium rounded-full ${STATUS_BADGES[latest.status] || 'bg-slate-100 text-slate-500'}">${esc(latest.status)}</span>
+                    ${latest.assignee ? `<div class="text-xs text-slate-400 mt-1">${esc(latest.assignee.name)}</div>` : ''}
+                </td>
+                <td class="px-4 py-3 text-right whitespace-nowrap">
+                    <button onclick="window.adminWholesale.openDetail('${esc(key)}')"
+                        class="px-2.5 py-1 text-xs font-medium text-brand-blue hover:bg-blue-50 rounded-lg transition-colors">Open</button>
+                </td>
+            </tr>`).join('');
+    }
+
+    function renderDistributors() {
+        const tbody = document.getElementById('wholesale-distributors-tbody');
+        if (!tbody) return;
+
+        if (distributors.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="4" class="px-6 py-12 text-center text-slate-400">No approved distributors. Everyone gets public tier pricing.</td>
+                </tr>`;
+            return;
+        }
+
+        tbody.innerHTML = distributors.map(user => {
+            const prices = user.pricing.prices || {};
+            const negotiated = Object.keys(prices).length;
+            return `
+            <tr class="border-b border-slate-100 hover:bg-slate-50/50">
+                <td class="px-4 py-3">
+                    <div class="text-sm font-medium text-slate-900">${esc(user.displayName || user.email)}</div>
+                    <div class="text-xs text-slate-500">${esc(user.email)}</div>
+                </td>
+                <td class="px-4 py-3 text-sm text-slate-700">${negotiated ? `${esc(negotiated)} negotiated` : 'Tier 2 list'}</td>
+                <td class="px-4 py-3 text-xs text-slate-500">${esc(formatDay(user.pricing.grantedAt))}</td>
+                <td class="px-4 py-3 text-right whitespace-nowrap">
+                    <button onclick="window.adminWholesale.editDistributor('${esc(user._docId)}')"
+                        class="px-2.5 py-1 text-xs font-medium text-brand-blue hover:bg-blue-50 rounded-lg transition-colors">Prices</button>
+                    <button onclick="window.adminWholesale.revokeDistributor('${esc(user._docId)}')"
+                        class="px-2.5 py-1 text-xs font-medium text-red-600 hover:bg-red-50 rounded-lg transition-colors">Revoke</button>
+                </td>
+            </tr>`;
+        }).join('');
+    }
+
+    // ====================================================================
+    // Inquiry Detail
+    // ====================================================================
+
+    function openDetail(key) {
+        selectedKey = key;
+        closeForm();
+        renderInquiries();
+        renderDetail();
+        document.getElementById('wholesale-inquiry-detail').scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+
+    function closeDetail() {
+        selectedKey = null;
+        document.getElementById('wholesale-inquiry-detail').classList.add('hidden');
+        renderInquiries();
+    }
+
+    function renderDetail() {
+        const panel = document.getElementById('wholesale-inquiry-detail');
+        if (!panel || !selectedKey) return;
+
+        const application = selectedApplication();
+        if (!application) {
+            closeDetail();
+            return;
+        }
+
+        const { latest, inquiries: group } = application;
+        document.getElementById('wholesale-detail-title').textContent = latest.company || latest.email;
+        document.getElementById('wholesale-detail-contact').textContent =
+            [latest.name, latest.email, latest.phone].filter(Boolean).join(' · ');
+
+        const linked = group.find(inquiry => inquiry.userId);
+        const distributor = linked && distributors.some(user => user._docId === linked.userId);
+        document.getElementById('wholesale-detail-account').innerHTML = linked
+            ? `<span class="font-mono text-xs">${esc(linked.userId)}</span>${distributor ? ' <span class="px-2 py-0.5 text-xs font-medium rounded-full bg-emerald-50 text-emerald-700">distributor</span>' : ''}`
+            : '<span class="text-slate-400">No account with this email yet.</span>';
+
+        document.getElementById('wholesale-detail-status').value = latest.status || 'new';
+        document.getElementById('wholesale-detail-assignee').innerHTML = '<option value="">Unassigned</option>' +
+            admins.map(user => `<option value="${esc(user._docId)}">${esc(user.displayName || user.email || user._docId)}</option>`).join('');
+        document.getElementById('wholesale-detail-assignee').value = latest.assignee?.uid || '';
+
+        document.getElementById('wholesale-detail-history').innerHTML = group.map(inquiry => `
+            <li class="text-sm text-slate-700 border-l-2 border-slate-200 pl-3">
+                <div class="text-xs text-slate-400">${esc(formatDay(inquiry.createdAt))} · ${esc(inquiry.status)}</div>
+                ${esc(inquiry.product)} · ${esc(inquiry.volume)}
+                ${inquiry.notes ? `<div class="text-xs text-slate-500 mt-0.5">${esc(inquiry.notes)}</div>` : ''}
+            </li>`).join('');
+
+        const notes = group.flatMap(inquiry => inquiry.adminNotes || [])
+            .sort((a, b) => (a.at?.toMillis?.() || 0) - (b.at?.toMillis?.() || 0));
+        document.getElementById('wholesale-detail-notes').innerHTML = notes.length
+            ? notes.map(note => `
+                <li class="text-sm text-slate-700 bg-slate-50 rounded-lg px-3 py-2">
+                    ${esc(note.text)}
+                    <div class="text-xs text-slate-400 mt-0.5">${esc(note.by)} · ${esc(formatDay(note.at))}</div>
+                </li>`).join('')
+            : '<li class="text-xs text-slate-400">No notes yet.</li>';
+
+        document.getElementById('wholesale-detail-approve').classList.toggle('hidden', latest.status === 'approved');
+        panel.classList.remove('hidden');
+    }
+
+    /**
+     * Apply the same change to every inquiry in the open application
+     * @param {Object} changes
+     */
+    async function updateApplication(changes) {
+        const application = selectedApplication();
+        if (!application) return;
+
+        const batch = db.batch();
+        application.inquiries.forEach(inquiry => {
+            batch.update(db.collection('wholesaleInquiries').doc(inquiry._docId), changes);
+        });
+        await batch.commit();
+    }
+
+    async function changeStatus(e) {
+        try {
+            await updateApplication({
+                status: e.target.value,
+                statusChangedAt: firebase.firestore.FieldValue.serverTimestamp(),
+                statusChangedBy: firebase.auth().currentUser?.email || null
+            });
+            toast(`Marked ${e.target.value}`, 'success');
+        } catch (error) {
+            toast(`Status change failed: ${error.message}`, 'error');
+            renderDetail();
+        }
+    }
+
+    async function changeAssignee(e) {
+        const user = admins.find(a => a._docId === e.target.value);
+        try {
+            await updateApplication({
+                assignee: user ? { uid: user._docId, name: user.displayName || user.email || user._docId } : null
+            });
+        } catch (error) {
+            toast(`Assign failed: ${error.message}`, 'error');
+            renderDetail();
+        }
+    }
+
+    async function addNote(e) {
+        e.preventDefault();
+        const application = selectedApplication();
+        const text = e.target.note.value.trim();
+        if (!application || !text) return;
+
+        try {
+            await db.collection('wholesaleInquiries').doc(application.latest._docId).update({
+                adminNotes: firebase.firestore.FieldValue.arrayUnion({
+                    text,
+                    by: firebase.auth().currentUser?.email || 'admin',
+                    at: firebase.firestore.Timestamp.now()
+                })
+            });
+            e.target.reset();
+        } catch (error) {
+            toast(`Note failed: ${error.message}`, 'error');
+        }
+    }
+
+    async function linkAccount(e) {
+        e.preventDefault();
+        const email = e.target['link-email'].value.trim();
+        if (!email) return;
+
+        try {
+            const snapshot = await db.collection('users').where('email', '==', email).limit(1).get();
+            if (snapshot.empty) {
+                toast(`No account uses ${email}`, 'error');
+                return;
+            }
+            await updateApplication({ userId: snapshot.docs[0].id });
+            e.target.reset();
+            toast('Account linked', 'success');
+        } catch (error) {
+            toast(`Link failed: ${error.message}`, 'error');
+        }
+    }
+
+    // ====================================================================
+    // Pricing Form
+    // ====================================================================
+
+    function bindForm() {
+        if (formBound) return;
+        formBound = true;
+
+        document.getElementById('wholesale-pricing-form')?.addEventListener('submit', savePricing);
+        document.getElementById('wholesale-status-filter')?.addEventListener('change', renderInquiries);
+        document.getElementById('wholesale-detail-status')?.addEventListener('change', changeStatus);
+        document.getElementById('wholesale-detail-assignee')?.addEventListener('change', changeAssignee);
+        document.getElementById('wholesale-note-form')?.addEventListener('submit', addNote);
+        document.getElementById('wholesale-link-form')?.addEventListener('submit', linkAccount);
+        document.getElementById('wholesale-detail-approve')?.addEventListener('click', () => {
+            const application = selectedApplication();
+            if (application) openApproval(application.latest._docId);
+        });
+        document.getElementById('wholesale-detail-quote')?.addEventListener('click', () => {
+            const application = selectedApplication();
+            if (!application) return;
+            const { latest } = application;
+            window.adminQuotes?.newQuote({
+                customerEmail: latest.email,
+                customerName: latest.name,
+                company: latest.company,
+                inquiryId: latest._docId
+            });
+        });
+    }
+
+    /**
+     * Show the negotiated price form
+     * @param {string} title
+     * @param {Object} prices - Current negotiated prices by product ID
+     */
+    function openForm(title, prices) {
+        const form = document.getElementById('wholesale-pricing-form');
+        document.getElementById('wholesale-form-title').textContent = title;
+        document.getElementById('wholesale-price-fields').innerHTML = products.map(product => `
+            <label class="flex items-center justify-between gap-3 text-sm text-slate-700">
+                <span class="truncate">${esc(product.name || product._docId)}</span>
+                <input name="price-${esc(product._docId)}" data-product-id="${esc(product._docId)}" type="number" min="0" step="0.01"
+                    value="${esc(prices[product._docId] ?? '')}" placeholder="${esc(product.wholesale2Price ?? '')}"
+                    class="w-24 px-2 py-1 text-sm text-right border border-slate-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-brand-blue/20 focus:border-brand-blue">
+            </label>`).join('');
+        document.getElementById('wholesale-quote-fields').classList.toggle('hidden', editing.type !== 'inquiry');
+        form['quote-message'].value = '';
+        form.classList.remove('hidden');
+        form.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+
+    function closeForm() {
+        editing = null;
+        document.getElementById('wholesale-pricing-form').classList.add('hidden');
+    }
+
+    function openApproval(inquiryId) {
+        const inquiry = inquiries.find(i => i._docId === inquiryId);
+        if (!inquiry) return;
+        editing = { type: 'inquiry', id: inquiryId };
+        openForm(`Approve ${inquiry.company || inquiry.email} as a distributor`, {});
+    }
+
+    function editDistributor(userId) {
+        const user = distributors.find(u => u._docId === userId);
+        if (!user) return;
+        editing = { type: 'distributor', id: userId };
+        openForm(`Prices for ${user.email}`, user.pricing.prices || {});
+    }
+
+    function formPrices() {
+        const prices = {};
+        document.querySelectorAll('#wholesale-price-fields input[data-product-id]').forEach(input => {
+            if (input.value.trim() !== '') prices[input.dataset.productId] = parseFloat(input.value);
+        });
+        return prices;
+    }
+
+    async function savePricing(e) {
+        e.preventDefault();
+        if (!editing) return;
+
+        const button = e.target.querySelector('button[type="submit"]');
+        button.disabled = true;
+
+        try {
+            if (editing.type === 'inquiry') {
+                const form = e.target;
+                const result = await call('approveWholesaleInquiry', {
+                    inquiryId: editing.id,
+                    prices: formPrices(),
+                    sendQuote: form['send-quote'].checked,
+                    message: form['quote-message'].value.trim()
+                });
+                toast(`${result.data.email} is now a distributor${result.data.quoteSent ? '; quote sent' : ''}`, 'success');
+            } else {
+                await call('updateCustomerPricing', { userId: editing.id, group: 'distributor', prices: formPrices() });
+                toast('Distributor prices saved', 'success');
+            }
+            closeForm();
+        } catch (error) {
+            toast(`Save failed: ${error.message}`, 'error');
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    async function revokeDistributor(userId) {
+        const user = distributors.find(u => u._docId === userId);
+        if (!user || !confirm(`Return ${user.email} to public pricing? Their negotiated prices are removed.`)) return;
+
+        try {
+            await call('updateCustomerPricing', { userId, group: null });
+            toast(`${user.email} is back on public pricing`, 'success');
+        } catch (error) {
+            toast(`Revoke failed: ${error.message}`, 'error');
+        }
+    }
+
+    // Expose module
+    window.adminWholesale = {
+        start,
+        stop,
+        openDetail,
+        closeDetail,
+        openApproval,
+        editDistributor,
+        revokeDistributor,
+        closeForm
+    };
+})();
@@ -1,6 +1,7 @@
 /**
  * Admin Module - Firestore CRUD for product management
- * Handles admin auth check, real-time product listener, and CRUD operations
+ * Handles admin auth check, tabs, real-time product listener, and CRUD operations.
+ * The Orders tab lives in admin-orders.js and the Tax tab in admin-tax.js.
  */
 (function() {
     'use strict';
@@ -158,7 +159,10 @@
                 <td class="px-4 py-3 text-sm font-medium">$${esc(String(p.price))}</td>
                 <td class="px-4 py-3 text-sm text-slate-500">$${esc(String(p.wholesale1Price || '-'))}</td>
                 <td class="px-4 py-3 text-sm text-slate-500">$${esc(String(p.wholesale2Price || '-'))}</td>
-                <td class="px-4 py-3 text-sm">${p.stockLevel != null ? esc(String(p.stockLevel)) : '-'}</td>
+                <td class="px-4 py-3 text-sm">
+                    ${p.stockLevel != null ? esc(String(p.stockLevel)) : '-'}
+                    ${p.reservedStock > 0 ? `<div class="text-xs text-amber-600">${esc(String(p.reservedStock))} reserved</div>` : ''}
+                </td>
                 <td class="px-4 py-3">
                     <span class="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${p.inStock ? 'bg-emerald-50 text-emerald-700' : 'bg-red-50 text-red-700'}">
                         ${p.inStock ? 'In Stock' : 'Out'}
@@ -282,6 +286,84 @@
         }
     }
 
+    // ====================================================================
+    // Webhook Events
+    // ====================================================================
+
+    async function openWebhookModal() {
+        const modal = document.getElementById('webhook-modal');
+        if (!modal) return;
+
+        modal.classList.remove('hidden');
+        modal.classList.add('flex');
+        await loadFailedWebhooks();
+    }
+
+    function closeWebhookModal() {
+        const modal = document.getElementById('webhook-modal');
+        if (modal) {
+            modal.classList.add('hidden');
+            modal.classList.remove('flex');
+        }
+    }
+
+    async function loadFailedWebhooks() {
+        const list = document.getElementById('webhook-list');
+        if (!list) return;
+
+        list.innerHTML = '<p class="text-sm text-slate-400 text-center py-8">Loading events...</p>';
+
+        try {
+            const listFn = firebase.functions().httpsCallable('listWebhookEvents');
+            const result = await listFn({ status: 'failed' });
+            const events = result.data.events || [];
+
+            if (events.length === 0) {
+                list.innerHTML = '<p class="text-sm text-slate-400 text-center py-8">No failed webhook events.</p>';
+                return;
+            }
+
+            const esc = window.sanitize.html;
+            list.innerHTML = events.map(e => `
+                <div class="p-4 border border-slate-200 rounded-xl flex items-start justify-between gap-4">
+                    <div class="min-w-0">
+                        <div class="text-sm font-medium text-slate-900">${esc(e.eventType || 'Unknown event')}</div>
+                        <div class="text-xs text-slate-400 mt-0.5">${esc(e.eventId)} · resource ${esc(e.resourceId || '-')} · ${esc(String(e.attempts))} attempt(s)</div>
+                        <div class="text-xs text-red-600 mt-1 break-words">${esc(e.error || '')}</div>
+                        <div class="text-xs text-slate-400 mt-1">${e.updatedAt ? esc(new Date(e.updatedAt).toLocaleString()) : ''}</div>
+                    </div>
+                    <button onclick="window.adminModule.replayWebhook('${esc(e.eventId)}', this)"
+                        class="px-3 py-1.5 text-xs font-semibold text-white bg-brand-blue rounded-lg hover:bg-blue-700 transition-colors flex-shrink-0">
+                        Replay
+                    </button>
+                </div>
+            `).join('');
+        } catch (error) {
+            list.innerHTML = '';
+            showToast(`Failed to load webhook events: ${error.message}`, 'error');
+        }
+    }
+
+    async function replayWebhook(eventId, button) {
+        if (button) {
+            button.disabled = true;
+            button.textContent = 'Replaying...';
+        }
+
+        try {
+            const replayFn = firebase.functions().httpsCallable('replayWebhookEvent');
+            const result = await replayFn({ eventId });
+            showToast(`Event replayed: ${result.data.outcome || result.data.status}`, 'success');
+            await loadFailedWebhooks();
+        } catch (error) {
+            showToast(`Replay failed: ${error.message}`, 'error');
+            if (button) {
+                button.disabled = false;
+                button.textContent = 'Replay';
+            }
+        }
+    }
+
     // ====================================================================
     // Form Submission
     // ====================================================================
@@ -370,6 +452,21 @@
         }, 3500);
     }
 
+    // ====================================================================
+    // Tabs
+    // ====================================================================
+
+    function switchTab(tab) {
+        document.querySelectorAll('[data-admin-tab]').forEach(button => {
+            const active = button.dataset.adminTab === tab;
+            button.classList.toggle('border-brand-blue', active);
+            button.classList.toggle('text-brand-blue', active);
+            button.classList.toggle('border-transparent', !active);
+            button.classList.toggle('text-slate-500', !active);
+            document.getElementById(`tab-${button.dataset.adminTab}`)?.classList.toggle('hidden', !active);
+        });
+    }
+
     // ====================================================================
     // Auth Gate UI
     // ====================================================================
@@ -413,6 +510,12 @@
                     unsubscribeProducts();
                     unsubscribeProducts = null;
                 }
+                window.adminOrders?.stop();
+                window.adminTax?.stop();
+                window.adminLots?.stop();
+                window.adminLabResults?.stop();
+                window.adminWholesale?.stop();
+                window.adminQuotes?.stop();
                 return;
             }
 
@@ -426,6 +529,12 @@
             document.getElementById('admin-email').textContent = user.email;
             showAdminContent();
             subscribeToProducts();
+            window.adminOrders?.start(db);
+            window.adminTax?.start(db);
+            window.adminLots?.start(db);
+            window.adminLabResults?.start(db);
+            window.adminWholesale?.start(db);
+            window.adminQuotes?.start(db);
         });
 
         // Bind search
@@ -483,7 +592,12 @@
         openProductModal,
         closeProductModal,
         openDeleteModal,
-        closeDeleteModal
+        closeDeleteModal,
+        openWebhookModal,
+        closeWebhookModal,
+        replayWebhook,
+        switchTab,
+        showToast
     };
 
     // Auto-init
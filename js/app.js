@@ -43,16 +43,16 @@ document.addEventListener('DOMContentLoaded', () => {
                 const id = sanitizeId(rawId) || 'unknown';
                 const safeName = esc(item.name || 'Unknown Item');
                 const safeCategory = esc(item.category || 'Compound');
-                const price = window.cartManager.getItemPrice(rawId, item.quantity) || Number(item.price) || 0;
+                const pricing = window.cartManager.getItemPricing(rawId, item.quantity);
+                const price = (pricing && pricing.unitPrice) || Number(item.price) || 0;
                 const quantity = parseInt(item.quantity, 10) || 1;
 
-                // Determine if a tier discount is active
-                const isTier1 = quantity >= 10 && quantity < 25;
-                const isTier2 = quantity >= 25;
+                // Badge the tier the shared pricing module applied to this line
+                const tier = pricing ? pricing.tier : 'standard';
                 let tierBadge = '';
-                if (isTier2) {
+                if (tier === 'wholesale2') {
                     tierBadge = '<span class="ml-2 px-1.5 py-0.5 bg-brand-cyan/10 text-brand-blue text-[8px] font-black uppercase rounded">Tier 2 Labs</span>';
-                } else if (isTier1) {
+                } else if (tier === 'wholesale1') {
                     tierBadge = '<span class="ml-2 px-1.5 py-0.5 bg-brand-blue/10 text-brand-blue text-[8px] font-black uppercase rounded">Tier 1 Elite</span>';
                 }
 
@@ -99,6 +99,16 @@ document.addEventListener('DOMContentLoaded', () => {
         }
 
         totalEl.textContent = '$' + window.cartManager.getTotal().toFixed(2);
+
+        // Volume tier progress ("Add 2 more vials to unlock Tier 1 Logistics")
+        const tiersEl = document.getElementById('cart-volume-tiers');
+        if (tiersEl) {
+            const hints = cart.length > 0 ? window.cartManager.getVolumeTierHints() : [];
+            tiersEl.innerHTML = hints.map(hint => `
+                <p class="text-[10px] font-bold uppercase tracking-wider ${hint.unlocked ? 'text-emerald-600' : 'text-brand-blue'}">${esc(hint.text)}</p>
+            `).join('');
+            tiersEl.classList.toggle('hidden', hints.length === 0);
+        }
     };
 
     // Initialize Lucide Icons
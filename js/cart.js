@@ -1,29 +1,100 @@
 /**
  * Apex Labs Cart Logic
  * Manages cart state using localStorage and handles UI updates.
+ * Signed-in users' carts also live in users/{uid}/cart/current and stay in sync
+ * across tabs and devices. Opening a recovery email link (?recover=TOKEN) loads
+ * the saved cart back in.
  */
 
 const CART_STORAGE_KEY = 'apex_labs_cart';
+const PROMO_STORAGE_KEY = 'apex_labs_promo';
+const RECOVERY_STORAGE_KEY = 'apex_labs_recovery';
 
 class Cart {
     constructor() {
         this.cart = this.loadCart();
+        this.promotion = this.loadPromotion();
         this.listeners = [];
         this.productData = null;
+        this.volumePricing = null;
+        this.customerPricing = null;
+        this.userId = null;
+        this.unsubscribeRemote = null;
         this.initProductData();
     }
 
-    async initProductData() {
-        try {
-            // Delegate to ProductManager if available (reads from Firestore with JSON fallback)
-            if (window.productManager) {
-                await window.productManager.load();
-                this.productData = window.productManager.getAll();
+    /**
+     * Start syncing with Firestore for signed-in users, and with other tabs via storage events
+     */
+    initSync() {
+        window.addEventListener('storage', (event) => {
+            if (event.key === CART_STORAGE_KEY) {
+                this.cart = this.loadCart();
+                this.notifyListeners();
+            } else if (event.key === PROMO_STORAGE_KEY) {
+                this.promotion = this.loadPromotion();
                 this.notifyListeners();
-                return;
             }
+        });
+
+        if (window.authManager) {
+            window.authManager.subscribe((event, user) => {
+                if (event !== 'authStateChanged') return;
+                if (user) {
+                    this._onUserSignIn(user).catch(error => console.error('Cart: Failed to sync on sign in', error));
+                } else {
+                    this._onUserSignOut();
+                }
+            });
+        }
 
-            // Direct JSON fallback for pages that don't load products.js
+        this.loadVolumePricing();
+
+        const recoveryToken = new URLSearchParams(window.location.search).get('recover');
+        if (recoveryToken) {
+            this.restoreRecoveredCart(recoveryToken).catch(error => console.error('Cart: Failed to restore cart', error));
+        }
+    }
+
+    /**
+     * Load a cart saved in a recovery email back into this browser.
+     * The token is kept so the order placed from it is credited to the email.
+     * @param {string} token - Signed token from the ?recover= link
+     */
+    async restoreRecoveredCart(token) {
+        // Drop the token from the address bar so a reload does not restore again
+        const url = new URL(window.location.href);
+        url.searchParams.delete('recover');
+        window.history.replaceState(null, '', url.pathname + url.search + url.hash);
+
+        const response = await fetch('/api/cart-recovery/restore', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ token })
+        });
+
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to restore cart');
+        }
+
+        localStorage.setItem(RECOVERY_STORAGE_KEY, token);
+        const items = this.validateItems(result.items);
+        if (items.length > 0) {
+            this._mergeCarts(items);
+        }
+    }
+
+    /**
+     * Token of the recovery email this cart was restored from, if any
+     * @returns {string|null}
+     */
+    getRecoveryToken() {
+        return localStorage.getItem(RECOVERY_STORAGE_KEY);
+    }
+
+    async initProductData() {
+        try {
             const isInSubdir = window.location.pathname.includes('/pricing/') ||
                 window.location.pathname.includes('/pages/');
             const jsonPath = isInSubdir ? '../data/products.json' : 'data/products.json';
@@ -37,60 +108,275 @@ class Cart {
         }
     }
 
+    /**
+     * Load the cart-wide volume pricing rules (settings/volumePricing).
+     * The shared defaults in tier-pricing.js apply until they load.
+     */
+    async loadVolumePricing() {
+        if (!window.firebaseServices) return;
+        try {
+            this.volumePricing = await window.firebaseServices.helpers.getDoc('settings/volumePricing');
+            this.notifyListeners();
+        } catch (error) {
+            console.warn('Cart: Using default volume pricing', error);
+        }
+    }
+
     loadCart() {
         const saved = localStorage.getItem(CART_STORAGE_KEY);
         try {
-            const parsed = saved ? JSON.parse(saved) : [];
+            return this.validateItems(saved ? JSON.parse(saved) : []);
+        } catch (e) {
+            // If parsing fails, return empty cart
+            return [];
+        }
+    }
 
-            // Security: Validate cart data structure from localStorage
-            if (!Array.isArray(parsed)) return [];
+    /**
+     * Security: Validate cart data structure from localStorage or Firestore
+     * @param {*} parsed - Stored cart
+     * @returns {Array} Valid items only
+     */
+    validateItems(parsed) {
+        if (!Array.isArray(parsed)) return [];
 
-            return parsed.filter(item => {
-                // Validate item is an object with required fields
-                if (!item || typeof item !== 'object') return false;
+        return parsed.filter(item => {
+            // Validate item is an object with required fields
+            if (!item || typeof item !== 'object') return false;
 
-                // Validate ID (required, must be string with safe characters)
-                const id = item.id || item.priceId;
-                if (typeof id !== 'string' || !/^[a-zA-Z0-9\-_:]+$/.test(id)) return false;
+            // Validate ID (required, must be string with safe characters)
+            const id = item.id || item.priceId;
+            if (typeof id !== 'string' || !/^[a-zA-Z0-9\-_:]+$/.test(id)) return false;
 
-                // Validate quantity (must be positive number)
-                if (typeof item.quantity !== 'number' || item.quantity < 1 || item.quantity > 1000) return false;
+            // Validate quantity (must be positive number)
+            if (typeof item.quantity !== 'number' || item.quantity < 1 || item.quantity > 1000) return false;
 
-                // Validate price if present (must be reasonable number)
-                if (item.price !== undefined) {
-                    if (typeof item.price !== 'number' || item.price < 0 || item.price > 100000) return false;
-                }
+            // Validate price if present (must be reasonable number)
+            if (item.price !== undefined) {
+                if (typeof item.price !== 'number' || item.price < 0 || item.price > 100000) return false;
+            }
 
-                // Validate name if present (must be string, reasonable length)
-                if (item.name !== undefined && (typeof item.name !== 'string' || item.name.length > 200)) return false;
+            // Validate name if present (must be string, reasonable length)
+            if (item.name !== undefined && (typeof item.name !== 'string' || item.name.length > 200)) return false;
 
-                // Validate category if present
-                if (item.category !== undefined && (typeof item.category !== 'string' || item.category.length > 100)) return false;
+            // Validate category if present
+            if (item.category !== undefined && (typeof item.category !== 'string' || item.category.length > 100)) return false;
 
-                // Validate image if present
-                if (item.image !== undefined && (typeof item.image !== 'string' || item.image.length > 500)) return false;
+            // Validate image if present
+            if (item.image !== undefined && (typeof item.image !== 'string' || item.image.length > 500)) return false;
 
-                return true;
-            });
+            return true;
+        });
+    }
+
+    loadPromotion() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(PROMO_STORAGE_KEY));
+            if (!saved || typeof saved !== 'object' || typeof saved.code !== 'string') return null;
+            return saved;
         } catch (e) {
-            // If parsing fails, return empty cart
-            return [];
+            return null;
+        }
+    }
+
+    savePromotion() {
+        if (this.promotion) {
+            localStorage.setItem(PROMO_STORAGE_KEY, JSON.stringify(this.promotion));
+        } else {
+            localStorage.removeItem(PROMO_STORAGE_KEY);
         }
+        this.notifyListeners();
     }
 
     saveCart() {
         localStorage.setItem(CART_STORAGE_KEY, JSON.stringify(this.cart));
         this.notifyListeners();
+        this._syncToFirestore();
     }
 
-    getItemPrice(productId, quantity) {
-        if (!this.productData) return null;
+    // ====================================================================
+    // Firestore Sync
+    // ====================================================================
+
+    _remoteCartRef() {
+        const db = window.firebaseServices?.getFirestore();
+        if (!db || !this.userId) return null;
+        return db.collection('users').doc(this.userId).collection('cart').doc('current');
+    }
+
+    /**
+     * Handle user sign in: merge the local cart into the saved one, then follow it live
+     * @param {Object} user - Firebase user
+     */
+    async _onUserSignIn(user) {
+        if (this.userId === user.uid) return;
+        this.userId = user.uid;
+        this.loadCustomerPricing(user.uid);
+
+        const ref = this._remoteCartRef();
+        if (!ref) return;
+
+        const doc = await ref.get();
+        const remoteItems = doc.exists ? this.validateItems(doc.data().items) : [];
+        this._mergeCarts(remoteItems);
+        this._subscribeToRemote(ref);
+    }
+
+    /**
+     * Handle user sign out
+     */
+    _onUserSignOut() {
+        if (this.unsubscribeRemote) {
+            this.unsubscribeRemote();
+            this.unsubscribeRemote = null;
+        }
+        this.userId = null;
+        this.customerPricing = null;
+        this.notifyListeners();
+        // Keep local cart, don't clear
+    }
+
+    /**
+     * Load the signed-in customer's pricing group (users/{uid}.pricing), which
+     * unlocks Tier 2 for approved distributors. Order creation checks it again.
+     * @param {string} uid
+     */
+    async loadCustomerPricing(uid) {
+        try {
+            const profile = await window.firebaseServices.helpers.getDoc(`users/${uid}`);
+            if (this.userId !== uid) return;
+            this.customerPricing = (profile && profile.pricing) || null;
+            this.notifyListeners();
+        } catch (error) {
+            console.warn('Cart: Using public pricing', error);
+        }
+    }
+
+    /**
+     * Merge local and Firestore carts.
+     * Items in both keep the larger quantity rather than the sum, so a cart that was
+     * already synced from this device is not doubled on the next sign in.
+     * @param {Array} remoteItems - Items from Firestore
+     */
+    _mergeCarts(remoteItems) {
+        const merged = new Map();
+
+        remoteItems.forEach(item => {
+            merged.set(item.id, { ...item });
+        });
+
+        this.cart.forEach(item => {
+            const existing = merged.get(item.id);
+            if (existing) {
+                existing.quantity = Math.max(existing.quantity, item.quantity);
+            } else {
+                merged.set(item.id, { ...item });
+            }
+        });
+
+        this.cart = Array.from(merged.values());
+        this.saveCart();
+    }
+
+    /**
+     * Follow the Firestore cart so changes from other devices show up live
+     * @param {Object} ref - users/{uid}/cart/current
+     */
+    _subscribeToRemote(ref) {
+        if (this.unsubscribeRemote) this.unsubscribeRemote();
+
+        this.unsubscribeRemote = ref.onSnapshot(
+            (doc) => {
+                // Our own writes are already applied locally
+                if (doc.metadata.hasPendingWrites || !doc.exists) return;
+
+                const items = this.validateItems(doc.data().items);
+                if (JSON.stringify(items) === JSON.stringify(this.cart)) return;
+
+                this.cart = items;
+                localStorage.setItem(CART_STORAGE_KEY, JSON.stringify(this.cart));
+                this.notifyListeners();
+            },
+            (error) => console.error('Cart: Firestore listener error', error)
+        );
+    }
+
+    /**
+     * Write the whole cart to Firestore
+     */
+    _syncToFirestore() {
+        const ref = this._remoteCartRef();
+        if (!ref) return;
+
+        ref.set({
+            items: this.cart.map(item => ({
+                id: item.id,
+                quantity: item.quantity,
+                ...(item.priceId !== undefined && { priceId: item.priceId }),
+                ...(item.name !== undefined && { name: item.name }),
+                ...(item.price !== undefined && { price: item.price }),
+                ...(item.category !== undefined && { category: item.category }),
+                ...(item.image !== undefined && { image: item.image })
+            })),
+            updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+        }).catch(error => console.error('Cart: Failed to sync to Firestore', error));
+    }
+
+    /**
+     * Price the whole cart, pooling vials for volume tiers the same way order
+     * creation does (tierPricing.priceLines)
+     * @returns {{ lines: Array, pools: Array }|null} Null until product data loads
+     */
+    getCartPricing() {
+        if (!this.productData || !window.tierPricing) return null;
+        const lines = this.cart
+            .map(item => ({ id: item.id, quantity: item.quantity, product: this.productData.find(p => p.id === item.id) }))
+            .filter(line => line.product);
+        return window.tierPricing.priceLines(lines, this.volumePricing, this.customerPricing);
+    }
+
+    /**
+     * Tier pricing for a cart line, from the shared tier-pricing module
+     * @param {string} productId - Product ID
+     * @param {number} quantity - Units in the line
+     * @returns {Object|null} See tierPricing.priceForQuantity; null until product data loads
+     */
+    getItemPricing(productId, quantity) {
+        const cartPricing = this.getCartPricing();
+        if (!cartPricing) return null;
+
+        const line = cartPricing.lines.find(l => l.id === productId && l.quantity === quantity);
+        if (line) return line;
+
+        // Not a line in the cart (e.g. a quantity preview) - price it on its own
         const product = this.productData.find(p => p.id === productId);
-        if (!product) return null;
+        return product ? window.tierPricing.priceForQuantity(product, quantity, { customer: this.customerPricing }) : null;
+    }
+
+    /**
+     * Volume tier progress for the cart drawer and cart page
+     * @returns {Array<{ unlocked: boolean, text: string }>}
+     */
+    getVolumeTierHints() {
+        const cartPricing = this.getCartPricing();
+        if (!cartPricing) return [];
+
+        return cartPricing.pools
+            .filter(pool => pool.tier || pool.nextTier)
+            .map(pool => {
+                const vials = pool.category ? `${pool.category} vials` : 'vials';
+                if (pool.nextTier) {
+                    const units = pool.nextTier.unitsNeeded;
+                    const more = units === 1 ? vials.replace(/s$/, '') : vials;
+                    return { unlocked: false, text: `Add ${units} more ${more} to unlock ${pool.nextTier.name}` };
+                }
+                return { unlocked: true, text: `${pool.tier.name} unlocked on ${pool.quantity} ${vials}` };
+            });
+    }
 
-        if (quantity >= 25) return product.wholesale2Price || product.wholesale1Price || product.price;
-        if (quantity >= 10) return product.wholesale1Price || product.price;
-        return product.price;
+    getItemPrice(productId, quantity) {
+        const pricing = this.getItemPricing(productId, quantity);
+        return pricing ? pricing.unitPrice : null;
     }
 
     addItem(product, quantity = 1) {
@@ -155,16 +441,112 @@ class Cart {
 
     clearCart() {
         this.cart = [];
+        this.promotion = null;
+        localStorage.removeItem(PROMO_STORAGE_KEY);
+        localStorage.removeItem(RECOVERY_STORAGE_KEY);
         this.saveCart();
     }
 
-    getTotal() {
+    getSubtotal() {
         return this.cart.reduce((sum, item) => {
             const unitPrice = this.getItemPrice(item.id, item.quantity) || Number(item.price);
             return sum + (unitPrice * item.quantity);
         }, 0);
     }
 
+    /**
+     * Discount from the applied promo code, for display only.
+     * Mirrors the server rules; the order is re-checked and priced on the server.
+     * @returns {number}
+     */
+    getDiscount() {
+        const promo = this.promotion;
+        if (!promo) return 0;
+
+        const subtotal = this.getSubtotal();
+        if (subtotal < (Number(promo.minSubtotal) || 0)) return 0;
+
+        const percent = Math.min(Math.max(Number(promo.percentOff) || 0, 0), 100);
+        const amount = Math.max(Number(promo.amountOff) || 0, 0);
+        const lineTotal = item => (this.getItemPrice(item.id, item.quantity) || Number(item.price)) * item.quantity;
+
+        let discount = 0;
+        switch (promo.type) {
+            case 'percent':
+                discount = subtotal * percent / 100;
+                break;
+            case 'fixed':
+                discount = amount;
+                break;
+            case 'free_item': {
+                const line = this.cart.find(item => item.id === promo.productId);
+                if (line) {
+                    const freeUnits = Math.min(Math.max(parseInt(promo.quantity, 10) || 1, 1), line.quantity);
+                    discount = (this.getItemPrice(line.id, line.quantity) || Number(line.price)) * freeUnits;
+                }
+                break;
+            }
+            case 'product':
+                this.cart
+                    .filter(item => (promo.productIds || []).includes(item.id))
+                    .forEach(item => {
+                        discount += percent > 0
+                            ? lineTotal(item) * percent / 100
+                            : Math.min(amount * item.quantity, lineTotal(item));
+                    });
+                break;
+        }
+
+        return Math.round(Math.min(discount, subtotal) * 100) / 100;
+    }
+
+    getTotal() {
+        return Math.max(0, this.getSubtotal() - this.getDiscount());
+    }
+
+    getPromotion() {
+        return this.promotion;
+    }
+
+    /**
+     * Check a promo code against the current cart and apply it if valid
+     * @param {string} code
+     * @param {string} [customerEmail] - For codes limited per customer
+     * @returns {Promise<Object>} The applied promotion rule
+     * @throws {Error} With a customer-facing message if the code cannot be used
+     */
+    async applyPromoCode(code, customerEmail) {
+        const headers = { 'Content-Type': 'application/json' };
+        const user = window.authManager?.getCurrentUser();
+        if (user) {
+            headers['Authorization'] = 'Bearer ' + await user.getIdToken();
+        }
+
+        const response = await fetch('/api/validate-promo', {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({
+                code,
+                items: this.cart.map(item => ({ id: item.id, quantity: item.quantity })),
+                customerEmail: customerEmail || null
+            })
+        });
+
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || 'This code is not valid');
+        }
+
+        this.promotion = result.promotion;
+        this.savePromotion();
+        return this.promotion;
+    }
+
+    removePromoCode() {
+        this.promotion = null;
+        this.savePromotion();
+    }
+
     getItemCount() {
         return this.cart.reduce((sum, item) => sum + item.quantity, 0);
     }
@@ -193,6 +575,13 @@ const cartInstance = new Cart();
 window.cartManager = cartInstance;
 window.CartManager = cartInstance;
 
+// Start syncing once auth.js has loaded
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => cartInstance.initSync());
+} else {
+    cartInstance.initSync();
+}
+
 // UI Initialization helper
 window.toggleCart = function () {
     const drawer = document.getElementById('cart-drawer');
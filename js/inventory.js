@@ -7,6 +7,17 @@ class InventoryManager {
         this.criticalStockThreshold = 10;
     }
 
+    /**
+     * Get units available to sell (on hand minus units held by pending orders)
+     * @param {Object} product - Product with stockLevel and optional reservedStock
+     * @returns {number|null} - null when the product does not track stock
+     */
+    getAvailableStock(product) {
+        if (!product) return 0;
+        if (product.stockLevel == null) return null;
+        return Math.max(0, product.stockLevel - (product.reservedStock || 0));
+    }
+
     /**
      * Get stock status for a product
      * @param {Object} product - Product with stockLevel
@@ -15,7 +26,9 @@ class InventoryManager {
     getStockStatus(product) {
         if (!product) return { available: false, label: 'Unavailable', class: 'bg-slate-100 text-slate-500' };
 
-        if (!product.inStock || product.stockLevel === 0) {
+        const available = this.getAvailableStock(product);
+
+        if (!product.inStock || available === 0) {
             return {
                 available: false,
                 label: 'Out of Stock',
@@ -24,16 +37,16 @@ class InventoryManager {
             };
         }
 
-        if (product.stockLevel <= this.criticalStockThreshold) {
+        if (available !== null && available <= this.criticalStockThreshold) {
             return {
                 available: true,
-                label: `Only ${product.stockLevel} Left`,
+                label: `Only ${available} Left`,
                 class: 'bg-red-100 text-red-700',
                 urgency: 'critical'
             };
         }
 
-        if (product.stockLevel <= this.lowStockThreshold) {
+        if (available !== null && available <= this.lowStockThreshold) {
             return {
                 available: true,
                 label: 'Low Stock',
@@ -56,7 +69,8 @@ class InventoryManager {
      * @returns {boolean}
      */
     isHighDemand(product) {
-        return product.featured && product.stockLevel < 50;
+        const available = this.getAvailableStock(product);
+        return product.featured && available !== null && available < 50;
     }
 
     /**
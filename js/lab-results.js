@@ -1,105 +1,27 @@
 /**
  * Lab Results Component
- * Dynamically loads and displays lab analysis data for products
- * Usage: <div id="lab-results" data-product-id="bpc-157"></div>
+ * Loads third-party lab results (COAs) for a product from the labResults
+ * collection and shows the latest test, or the test for a specific lot, with
+ * a purity and measured-vs-labelled quantity trend and the earlier tests below.
+ * Results under the thresholds in settings/labResults are flagged.
+ * Usage: <div data-lab-product="bpc-157" data-lab-lot="BPC-2410A"></div>
+ * The lot may also come from a ?lot= query parameter.
  */
 
 (function() {
-    // Lab results data (embedded to avoid fetch issues)
-    const labData = {
-        "bpc-157": {
-            name: "BPC-157",
-            taskNumber: "#101115",
-            quantity: 10.89,
-            unit: "mg",
-            purity: 99.751,
-            analysisDate: "Jan 28, 2026",
-            verificationKey: "1UGJHZ51HQVR",
-            reportImage: "BPC-157.png"
-        },
-        "cjc-1295": {
-            name: "CJC-1295 (mod GRF 1-29)",
-            taskNumber: "#101119",
-            quantity: 9.87,
-            unit: "mg",
-            purity: 81.190,
-            analysisDate: "Jan 28, 2026",
-            verificationKey: "8GTM1W65B3SS1",
-            reportImage: "CJC-1295.png",
-            note: "Sample contained related peptide - see full report"
-        },
-        "ghk-cu": {
-            name: "GHK-Cu",
-            taskNumber: "#101116",
-            quantity: 105.33,
-            unit: "mg",
-            purity: 99.572,
-            analysisDate: "Jan 28, 2026",
-            verificationKey: "B1VRPP7ERFZ4",
-            reportImage: "GHK-Cu.png"
-        },
-        "ipamorelin": {
-            name: "Ipamorelin",
-            taskNumber: "#101120",
-            quantity: 12.66,
-            unit: "mg",
-            purity: 99.817,
-            analysisDate: "Jan 28, 2026",
-            verificationKey: "7T9TPLF4JU3C",
-            reportImage: "Ipamorelin.png"
-        },
-        "mots-c": {
-            name: "MOTS-C",
-            taskNumber: "#101121",
-            quantity: 55.63,
-            unit: "mg",
-            purity: 99.563,
-            analysisDate: "Jan 28, 2026",
-            verificationKey: "ASNSWEEFAZ79",
-            reportImage: "MOTS-C.png"
-        },
-        "pt-141": {
-            name: "PT-141",
-            taskNumber: "#101122",
-            quantity: 12.38,
-            unit: "mg",
-            purity: 99.861,
-            analysisDate: "Jan 28, 2026",
-            verificationKey: "DH49ZZ3CM4MI",
-            reportImage: "PT-141.png"
-        },
-        "reta": {
-            name: "Retatrutide",
-            taskNumber: "#101113",
-            quantity: 11.79,
-            unit: "mg",
-            purity: 99.788,
-            analysisDate: "Jan 28, 2026",
-            verificationKey: "7LXBJJWNAP83",
-            reportImage: "Retatrutide.png"
-        },
-        "tb-500": {
-            name: "TB-500 (TB4)",
-            taskNumber: "#101114",
-            quantity: 11.92,
-            unit: "mg",
-            purity: 99.782,
-            analysisDate: "Jan 28, 2026",
-            verificationKey: "LABYSEAVF5P4",
-            reportImage: "TB-500.png"
-        },
-        "tesamorelin": {
-            name: "Tesamorelin",
-            taskNumber: "#101118",
-            quantity: 10.28,
-            unit: "mg",
-            purity: 99.070,
-            analysisDate: "Jan 28, 2026",
-            verificationKey: "HFXVGQ9VKB35",
-            reportImage: "Tesamorelin.png"
-        }
+    const HISTORY_LIMIT = 20;
+
+    // Used when settings/labResults is missing or incomplete
+    const DEFAULT_THRESHOLDS = {
+        purityThreshold: 98,   // flag results below this purity (%)
+        quantityTolerance: 10  // flag measured quantity more than this % off the label
     };
 
+    let thresholdsPromise = null;
+
+    // Results by product ID, newest analysis first
+    const resultsByProduct = {};
+
     // Inject CSS
     const styles = `
         .lab-results-panel {
@@ -346,6 +268,102 @@
             background: #0052cc;
             color: white;
         }
+
+        .lab-history {
+            margin-top: 1.5rem;
+            border-top: 1px solid #e2e8f0;
+            padding-top: 1rem;
+        }
+
+        .lab-history-row {
+            display: flex;
+            align-items: center;
+            justify-content: space-between;
+            gap: 12px;
+            width: 100%;
+            padding: 8px 0;
+            background: transparent;
+            border: none;
+            border-bottom: 1px solid #f1f5f9;
+            font-size: 11px;
+            color: #475569;
+            text-align: left;
+            cursor: pointer;
+        }
+
+        .lab-history-row:hover {
+            color: #0052cc;
+        }
+
+        .lab-history-row strong {
+            color: #0F172A;
+            font-family: monospace;
+        }
+
+        .lab-compare-link {
+            display: block;
+            margin-top: 1rem;
+            font-size: 10px;
+            font-weight: 800;
+            text-transform: uppercase;
+            letter-spacing: 0.1em;
+            color: #0052cc;
+            text-align: center;
+            text-decoration: none;
+        }
+
+        .lab-compare-link:hover {
+            text-decoration: underline;
+        }
+
+        .lab-flag {
+            margin-top: 12px;
+            padding: 8px 12px;
+            background: #fef2f2;
+            border-left: 3px solid #ef4444;
+            font-size: 11px;
+            font-weight: 700;
+            color: #991b1b;
+        }
+
+        .lab-flag-dot {
+            display: inline-block;
+            width: 6px;
+            height: 6px;
+            margin-right: 6px;
+            border-radius: 50%;
+            background: #ef4444;
+        }
+
+        .lab-trend {
+            margin-top: 1.5rem;
+        }
+
+        .lab-trend svg {
+            width: 100%;
+            height: auto;
+            display: block;
+            margin-top: 8px;
+        }
+
+        .lab-trend-legend {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 12px;
+            margin-top: 6px;
+            font-size: 10px;
+            color: #64748b;
+        }
+
+        .lab-trend-legend span::before {
+            content: '';
+            display: inline-block;
+            width: 10px;
+            height: 2px;
+            margin-right: 4px;
+            vertical-align: middle;
+            background: var(--swatch);
+        }
     `;
 
     function injectStyles() {
@@ -356,20 +374,205 @@
         document.head.appendChild(styleEl);
     }
 
+    function esc(value) {
+        return window.sanitize.html(value == null ? '' : String(value));
+    }
+
     function formatPurity(purity) {
-        return purity.toFixed(2);
+        return Number(purity).toFixed(2);
+    }
+
+    function formatAnalysisDate(value) {
+        const date = new Date(`${value}T00:00:00Z`);
+        return isNaN(date)
+            ? value
+            : date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+    }
+
+    /**
+     * Fetch a product's results, newest analysis first
+     * @param {string} productId
+     * @returns {Promise<Array<Object>>}
+     */
+    async function loadResults(productId) {
+        if (resultsByProduct[productId]) return resultsByProduct[productId];
+
+        const { db } = await window.firebaseServices.onReady();
+        const snapshot = await db.collection('labResults')
+            .where('productId', '==', productId)
+            .orderBy('analysisDate', 'desc')
+            .limit(HISTORY_LIMIT)
+            .get();
+
+        resultsByProduct[productId] = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        return resultsByProduct[productId];
+    }
+
+    /**
+     * Flag thresholds from settings/labResults, loaded once per page
+     * @returns {Promise<{ purityThreshold: number, quantityTolerance: number }>}
+     */
+    function loadThresholds() {
+        if (!thresholdsPromise) {
+            thresholdsPromise = window.firebaseServices.onReady()
+                .then(({ db }) => db.collection('settings').doc('labResults').get())
+                .then(doc => {
+                    const settings = doc.exists ? doc.data() : {};
+                    return {
+                        purityThreshold: Number.isFinite(settings.purityThreshold) ? settings.purityThreshold : DEFAULT_THRESHOLDS.purityThreshold,
+                        quantityTolerance: Number.isFinite(settings.quantityTolerance) ? settings.quantityTolerance : DEFAULT_THRESHOLDS.quantityTolerance
+                    };
+                })
+                .catch(() => ({ ...DEFAULT_THRESHOLDS }));
+        }
+        return thresholdsPromise;
+    }
+
+    /**
+     * Measured quantity as a percentage of the labelled quantity
+     * @param {Object} result
+     * @returns {number|null}
+     */
+    function quantityRatio(result) {
+        if (!(result.labelledQuantity > 0) || !Number.isFinite(result.quantity)) return null;
+        return (result.quantity / result.labelledQuantity) * 100;
+    }
+
+    /**
+     * Reasons a result falls short of the thresholds
+     * @param {Object} result
+     * @param {Object} thresholds - From loadThresholds()
+     * @returns {string[]} Empty when the result passes
+     */
+    function evaluate(result, thresholds) {
+        const flags = [];
+        if (Number(result.purity) < thresholds.purityThreshold) {
+            flags.push(`Purity ${formatPurity(result.purity)}% is below the ${thresholds.purityThreshold}% standard`);
+        }
+        const ratio = quantityRatio(result);
+        if (ratio !== null && Math.abs(ratio - 100) > thresholds.quantityTolerance) {
+            flags.push(`Measured ${result.quantity} ${result.unit || 'mg'} against ${result.labelledQuantity} ${result.unit || 'mg'} labelled (${ratio.toFixed(1)}%)`);
+        }
+        return flags;
+    }
+
+    /**
+     * The most recent result for every product, for the transparency page
+     * @returns {Promise<Array<Object>>} With testCount per product
+     */
+    async function loadLatestByProduct() {
+        const { db } = await window.firebaseServices.onReady();
+        const snapshot = await db.collection('labResults').orderBy('analysisDate', 'desc').limit(500).get();
+
+        const latest = {};
+        snapshot.docs.forEach(doc => {
+            const result = { id: doc.id, ...doc.data() };
+            if (!latest[result.productId]) {
+                latest[result.productId] = { ...result, testCount: 0 };
+            }
+            latest[result.productId].testCount++;
+        });
+        return Object.values(latest);
+    }
+
+    /**
+     * Purity and measured/labelled quantity over time as an inline SVG chart
+     * @param {Array<Object>} results - Newest first
+     * @param {Object} thresholds
+     * @returns {string} Empty with fewer than two results
+     */
+    function renderTrend(results, thresholds) {
+        if (results.length < 2) return '';
+
+        const points = results.slice().reverse();
+        const ratios = points.map(quantityRatio);
+        const values = [
+            ...points.map(result => Number(result.purity)),
+            ...ratios.filter(ratio => ratio !== null),
+            thresholds.purityThreshold,
+            100
+        ];
+        const min = Math.floor(Math.min(...values) - 1);
+        const max = Math.ceil(Math.max(...values) + 1);
+
+        const width = 320;
+        const height = 120;
+        const pad = { left: 30, right: 8, top: 8, bottom: 18 };
+        const x = (index) => pad.left + (index * (width - pad.left - pad.right)) / (points.length - 1);
+        const y = (value) => pad.top + ((max - value) * (height - pad.top - pad.bottom)) / (max - min);
+
+        const series = (valuesFor, color, label) => {
+            const plotted = points
+                .map((result, index) => ({ result, index, value: valuesFor(result, index) }))
+                .filter(point => point.value !== null);
+            if (plotted.length === 0) return '';
+            return `
+                <polyline fill="none" stroke="${color}" stroke-width="2" points="${plotted.map(point => `${x(point.index).toFixed(1)},${y(point.value).toFixed(1)}`).join(' ')}"/>
+                ${plotted.map(point => `
+                    <circle cx="${x(point.index).toFixed(1)}" cy="${y(point.value).toFixed(1)}" r="3" fill="${color}">
+                        <title>${esc(label)} ${esc(point.value.toFixed(2))}% · ${esc(formatAnalysisDate(point.result.analysisDate))}${point.result.lotNumber ? ` · Lot ${esc(point.result.lotNumber)}` : ''}</title>
+                    </circle>`).join('')}`;
+        };
+        const hasQuantity = ratios.some(ratio => ratio !== null);
+        const thresholdY = y(thresholds.purityThreshold).toFixed(1);
+
+        return `
+            <div class="lab-trend">
+                <span class="lab-stat-label">Purity Trend</span>
+                <svg viewBox="0 0 ${width} ${height}" role="img" aria-label="Purity across ${points.length} lab tests">
+                    <line x1="${pad.left}" x2="${width - pad.right}" y1="${thresholdY}" y2="${thresholdY}" stroke="#ef4444" stroke-width="1" stroke-dasharray="4 3"/>
+                    <text x="${pad.left - 4}" y="${pad.top + 4}" text-anchor="end" font-size="8" fill="#94a3b8">${max}%</text>
+                    <text x="${pad.left - 4}" y="${height - pad.bottom}" text-anchor="end" font-size="8" fill="#94a3b8">${min}%</text>
+                    <text x="${pad.left}" y="${height - 4}" font-size="8" fill="#94a3b8">${esc(formatAnalysisDate(points[0].analysisDate))}</text>
+                    <text x="${width - pad.right}" y="${height - 4}" text-anchor="end" font-size="8" fill="#94a3b8">${esc(formatAnalysisDate(points[points.length - 1].analysisDate))}</text>
+                    ${hasQuantity ? series((result, index) => ratios[index], '#94a3b8', 'Quantity vs label') : ''}
+                    ${series(result => Number(result.purity), '#0052cc', 'Purity')}
+                </svg>
+                <div class="lab-trend-legend">
+                    <span style="--swatch: #0052cc">Purity</span>
+                    ${hasQuantity ? '<span style="--swatch: #94a3b8">Measured vs labelled quantity</span>' : ''}
+                    <span style="--swatch: #ef4444">${esc(thresholds.purityThreshold)}% standard</span>
+                </div>
+            </div>
+        `;
     }
 
-    function renderLabResults(container, productId) {
-        const data = labData[productId];
-        if (!data) {
-            console.warn(`No lab data found for product: ${productId}`);
+    function findResult(productId, resultId) {
+        return (resultsByProduct[productId] || []).find(result => result.id === resultId);
+    }
+
+    function renderHistory(productId, results, shown, thresholds) {
+        const earlier = results.filter(result => result.id !== shown.id);
+        if (earlier.length === 0) return '';
+
+        return `
+            <div class="lab-history">
+                <span class="lab-stat-label">Test History</span>
+                ${earlier.map(result => `
+                    <button class="lab-history-row" onclick="window.labResults.openModal('${esc(productId)}', '${esc(result.id)}')">
+                        <span>${esc(formatAnalysisDate(result.analysisDate))} · Task ${esc(result.taskNumber)}${result.lotNumber ? ` · Lot <strong>${esc(result.lotNumber)}</strong>` : ''}</span>
+                        <span>${evaluate(result, thresholds).length ? '<span class="lab-flag-dot" title="Below standard"></span>' : ''}${esc(formatPurity(result.purity))}%</span>
+                    </button>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    async function renderLabResults(container, productId) {
+        let results;
+        let thresholds;
+        try {
+            [results, thresholds] = await Promise.all([loadResults(productId), loadThresholds()]);
+        } catch (error) {
+            console.warn(`Lab results unavailable for ${productId}:`, error);
             return;
         }
+        if (results.length === 0) return;
 
-        // Determine base path for assets
-        const isInPricing = window.location.pathname.includes('/pricing/');
-        const assetPath = isInPricing ? '../assets/lab-results/' : 'assets/lab-results/';
+        const lotNumber = container.getAttribute('data-lab-lot') || new URLSearchParams(window.location.search).get('lot');
+        const lotResult = lotNumber ? results.find(result => result.lotNumber === lotNumber) : null;
+        const data = lotResult || results[0];
+        const flags = evaluate(data, thresholds);
 
         const html = `
             <div class="lab-results-panel">
@@ -377,7 +580,7 @@
                 <div class="flex items-center justify-between mb-6">
                     <div class="flex items-center gap-2">
                         <i data-lucide="flask-conical" class="w-4 h-4 text-[#00C2FF]"></i>
-                        <span class="text-[10px] font-black uppercase tracking-widest text-slate-500">Independent Lab Analysis</span>
+                        <span class="text-[10px] font-black uppercase tracking-widest text-slate-500">${lotResult ? `Lot ${esc(lotResult.lotNumber)} Analysis` : 'Independent Lab Analysis'}</span>
                     </div>
                     <a href="https://www.janoshik.com" target="_blank" rel="noopener" class="lab-janoshik-badge">
                         <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" class="w-3 h-3">
@@ -390,58 +593,65 @@
                 <!-- Main Content -->
                 <div class="flex items-center gap-6">
                     <!-- Purity Ring -->
-                    <div class="lab-purity-ring" style="--purity: ${data.purity}">
-                        <div class="lab-purity-value">${formatPurity(data.purity)}<span>%</span></div>
+                    <div class="lab-purity-ring" style="--purity: ${Number(data.purity)}">
+                        <div class="lab-purity-value">${esc(formatPurity(data.purity))}<span>%</span></div>
                     </div>
 
                     <!-- Stats Grid -->
                     <div class="flex-grow grid grid-cols-2 gap-3">
                         <div class="lab-stat">
                             <span class="lab-stat-label">Compound</span>
-                            <span class="lab-stat-value">${data.name}</span>
+                            <span class="lab-stat-value">${esc(data.compound || data.productId)}</span>
                         </div>
                         <div class="lab-stat">
                             <span class="lab-stat-label">Quantity</span>
-                            <span class="lab-stat-value">${data.quantity} ${data.unit}</span>
+                            <span class="lab-stat-value">${data.quantity != null ? `${esc(data.quantity)} ${esc(data.unit || 'mg')}` : '-'}</span>
                         </div>
                         <div class="lab-stat">
                             <span class="lab-stat-label">Analysis Date</span>
-                            <span class="lab-stat-value">${data.analysisDate}</span>
+                            <span class="lab-stat-value">${esc(formatAnalysisDate(data.analysisDate))}</span>
                         </div>
                         <div class="lab-stat">
                             <span class="lab-stat-label">Task #</span>
-                            <span class="lab-stat-value">${data.taskNumber}</span>
+                            <span class="lab-stat-value">${esc(data.taskNumber)}</span>
                         </div>
                     </div>
                 </div>
 
-                ${data.note ? `<div class="lab-note">${data.note}</div>` : ''}
+                ${lotNumber && !lotResult ? `<div class="lab-note">No test on file for lot ${esc(lotNumber)}; showing the most recent test.</div>` : ''}
+                ${flags.map(flag => `<div class="lab-flag">${esc(flag)}</div>`).join('')}
+                ${data.note ? `<div class="lab-note">${esc(data.note)}</div>` : ''}
 
                 <!-- View Report Button -->
-                <button class="lab-view-report-btn" onclick="window.labResults.openModal('${productId}')">
+                <button class="lab-view-report-btn" onclick="window.labResults.openModal('${esc(productId)}', '${esc(data.id)}')">
                     <i data-lucide="file-search" class="w-4 h-4"></i>
                     View Full Lab Report
                 </button>
+
+                ${renderTrend(results, thresholds)}
+                ${renderHistory(productId, results, data, thresholds)}
+
+                <a href="/lab-transparency.html" class="lab-compare-link">Compare results across the catalog</a>
             </div>
 
             <!-- Modal -->
-            <div id="lab-modal-${productId}" class="lab-modal-overlay" onclick="window.labResults.closeModal('${productId}', event)">
+            <div id="lab-modal-${esc(productId)}" class="lab-modal-overlay" onclick="window.labResults.closeModal('${esc(productId)}', event)">
                 <div class="lab-modal" onclick="event.stopPropagation()">
                     <div class="lab-modal-header">
                         <span class="lab-modal-title">
                             <i data-lucide="microscope" class="w-4 h-4"></i>
-                            ${data.name} Lab Analysis Report
+                            <span data-lab-modal-title></span>
                         </span>
-                        <button class="lab-modal-close" onclick="window.labResults.closeModal('${productId}')">
+                        <button class="lab-modal-close" onclick="window.labResults.closeModal('${esc(productId)}')">
                             <i data-lucide="x" class="w-5 h-5"></i>
                         </button>
                     </div>
                     <div class="lab-modal-body">
-                        <img src="${assetPath}${data.reportImage}" alt="${data.name} Lab Report">
+                        <img data-lab-modal-image alt="">
                     </div>
                     <div class="lab-modal-footer">
                         <span class="lab-verification-code">
-                            Verification Key: <strong>${data.verificationKey}</strong>
+                            Verification Key: <strong data-lab-modal-key></strong>
                         </span>
                         <a href="https://www.janoshik.com/verify/" target="_blank" rel="noopener" class="lab-verify-link">
                             <i data-lucide="external-link" class="w-3 h-3"></i>
@@ -471,9 +681,17 @@
             });
         },
 
-        openModal: function(productId) {
+        openModal: function(productId, resultId) {
             const modal = document.getElementById(`lab-modal-${productId}`);
-            if (modal) {
+            const result = findResult(productId, resultId) || (resultsByProduct[productId] || [])[0];
+            if (modal && result) {
+                const title = `${result.compound || productId} Lab Analysis Report${result.lotNumber ? ` (Lot ${result.lotNumber})` : ''}`;
+                modal.querySelector('[data-lab-modal-title]').textContent = title;
+                modal.querySelector('[data-lab-modal-key]').textContent = result.verificationKey || '-';
+                const image = modal.querySelector('[data-lab-modal-image]');
+                image.src = result.reportUrl;
+                image.alt = title;
+
                 modal.classList.add('active');
                 document.body.style.overflow = 'hidden';
                 if (window.lucide) lucide.createIcons();
@@ -490,8 +708,13 @@
         },
 
         hasData: function(productId) {
-            return !!labData[productId];
-        }
+            return (resultsByProduct[productId] || []).length > 0;
+        },
+
+        loadThresholds,
+        loadLatestByProduct,
+        evaluate,
+        quantityRatio
     };
 
     // Auto-init on DOM ready
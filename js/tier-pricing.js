@@ -0,0 +1,282 @@
+/**
+ * Tier Pricing
+ * The one place quantity tiers are worked out. Loaded as a plain script in the
+ * browser (window.tierPricing) and required by Cloud Functions, so the price a
+ * customer sees is the price they are charged.
+ *
+ * Tiers come from each product's wholesaleMinQty/wholesale1Price and
+ * wholesale2MinQty/wholesale2Price; a tier with no price is skipped.
+ *
+ * Volume pricing then pools vials across the cart, so 5 BPC-157 + 5 TB-500
+ * unlock Tier 1 on both lines. Rules come from settings/volumePricing;
+ * DEFAULT_VOLUME_PRICING (the pricingTiers in data/products.json) applies until
+ * that document exists.
+ *
+ * settings/volumePricing:
+ *   pooling           - 'cart' (one pool for every eligible vial) or 'category'
+ *                       (each product category pools on its own)
+ *   categories        - only these product categories pool (omit for all)
+ *   excludeCategories - categories that never pool
+ *   excludeProducts   - product IDs that never pool
+ *   tiers[]           - id, name
+ *     minQuantity     - vials in a pool that unlock the tier
+ *     productTier     - product price tier it unlocks: 'wholesale1' or 'wholesale2'
+ *
+ * Excluded products still get their own per-product tiers.
+ *
+ * Tier 2 is for approved distributors only: it applies when the signed-in
+ * customer's users/{uid}.pricing names the distributor group, and everyone else
+ * stays on the public tiers. pricing.prices holds negotiated per-product prices
+ * that replace the product's Tier 2 price for that customer.
+ *
+ * functions/src/shared/tierPricing.js is a copy of this file made by
+ * `npm run sync:shared` in functions/ - edit this one.
+ */
+
+(function(root, factory) {
+    'use strict';
+
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.tierPricing = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+    'use strict';
+
+    const DEFAULT_TIER1_MIN_QTY = 10;
+    const DEFAULT_TIER2_MIN_QTY = 25;
+
+    const TIER_LABELS = {
+        standard: 'Standard',
+        wholesale1: 'Tier 1',
+        wholesale2: 'Tier 2'
+    };
+
+    // Tiers that only members of a pricing group get (users/{uid}.pricing.group)
+    const GROUP_TIERS = {
+        wholesale2: 'distributor'
+    };
+
+    // Tier 2 Distribution needs an approved application, so only Tier 1 pools
+    const DEFAULT_VOLUME_PRICING = {
+        pooling: 'cart',
+        categories: [],
+        excludeCategories: [],
+        excludeProducts: [],
+        tiers: [
+            { id: 'wholesale', name: 'Tier 1 Logistics', minQuantity: 10, productTier: 'wholesale1' }
+        ]
+    };
+
+    /**
+     * Round a dollar amount to whole cents
+     * @param {number} amount - Amount in dollars
+     * @returns {number}
+     */
+    function roundCurrency(amount) {
+        return Math.round(amount * 100) / 100;
+    }
+
+    /**
+     * Negotiated price for a product in a customer's pricing group
+     * @param {Object} product - Product data (id)
+     * @param {Object} [customer] - users/{uid}.pricing
+     * @returns {number|null}
+     */
+    function negotiatedPrice(product, customer) {
+        const price = Number(customer && customer.prices ? customer.prices[product.id] : NaN);
+        return Number.isFinite(price) && price > 0 ? price : null;
+    }
+
+    /**
+     * List a product's price tiers, lowest quantity first
+     * @param {Object} product - Product data
+     * @param {Object} [customer] - users/{uid}.pricing of the signed-in customer
+     * @returns {Array<{ tier: string, label: string, minQty: number, unitPrice: number }>}
+     */
+    function getTiers(product, customer) {
+        const tiers = [{
+            tier: 'standard',
+            label: TIER_LABELS.standard,
+            minQty: 1,
+            unitPrice: Number(product.price)
+        }];
+
+        const candidates = [
+            ['wholesale1', product.wholesaleMinQty, DEFAULT_TIER1_MIN_QTY, product.wholesale1Price],
+            ['wholesale2', product.wholesale2MinQty, DEFAULT_TIER2_MIN_QTY, product.wholesale2Price]
+        ];
+
+        candidates.forEach(([tier, minQty, defaultMinQty, price]) => {
+            const group = GROUP_TIERS[tier];
+            if (group && (!customer || customer.group !== group)) return;
+
+            const unitPrice = (group && negotiatedPrice(product, customer)) || Number(price);
+            if (!Number.isFinite(unitPrice) || unitPrice <= 0) return;
+
+            const previous = tiers[tiers.length - 1];
+            const threshold = Math.max(parseInt(minQty, 10) || defaultMinQty, previous.minQty + 1);
+            tiers.push({ tier, label: TIER_LABELS[tier], minQty: threshold, unitPrice });
+        });
+
+        return tiers;
+    }
+
+    /**
+     * Price a quantity of a product
+     * @param {Object} product - Product data
+     * @param {number} quantity - Units in the cart line
+     * @param {Object} [options]
+     * @param {string} [options.minTier] - Apply at least this tier (unlocked by volume pricing) if the customer has it
+     * @param {Object} [options.customer] - users/{uid}.pricing of the signed-in customer
+     * @returns {{ unitPrice: number, listPrice: number, tier: string, tierLabel: string,
+     *     savingsPerUnit: number, savings: number,
+     *     nextTier: { tier: string, label: string, minQty: number, unitPrice: number, unitsNeeded: number }|null }}
+     */
+    function priceForQuantity(product, quantity, { minTier, customer } = {}) {
+        const units = Math.max(1, parseInt(quantity, 10) || 1);
+        const tiers = getTiers(product, customer);
+        const unlocked = tiers.findIndex(tier => tier.tier === minTier);
+        const index = tiers.reduce((found, tier, i) => (units >= tier.minQty ? Math.max(i, found) : found), Math.max(0, unlocked));
+        const current = tiers[index];
+        const next = tiers[index + 1] || null;
+        const listPrice = tiers[0].unitPrice;
+        const savingsPerUnit = Math.max(0, roundCurrency(listPrice - current.unitPrice));
+
+        return {
+            unitPrice: current.unitPrice,
+            listPrice,
+            tier: current.tier,
+            tierLabel: current.label,
+            savingsPerUnit,
+            savings: roundCurrency(savingsPerUnit * units),
+            nextTier: next ? {
+                tier: next.tier,
+                label: next.label,
+                minQty: next.minQty,
+                unitPrice: next.unitPrice,
+                unitsNeeded: next.minQty - units
+            } : null
+        };
+    }
+
+    /**
+     * Fill in volume pricing rules, falling back to the defaults
+     * @param {Object} [config] - settings/volumePricing data
+     * @returns {Object}
+     */
+    function normalizeVolumePricing(config) {
+        if (!config || !Array.isArray(config.tiers)) return DEFAULT_VOLUME_PRICING;
+
+        const list = (value) => (Array.isArray(value) ? value.map(String) : []);
+        return {
+            pooling: config.pooling === 'category' ? 'category' : 'cart',
+            categories: list(config.categories),
+            excludeCategories: list(config.excludeCategories),
+            excludeProducts: list(config.excludeProducts),
+            tiers: config.tiers
+                .filter(tier => TIER_LABELS[tier.productTier] && tier.productTier !== 'standard' && Number(tier.minQuantity) > 0)
+                .map(tier => ({
+                    id: String(tier.id || tier.productTier),
+                    name: String(tier.name || TIER_LABELS[tier.productTier]),
+                    minQuantity: parseInt(tier.minQuantity, 10),
+                    productTier: tier.productTier
+                }))
+                .sort((a, b) => a.minQuantity - b.minQuantity)
+        };
+    }
+
+    /**
+     * Pool a product joins under the volume rules
+     * @param {Object} product - Product data (id, category)
+     * @param {Object} rules - Normalized volume pricing
+     * @returns {string|null} Pool key, or null if the product does not pool
+     */
+    function poolFor(product, rules) {
+        const category = product.category || '';
+        if (rules.excludeProducts.includes(product.id)) return null;
+        if (rules.excludeCategories.includes(category)) return null;
+        if (rules.categories.length > 0 && !rules.categories.includes(category)) return null;
+        return rules.pooling === 'category' ? category : 'cart';
+    }
+
+    /**
+     * Price every line of a cart, pooling vials under the volume rules
+     * @param {Array<{ id: string, quantity: number, product: Object }>} lines - One line per product
+     * @param {Object} [volumePricing] - settings/volumePricing data
+     * @param {Object} [customer] - users/{uid}.pricing of the signed-in customer
+     * @returns {{ lines: Array<Object>, pools: Array<{ key: string, category: string|null, quantity: number,
+     *     tier: Object|null, nextTier: { id: string, name: string, minQuantity: number, unitsNeeded: number }|null }> }}
+     *     Each line is priceForQuantity's result plus id, quantity, pool and volumeTier (the pooled tier ID, if it raised the price tier)
+     */
+    function priceLines(lines, volumePricing, customer) {
+        const rules = normalizeVolumePricing(volumePricing);
+        // Pools only reach tiers this customer can buy at; a group tier would hide Tier 1
+        const tiers = rules.tiers.filter(tier => {
+            const group = GROUP_TIERS[tier.productTier];
+            return !group || (customer && customer.group === group);
+        });
+        const pools = new Map();
+
+        lines.forEach(line => {
+            const key = poolFor({ id: line.id, ...line.product }, rules);
+            if (key === null) return;
+            if (!pools.has(key)) pools.set(key, 0);
+            pools.set(key, pools.get(key) + Math.max(1, parseInt(line.quantity, 10) || 1));
+        });
+
+        const poolTiers = new Map();
+        const summaries = Array.from(pools, ([key, quantity]) => {
+            const reached = tiers.filter(tier => quantity >= tier.minQuantity);
+            const tier = reached[reached.length - 1] || null;
+            const next = tiers.find(candidate => quantity < candidate.minQuantity) || null;
+            poolTiers.set(key, tier);
+
+            return {
+                key,
+                category: rules.pooling === 'category' ? key : null,
+                quantity,
+                tier: tier ? { id: tier.id, name: tier.name } : null,
+                nextTier: next ? {
+                    id: next.id,
+                    name: next.name,
+                    minQuantity: next.minQuantity,
+                    unitsNeeded: next.minQuantity - quantity
+                } : null
+            };
+        });
+
+        const priced = lines.map(line => {
+            const product = { id: line.id, ...line.product };
+            const pool = poolFor(product, rules);
+            const volumeTier = pool === null ? null : poolTiers.get(pool);
+            const ownPricing = priceForQuantity(product, line.quantity, { customer });
+            const pricing = volumeTier
+                ? priceForQuantity(product, line.quantity, { minTier: volumeTier.productTier, customer })
+                : ownPricing;
+
+            return {
+                id: line.id,
+                quantity: line.quantity,
+                ...pricing,
+                pool,
+                volumeTier: pricing.tier !== ownPricing.tier ? volumeTier.id : null
+            };
+        });
+
+        return { lines: priced, pools: summaries };
+    }
+
+    return {
+        TIER_LABELS,
+        GROUP_TIERS,
+        DEFAULT_VOLUME_PRICING,
+        getTiers,
+        priceForQuantity,
+        normalizeVolumePricing,
+        priceLines,
+        roundCurrency
+    };
+});
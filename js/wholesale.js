@@ -159,13 +159,21 @@ class WholesaleManager {
             await window.firebaseServices.onReady();
             const db = window.firebaseServices.getFirestore();
 
-            // Add timestamp and status
+            // Add timestamp and status. emailKey groups repeat inquiries from one email,
+            // and a signed-in inquirer can follow the application from their account
+            // when it is sent from the account's verified email
+            const user = firebase.auth().currentUser;
             const inquiry = {
                 ...formData,
+                emailKey: formData.email.toLowerCase(),
                 status: 'new',
                 createdAt: firebase.firestore.FieldValue.serverTimestamp(),
                 source: 'website'
             };
+            if (user && user.emailVerified && user.email &&
+                user.email.toLowerCase() === inquiry.emailKey) {
+                inquiry.userId = user.uid;
+            }
 
             // Save to Firestore
             await db.collection('wholesaleInquiries').add(inquiry);